@@ -0,0 +1,159 @@
+const { cacheAIResponse } = require("../middleware/aiCache");
+const { invalidateDocumentResponses } = require("../services/aiCache");
+const { createMockProvider, setProvider } = require("../services/llmProvider");
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+  });
+  res.status = jest.fn((statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  });
+  res.json = jest.fn();
+  return res;
+};
+
+// Wait for responses to be written to the cache after they are sent
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Send a request through the cache to an endpoint that answers with body
+ * @param middleware - Cache middleware
+ * @param requestBody - Request body
+ * @param body - Body the endpoint responds with
+ * @param headers - Request headers
+ * @returns {Promise<{res: object, next: Function}>} - Response and the endpoint
+ */
+const send = async (middleware, requestBody, body = {}, headers = {}) => {
+  const res = createResponse();
+  const next = jest.fn(() => res.status(200).json(body));
+  await middleware({ body: requestBody, headers }, res, next);
+  await flush();
+  return { res, next };
+};
+
+describe("AI response cache", () => {
+  beforeEach(() => {
+    setProvider(createMockProvider());
+    delete process.env.AI_CACHE_TTL_BULLET_SUMMARY;
+  });
+
+  afterAll(() => {
+    setProvider(undefined);
+  });
+
+  it("answers identical requests from the cache", async () => {
+    const middleware = cacheAIResponse("/bullet-summary");
+    const request = { documentText: "Solar is growing." };
+
+    const first = await send(middleware, request, { summary: "- Solar" });
+    expect(first.next).toHaveBeenCalled();
+    expect(first.res.headers["X-Cache"]).toBe("MISS");
+
+    const second = await send(middleware, request);
+    expect(second.next).not.toHaveBeenCalled();
+    expect(second.res.headers).toEqual({ "X-Cache": "HIT", Age: "0" });
+    expect(second.res.json).toHaveBeenCalledWith({ summary: "- Solar" });
+
+    // Another model gives another answer
+    setProvider(createMockProvider({ model: "mock-2" }));
+    expect((await send(middleware, request)).next).toHaveBeenCalled();
+  });
+
+  it("keys responses by endpoint, text and options", async () => {
+    const middleware = cacheAIResponse("/summary-in-language", {
+      options: ["language"],
+    });
+    const request = { documentText: "Solar is growing.", language: "French" };
+    await send(middleware, request, { summary: "Le solaire" });
+
+    const cases = [
+      [middleware, { ...request, language: "German" }],
+      [middleware, { ...request, documentText: "Wind is growing." }],
+      [cacheAIResponse("/content-rewriting"), request],
+    ];
+    for (const [cache, body] of cases) {
+      expect((await send(cache, body)).res.headers["X-Cache"]).toBe("MISS");
+    }
+    expect((await send(middleware, request)).res.headers["X-Cache"]).toBe(
+      "HIT",
+    );
+  });
+
+  it("does not cache failures, streams or workspace defaults", async () => {
+    const middleware = cacheAIResponse("/summary-in-language", {
+      options: ["language"],
+    });
+    const request = { documentText: "Text", language: "French" };
+
+    const res = createResponse();
+    await middleware({ body: request, headers: {} }, res, () =>
+      res.status(500).json({ error: "Quota exceeded" }),
+    );
+    await flush();
+    expect((await send(middleware, request)).res.headers["X-Cache"]).toBe(
+      "MISS",
+    );
+
+    const stream = { accept: "text/event-stream" };
+    const streamed = await send(middleware, request, {}, stream);
+    expect(streamed.res.headers["X-Cache"]).toBe("BYPASS");
+    const defaults = await send(middleware, {
+      documentText: "Text",
+      userId: "U1",
+    });
+    expect(defaults.res.headers["X-Cache"]).toBe("BYPASS");
+
+    process.env.AI_CACHE_TTL_BULLET_SUMMARY = "0";
+    const disabled = await send(cacheAIResponse("/bullet-summary"), request);
+    expect(disabled.res.headers["X-Cache"]).toBe("BYPASS");
+  });
+
+  it("regenerates responses on request and caches the new one", async () => {
+    const middleware = cacheAIResponse("/bullet-summary");
+    const request = { documentText: "Text", userId: "U1", documentId: "D2" };
+    await send(middleware, request, { summary: "- First" });
+
+    const regenerated = await send(
+      middleware,
+      { ...request, regenerate: true },
+      { summary: "- Second" },
+    );
+    expect(regenerated.next).toHaveBeenCalled();
+    expect(regenerated.res.headers["X-Cache"]).toBe("MISS");
+
+    const noCache = await send(
+      middleware,
+      request,
+      { summary: "- Third" },
+      {
+        "cache-control": "no-cache",
+      },
+    );
+    expect(noCache.next).toHaveBeenCalled();
+
+    const hit = await send(middleware, request);
+    expect(hit.res.json).toHaveBeenCalledWith({ summary: "- Third" });
+  });
+
+  it("drops the responses of a document when it changes", async () => {
+    const middleware = cacheAIResponse("/bullet-summary");
+    const request = { documentText: "Text", userId: "U1", documentId: "D1" };
+    const unsaved = { documentText: "Text" };
+    await send(middleware, request, { summary: "- For D1" });
+    await send(middleware, unsaved, { summary: "- Unsaved" });
+
+    const hit = await send(middleware, request);
+    expect(hit.res.json).toHaveBeenCalledWith({ summary: "- For D1" });
+
+    await invalidateDocumentResponses("U1", "D1");
+    expect((await send(middleware, request)).res.headers["X-Cache"]).toBe(
+      "MISS",
+    );
+    expect((await send(middleware, unsaved)).res.headers["X-Cache"]).toBe(
+      "HIT",
+    );
+  });
+});
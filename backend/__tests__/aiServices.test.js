@@ -0,0 +1,314 @@
+process.env.FIREBASE_PRIVATE_KEY = "test-key";
+process.env.AI_INSTRUCTIONS = "You are DocuThinker";
+
+jest.mock("firebase-admin", () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  firestore: jest.fn(() => ({})),
+  auth: jest.fn(),
+}));
+
+const { createMockProvider, setProvider } = require("../services/llmProvider");
+const {
+  generateSummary,
+  generateKeyIdeas,
+  analyzeSentiment,
+  rewriteContent,
+  chatWithAI,
+  listChatSessions,
+  getChatSession,
+  clearSessionHistory,
+  suggestTags,
+} = require("../services/services");
+
+describe("AI services with the mock provider", () => {
+  let respond;
+
+  beforeEach(() => {
+    respond = jest.fn(async ({ message }) => `reply to ${message}`);
+    setProvider(createMockProvider({ respond }));
+  });
+
+  afterAll(() => {
+    setProvider(undefined);
+  });
+
+  it("generateSummary sends the task instruction and returns the summary", async () => {
+    const result = await generateSummary("Some document");
+
+    expect(result).toEqual({
+      summary: "reply to Some document",
+      originalText: "Some document",
+    });
+    expect(respond).toHaveBeenCalledWith(
+      expect.objectContaining({
+        systemInstruction: expect.stringContaining(
+          "You are DocuThinker. Your task now is to: Summarize",
+        ),
+        message: "Some document",
+      }),
+    );
+  });
+
+  it("generateSummary map-reduces documents over the chunk budget", async () => {
+    process.env.SUMMARY_CHUNK_TOKENS = "50";
+    const onProgress = jest.fn();
+    const text = [
+      "# One",
+      "Alpha. ".repeat(25),
+      "# Two",
+      "Beta. ".repeat(25),
+    ].join("\n");
+
+    const result = await generateSummary(text, { onProgress });
+
+    const calls = respond.mock.calls.map(([request]) => request);
+    const maps = calls.filter(({ systemInstruction }) =>
+      systemInstruction.includes("of a longer document"),
+    );
+    expect(maps.length).toBeGreaterThan(1);
+    expect(maps[0].systemInstruction).toContain("Part 1 of");
+    expect(calls[calls.length - 1].systemInstruction).toContain(
+      "Combine the following partial summaries",
+    );
+    expect(result.summary).toMatch(/^reply to /);
+    expect(onProgress).toHaveBeenCalledWith(
+      expect.objectContaining({ stage: "map", completed: maps.length }),
+    );
+    expect(onProgress).toHaveBeenLastCalledWith({
+      stage: "done",
+      completed: 1,
+      total: 1,
+    });
+
+    delete process.env.SUMMARY_CHUNK_TOKENS;
+  });
+
+  it("generateKeyIdeas sends short documents in a single request", async () => {
+    await expect(generateKeyIdeas("Short text")).resolves.toBe(
+      "reply to Short text",
+    );
+    expect(respond).toHaveBeenCalledTimes(1);
+  });
+
+  it("rewriteContent fails when the provider returns nothing", async () => {
+    respond.mockResolvedValue("   ");
+
+    await expect(rewriteContent("text", "formal")).rejects.toThrow(
+      "Failed to rewrite content using the AI",
+    );
+  });
+
+  it("rewriteContent streams tokens to onToken and returns the full text", async () => {
+    respond.mockResolvedValue("A formal rewrite");
+    const onToken = jest.fn();
+
+    await expect(rewriteContent("text", "formal", { onToken })).resolves.toBe(
+      "A formal rewrite",
+    );
+    expect(onToken.mock.calls.map(([token]) => token)).toEqual([
+      "A",
+      " formal",
+      " rewrite",
+    ]);
+  });
+
+  it("chatWithAI stops when the request is aborted and keeps no history", async () => {
+    const controller = new AbortController();
+    const onToken = jest.fn(() => controller.abort());
+
+    await expect(
+      chatWithAI("S4", "question", "the document", {
+        onToken,
+        signal: controller.signal,
+      }),
+    ).rejects.toThrow("Failed to get AI response");
+    expect(onToken).toHaveBeenCalledTimes(1);
+    expect(await getChatSession("S4")).toBeNull();
+  });
+
+  it("analyzeSentiment requests and parses a JSON answer", async () => {
+    respond.mockResolvedValue(
+      '```json\n{"score":0.5,"description":"Upbeat"}\n```',
+    );
+
+    await expect(analyzeSentiment("Great news")).resolves.toEqual({
+      sentimentScore: 0.5,
+      description: "Upbeat",
+    });
+    expect(respond).toHaveBeenCalledWith(
+      expect.objectContaining({ json: true }),
+    );
+  });
+
+  it("suggestTags normalizes the suggested tags", async () => {
+    respond.mockResolvedValue(
+      '```json\n["#Solar Power", "policy", "Policy", "", 3, "a very long tag that goes on and on and on"]\n```',
+    );
+
+    await expect(suggestTags("- Solar policy")).resolves.toEqual([
+      "solar power",
+      "policy",
+    ]);
+
+    respond.mockResolvedValue("solar, policy");
+    await expect(suggestTags("- Solar policy")).rejects.toThrow(
+      "Failed to parse tag suggestions",
+    );
+  });
+
+  it("chatWithAI sends matching passages with the message and keeps prior turns as history", async () => {
+    respond.mockImplementation(
+      async ({ message }) => `reply to ${message.split("Message: ").pop()}`,
+    );
+
+    await chatWithAI("S1", "first question", "the document");
+    await chatWithAI("S1", "second question", "the document");
+
+    expect(respond).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        history: [
+          { role: "user", text: "first question" },
+          { role: "model", text: "reply to first question" },
+        ],
+        message:
+          "Passages from the document:\n\n[1] (page 1, paragraph 1)\nthe document\n\nMessage: second question",
+      }),
+    );
+
+    clearSessionHistory("S1");
+  });
+
+  it("chatWithAI returns the passages cited by the answer", async () => {
+    process.env.RAG_CHUNK_TOKENS = "16";
+    const document = [
+      "Solar panels convert sunlight into electricity for the home.",
+      "The quarterly budget was approved by the finance committee.",
+      "\fWind turbines generate electricity on breezy coastal hills.",
+    ].join("\n\n");
+    respond.mockImplementation(async ({ message }) => {
+      // Cite whichever numbered passage mentions the budget
+      const cited = message.match(/\[(\d)\][^[]*budget/)[1];
+      return `It was approved [${cited}], see also [9].`;
+    });
+
+    const { response, citations } = await chatWithAI(
+      "S5",
+      "Who approved the budget?",
+      document,
+    );
+
+    expect(response).toMatch(/^It was approved \[\d\]/);
+    expect(citations).toEqual([
+      expect.objectContaining({
+        page: 1,
+        paragraph: 2,
+        start: document.indexOf("The quarterly"),
+        text: "The quarterly budget was approved by the finance committee.",
+      }),
+    ]);
+    const session = await getChatSession("S5");
+    expect(session.messages[1].citations).toEqual(citations);
+
+    delete process.env.RAG_CHUNK_TOKENS;
+    await clearSessionHistory("S5");
+  });
+
+  it("chatWithAI answers across several documents and cites them by title", async () => {
+    respond.mockImplementation(async ({ message }) => {
+      const cited = message.match(/\[(\d)\] \("Budget memo"/)[1];
+      return `The committee approved it [${cited}].`;
+    });
+
+    const { citations } = await chatWithAI(
+      "S6",
+      "Who approved the budget?",
+      undefined,
+      {
+        userId: "U1",
+        documents: [
+          { id: "D1", title: "Energy report", text: "Solar panels work." },
+          {
+            id: "D2",
+            title: "Budget memo",
+            text: "The finance committee approved the budget.",
+          },
+        ],
+      },
+    );
+
+    expect(respond).toHaveBeenCalledWith(
+      expect.objectContaining({
+        systemInstruction: expect.stringContaining(
+          "Say which document each part of your answer comes from",
+        ),
+        message: expect.stringContaining(
+          '("Budget memo", page 1, paragraph 1)\nThe finance committee approved the budget.',
+        ),
+      }),
+    );
+    expect(citations).toEqual([
+      expect.objectContaining({ documentId: "D2", title: "Budget memo" }),
+    ]);
+    const session = await getChatSession("S6");
+    expect(session.documentIds).toEqual(["D1", "D2"]);
+    expect(session.context).toBe("");
+
+    await clearSessionHistory("S6", "U1");
+  });
+
+  it("chatWithAI persists sessions per user and lists them", async () => {
+    await chatWithAI("S2", "hello there", "doc", { userId: "U1" });
+
+    const sessions = await listChatSessions("U1");
+    expect(sessions).toEqual([
+      expect.objectContaining({
+        id: "S2",
+        title: "hello there",
+        messageCount: 2,
+      }),
+    ]);
+
+    await clearSessionHistory("S2", "U1");
+    expect(await getChatSession("S2")).toBeNull();
+    expect(await listChatSessions("U1")).toEqual([]);
+  });
+
+  it("chatWithAI folds turns beyond the window into a summary", async () => {
+    process.env.CHAT_HISTORY_WINDOW = "4";
+    respond.mockImplementation(async ({ systemInstruction, message }) =>
+      systemInstruction.includes("Condense the earlier part")
+        ? "condensed"
+        : `reply to ${message.split("Message: ").pop()}`,
+    );
+
+    for (const question of ["q1", "q2", "q3"]) {
+      await chatWithAI("S3", question, "the document");
+    }
+
+    const session = await getChatSession("S3");
+    expect(session.summary).toBe("condensed");
+    expect(session.messages.map(({ text }) => text)).toEqual([
+      "q3",
+      "reply to q3",
+    ]);
+
+    await chatWithAI("S3", "q4", "the document");
+    expect(respond).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        history: [
+          {
+            role: "user",
+            text: "Summary of our earlier conversation: condensed",
+          },
+          { role: "user", text: "q3" },
+          { role: "model", text: "reply to q3" },
+        ],
+        message: expect.stringContaining("Message: q4"),
+      }),
+    );
+
+    delete process.env.CHAT_HISTORY_WINDOW;
+    await clearSessionHistory("S3");
+  });
+});
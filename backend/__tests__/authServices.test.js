@@ -0,0 +1,161 @@
+process.env.FIREBASE_PRIVATE_KEY = "test-key";
+process.env.FIREBASE_API_KEY = "API_KEY";
+
+const mockAuth = {
+  getUserByEmail: jest.fn(),
+  createCustomToken: jest.fn(),
+  updateUser: jest.fn(),
+};
+jest.mock("firebase-admin", () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  firestore: jest.fn(() => ({})),
+  auth: () => mockAuth,
+}));
+
+const { createTransport, setTransport } = require("../services/mailer");
+const {
+  loginUser,
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/services");
+
+describe("auth services", () => {
+  let sent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+  });
+
+  afterAll(() => {
+    setTransport(undefined);
+  });
+
+  it("loginUser verifies the password before minting a token", async () => {
+    const http = {
+      post: jest.fn().mockResolvedValue({ data: { localId: "UID1" } }),
+    };
+    mockAuth.createCustomToken.mockResolvedValue("CUSTOM");
+
+    await expect(loginUser("a@b.com", "secret", http)).resolves.toBe("CUSTOM");
+    expect(http.post).toHaveBeenCalledWith(
+      "https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=API_KEY",
+      { email: "a@b.com", password: "secret", returnSecureToken: false },
+    );
+    expect(mockAuth.createCustomToken).toHaveBeenCalledWith("UID1");
+  });
+
+  it("loginUser rejects a wrong password", async () => {
+    const http = {
+      post: jest.fn().mockRejectedValue({ response: { status: 400 } }),
+    };
+
+    await expect(loginUser("a@b.com", "wrong", http)).rejects.toThrow(
+      "Invalid email or password",
+    );
+    expect(mockAuth.createCustomToken).not.toHaveBeenCalled();
+  });
+
+  it("resets the password with the emailed code, only once", async () => {
+    mockAuth.getUserByEmail.mockResolvedValue({ uid: "UID1" });
+
+    await requestPasswordReset("A@b.com");
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("A@b.com");
+    const [code] = sent[0].text.match(/\d{6}/);
+
+    await expect(resetPassword("a@b.com", code, "newpass")).resolves.toEqual({
+      message: "Password updated successfully.",
+    });
+    expect(mockAuth.updateUser).toHaveBeenCalledWith("UID1", {
+      password: "newpass",
+    });
+    await expect(resetPassword("a@b.com", code, "again")).rejects.toThrow(
+      "Invalid or expired reset code",
+    );
+  });
+
+  it("invalidates the code after too many wrong attempts", async () => {
+    mockAuth.getUserByEmail.mockResolvedValue({ uid: "UID2" });
+    await requestPasswordReset("c@d.com");
+    const [code] = sent[0].text.match(/\d{6}/);
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(resetPassword("c@d.com", wrong, "pw1234")).rejects.toThrow(
+        "Invalid or expired reset code",
+      );
+    }
+
+    await expect(resetPassword("c@d.com", code, "pw1234")).rejects.toThrow(
+      "Invalid or expired reset code",
+    );
+    expect(mockAuth.updateUser).not.toHaveBeenCalled();
+  });
+
+  it("counts wrong attempts made at the same time", async () => {
+    mockAuth.getUserByEmail.mockResolvedValue({ uid: "UID3" });
+    await requestPasswordReset("e@f.com");
+    const [code] = sent[0].text.match(/\d{6}/);
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    const guesses = Array.from({ length: 10 }, () =>
+      resetPassword("e@f.com", wrong, "pw1234").catch((error) => error),
+    );
+    await Promise.all(guesses);
+
+    await expect(resetPassword("e@f.com", code, "pw1234")).rejects.toThrow(
+      "Invalid or expired reset code",
+    );
+    expect(mockAuth.updateUser).not.toHaveBeenCalled();
+  });
+
+  it("keeps the code when the password cannot be changed", async () => {
+    mockAuth.getUserByEmail.mockResolvedValue({ uid: "UID4" });
+    await requestPasswordReset("g@h.com");
+    const [code] = sent[0].text.match(/\d{6}/);
+
+    mockAuth.updateUser.mockRejectedValueOnce(new Error("Weak password"));
+    await expect(resetPassword("g@h.com", code, "pw")).rejects.toThrow(
+      "Weak password",
+    );
+    await expect(resetPassword("g@h.com", code, "pw1234")).resolves.toEqual({
+      message: "Password updated successfully.",
+    });
+  });
+
+  it("limits the reset codes sent to an address", async () => {
+    mockAuth.getUserByEmail.mockResolvedValue({ uid: "UID5" });
+
+    for (let request = 0; request < 5; request++) {
+      await requestPasswordReset("i@j.com");
+    }
+
+    expect(sent).toHaveLength(3);
+  });
+
+  it("does not reveal whether an account exists", async () => {
+    mockAuth.getUserByEmail.mockRejectedValue(
+      Object.assign(new Error("no user"), { code: "auth/user-not-found" }),
+    );
+
+    await expect(requestPasswordReset("nobody@x.com")).resolves.toBeUndefined();
+    expect(sent).toEqual([]);
+  });
+
+  it("refuses to print emails to the log in production", () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      expect(() => createTransport("console")).toThrow(
+        'The "console" mail transport cannot be used in production',
+      );
+      expect(createTransport("file").name).toBe("file");
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
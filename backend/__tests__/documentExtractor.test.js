@@ -0,0 +1,102 @@
+jest.mock("pdf-parse", () =>
+  jest.fn(async (buffer, { pagerender }) => {
+    const page = (lines) => ({
+      getTextContent: async () => ({
+        items: lines.map(([str, y]) => ({
+          str,
+          transform: [1, 0, 0, 1, 0, y],
+        })),
+      }),
+    });
+    await pagerender(
+      page([
+        ["Title", 700],
+        ["First ", 680],
+        ["line", 680],
+      ]),
+    );
+    await pagerender(page([["Second page", 700]]));
+    return { text: "" };
+  }),
+);
+jest.mock("mammoth", () => ({
+  extractRawText: jest.fn(async () => ({ value: "Heading\n\n\n\nBody text" })),
+}));
+
+const {
+  detectFormat,
+  extractText,
+  htmlToText,
+  rtfToText,
+} = require("../services/documentExtractor");
+
+const file = (contents, originalname, mimetype = "") => ({
+  buffer: Buffer.from(contents, "latin1"),
+  originalname,
+  mimetype,
+});
+
+describe("documentExtractor", () => {
+  it("detects formats by signature, extension and MIME type", () => {
+    expect(detectFormat(file("%PDF-1.7", "scan.bin"))).toBe("pdf");
+    expect(detectFormat(file("{\\rtf1 hi}", "note"))).toBe("rtf");
+    expect(detectFormat(file("PK", "report.DOCX"))).toBe("docx");
+    expect(detectFormat(file("# Hi", "notes.md"))).toBe("markdown");
+    expect(detectFormat(file("<p>", "page", "text/html; charset=utf-8"))).toBe(
+      "html",
+    );
+    expect(detectFormat(file("MZ", "setup.exe"))).toBeNull();
+  });
+
+  it("separates PDF pages with form feeds", async () => {
+    await expect(extractText(file("%PDF-1.4", "a.pdf"))).resolves.toEqual({
+      text: "Title\nFirst line\fSecond page",
+      format: "pdf",
+    });
+  });
+
+  it("extracts DOCX text with mammoth", async () => {
+    await expect(extractText(file("PK", "a.docx"))).resolves.toEqual({
+      text: "Heading\n\nBody text",
+      format: "docx",
+    });
+  });
+
+  it("decodes plain text and strips the byte order mark", async () => {
+    const buffer = Buffer.concat([
+      Buffer.from([0xef, 0xbb, 0xbf]),
+      Buffer.from("Café notes\r\n\r\n\r\nEnd  \n", "utf8"),
+    ]);
+
+    await expect(
+      extractText({ buffer, originalname: "a.txt", mimetype: "text/plain" }),
+    ).resolves.toEqual({ text: "Café notes\n\nEnd", format: "txt" });
+  });
+
+  it("converts HTML to text with headings, lists and entities", () => {
+    const html = `<html><head><title>x</title><style>p{}</style></head>
+      <body><h2>Results &amp; Notes</h2>
+      <p>Hello   <b>world</b>&nbsp;&#8212; again</p>
+      <script>alert(1)</script>
+      <ul><li>One</li><li>Two</li></ul></body></html>`;
+
+    expect(htmlToText(html)).toBe(
+      "## Results & Notes\n\nHello world — again\n\n- One\n- Two",
+    );
+  });
+
+  it("converts RTF to text, skipping metadata groups", () => {
+    const rtf =
+      "{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Word;}" +
+      "\\f0\\fs24 Hello {\\b bold} world\\par\n" +
+      "Caf\\'e9 \\u8364?5\\tab end\\par}";
+
+    expect(rtfToText(rtf)).toBe("Hello bold world\nCafé €5\tend");
+  });
+
+  it("rejects unsupported files", async () => {
+    await expect(extractText(file("MZ", "setup.exe"))).rejects.toThrow(
+      "Unsupported file type",
+    );
+  });
+});
@@ -0,0 +1,157 @@
+const { Document } = require("../models/models");
+const {
+  generateKeyIdeas,
+  getDocumentDetails,
+  summaryInLanguage,
+} = require("../controllers/controllers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+  generateKeyIdeas: jest.fn(),
+  generateSummaryInLanguage: jest.fn(),
+}));
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  send: jest.fn().mockReturnThis(),
+});
+
+describe("document insights", () => {
+  let userRef, docRef;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    docRef = { get: jest.fn(), update: jest.fn() };
+    userRef = {
+      get: jest.fn().mockResolvedValue({ exists: true }),
+      collection: jest.fn(() => ({ doc: jest.fn(() => docRef) })),
+    };
+    services.firestore.collection.mockReturnValue({
+      doc: jest.fn(() => userRef),
+    });
+  });
+
+  it("Document.saveInsight stores the result with its options and a timestamp", async () => {
+    docRef.get.mockResolvedValue({ exists: true });
+
+    const insight = await Document.saveInsight(
+      "U1",
+      "D1",
+      "languageSummary",
+      "Résumé",
+      { language: "French" },
+    );
+
+    expect(docRef.update).toHaveBeenCalledWith({
+      "insights.languageSummary": {
+        content: "Résumé",
+        options: { language: "French" },
+        generatedAt: expect.any(Date),
+      },
+    });
+    expect(insight.generatedAt).toEqual(expect.any(String));
+  });
+
+  it("Document.saveInsight rejects unknown types and missing documents", async () => {
+    await expect(
+      Document.saveInsight("U1", "D1", "poem", "text"),
+    ).rejects.toThrow('Unknown insight type "poem"');
+
+    docRef.get.mockResolvedValue({ exists: false });
+    await expect(
+      Document.saveInsight("U1", "D1", "keyIdeas", "text"),
+    ).rejects.toThrow("Document not found");
+    expect(docRef.update).not.toHaveBeenCalled();
+  });
+
+  it("AI endpoints save their result when a documentId is given", async () => {
+    docRef.get.mockResolvedValue({ exists: true });
+    services.generateKeyIdeas.mockResolvedValue("Idea 1");
+    services.generateSummaryInLanguage.mockResolvedValue("Resumen");
+
+    await generateKeyIdeas(
+      { body: { documentText: "text", userId: "U1", documentId: "D1" } },
+      createResponse(),
+    );
+    await summaryInLanguage(
+      {
+        headers: {},
+        body: {
+          documentText: "text",
+          language: "Spanish",
+          userId: "U1",
+          documentId: "D1",
+        },
+      },
+      createResponse(),
+    );
+
+    expect(docRef.update).toHaveBeenCalledWith({
+      "insights.keyIdeas": expect.objectContaining({ content: "Idea 1" }),
+    });
+    expect(docRef.update).toHaveBeenCalledWith({
+      "insights.languageSummary": expect.objectContaining({
+        content: "Resumen",
+        options: { language: "Spanish" },
+      }),
+    });
+  });
+
+  it("AI endpoints still answer when the result cannot be saved", async () => {
+    docRef.get.mockResolvedValue({ exists: false });
+    services.generateKeyIdeas.mockResolvedValue("Idea 1");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = createResponse();
+
+    await generateKeyIdeas(
+      { body: { documentText: "text", userId: "U1", documentId: "gone" } },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ keyIdeas: "Idea 1" }),
+    );
+    console.error.mockRestore();
+  });
+
+  it("/document-details returns the saved insights with ISO dates", async () => {
+    const generatedAt = new Date("2024-05-01T10:00:00Z");
+    docRef.get.mockResolvedValue({
+      exists: true,
+      id: "D1",
+      data: () => ({
+        title: "Report",
+        originalText: "text",
+        summary: "sum",
+        insights: {
+          keyIdeas: {
+            content: "Idea 1",
+            options: {},
+            generatedAt: { toDate: () => generatedAt },
+          },
+        },
+      }),
+    });
+    const res = createResponse();
+
+    await getDocumentDetails({ params: { userId: "U1", docId: "D1" } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Document details retrieved",
+      id: "D1",
+      title: "Report",
+      originalText: "text",
+      summary: "sum",
+      insights: {
+        keyIdeas: {
+          content: "Idea 1",
+          options: {},
+          generatedAt: "2024-05-01T10:00:00.000Z",
+        },
+      },
+    });
+  });
+});
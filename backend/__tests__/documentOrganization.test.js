@@ -0,0 +1,288 @@
+const { Document, Folder } = require("../models/models");
+const {
+  getAllDocuments,
+  updateDocumentTags,
+  moveDocumentToFolder,
+  getFolders,
+  createFolder,
+} = require("../controllers/controllers");
+const { normalizeTags } = require("../services/tags");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: {
+    collection: jest.fn(),
+    bulkWriter: jest.fn(),
+    getAll: jest.fn(),
+  },
+}));
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const snapshotOf = (id, data) => ({ id, exists: true, data: () => data });
+
+// In-memory documents collection supporting the queries the model makes. The
+// first orderBy sorts, ties are broken by ID.
+const createQuery = (snapshots, state = {}) => {
+  const { filters = [], sort, direction, after, limit = Infinity } = state;
+  const next = (changes) => createQuery(snapshots, { ...state, ...changes });
+  const results = () => {
+    const sign = direction === "desc" ? -1 : 1;
+    const sorted = snapshots
+      .filter((doc) => filters.every((matches) => matches(doc.data())))
+      .sort(
+        (a, b) =>
+          sign *
+          (sort
+            ? String(a.data()[sort]).localeCompare(String(b.data()[sort])) ||
+              a.id.localeCompare(b.id)
+            : 0),
+      );
+    const start = after ? sorted.findIndex((doc) => doc.id === after) + 1 : 0;
+    return sorted.slice(start, start + limit);
+  };
+  return {
+    where: (field, op, value) =>
+      next({
+        filters: [
+          ...filters,
+          (data) =>
+            op === "array-contains"
+              ? (data[field] || []).includes(value)
+              : data[field] === value,
+        ],
+      }),
+    orderBy: (field, order) =>
+      sort ? next({}) : next({ sort: field, direction: order }),
+    select: () => next({}),
+    startAfter: (snapshot) => next({ after: snapshot.id }),
+    limit: (count) => next({ limit: count }),
+    get: async () => ({ docs: results() }),
+    count: () => ({
+      get: async () => ({ data: () => ({ count: results().length }) }),
+    }),
+    doc: (id) => ({ id }),
+  };
+};
+
+describe("document tags and folders", () => {
+  let documents;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    const snapshots = [
+      snapshotOf("D1", {
+        title: ["Solar", "report"],
+        tags: ["energy", "solar"],
+        folderId: "F1",
+        createdAt: "2024-01-01T00:00:00.000Z",
+      }),
+      snapshotOf("D2", {
+        title: "Annual budget",
+        tags: ["finance"],
+        createdAt: "2024-02-01T00:00:00.000Z",
+      }),
+      snapshotOf("D3", {
+        title: "Wind farms",
+        tags: ["energy"],
+        folderId: null,
+        createdAt: "2024-03-01T00:00:00.000Z",
+      }),
+    ];
+    documents = createQuery(snapshots);
+    services.firestore.getAll.mockImplementation(async ({ id }) => [
+      snapshots.find((doc) => doc.id === id) || { exists: false },
+    ]);
+    const userRef = {
+      get: jest.fn().mockResolvedValue({ exists: true }),
+      collection: jest.fn(() => documents),
+    };
+    services.firestore.collection.mockReturnValue({ doc: () => userRef });
+  });
+
+  it("normalizes tags and rejects invalid lists", () => {
+    expect(
+      normalizeTags(["#Climate  Policy", "climate policy", " ", "AI"]),
+    ).toEqual(["climate policy", "ai"]);
+    expect(normalizeTags("climate")).toBeNull();
+    expect(normalizeTags([1])).toBeNull();
+    expect(normalizeTags(["x".repeat(41)])).toBeNull();
+    expect(
+      normalizeTags(Array.from({ length: 21 }, (_, i) => `t${i}`)),
+    ).toBeNull();
+  });
+
+  it("filters documents by folder and tags and sorts them", async () => {
+    const ids = (list) => list.map((doc) => doc.id);
+
+    expect(ids(await Document.list("U1"))).toEqual(["D1", "D2", "D3"]);
+    expect(ids(await Document.list("U1", { folderId: "F1" }))).toEqual(["D1"]);
+    expect(ids(await Document.list("U1", { folderId: "none" }))).toEqual([
+      "D2",
+      "D3",
+    ]);
+    expect(ids(await Document.list("U1", { tags: ["energy"] }))).toEqual([
+      "D1",
+      "D3",
+    ]);
+    expect(
+      ids(await Document.list("U1", { tags: ["energy", "solar"] })),
+    ).toEqual(["D1"]);
+    expect(
+      ids(await Document.list("U1", { sort: "title", order: "desc" })),
+    ).toEqual(["D3", "D1", "D2"]);
+    expect(await Document.listTags("U1")).toEqual([
+      { name: "energy", count: 2 },
+      { name: "finance", count: 1 },
+      { name: "solar", count: 1 },
+    ]);
+  });
+
+  it("reads pages of documents with their filters", async () => {
+    const page = async (options) => {
+      const { documents: listed, ...rest } = await Document.page("U1", {
+        first: 1,
+        ...options,
+      });
+      return { ids: listed.map((doc) => doc.id), ...rest };
+    };
+
+    expect(await page({})).toEqual({
+      ids: ["D1"],
+      hasNextPage: true,
+      totalCount: 3,
+    });
+    expect(await page({ after: "D2" })).toEqual({
+      ids: ["D3"],
+      hasNextPage: false,
+      totalCount: 3,
+    });
+    expect(await page({ order: "desc", first: 2 })).toEqual({
+      ids: ["D3", "D2"],
+      hasNextPage: true,
+      totalCount: 3,
+    });
+    expect(await page({ folderId: "none" })).toEqual({
+      ids: ["D2"],
+      hasNextPage: true,
+      totalCount: 2,
+    });
+    expect(await page({ folderId: "none", after: "D2" })).toEqual({
+      ids: ["D3"],
+      hasNextPage: false,
+      totalCount: 2,
+    });
+    expect(await page({ tags: ["energy", "solar"] })).toEqual({
+      ids: ["D1"],
+      hasNextPage: false,
+      totalCount: 1,
+    });
+    expect(await page({ folderId: "F1", first: 5 })).toEqual({
+      ids: ["D1"],
+      hasNextPage: false,
+      totalCount: 1,
+    });
+    expect(await Document.page("U1", { first: 1, after: "D9" })).toBeNull();
+  });
+
+  it("lists documents with query filters and rejects invalid ones", async () => {
+    let res = createResponse();
+    await getAllDocuments(
+      {
+        params: { userId: "U1" },
+        query: { tag: ["#Energy"], sort: "title" },
+      },
+      res,
+    );
+    const body = res.json.mock.calls[0][0];
+    expect([body[0].id, body[1].id]).toEqual(["D1", "D3"]);
+
+    res = createResponse();
+    await getAllDocuments(
+      { params: { userId: "U1" }, query: { sort: "size" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("sets tags and folders and checks the folder exists", async () => {
+    jest.spyOn(Document, "getById").mockResolvedValue({ id: "D2" });
+    jest
+      .spyOn(Document, "organize")
+      .mockImplementation(async (userId, docId, changes) => ({
+        id: docId,
+        ...changes,
+      }));
+    jest
+      .spyOn(Folder, "getById")
+      .mockImplementation(async (userId, id) => (id === "F1" ? { id } : null));
+    const params = { userId: "U1", docId: "D2" };
+
+    let res = createResponse();
+    await updateDocumentTags(
+      { params, body: { tags: ["Budget", "#budget", "2024"] } },
+      res,
+    );
+    expect(Document.organize).toHaveBeenCalledWith("U1", "D2", {
+      tags: ["budget", "2024"],
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    res = createResponse();
+    await updateDocumentTags({ params, body: { tags: "budget" } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = createResponse();
+    await moveDocumentToFolder({ params, body: { folderId: "F9" } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await moveDocumentToFolder({ params, body: { folderId: null } }, res);
+    expect(Document.organize).toHaveBeenLastCalledWith("U1", "D2", {
+      folderId: null,
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("lists folders with their document counts and validates names", async () => {
+    jest
+      .spyOn(Folder, "list")
+      .mockResolvedValue([{ id: "F1", name: "Research" }]);
+
+    let res = createResponse();
+    await getFolders({ params: { userId: "U1" } }, res);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Folders retrieved successfully",
+      folders: [{ id: "F1", name: "Research", documentCount: 1 }],
+      unfiledCount: 2,
+    });
+
+    res = createResponse();
+    await createFolder({ params: { userId: "U1" }, body: { name: "  " } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("moves the documents of a deleted folder out of it", async () => {
+    const writer = {
+      update: jest.fn(),
+      delete: jest.fn(),
+      close: jest.fn(),
+    };
+    services.firestore.bulkWriter.mockReturnValue(writer);
+    const ref = { id: "D1" };
+    documents.where = jest.fn(() => ({
+      get: async () => ({ docs: [{ ref }] }),
+    }));
+    documents.doc = jest.fn((id) => ({ id }));
+
+    await Folder.delete("U1", "F1");
+
+    expect(documents.where).toHaveBeenCalledWith("folderId", "==", "F1");
+    expect(writer.update).toHaveBeenCalledWith(ref, { folderId: null });
+    expect(writer.delete).toHaveBeenCalledWith({ id: "F1" });
+    expect(writer.close).toHaveBeenCalled();
+  });
+});
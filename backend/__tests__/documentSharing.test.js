@@ -0,0 +1,206 @@
+const firebaseAdmin = require("firebase-admin");
+const { User, Document, Share, Comment, hasRole } = require("../models/models");
+const {
+  shareDocument,
+  getSharedDocument,
+  addDocumentComment,
+  getPublicDocument,
+} = require("../controllers/controllers");
+const resolvers = require("../graphql/resolvers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn(), bulkWriter: jest.fn() },
+}));
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const DOCUMENT = {
+  id: "D1",
+  title: ["Solar", "report"],
+  summary: "Solar is growing.",
+  originalText: "Full text",
+  tags: ["energy"],
+  suggestedTags: ["solar"],
+  folderId: "F1",
+  insights: { keyIdeas: { content: ["Growth"] } },
+  createdAt: "2024-01-01T00:00:00.000Z",
+};
+
+describe("document sharing", () => {
+  let shares;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    shares = {};
+    services.firestore.collection.mockImplementation((name) => ({
+      doc: (id) => ({
+        get: jest
+          .fn()
+          .mockResolvedValue(
+            name === "shares" && shares[id]
+              ? { exists: true, data: () => shares[id] }
+              : { exists: false },
+          ),
+      }),
+    }));
+    jest.spyOn(Document, "getById").mockResolvedValue({ ...DOCUMENT });
+  });
+
+  it("ranks roles and resolves the role of a user on a document", async () => {
+    expect(hasRole("owner", "editor")).toBe(true);
+    expect(hasRole("editor", "commenter")).toBe(true);
+    expect(hasRole("viewer", "commenter")).toBe(false);
+    expect(hasRole(null, "viewer")).toBe(false);
+
+    shares["OWNER_D1_U2"] = { role: "commenter" };
+    expect(await Share.getRole("OWNER", "D1", "OWNER")).toBe("owner");
+    expect(await Share.getRole("OWNER", "D1", "U2")).toBe("commenter");
+    expect(await Share.getRole("OWNER", "D1", "U3")).toBeNull();
+  });
+
+  it("shares a document with a registered user by email", async () => {
+    const getUserByEmail = jest.fn(async (email) => {
+      if (email === "owner@example.com") {
+        return { uid: "OWNER", email };
+      }
+      if (email === "bob@example.com") return { uid: "U2", email };
+      throw new Error("auth/user-not-found");
+    });
+    jest.spyOn(firebaseAdmin, "auth").mockReturnValue({ getUserByEmail });
+    jest
+      .spyOn(Share, "grant")
+      .mockImplementation(async (ownerId, docId, share) => share);
+    const params = { userId: "OWNER", docId: "D1" };
+
+    let res = createResponse();
+    await shareDocument(
+      { params, body: { email: "bob@example.com", role: "owner" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = createResponse();
+    await shareDocument(
+      { params, body: { email: "nobody@example.com", role: "viewer" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await shareDocument(
+      { params, body: { email: "owner@example.com", role: "viewer" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = createResponse();
+    await shareDocument(
+      { params, body: { email: "bob@example.com", role: "editor" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Share.grant).toHaveBeenCalledWith("OWNER", "D1", {
+      userId: "U2",
+      email: "bob@example.com",
+      role: "editor",
+    });
+  });
+
+  it("hides documents that are not shared and the owner's organization", async () => {
+    const params = { userId: "U2", ownerId: "OWNER", docId: "D1" };
+
+    let res = createResponse();
+    await getSharedDocument({ params }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    shares["OWNER_D1_U2"] = { role: "viewer" };
+    res = createResponse();
+    await getSharedDocument({ params }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { role, document } = res.json.mock.calls[0][0];
+    expect(role).toBe("viewer");
+    expect(document.summary).toBe("Solar is growing.");
+    expect(document).not.toHaveProperty("folderId");
+    expect(document).not.toHaveProperty("tags");
+  });
+
+  it("lets commenters but not viewers comment", async () => {
+    jest.spyOn(User, "getById").mockResolvedValue({ email: "bob@example.com" });
+    jest
+      .spyOn(Comment, "add")
+      .mockImplementation(async (ownerId, docId, comment) => ({
+        id: "C1",
+        ...comment,
+      }));
+    const req = {
+      params: { userId: "U2", ownerId: "OWNER", docId: "D1" },
+      body: { text: "  Nice summary " },
+    };
+
+    shares["OWNER_D1_U2"] = { role: "viewer" };
+    let res = createResponse();
+    await addDocumentComment(req, res);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Comment.add).not.toHaveBeenCalled();
+
+    shares["OWNER_D1_U2"] = { role: "commenter" };
+    res = createResponse();
+    await addDocumentComment(req, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Comment.add).toHaveBeenCalledWith("OWNER", "D1", {
+      userId: "U2",
+      email: "bob@example.com",
+      text: "Nice summary",
+    });
+  });
+
+  it("serves public links read-only until they are revoked", async () => {
+    jest
+      .spyOn(Share, "resolveLink")
+      .mockImplementation(async (token) =>
+        token === "T1" ? { ownerId: "OWNER", docId: "D1" } : null,
+      );
+
+    let res = createResponse();
+    await getPublicDocument({ params: { token: "T1" } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].document).toEqual({
+      title: "Solar report",
+      summary: "Solar is growing.",
+      insights: DOCUMENT.insights,
+      createdAt: DOCUMENT.createdAt,
+    });
+
+    res = createResponse();
+    await getPublicDocument({ params: { token: "REVOKED" } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it("checks roles in the GraphQL resolvers", async () => {
+    jest.spyOn(User, "getMany").mockResolvedValue([{ email: "o@example.com" }]);
+    jest.spyOn(Document, "getMany").mockResolvedValue([{ ...DOCUMENT }]);
+    jest.spyOn(Document, "updateTitle").mockResolvedValue({ ...DOCUMENT });
+    const context = { user: { uid: "U2" } };
+    const args = { userId: "OWNER", docId: "D1", title: "Renamed" };
+
+    await expect(
+      resolvers.Query.getDocument(null, args, context),
+    ).rejects.toThrow("You do not have access");
+
+    shares["OWNER_D1_U2"] = { role: "viewer" };
+    const document = await resolvers.Query.getDocument(null, args, context);
+    expect(document.id).toBe("D1");
+    expect(document).not.toHaveProperty("folderId");
+    await expect(
+      resolvers.Mutation.updateDocumentTitle(null, args, context),
+    ).rejects.toThrow("editor role");
+
+    shares["OWNER_D1_U2"] = { role: "editor" };
+    await resolvers.Mutation.updateDocumentTitle(null, args, context);
+    expect(Document.updateTitle).toHaveBeenCalledWith("OWNER", "D1", "Renamed");
+  });
+});
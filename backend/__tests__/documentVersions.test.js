@@ -0,0 +1,204 @@
+const { Document } = require("../models/models");
+const {
+  getDocumentVersions,
+  restoreDocumentVersion,
+  diffDocumentVersions,
+} = require("../controllers/controllers");
+const { diffWords } = require("../services/textDiff");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn(), runTransaction: jest.fn() },
+}));
+jest.mock("firebase-admin", () => ({
+  firestore: { FieldValue: { delete: () => "DELETE" } },
+}));
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+// In-memory versions subcollection supporting the queries the model uses
+const createVersions = () => {
+  const stored = new Map();
+  const snapshotOf = (data) => ({ exists: !!data, data: () => data });
+  const query = (limit = Infinity) => ({
+    limit: (count) => query(count),
+    get: async () => {
+      const docs = [...stored.values()]
+        .sort((a, b) => b.number - a.number)
+        .slice(0, limit)
+        .map(snapshotOf);
+      return { empty: docs.length === 0, docs };
+    },
+  });
+  return {
+    stored,
+    orderBy: () => query(),
+    doc: (id) => ({
+      set: async (data) => stored.set(id, data),
+      get: async () => snapshotOf(stored.get(id)),
+    }),
+  };
+};
+
+describe("document versions", () => {
+  let docRef, versions, data;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    versions = createVersions();
+    data = { title: ["Old", "title"], summary: "A short summary." };
+    docRef = {
+      get: jest.fn(async () => {
+        const copy = { ...data };
+        return { exists: true, id: "D1", data: () => copy };
+      }),
+      update: jest.fn(async (changes) => {
+        Object.entries(changes).forEach(([key, value]) => {
+          if (key === "insights.refinedSummary") {
+            data.insights = value === "DELETE" ? {} : { refinedSummary: value };
+          } else {
+            data[key] = value;
+          }
+        });
+      }),
+      collection: jest.fn(() => versions),
+    };
+    const userRef = { collection: jest.fn(() => ({ doc: () => docRef })) };
+    services.firestore.collection.mockReturnValue({ doc: () => userRef });
+
+    // Transactions run one after another, as Firestore retries conflicting ones
+    let pending = Promise.resolve();
+    services.firestore.runTransaction.mockImplementation((run) => {
+      const transaction = {
+        get: (query) => query.get(),
+        set: (ref, value) => ref.set(value),
+      };
+      const result = pending.then(() => run(transaction));
+      pending = result.catch(() => {});
+      return result;
+    });
+  });
+
+  it("diffs texts word by word", () => {
+    expect(
+      diffWords("The quick brown fox.", "The slow brown fox jumps."),
+    ).toEqual({
+      ops: [
+        { type: "equal", text: "The " },
+        { type: "delete", text: "quick" },
+        { type: "insert", text: "slow" },
+        { type: "equal", text: " brown fox" },
+        { type: "insert", text: " jumps" },
+        { type: "equal", text: "." },
+      ],
+      added: 2,
+      removed: 1,
+    });
+    expect(diffWords(null, "New")).toEqual({
+      ops: [{ type: "insert", text: "New" }],
+      added: 1,
+      removed: 0,
+    });
+    expect(diffWords("Same", "Same").ops).toEqual([
+      { type: "equal", text: "Same" },
+    ]);
+  });
+
+  it("records the original state before the first change of older documents", async () => {
+    await Document.updateTitle("U1", "D1", ["New", "title"]);
+    await Document.saveInsight("U1", "D1", "refinedSummary", "Refined.", {
+      instructions: "Be brief",
+    });
+
+    const listed = await Document.listVersions("U1", "D1");
+    expect(listed.map(({ number, reason }) => [number, reason])).toEqual([
+      [3, "refinedSummary"],
+      [2, "title"],
+      [1, "original"],
+    ]);
+    expect(listed[2]).toMatchObject({
+      title: "Old title",
+      summary: "A short summary.",
+      refinedSummary: null,
+    });
+    expect(listed[0]).toMatchObject({
+      title: "New title",
+      refinedSummary: "Refined.",
+      refinementInstructions: "Be brief",
+    });
+  });
+
+  it("gives concurrent changes their own versions", async () => {
+    await Promise.all([
+      Document.updateTitle("U1", "D1", ["First"]),
+      Document.updateTitle("U1", "D1", ["Second"]),
+    ]);
+
+    const listed = await Document.listVersions("U1", "D1");
+    expect(listed.map(({ number, reason }) => [number, reason])).toEqual([
+      [3, "title"],
+      [2, "title"],
+      [1, "original"],
+    ]);
+  });
+
+  it("restores a version and records the restore as a new version", async () => {
+    await Document.updateTitle("U1", "D1", ["New", "title"]);
+    await Document.saveInsight("U1", "D1", "refinedSummary", "Refined.");
+
+    const document = await Document.restoreVersion("U1", "D1", 1);
+
+    expect(docRef.update).toHaveBeenLastCalledWith({
+      title: "Old title",
+      summary: "A short summary.",
+      "insights.refinedSummary": "DELETE",
+    });
+    expect(document.title).toBe("Old title");
+    expect(versions.stored.get("4")).toMatchObject({
+      reason: "restored",
+      restoredFrom: 1,
+      title: "Old title",
+      refinedSummary: null,
+    });
+    await expect(Document.restoreVersion("U1", "D1", 9)).rejects.toThrow(
+      "Version not found",
+    );
+  });
+
+  it("lists, restores and compares versions over the API", async () => {
+    await Document.updateTitle("U1", "D1", ["New", "title"]);
+    const params = { userId: "U1", docId: "D1" };
+
+    let res = createResponse();
+    await getDocumentVersions({ params }, res);
+    expect(res.json.mock.calls[0][0].versions).toHaveLength(2);
+
+    res = createResponse();
+    await diffDocumentVersions({ params, query: {} }, res);
+    const { from, to, diff } = res.json.mock.calls[0][0];
+    expect([from, to]).toEqual([1, 2]);
+    expect(diff.title).toMatchObject({ changed: true, added: 1, removed: 1 });
+    expect(diff.summary).toMatchObject({ changed: false, added: 0 });
+
+    res = createResponse();
+    await diffDocumentVersions({ params, query: { from: "0" } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = createResponse();
+    await diffDocumentVersions({ params, query: { from: "5", to: "2" } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await restoreDocumentVersion({ params: { ...params, version: "7" } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await restoreDocumentVersion({ params: { ...params, version: "1" } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].document.title).toBe("Old title");
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  cosineSimilarity,
+  createHashingProvider,
+  createOpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+} = require("../services/embeddings");
+
+describe("embeddings", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setEmbeddingProvider(undefined);
+  });
+
+  it("defaults to the local hashing provider and rejects unknown providers", () => {
+    delete process.env.EMBEDDING_PROVIDER;
+
+    expect(getEmbeddingProvider().name).toBe("hashing");
+    expect(createEmbeddingProvider("Hashing").model).toBe("hashing-512");
+    expect(() => createEmbeddingProvider("nope")).toThrow(
+      'Unknown embedding provider "nope"',
+    );
+  });
+
+  it("hashing provider returns deterministic unit vectors that reflect word overlap", async () => {
+    const provider = createHashingProvider({ dimensions: 256 });
+
+    const [solar, solarAgain, panels, budget] = await provider.embed([
+      "Solar panels convert sunlight into electricity",
+      "Solar panels convert sunlight into electricity",
+      "How much electricity do solar panels produce?",
+      "The finance committee approved the quarterly budget",
+    ]);
+
+    expect(solar).toHaveLength(256);
+    expect(solarAgain).toEqual(solar);
+    expect(cosineSimilarity(solar, solar)).toBeCloseTo(1);
+    expect(cosineSimilarity(solar, panels)).toBeGreaterThan(
+      cosineSimilarity(solar, budget),
+    );
+  });
+
+  it("openai provider posts the inputs and orders the embeddings by index", async () => {
+    const http = {
+      post: jest.fn().mockResolvedValue({
+        data: {
+          data: [
+            { index: 1, embedding: [0, 2] },
+            { index: 0, embedding: [3, 4] },
+          ],
+        },
+      }),
+    };
+    const provider = createOpenAIEmbeddingProvider({
+      apiKey: "KEY",
+      baseUrl: "http://localhost:8080/v1/",
+      model: "embed-small",
+      http,
+    });
+
+    await expect(provider.embed(["a", "b"])).resolves.toEqual([
+      [0.6, 0.8],
+      [0, 1],
+    ]);
+    expect(http.post).toHaveBeenCalledWith(
+      "http://localhost:8080/v1/embeddings",
+      { model: "embed-small", input: ["a", "b"] },
+      expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: "Bearer KEY" }),
+      }),
+    );
+  });
+});
@@ -0,0 +1,157 @@
+const mammoth = require("mammoth");
+const { Document } = require("../models/models");
+const { exportDocument } = require("../controllers/controllers");
+const {
+  buildReport,
+  parseBlocks,
+  parseInline,
+  renderMarkdown,
+  renderReport,
+} = require("../services/exportReport");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+}));
+
+const createResponse = () => ({
+  set: jest.fn().mockReturnThis(),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  send: jest.fn().mockReturnThis(),
+});
+
+const report = buildReport({
+  title: "Quarterly Review",
+  summary: "Revenue grew by **12%** this quarter.",
+  keyIdeas: "# Ideas\n1. Expand to *new* markets\n2. Hire engineers",
+  sentiment: { score: 0.6, description: "Mostly positive." },
+  refinedSummary: "Revenue grew.",
+});
+const date = new Date("2026-03-01T12:00:00Z");
+
+describe("report export", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("builds sections in order, skips empty ones and lets later sources override", () => {
+    expect(report.sections.map((section) => section.heading)).toEqual([
+      "Summary",
+      "Key Ideas",
+      "Sentiment",
+      "Refined Summary",
+    ]);
+    expect(report.sections[2].text).toBe("**Score:** 0.6\n\nMostly positive.");
+
+    const merged = buildReport(
+      { title: "Saved", summary: "Saved summary", keyIdeas: "Saved ideas" },
+      { summary: "Edited summary", keyIdeas: "  ", sentiment: { score: 0 } },
+    );
+    expect(merged.title).toBe("Saved");
+    expect(merged.sections).toEqual([
+      { heading: "Summary", text: "Edited summary" },
+      { heading: "Key Ideas", text: "Saved ideas" },
+    ]);
+    expect(buildReport({}).title).toBe("Document Report");
+  });
+
+  it("parses Markdown blocks and inline styles", () => {
+    expect(
+      parseBlocks("## Title\nline one\nline two\n\n- a\n  - b\n3) c"),
+    ).toEqual([
+      { type: "heading", text: "Title" },
+      { type: "paragraph", text: "line one line two" },
+      { type: "bullet", text: "a", level: 0 },
+      { type: "bullet", text: "b", level: 1 },
+      { type: "numbered", number: "3", text: "c" },
+    ]);
+    expect(
+      parseInline("**Bold** and *it* with `code` and [link](http://x.io)"),
+    ).toEqual([
+      { text: "Bold", bold: true },
+      { text: " and " },
+      { text: "it", italics: true },
+      { text: " with " },
+      { text: "code", code: true },
+      { text: " and link (http://x.io)" },
+    ]);
+  });
+
+  it("renders Markdown with demoted headings", () => {
+    const markdown = renderMarkdown(report, date);
+    expect(markdown).toContain(
+      "# Quarterly Review\n\n_Exported from DocuThinker on 2026-03-01_",
+    );
+    expect(markdown).toContain("## Key Ideas\n\n### Ideas\n1. Expand");
+    expect(markdown).toContain("## Sentiment\n\n**Score:** 0.6");
+  });
+
+  it("renders DOCX and PDF files", async () => {
+    const docx = await renderReport(report, "docx", date);
+    expect(docx.fileName).toBe("Quarterly-Review.docx");
+    expect(docx.buffer.subarray(0, 2).toString()).toBe("PK");
+    const { value } = await mammoth.extractRawText({ buffer: docx.buffer });
+    expect(value).toContain("Quarterly Review");
+    expect(value).toContain("Revenue grew by 12% this quarter.");
+    expect(value).toContain("1. Expand to new markets");
+
+    const pdf = await renderReport(report, "pdf", date);
+    expect(pdf.contentType).toBe("application/pdf");
+    expect(pdf.buffer.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.buffer.toString("latin1").trimEnd()).toMatch(/%%EOF$/);
+  });
+
+  it("exports the summary and insights saved with a document", async () => {
+    jest.spyOn(Document, "getById").mockResolvedValue({
+      id: "D1",
+      title: ["Saved", "Title"],
+      summary: "Saved summary",
+      insights: {
+        keyIdeas: { content: "- Idea", generatedAt: "2026-01-01" },
+      },
+    });
+    const res = createResponse();
+
+    await exportDocument(
+      {
+        body: {
+          format: "markdown",
+          userId: "U1",
+          documentId: "D1",
+          recommendations: "Do it",
+        },
+      },
+      res,
+    );
+
+    expect(Document.getById).toHaveBeenCalledWith("U1", "D1");
+    expect(res.set).toHaveBeenCalledWith({
+      "Content-Type": "text/markdown; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="Saved-Title.md"',
+    });
+    const markdown = res.send.mock.calls[0][0].toString();
+    expect(markdown).toContain("## Summary\n\nSaved summary");
+    expect(markdown).toContain("## Key Ideas\n\n- Idea");
+    expect(markdown).toContain("## Recommendations\n\nDo it");
+  });
+
+  it("rejects unknown formats, missing documents and empty reports", async () => {
+    let res = createResponse();
+    await exportDocument({ body: { format: "txt", summary: "S" } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    jest.spyOn(Document, "getById").mockResolvedValue(null);
+    res = createResponse();
+    await exportDocument(
+      { body: { format: "pdf", userId: "U1", documentId: "D9" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await exportDocument({ body: { format: "pdf", title: "Empty" } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: "Nothing to export",
+      details: "",
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const firebaseAdmin = require("firebase-admin");
+const { graphql } = require("graphql");
+const schema = require("../graphql/schema");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn(), getAll: jest.fn() },
+  createUser: jest.fn(),
+}));
+
+/**
+ * In-memory stand-in for Firebase Auth and the Firestore users collection.
+ * Like Firestore, dates are read back as Timestamps.
+ */
+const createBackend = () => {
+  const accounts = new Map();
+  const profiles = new Map();
+  let nextId = 1;
+
+  services.createUser.mockImplementation(async (email, password) => {
+    if ([...accounts.values()].some((account) => account.email === email)) {
+      throw Object.assign(new Error("The email address is already in use"), {
+        code: "auth/email-already-exists",
+      });
+    }
+    const uid = `UID${nextId++}`;
+    accounts.set(uid, { email, password });
+    return { uid, email };
+  });
+  jest.spyOn(firebaseAdmin, "auth").mockReturnValue({
+    deleteUser: async (uid) => accounts.delete(uid),
+  });
+
+  const toFirestore = (data) =>
+    Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [
+        key,
+        value instanceof Date ? { toDate: () => value } : value,
+      ]),
+    );
+  services.firestore.getAll.mockImplementation((...refs) =>
+    Promise.all(refs.map((ref) => ref.get())),
+  );
+  services.firestore.collection.mockImplementation(() => ({
+    doc: (id) => ({
+      set: async (data) => profiles.set(id, toFirestore(data)),
+      get: async () => ({
+        exists: profiles.has(id),
+        data: () => profiles.get(id),
+      }),
+    }),
+  }));
+
+  return { accounts, profiles };
+};
+
+const createUser = (email, password) =>
+  graphql({
+    schema,
+    source: `mutation ($email: String!, $password: String!) {
+      createUser(email: $email, password: $password) { id email createdAt theme }
+    }`,
+    variableValues: { email, password },
+    contextValue: {},
+  });
+
+describe("GraphQL createUser", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("registers a Firebase Auth account with a matching profile", async () => {
+    const { accounts, profiles } = createBackend();
+
+    const { data, errors } = await createUser("ada@example.com", "secret1");
+
+    expect(errors).toBeUndefined();
+    const { id, email, createdAt, theme } = data.createUser;
+    expect({ id, email, theme }).toEqual({
+      id: "UID1",
+      email: "ada@example.com",
+      theme: "light",
+    });
+    expect(new Date(createdAt).toISOString()).toBe(createdAt);
+    expect(accounts.get(id)).toEqual({
+      email: "ada@example.com",
+      password: "secret1",
+    });
+    expect(profiles.get(id).email).toBe("ada@example.com");
+  });
+
+  it("rejects invalid credentials without creating an account", async () => {
+    const { accounts } = createBackend();
+
+    const badEmail = await createUser("not-an-email", "secret1");
+    expect(badEmail.errors[0].message).toBe("A valid email is required");
+    expect(badEmail.errors[0].extensions).toEqual({ code: "BAD_USER_INPUT" });
+
+    const shortPassword = await createUser("ada@example.com", "12345");
+    expect(shortPassword.errors[0].message).toBe(
+      "Password must be at least 6 characters long",
+    );
+    expect(shortPassword.errors[0].extensions).toEqual({
+      code: "BAD_USER_INPUT",
+    });
+    expect(accounts.size).toBe(0);
+  });
+
+  it("reports an email that is already registered", async () => {
+    createBackend();
+    await createUser("ada@example.com", "secret1");
+
+    const { data, errors } = await createUser("ada@example.com", "secret2");
+
+    expect(data.createUser).toBeNull();
+    expect(errors[0].message).toBe("A user with this email already exists");
+    expect(errors[0].extensions).toEqual({ code: "EMAIL_ALREADY_EXISTS" });
+  });
+
+  it("removes the account again if its profile cannot be saved", async () => {
+    const { accounts } = createBackend();
+    services.firestore.collection.mockImplementation(() => ({
+      doc: () => ({ set: async () => Promise.reject(new Error("offline")) }),
+    }));
+
+    const { errors } = await createUser("ada@example.com", "secret1");
+
+    expect(errors[0].message).toBe("User registration failed");
+    expect(errors[0].extensions).toEqual({ code: "INTERNAL_SERVER_ERROR" });
+    expect(accounts.size).toBe(0);
+  });
+});
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const { graphql, parse } = require("graphql");
+const { User, Document, Share } = require("../models/models");
+const schema = require("../graphql/schema");
+const { createLoaders } = require("../graphql/loaders");
+const { validateWithLimits } = require("../graphql/queryLimits");
+const { persistedQueries } = require("../graphql/persistedQueries");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn(), getAll: jest.fn() },
+}));
+
+const run = (source) =>
+  graphql({
+    schema,
+    source,
+    contextValue: { user: { uid: "U1" }, loaders: createLoaders() },
+  });
+
+const validationCodes = (source, variables) =>
+  validateWithLimits(schema, parse(source), variables).map(
+    ({ extensions }) => extensions.code,
+  );
+
+describe("GraphQL request limits", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("batches and caches lookups within a request", async () => {
+    jest
+      .spyOn(User, "getMany")
+      .mockImplementation(async (uids) => uids.map(() => ({ email: "a@b.c" })));
+    jest
+      .spyOn(Document, "getMany")
+      .mockImplementation(async (keys) =>
+        keys.map(({ docId }) => ({ id: docId, title: docId, summary: "" })),
+      );
+    jest.spyOn(Share, "listForUser").mockResolvedValue([
+      { ownerId: "U2", docId: "D1", role: "viewer" },
+      { ownerId: "U3", docId: "D2", role: "editor" },
+    ]);
+
+    const { data, errors } = await run(`{
+      first: getUser(id: "U1") { email }
+      again: getUser(id: "U1") { email }
+      sharedWithMe(userId: "U1") { ownerId document { title } }
+    }`);
+
+    expect(errors).toBeUndefined();
+    expect(data.again).toEqual({ email: "a@b.c" });
+    expect(User.getMany).toHaveBeenCalledTimes(1);
+    expect(User.getMany).toHaveBeenCalledWith(["U1"]);
+    expect(Document.getMany).toHaveBeenCalledTimes(1);
+    expect(Document.getMany).toHaveBeenCalledWith([
+      { userId: "U2", docId: "D1" },
+      { userId: "U3", docId: "D2" },
+    ]);
+    expect(data.sharedWithMe.map(({ document }) => document.title)).toEqual([
+      "D1",
+      "D2",
+    ]);
+  });
+
+  it("rejects queries that are too deep or too complex", () => {
+    expect(
+      validationCodes(`{
+        getUser(id: "U1") { documents { id title folder { name } } }
+      }`),
+    ).toEqual([]);
+
+    const nested = (depth) =>
+      depth === 0 ? "id" : `documents { folder { ${nested(depth - 1)} } }`;
+    expect(validationCodes(`{ getUser(id: "U1") { ${nested(5)} } }`)).toContain(
+      "QUERY_TOO_DEEP",
+    );
+
+    expect(
+      validationCodes(`
+        fragment Fields on Document { id title summary originalText tags }
+        {
+          documentsConnection(userId: "U1", first: 100) {
+            edges { node { ...Fields folder { documents { ...Fields } } } }
+          }
+        }
+      `),
+    ).toEqual(["QUERY_TOO_COMPLEX"]);
+  });
+
+  it("reads page sizes given as variables", () => {
+    const query = (definition) => `
+      fragment Fields on Document { id title summary originalText tags }
+      query Page(${definition}) {
+        documentsConnection(userId: "U1", first: $first) {
+          edges { node { ...Fields folder { documents { ...Fields } } } }
+        }
+      }
+    `;
+
+    expect(validationCodes(query("$first: Int"), { first: 1 })).toEqual([]);
+    expect(validationCodes(query("$first: Int"), { first: 100 })).toEqual([
+      "QUERY_TOO_COMPLEX",
+    ]);
+    expect(validationCodes(query("$first: Int = 1"))).toEqual([]);
+    // Without the value, the largest page is assumed
+    expect(validationCodes(query("$first: Int"))).toEqual([
+      "QUERY_TOO_COMPLEX",
+    ]);
+  });
+
+  it("saves persisted queries and runs them by hash", async () => {
+    const query = '{ listTags(userId: "U1") { name } }';
+    const sha256Hash = crypto.createHash("sha256").update(query).digest("hex");
+    const extensions = { persistedQuery: { version: 1, sha256Hash } };
+    const send = async (body) => {
+      const req = { body, query: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await persistedQueries(req, res, next);
+      return { req, res, next };
+    };
+
+    let { res, next } = await send({ extensions });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      errors: [
+        {
+          message: "PersistedQueryNotFound",
+          extensions: { code: "PERSISTED_QUERY_NOT_FOUND" },
+        },
+      ],
+    });
+
+    ({ res, next } = await send({ query: "{ other }", extensions }));
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+
+    ({ next } = await send({ query, extensions }));
+    expect(next).toHaveBeenCalledWith();
+
+    const saved = await send({ extensions, variables: { a: 1 } });
+    expect(saved.next).toHaveBeenCalledWith();
+    expect(saved.req.body).toEqual({ extensions, variables: { a: 1 }, query });
+  });
+});
@@ -0,0 +1,236 @@
+const { graphql } = require("graphql");
+const { User, Document, Workspace } = require("../models/models");
+const schema = require("../graphql/schema");
+const resolvers = require("../graphql/resolvers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+  generateKeyIdeas: jest.fn(),
+  generateSummaryInLanguage: jest.fn(),
+  chatWithAI: jest.fn(),
+  getChatSession: jest.fn(),
+}));
+
+const DOCUMENTS = ["D1", "D2", "D3", "D4", "D5"].map((id, index) => ({
+  id,
+  title: ["Report", String(index + 1)],
+  summary: `Summary ${index + 1}`,
+  originalText: `Text ${index + 1}`,
+}));
+
+const run = (source, user = { uid: "U1" }) =>
+  graphql({ schema, source, contextValue: { user } });
+
+describe("GraphQL API", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest
+      .spyOn(User, "getMany")
+      .mockImplementation(async (uids) => uids.map(() => ({ email: "a@b.c" })));
+    jest.spyOn(Document, "list").mockResolvedValue(DOCUMENTS);
+  });
+
+  it("pages through documents with opaque cursors", async () => {
+    jest
+      .spyOn(Document, "page")
+      .mockImplementation(async (userId, { first, after }) => {
+        const start = after
+          ? DOCUMENTS.findIndex((doc) => doc.id === after) + 1
+          : 0;
+        if (start === 0 && after) return null;
+        return {
+          documents: DOCUMENTS.slice(start, start + first),
+          hasNextPage: start + first < DOCUMENTS.length,
+          totalCount: DOCUMENTS.length,
+        };
+      });
+    const page = (after) =>
+      run(`{
+        documentsConnection(userId: "U1", first: 2${after ? `, after: "${after}"` : ""}) {
+          edges { cursor node { id title } }
+          pageInfo { hasNextPage endCursor }
+          totalCount
+        }
+      }`);
+
+    let { data, errors } = await page();
+    expect(errors).toBeUndefined();
+    let connection = data.documentsConnection;
+    expect(connection.edges.map(({ node }) => node)).toEqual([
+      { id: "D1", title: "Report 1" },
+      { id: "D2", title: "Report 2" },
+    ]);
+    expect(connection.totalCount).toBe(5);
+    expect(connection.pageInfo.hasNextPage).toBe(true);
+
+    ({ data } = await page(connection.pageInfo.endCursor));
+    connection = data.documentsConnection;
+    expect(connection.edges.map(({ node }) => node.id)).toEqual(["D3", "D4"]);
+
+    ({ data } = await page(connection.pageInfo.endCursor));
+    connection = data.documentsConnection;
+    expect(connection.edges.map(({ node }) => node.id)).toEqual(["D5"]);
+    expect(connection.pageInfo).toEqual({
+      hasNextPage: false,
+      endCursor: connection.edges[0].cursor,
+    });
+
+    ({ errors } = await page("bm90LWEtZG9j"));
+    expect(errors[0].message).toBe("Invalid cursor");
+    expect(Document.page).toHaveBeenLastCalledWith("U1", {
+      first: 2,
+      after: "not-a-doc",
+      folderId: undefined,
+      tags: [],
+      sort: undefined,
+      order: undefined,
+    });
+    ({ errors } = await run(
+      '{ documentsConnection(userId: "U1", first: 500) { totalCount } }',
+    ));
+    expect(errors[0].message).toBe("first must be between 1 and 100");
+    ({ errors } = await run(
+      '{ documentsConnection(userId: "U2") { totalCount } }',
+    ));
+    expect(errors[0].message).toBe(
+      "You do not have access to this user's data",
+    );
+  });
+
+  it("loads the text of listed documents when it is asked for", async () => {
+    Document.list.mockResolvedValue([{ id: "D1", title: "Report" }]);
+    jest
+      .spyOn(Document, "getMany")
+      .mockResolvedValue([{ id: "D1", originalText: "Text 1" }]);
+
+    const { data, errors } = await run(
+      '{ listDocuments(userId: "U1") { title originalText } }',
+    );
+    expect(errors).toBeUndefined();
+    expect(data.listDocuments).toEqual([
+      { title: "Report", originalText: "Text 1" },
+    ]);
+    expect(Document.getMany).toHaveBeenCalledWith([
+      { userId: "U1", docId: "D1" },
+    ]);
+  });
+
+  it("runs AI operations through the services and saves the results", async () => {
+    jest.spyOn(Document, "saveInsight").mockResolvedValue({});
+    services.generateKeyIdeas.mockResolvedValue("- Growth");
+
+    const { data, errors } = await run(`mutation {
+      generateKeyIdeas(documentText: "Text", userId: "U1", documentId: "D1")
+    }`);
+    expect(errors).toBeUndefined();
+    expect(data.generateKeyIdeas).toBe("- Growth");
+    expect(services.generateKeyIdeas).toHaveBeenCalledWith("Text");
+    expect(Document.saveInsight).toHaveBeenCalledWith(
+      "U1",
+      "D1",
+      "keyIdeas",
+      "- Growth",
+      undefined,
+    );
+
+    const other = await run(`mutation {
+      generateKeyIdeas(documentText: "Text", userId: "U2", documentId: "D1")
+    }`);
+    expect(other.errors[0].message).toBe(
+      "You do not have access to this user's data",
+    );
+    const empty = await run('mutation { generateKeyIdeas(documentText: " ") }');
+    expect(empty.errors[0].message).toBe("Invalid document text");
+    expect(services.generateKeyIdeas).toHaveBeenCalledTimes(1);
+  });
+
+  it("uses the workspace language when a summary leaves it out", async () => {
+    jest.spyOn(Workspace, "getActiveSetting").mockResolvedValue("French");
+    services.generateSummaryInLanguage.mockResolvedValue("Résumé");
+
+    const { data } = await run(`mutation {
+      summaryInLanguage(documentText: "Text", userId: "U1")
+    }`);
+    expect(data.summaryInLanguage).toBe("Résumé");
+    expect(services.generateSummaryInLanguage).toHaveBeenCalledWith(
+      "Text",
+      "French",
+    );
+    expect(Workspace.getActiveSetting).toHaveBeenCalledWith(
+      "U1",
+      "defaultLanguage",
+    );
+  });
+
+  it("chats across the user's documents", async () => {
+    services.chatWithAI.mockResolvedValue({
+      response: "Revenue grew [1].",
+      citations: [{ id: 1, text: "Text 2", documentId: "D2", title: "R" }],
+    });
+
+    const { data, errors } = await run(`mutation {
+      chat(message: "How did revenue do?", allDocuments: true, userId: "U1") {
+        response
+        sessionId
+        citations { id documentId }
+      }
+    }`);
+    expect(errors).toBeUndefined();
+    expect(data.chat.response).toBe("Revenue grew [1].");
+    expect(data.chat.sessionId).toEqual(expect.any(String));
+    expect(data.chat.citations).toEqual([{ id: 1, documentId: "D2" }]);
+    const [, , , options] = services.chatWithAI.mock.calls[0];
+    expect(options.documents.map(({ id }) => id)).toEqual(
+      DOCUMENTS.map(({ id }) => id),
+    );
+
+    const missing = await run('mutation { chat(message: "Hi") { response } }');
+    expect(missing.errors[0].message).toBe(
+      "Both message and originalText are required",
+    );
+
+    services.getChatSession.mockResolvedValue({ id: "S2", userId: "U2" });
+    const otherSession = await run(`mutation {
+      chat(message: "Hi", originalText: "Text", sessionId: "S2", userId: "U1") {
+        response
+      }
+    }`);
+    expect(otherSession.errors[0].message).toBe("Chat session not found");
+  });
+
+  it("reads and updates the user profile", async () => {
+    const user = {
+      email: "a@example.com",
+      theme: "light",
+      socialMedia: { github: "octocat", linkedin: "me" },
+    };
+    User.getMany.mockResolvedValue([user]);
+    jest.spyOn(User, "updateSocialMedia").mockResolvedValue();
+
+    const updated = await resolvers.Mutation.updateSocialMedia(
+      null,
+      { userId: "U1", socialMedia: { linkedin: "", twitter: "me" } },
+      { user: { uid: "U1" } },
+    );
+    expect(User.updateSocialMedia).toHaveBeenCalledWith("U1", {
+      github: "octocat",
+      linkedin: "",
+      facebook: undefined,
+      instagram: undefined,
+      twitter: "me",
+    });
+    expect(resolvers.User.socialMedia(updated)).toEqual({
+      github: "octocat",
+      linkedin: "",
+      facebook: "",
+      instagram: "",
+      twitter: "me",
+    });
+
+    const { errors } = await run(
+      'mutation { updateTheme(userId: "U1", theme: blue) { theme } }',
+    );
+    expect(errors[0].message).toMatch(/Theme/);
+  });
+});
@@ -0,0 +1,148 @@
+const { parse, subscribe: graphqlSubscribe } = require("graphql");
+const schema = require("../graphql/schema");
+const { TOPICS, publish, listen } = require("../services/liveUpdates");
+const { startJobWorker, enqueueJob } = require("../services/jobQueue");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+  getChatSession: jest.fn(),
+}));
+
+const subscribe = (source, user = { uid: "U1" }) =>
+  graphqlSubscribe({
+    schema,
+    document: parse(source),
+    contextValue: { user },
+  });
+
+describe("GraphQL subscriptions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("queues pushed values and stops the source when closed", async () => {
+    const stop = jest.fn();
+    let push;
+    const iterator = listen((pushValue) => {
+      push = pushValue;
+      return stop;
+    });
+
+    push(1);
+    push(2);
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    expect(await iterator.next()).toEqual({ value: 2, done: false });
+
+    const pending = iterator.next();
+    push(3);
+    expect(await pending).toEqual({ value: 3, done: false });
+
+    await iterator.return();
+    expect(stop).toHaveBeenCalledTimes(1);
+    push(4);
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+  });
+
+  it("sends the document changes of the subscribed user only", async () => {
+    const iterator = await subscribe(`subscription {
+      documentsChanged(userId: "U1") { type documentId document { title } }
+    }`);
+
+    publish(TOPICS.documents("U2"), { type: "DELETED", documentId: "D9" });
+    publish(TOPICS.documents("U1"), {
+      type: "UPDATED",
+      documentId: "D1",
+      document: { id: "D1", title: ["Solar", "report"] },
+    });
+
+    const { value } = await iterator.next();
+    expect(value.data.documentsChanged).toEqual({
+      type: "UPDATED",
+      documentId: "D1",
+      document: { title: "Solar report" },
+    });
+    await iterator.return();
+
+    const denied = await subscribe(
+      'subscription { documentsChanged(userId: "U2") { type } }',
+    );
+    expect(denied.errors[0].message).toBe(
+      "You do not have access to this user's data",
+    );
+  });
+
+  it("sends new messages of the user's own chat sessions", async () => {
+    services.getChatSession.mockResolvedValue(null);
+    const iterator = await subscribe(`subscription {
+      chatMessageAdded(userId: "U1", sessionId: "S1") { role text citations { id } }
+    }`);
+
+    publish(TOPICS.chatMessages("S1"), {
+      sessionId: "S1",
+      userId: "U2",
+      role: "user",
+      text: "Not mine",
+    });
+    publish(TOPICS.chatMessages("S1"), {
+      sessionId: "S1",
+      userId: "U1",
+      role: "user",
+      text: "Hello",
+    });
+
+    const { value } = await iterator.next();
+    expect(value.data.chatMessageAdded).toEqual({
+      role: "user",
+      text: "Hello",
+      citations: [],
+    });
+    await iterator.return();
+
+    services.getChatSession.mockResolvedValue({ id: "S2", userId: "U2" });
+    const denied = await subscribe(
+      'subscription { chatMessageAdded(userId: "U1", sessionId: "S2") { text } }',
+    );
+    expect(denied.errors[0].message).toBe("Chat session not found");
+  });
+
+  it("follows a job until it finishes", async () => {
+    startJobWorker();
+    let release;
+    const job = await enqueueJob(
+      "upload",
+      async ({ reportProgress }) => {
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+        await reportProgress({ stage: "map", completed: 1, total: 2 });
+        return { documentId: "D1" };
+      },
+      { userId: "U1" },
+    );
+
+    const denied = await subscribe(
+      `subscription { jobProgress(jobId: "${job.id}") { status } }`,
+      { uid: "U2" },
+    );
+    expect(denied.errors[0].message).toBe("Job not found");
+
+    const iterator = await subscribe(`subscription {
+      jobProgress(jobId: "${job.id}") { status progress { stage completed } result }
+    }`);
+    const updates = [];
+    const first = await iterator.next();
+    updates.push(first.value.data.jobProgress);
+    release();
+    for await (const { data } of iterator) updates.push(data.jobProgress);
+
+    expect(updates.map(({ status }) => status)).toEqual(
+      expect.arrayContaining(["running", "completed"]),
+    );
+    expect(updates[updates.length - 1]).toEqual({
+      status: "completed",
+      progress: { stage: "map", completed: 1 },
+      result: { documentId: "D1" },
+    });
+  });
+});
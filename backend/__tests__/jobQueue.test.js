@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const { User, Document } = require("../models/models");
+const { uploadDocument, getJobStatus } = require("../controllers/controllers");
+const {
+  startJobWorker,
+  enqueueJob,
+  getJob,
+  watchJob,
+  notifyWebhook,
+  isValidWebhookUrl,
+} = require("../services/jobQueue");
+const { saveJob } = require("../redis/redisClient");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+  generateSummary: jest.fn(),
+  generateKeyIdeas: jest.fn(),
+  suggestTags: jest.fn(),
+}));
+
+const createResponse = () => {
+  const res = {
+    set: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    write: jest.fn(),
+    end: jest.fn(),
+    on: jest.fn(),
+  };
+  return res;
+};
+
+// Resolves with the job once it has finished
+const waitForJob = (jobId) =>
+  new Promise((resolve) => {
+    watchJob(jobId, (job) => {
+      if (job.status === "completed" || job.status === "failed") resolve(job);
+    });
+  });
+
+/**
+ * Mock the models and AI calls of an upload
+ */
+const mockUpload = () => {
+  jest.spyOn(User, "exists").mockResolvedValue(true);
+  jest.spyOn(Document, "generateId").mockReturnValue("D1");
+  jest.spyOn(Document, "add").mockResolvedValue("D1");
+  services.generateSummary.mockImplementation(async (text, options = {}) => {
+    options.onProgress?.({ stage: "map", completed: 1, total: 1 });
+    return { summary: "short", originalText: text };
+  });
+  services.generateKeyIdeas.mockResolvedValue("- Idea");
+  services.suggestTags.mockResolvedValue(["idea"]);
+};
+
+describe("servers without a job worker", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("answer uploads sent with Prefer: respond-async right away", async () => {
+    mockUpload();
+    const res = createResponse();
+
+    await uploadDocument(
+      {
+        headers: { prefer: "respond-async" },
+        body: { title: "T", text: "long text", userId: "U1" },
+      },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Document.add).toHaveBeenCalled();
+    await expect(enqueueJob("test", async () => null)).rejects.toThrow(
+      "Background jobs are not run by this server",
+    );
+  });
+});
+
+describe("background jobs", () => {
+  beforeAll(() => {
+    startJobWorker();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.JOB_WEBHOOK_SECRET;
+  });
+
+  it("runs queued work and records its progress and result", async () => {
+    const updates = [];
+    const job = await enqueueJob("test", async ({ reportProgress }) => {
+      await reportProgress({ stage: "map", completed: 1, total: 2 });
+      return { answer: 42 };
+    });
+    expect(job.status).toBe("queued");
+
+    watchJob(job.id, (update) => updates.push(update.status));
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toMatchObject({
+      status: "completed",
+      progress: { stage: "map", completed: 1, total: 2 },
+      result: { answer: 42 },
+      error: null,
+    });
+    expect(updates).toEqual(["running", "running", "completed"]);
+    expect(await getJob(job.id)).toMatchObject({ status: "completed" });
+  });
+
+  it("records the error of failed work", async () => {
+    const job = await enqueueJob("test", async () => {
+      throw new Error("model unavailable");
+    });
+
+    expect(await waitForJob(job.id)).toMatchObject({
+      status: "failed",
+      error: "model unavailable",
+      result: null,
+    });
+  });
+
+  it("signs webhook notifications with the shared secret", async () => {
+    process.env.JOB_WEBHOOK_SECRET = "secret";
+    const http = { post: jest.fn().mockResolvedValue({}) };
+    const job = {
+      id: "J1",
+      status: "completed",
+      result: { ok: true },
+      userId: "U1",
+      webhookUrl: "https://example.com/hook",
+    };
+
+    await notifyWebhook(job, http);
+
+    const [url, body, { headers }] = http.post.mock.calls[0];
+    expect(url).toBe("https://example.com/hook");
+    expect(JSON.parse(body)).toMatchObject({ id: "J1", result: { ok: true } });
+    expect(JSON.parse(body)).not.toHaveProperty("webhookUrl");
+    expect(headers["X-DocuThinker-Signature"]).toBe(
+      "sha256=" +
+        crypto.createHmac("sha256", "secret").update(body).digest("hex"),
+    );
+  });
+
+  it("queues uploads sent with Prefer: respond-async", async () => {
+    mockUpload();
+    const res = createResponse();
+
+    await uploadDocument(
+      {
+        headers: { prefer: "respond-async" },
+        body: { title: "T", text: "long text", userId: "U1" },
+      },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    const { jobId, statusUrl } = res.json.mock.calls[0][0];
+    expect(statusUrl).toBe(`/jobs/${jobId}`);
+    expect(res.set).toHaveBeenCalledWith("Location", statusUrl);
+
+    const job = await waitForJob(jobId);
+    expect(job.result).toEqual({
+      summary: "short",
+      originalText: "long text",
+      documentId: "D1",
+      suggestedTags: ["idea"],
+    });
+    expect(Document.add).toHaveBeenCalledWith(
+      "U1",
+      expect.objectContaining({ title: "T", summary: "short" }),
+    );
+  });
+
+  it("fails jobs left behind by a stopped process", async () => {
+    const startedAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    await saveJob(
+      {
+        id: "J-left",
+        type: "upload",
+        status: "running",
+        progress: null,
+        result: null,
+        error: null,
+        revision: 1,
+        userId: "U1",
+        webhookUrl: null,
+        createdAt: startedAt,
+        updatedAt: startedAt,
+        heartbeatAt: startedAt,
+      },
+      60,
+    );
+
+    expect(await getJob("J-left")).toMatchObject({
+      status: "failed",
+      error: "The job was interrupted before it finished",
+      revision: 2,
+    });
+    expect(await getJob("J-left")).toMatchObject({ status: "failed" });
+  });
+
+  it("only accepts webhooks on public addresses", async () => {
+    for (const url of [
+      "http://127.0.0.1/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.0.0.5/hook",
+      "http://[::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+      "http://0.0.0.0/hook",
+    ]) {
+      expect(await isValidWebhookUrl(url)).toBe(false);
+    }
+    expect(await isValidWebhookUrl("https://93.184.215.14/hook")).toBe(true);
+
+    jest.spyOn(dns.promises, "lookup").mockResolvedValue([
+      { address: "93.184.215.14", family: 4 },
+      { address: "192.168.1.2", family: 4 },
+    ]);
+    expect(await isValidWebhookUrl("https://intranet.example.com/")).toBe(
+      false,
+    );
+  });
+
+  it("rejects invalid webhook URLs", async () => {
+    const res = createResponse();
+
+    await uploadDocument(
+      {
+        headers: { prefer: "respond-async" },
+        body: { title: "T", text: "text", webhookUrl: "ftp://example.com" },
+      },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("only shows a user's jobs to that user", async () => {
+    const job = await enqueueJob("test", async () => "done", {
+      userId: "U1",
+    });
+    await waitForJob(job.id);
+
+    let res = createResponse();
+    await getJobStatus(
+      { params: { jobId: job.id }, headers: {}, user: { uid: "U2" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = createResponse();
+    await getJobStatus(
+      { params: { jobId: job.id }, headers: {}, user: { uid: "U1" } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].job).toMatchObject({
+      id: job.id,
+      status: "completed",
+      result: "done",
+    });
+    expect(res.json.mock.calls[0][0].job).not.toHaveProperty("userId");
+  });
+
+  it("streams job updates as Server-Sent Events", async () => {
+    let finish;
+    let started;
+    const running = new Promise((resolve) => (started = resolve));
+    const job = await enqueueJob("test", () => {
+      started();
+      return new Promise((resolve) => (finish = resolve));
+    });
+    const res = createResponse();
+
+    await getJobStatus(
+      {
+        params: { jobId: job.id },
+        headers: { accept: "text/event-stream" },
+      },
+      res,
+    );
+    await running;
+    finish({ summary: "ok" });
+    await waitForJob(job.id);
+
+    const events = res.write.mock.calls.map(([chunk]) => chunk);
+    expect(events[0]).toMatch(/^event: progress\n/);
+    expect(events[events.length - 1]).toMatch(/^event: result\n/);
+    expect(events[events.length - 1]).toContain('"summary":"ok"');
+    expect(res.end).toHaveBeenCalled();
+  });
+});
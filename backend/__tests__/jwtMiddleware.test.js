@@ -0,0 +1,136 @@
+process.env.JWT_SECRET = "test-secret";
+
+const jwt = require("jsonwebtoken");
+const {
+  authenticateToken,
+  authorizeUser,
+  authorizeOptionalUser,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+} = require("../middleware/jwt");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const withToken = (token, extra = {}) => ({
+  headers: { authorization: `Bearer ${token}` },
+  params: {},
+  body: {},
+  ...extra,
+});
+
+describe("jwt middleware", () => {
+  it("rejects requests without a token", () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    authenticateToken({ headers: {} }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("lets a user access their own data only", async () => {
+    const { accessToken } = await issueTokens("U1");
+    const next = jest.fn();
+
+    authorizeUser(
+      withToken(accessToken, { params: { userId: "U1" } }),
+      mockRes(),
+      next,
+    );
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const res = mockRes();
+    authorizeUser(
+      withToken(accessToken, { body: { userId: ["U2"] } }),
+      res,
+      next,
+    );
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it("requires a token for user-scoped routes and acts on its user", async () => {
+    const res = mockRes();
+    const next = jest.fn();
+    authorizeUser({ headers: {}, params: {}, body: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+
+    const { accessToken } = await issueTokens("U1");
+    const req = withToken(accessToken, { body: { theme: "dark" } });
+    authorizeUser(req, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.body.userId).toBe("U1");
+  });
+
+  it("lets anonymous requests through routes that allow them", async () => {
+    const next = jest.fn();
+    authorizeOptionalUser(
+      { headers: {}, params: {}, body: {} },
+      mockRes(),
+      next,
+    );
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const res = mockRes();
+    authorizeOptionalUser(
+      { headers: {}, params: {}, body: { userId: "U1" } },
+      res,
+      next,
+    );
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const { accessToken } = await issueTokens("U1");
+    const req = withToken(accessToken);
+    authorizeOptionalUser(req, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(req.user.uid).toBe("U1");
+    expect(req.body.userId).toBeUndefined();
+  });
+
+  it("does not accept refresh tokens as access tokens", async () => {
+    const { refreshToken } = await issueTokens("U1");
+    const res = mockRes();
+
+    authorizeUser(
+      withToken(refreshToken, { params: { userId: "U1" } }),
+      res,
+      jest.fn(),
+    );
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("rotates refresh tokens and rejects reuse", async () => {
+    const { refreshToken } = await issueTokens("U1");
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.userId).toBe("U1");
+    expect(jwt.verify(rotated.accessToken, "test-secret")).toEqual(
+      expect.objectContaining({ uid: "U1", type: "access" }),
+    );
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+  });
+
+  it("revokes refresh tokens on logout and for all of a user's sessions", async () => {
+    const first = await issueTokens("U1");
+    const second = await issueTokens("U1");
+
+    await revokeRefreshToken(first.refreshToken);
+    await expect(rotateRefreshToken(first.refreshToken)).rejects.toThrow();
+
+    await revokeUserTokens("U1");
+    await expect(rotateRefreshToken(second.refreshToken)).rejects.toThrow();
+  });
+});
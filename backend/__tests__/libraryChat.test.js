@@ -0,0 +1,120 @@
+const { Document } = require("../models/models");
+const { chatWithAI } = require("../controllers/controllers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+  chatWithAI: jest.fn(),
+  getChatSession: jest.fn(),
+}));
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const chat = (body) => {
+  const res = createResponse();
+  return chatWithAI({ headers: {}, body }, res).then(() => res);
+};
+
+describe("library chat", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    services.chatWithAI.mockResolvedValue({
+      response: "Answer",
+      citations: [],
+    });
+  });
+
+  it("chats across the selected documents", async () => {
+    jest.spyOn(Document, "getById").mockImplementation(async (userId, id) => ({
+      id,
+      title: id === "D1" ? ["Energy", "report"] : "Empty scan",
+      originalText: id === "D1" ? "Solar panels work." : "",
+    }));
+
+    const res = await chat({
+      message: "What works?",
+      userId: "U1",
+      documentIds: ["D1", "D2", "D1"],
+      sessionId: "S1",
+    });
+
+    expect(Document.getById).toHaveBeenCalledTimes(2);
+    expect(services.chatWithAI).toHaveBeenCalledWith(
+      "S1",
+      "What works?",
+      undefined,
+      {
+        userId: "U1",
+        documents: [
+          { id: "D1", title: "Energy report", text: "Solar panels work." },
+        ],
+      },
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('loads every document of the user for "all"', async () => {
+    jest
+      .spyOn(Document, "list")
+      .mockResolvedValue([{ id: "D1", title: "Notes", originalText: "Text" }]);
+
+    await chat({ message: "Summarize", userId: "U1", documentIds: "all" });
+
+    expect(Document.list).toHaveBeenCalledWith("U1", { withText: true });
+    expect(services.chatWithAI.mock.calls[0][3].documents).toEqual([
+      { id: "D1", title: "Notes", text: "Text" },
+    ]);
+  });
+
+  it("rejects missing users, unknown documents and empty libraries", async () => {
+    jest.spyOn(Document, "getById").mockResolvedValue(null);
+    jest.spyOn(Document, "list").mockResolvedValue([]);
+
+    const withoutUser = await chat({ message: "Hi", documentIds: ["D1"] });
+    const unknown = await chat({
+      message: "Hi",
+      userId: "U1",
+      documentIds: ["D9"],
+    });
+    const empty = await chat({
+      message: "Hi",
+      userId: "U1",
+      documentIds: "all",
+    });
+
+    expect(withoutUser.status).toHaveBeenCalledWith(400);
+    expect(unknown.status).toHaveBeenCalledWith(404);
+    expect(unknown.json).toHaveBeenCalledWith({ error: "Document not found" });
+    expect(empty.json).toHaveBeenCalledWith({
+      error: "No documents to chat with",
+    });
+    expect(services.chatWithAI).not.toHaveBeenCalled();
+  });
+
+  it("only continues a session for the user who started it", async () => {
+    services.getChatSession.mockResolvedValue({ id: "S2", userId: "U2" });
+
+    const otherUser = await chat({
+      message: "Hi",
+      originalText: "Text",
+      userId: "U1",
+      sessionId: "S2",
+    });
+    const anonymous = await chat({
+      message: "Hi",
+      originalText: "Text",
+      sessionId: "S2",
+    });
+
+    expect(otherUser.status).toHaveBeenCalledWith(404);
+    expect(anonymous.status).toHaveBeenCalledWith(404);
+    expect(anonymous.json).toHaveBeenCalledWith({
+      error: "Chat session not found",
+    });
+    expect(services.chatWithAI).not.toHaveBeenCalled();
+  });
+});
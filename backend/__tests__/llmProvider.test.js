@@ -0,0 +1,155 @@
+const { Readable } = require("stream");
+const {
+  createMockProvider,
+  createOpenAIProvider,
+  createProvider,
+  getProvider,
+  setProvider,
+} = require("../services/llmProvider");
+
+describe("llmProvider", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setProvider(undefined);
+  });
+
+  it("selects the provider and model from the environment", () => {
+    process.env.LLM_PROVIDER = "mock";
+    process.env.LLM_MODEL = "test-model";
+
+    const provider = getProvider();
+
+    expect(provider.name).toBe("mock");
+    expect(provider.model).toBe("test-model");
+    expect(getProvider()).toBe(provider);
+  });
+
+  it("defaults to gemini and rejects unknown providers", () => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+
+    expect(createProvider().name).toBe("gemini");
+    expect(createProvider().model).toBe("gemini-1.5-flash");
+    expect(() => createProvider("nope")).toThrow('Unknown LLM provider "nope"');
+  });
+
+  it("mock provider answers deterministically", async () => {
+    const provider = createMockProvider();
+    const request = { systemInstruction: "x", message: "Hello   world" };
+
+    const first = await provider.generate(request);
+    const second = await provider.generate(request);
+
+    expect(first).toBe("[mock-echo] Hello world");
+    expect(second).toBe(first);
+    expect(
+      JSON.parse(await provider.generate({ ...request, json: true })),
+    ).toEqual({ score: 0, description: "[mock-echo] Hello world" });
+  });
+
+  it("mock provider delegates to a custom responder", async () => {
+    const respond = jest.fn().mockResolvedValue("custom");
+    const provider = createMockProvider({ respond });
+
+    await expect(provider.generate({ message: "hi" })).resolves.toBe("custom");
+    expect(respond).toHaveBeenCalledWith({ message: "hi" });
+  });
+
+  it("openai provider maps history to chat completion messages", async () => {
+    const http = {
+      post: jest.fn().mockResolvedValue({
+        data: { choices: [{ message: { content: "answer" } }] },
+      }),
+    };
+    const provider = createOpenAIProvider({
+      apiKey: "KEY",
+      baseUrl: "http://localhost:11434/v1/",
+      model: "llama3",
+      http,
+    });
+
+    const response = await provider.generate({
+      systemInstruction: "be brief",
+      history: [
+        { role: "user", text: "context" },
+        { role: "model", text: "ok" },
+      ],
+      message: "question",
+      json: true,
+    });
+
+    expect(response).toBe("answer");
+    expect(http.post).toHaveBeenCalledWith(
+      "http://localhost:11434/v1/chat/completions",
+      {
+        model: "llama3",
+        messages: [
+          { role: "system", content: "be brief" },
+          { role: "user", content: "context" },
+          { role: "assistant", content: "ok" },
+          { role: "user", content: "question" },
+        ],
+        response_format: { type: "json_object" },
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer KEY",
+        },
+      },
+    );
+  });
+
+  it("openai provider rejects empty completions", async () => {
+    const http = { post: jest.fn().mockResolvedValue({ data: {} }) };
+    const provider = createOpenAIProvider({ http });
+
+    await expect(provider.generate({ message: "q" })).rejects.toThrow(
+      "Empty response from OpenAI-compatible API",
+    );
+  });
+
+  it("mock provider streams its answer word by word", async () => {
+    const provider = createMockProvider({
+      respond: async () => "One two  three",
+    });
+
+    const pieces = [];
+    for await (const piece of provider.stream({ message: "q" })) {
+      pieces.push(piece);
+    }
+
+    expect(pieces).toEqual(["One", " two", "  three"]);
+  });
+
+  it("openai provider parses streamed chat completion chunks", async () => {
+    const event = (content) =>
+      `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const body = `${event("Hel")}${event("lo")}data: [DONE]\n\n`;
+    const http = {
+      post: jest.fn().mockResolvedValue({
+        // Split mid-line to exercise the line buffering
+        data: Readable.from([
+          Buffer.from(body.slice(0, 20)),
+          Buffer.from(body.slice(20)),
+        ]),
+      }),
+    };
+    const provider = createOpenAIProvider({ http, model: "m" });
+    const signal = new AbortController().signal;
+
+    const pieces = [];
+    for await (const piece of provider.stream({ message: "q", signal })) {
+      pieces.push(piece);
+    }
+
+    expect(pieces).toEqual(["Hel", "lo"]);
+    expect(http.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/chat\/completions$/),
+      expect.objectContaining({ model: "m", stream: true }),
+      expect.objectContaining({ responseType: "stream", signal }),
+    );
+  });
+});
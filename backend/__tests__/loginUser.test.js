@@ -6,6 +6,13 @@ const { sendSuccessResponse, sendErrorResponse } = require("../views/views");
 jest.mock("../services/services", () => ({
   loginUser: jest.fn(),
 }));
+jest.mock("../middleware/jwt", () => ({
+  issueTokens: jest.fn(async () => ({
+    accessToken: "ACCESS",
+    refreshToken: "REFRESH",
+    expiresIn: "1h",
+  })),
+}));
 jest.mock("../views/views", () => ({
   sendSuccessResponse: jest.fn(),
   sendErrorResponse: jest.fn(),
@@ -22,7 +29,7 @@ describe("loginUser", () => {
   let req, res;
 
   beforeEach(() => {
-    req = { body: { email: "x@y.com" } };
+    req = { body: { email: "x@y.com", password: "secret" } };
     res = {};
     loginUser.mockClear();
     mockGetUserByEmail.mockClear();
@@ -30,19 +37,38 @@ describe("loginUser", () => {
     sendErrorResponse.mockClear();
   });
 
-  it("on success returns custom token and userId", async () => {
+  it("on success returns custom token, userId and JWTs", async () => {
     loginUser.mockResolvedValue("TOKEN123");
     mockGetUserByEmail.mockResolvedValue({ uid: "UID99" });
 
     await loginController(req, res);
 
-    expect(loginUser).toHaveBeenCalledWith("x@y.com");
+    expect(loginUser).toHaveBeenCalledWith("x@y.com", "secret");
     expect(mockGetUserByEmail).toHaveBeenCalledWith("x@y.com");
     expect(sendSuccessResponse).toHaveBeenCalledWith(
       res,
       200,
       "Custom token generated",
-      { customToken: "TOKEN123", userId: "UID99" },
+      {
+        customToken: "TOKEN123",
+        userId: "UID99",
+        accessToken: "ACCESS",
+        refreshToken: "REFRESH",
+        expiresIn: "1h",
+      },
+    );
+  });
+
+  it("responds 400 without a password", async () => {
+    req = { body: { email: "x@y.com" } };
+
+    await loginController(req, res);
+
+    expect(loginUser).not.toHaveBeenCalled();
+    expect(sendErrorResponse).toHaveBeenCalledWith(
+      res,
+      400,
+      "Email and password are required",
     );
   });
 
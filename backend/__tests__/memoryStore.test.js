@@ -0,0 +1,46 @@
+process.env.MEMORY_STORE_MAX_ENTRIES = "2";
+
+const {
+  saveJob,
+  fetchJob,
+  saveAIResponse,
+  fetchAIResponse,
+  countPasswordResetAttempt,
+} = require("../redis/redisClient");
+
+describe("in-memory store", () => {
+  it("drops the least recently used cached values once it is full", async () => {
+    await saveAIResponse("R1", { body: "1" }, 60);
+    await saveAIResponse("R2", { body: "2" }, 60);
+    // Reading R1 makes R2 the least recently used
+    await fetchAIResponse("R1");
+    await saveAIResponse("R3", { body: "3" }, 60);
+
+    expect(await fetchAIResponse("R1")).toEqual({ body: "1" });
+    expect(await fetchAIResponse("R2")).toBeNull();
+    expect(await fetchAIResponse("R3")).toEqual({ body: "3" });
+  });
+
+  it("keeps other state when the cache fills up", async () => {
+    await saveJob({ id: "J1" }, 60);
+    await saveJob({ id: "J2" }, 60);
+    await saveJob({ id: "J3" }, 60);
+    await countPasswordResetAttempt("a@b.com", 60);
+    for (let index = 0; index < 10; index++) {
+      await saveAIResponse(`flood-${index}`, { body: index }, 60);
+    }
+
+    expect(await fetchJob("J1")).toEqual({ id: "J1" });
+    expect(await fetchJob("J3")).toEqual({ id: "J3" });
+    expect(await countPasswordResetAttempt("a@b.com", 60)).toBe(2);
+  });
+
+  it("expires entries after their TTL", async () => {
+    jest.useFakeTimers();
+    await saveJob({ id: "J4" }, 1);
+    jest.advanceTimersByTime(61 * 1000);
+
+    expect(await fetchJob("J4")).toBeNull();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock("firebase-admin", () => ({
+  firestore: {
+    FieldValue: { delete: () => "DELETE_FIELD" },
+    FieldPath: { documentId: () => "__name__" },
+  },
+}));
+
+const {
+  migrateUser,
+  migrateAllUsers,
+  legacyCreatedAt,
+} = require("../scripts/migrateDocuments");
+
+const userCreatedAt = new Date("2024-01-01T00:00:00Z");
+
+const fakeUser = (id, data) => {
+  const docRefs = {};
+  return {
+    id,
+    data: () => data,
+    docRefs,
+    ref: {
+      update: jest.fn().mockResolvedValue(),
+      collection: jest.fn(() => ({
+        doc: (docId) => (docRefs[docId] = docRefs[docId] || { id: docId }),
+      })),
+    },
+  };
+};
+
+describe("migrateDocuments", () => {
+  let firestore, writes;
+
+  beforeEach(() => {
+    writes = [];
+    firestore = {
+      batch: jest.fn(() => ({
+        set: (ref, data) => writes.push({ id: ref.id, data }),
+        commit: jest.fn().mockResolvedValue(),
+      })),
+    };
+  });
+
+  it("copies embedded documents into the subcollection, then drops the array", async () => {
+    const user = fakeUser("U1", {
+      createdAt: userCreatedAt,
+      documents: [
+        { id: "D1", title: "First", summary: "s1" },
+        { title: "No id", summary: "s2", createdAt: "2024-05-01T00:00:00Z" },
+      ],
+    });
+
+    await expect(migrateUser(firestore, user)).resolves.toBe(2);
+
+    expect(user.ref.collection).toHaveBeenCalledWith("documents");
+    expect(writes).toEqual([
+      {
+        id: "D1",
+        data: {
+          title: "First",
+          summary: "s1",
+          createdAt: new Date("2024-01-01T00:00:00.000Z"),
+        },
+      },
+      {
+        id: "legacy-1",
+        data: {
+          title: "No id",
+          summary: "s2",
+          createdAt: new Date("2024-05-01T00:00:00Z"),
+        },
+      },
+    ]);
+    expect(user.ref.update).toHaveBeenCalledWith({ documents: "DELETE_FIELD" });
+  });
+
+  it("skips migrated users and writes nothing on a dry run", async () => {
+    const migrated = fakeUser("U1", { createdAt: userCreatedAt });
+    const legacy = fakeUser("U2", { documents: [{ id: "D1" }] });
+
+    await expect(migrateUser(firestore, migrated)).resolves.toBe(0);
+    await expect(
+      migrateUser(firestore, legacy, { dryRun: true }),
+    ).resolves.toBe(1);
+
+    expect(firestore.batch).not.toHaveBeenCalled();
+    expect(legacy.ref.update).not.toHaveBeenCalled();
+  });
+
+  it("keeps the array order through derived creation dates", () => {
+    const timestamp = { toDate: () => userCreatedAt };
+
+    expect(legacyCreatedAt({}, timestamp, 0).getTime()).toBeLessThan(
+      legacyCreatedAt({}, timestamp, 1).getTime(),
+    );
+    expect(legacyCreatedAt({}, undefined, 3)).toEqual(new Date(3));
+  });
+
+  it("pages through all users and reports totals", async () => {
+    const users = [
+      fakeUser("U1", { documents: [{ id: "A" }, { id: "B" }] }),
+      fakeUser("U2", {}),
+    ];
+    const query = {
+      orderBy: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      startAfter: jest.fn(() => query),
+      get: jest
+        .fn()
+        .mockResolvedValue({ empty: false, size: users.length, docs: users }),
+    };
+    firestore.collection = jest.fn(() => query);
+    const log = jest.fn();
+
+    await expect(migrateAllUsers(firestore, { log })).resolves.toEqual({
+      users: 1,
+      documents: 2,
+    });
+    expect(query.get).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith("User U1: 2 document(s)");
+  });
+});
@@ -0,0 +1,59 @@
+process.env.REDIS_URL = "redis://localhost:6379";
+
+// Redis keyspace of the fake client: values and their TTLs in seconds
+const mockKeys = new Map();
+
+jest.mock("redis", () => {
+  const client = {
+    isReady: true,
+    on: jest.fn(),
+    connect: jest.fn(),
+    set: jest.fn(),
+    hSet: jest.fn(),
+    lPush: jest.fn(),
+    expire: jest.fn(),
+    incr: jest.fn(),
+    // Runs the increment script: INCR, then EXPIRE when the key has no TTL
+    eval: jest.fn(async (script, { keys: [key], arguments: [ttl] }) => {
+      const entry = mockKeys.get(key) || { value: 0, ttl: -1 };
+      entry.value += 1;
+      if (entry.ttl < 0) entry.ttl = Number(ttl);
+      mockKeys.set(key, entry);
+      return entry.value;
+    }),
+  };
+  return { createClient: () => client, WatchError: class {} };
+});
+
+const redis = require("redis");
+const {
+  initializeRedis,
+  countPasswordResetRequest,
+} = require("../redis/redisClient");
+
+describe("Redis counters", () => {
+  let client;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    await initializeRedis();
+    client = redis.createClient();
+  });
+
+  it("gives counters a TTL in the same step as the increment", async () => {
+    const key = "auth:password_reset_requests:a@b.com";
+
+    await expect(countPasswordResetRequest("a@b.com", 3600)).resolves.toBe(1);
+    expect(mockKeys.get(key)).toEqual({ value: 1, ttl: 3600 });
+
+    // A counter left without a TTL gets one on its next increment
+    mockKeys.set(key, { value: 7, ttl: -1 });
+    await expect(countPasswordResetRequest("a@b.com", 3600)).resolves.toBe(8);
+    expect(mockKeys.get(key).ttl).toBe(3600);
+
+    expect(client.eval).toHaveBeenCalledTimes(2);
+    expect(client.eval.mock.calls[0][0]).toMatch(/INCR[\s\S]*EXPIRE/);
+    expect(client.incr).not.toHaveBeenCalled();
+    expect(client.expire).not.toHaveBeenCalled();
+  });
+});
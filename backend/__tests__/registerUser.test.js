@@ -34,10 +34,10 @@ describe("registerUser", () => {
     expect(fakeDoc.set).toHaveBeenCalledWith(
       expect.objectContaining({
         email: "a@b.com",
-        documents: [],
         createdAt: expect.any(Date),
       }),
     );
+    expect(fakeDoc.set.mock.calls[0][0]).not.toHaveProperty("documents");
     expect(sendSuccessResponse).toHaveBeenCalledWith(
       res,
       201,
@@ -56,4 +56,15 @@ describe("registerUser", () => {
       "oops",
     );
   });
+
+  it("rejects a short password without creating an account", async () => {
+    req.body.password = "12345";
+    await registerUser(req, res);
+    expect(createUser).not.toHaveBeenCalled();
+    expect(sendErrorResponse).toHaveBeenCalledWith(
+      res,
+      400,
+      "Password must be at least 6 characters long",
+    );
+  });
 });
@@ -0,0 +1,134 @@
+const { setEmbeddingProvider } = require("../services/embeddings");
+const {
+  splitPassages,
+  getDocumentIndex,
+  retrievePassages,
+  retrieveFromDocuments,
+  searchByMeaning,
+} = require("../services/retrieval");
+
+// Stand-in embedding model: one dimension per topic keyword
+const TOPICS = ["solar", "budget", "wind"];
+const createTopicProvider = () => ({
+  name: "topics",
+  model: "topics-1",
+  embed: jest.fn(async (texts) =>
+    texts.map((text) =>
+      TOPICS.map((topic) => (text.toLowerCase().includes(topic) ? 1 : 0)),
+    ),
+  ),
+});
+
+const DOCUMENT = [
+  "Solar panels convert sunlight into electricity for the home.",
+  "The quarterly budget was approved by the finance committee.",
+  "\fWind turbines generate electricity on breezy coastal hills.",
+  "Spare wind capacity is sold back to the grid at night.",
+].join("\n\n");
+
+describe("retrieval", () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createTopicProvider();
+    setEmbeddingProvider(provider);
+  });
+
+  afterAll(() => {
+    setEmbeddingProvider(undefined);
+  });
+
+  it("splits a document into passages with page and paragraph numbers", () => {
+    const passages = splitPassages(DOCUMENT, { maxTokens: 16 });
+
+    expect(
+      passages.map(({ page, paragraph, text }) => [page, paragraph, text]),
+    ).toEqual([
+      [1, 1, "Solar panels convert sunlight into electricity for the home."],
+      [1, 2, "The quarterly budget was approved by the finance committee."],
+      [2, 1, "Wind turbines generate electricity on breezy coastal hills."],
+      [2, 2, "Spare wind capacity is sold back to the grid at night."],
+    ]);
+    passages.forEach((passage) => {
+      expect(DOCUMENT.slice(passage.start, passage.end).trim()).toBe(
+        passage.text,
+      );
+    });
+  });
+
+  it("returns the passages most similar to the query", async () => {
+    process.env.RAG_CHUNK_TOKENS = "16";
+
+    const passages = await retrievePassages(DOCUMENT, "Any wind power?", {
+      topK: 2,
+    });
+
+    expect(passages.map(({ page, paragraph }) => [page, paragraph])).toEqual([
+      [2, 1],
+      [2, 2],
+    ]);
+    expect(passages[0].score).toBeCloseTo(1);
+
+    delete process.env.RAG_CHUNK_TOKENS;
+  });
+
+  it("ranks passages across documents and labels them with their source", async () => {
+    const documents = [
+      { id: "D1", title: "Energy report", text: DOCUMENT },
+      {
+        id: "D2",
+        title: "Wind farm notes",
+        text: "Wind speeds peak in March.",
+      },
+    ];
+
+    const passages = await retrieveFromDocuments(documents, "wind", {
+      topK: 3,
+    });
+
+    expect(passages).toHaveLength(3);
+    expect(passages.every((passage) => passage.score > 0.99)).toBe(true);
+    expect(
+      passages.map(({ documentId, title }) => [documentId, title]),
+    ).toEqual(
+      expect.arrayContaining([
+        ["D1", "Energy report"],
+        ["D2", "Wind farm notes"],
+      ]),
+    );
+  });
+
+  it("ranks whole documents by their best passage", async () => {
+    const documents = [
+      { id: "D1", title: "Energy report", text: DOCUMENT },
+      {
+        id: "D2",
+        title: "Wind farm notes",
+        text: "Wind speeds peak in March.",
+      },
+      { id: "D3", title: "Recipes", text: "Bake the bread for an hour." },
+    ];
+
+    const results = await searchByMeaning(documents, "wind", {
+      passagesPerDocument: 1,
+    });
+
+    expect(results.map(({ documentId }) => documentId).sort()).toEqual([
+      "D1",
+      "D2",
+    ]);
+    expect(results[0].passages).toHaveLength(1);
+    expect(results[0].passages[0].text).toMatch(/wind/i);
+  });
+
+  it("builds the index of a document only once", async () => {
+    const text = "A different document about solar energy.";
+
+    const first = await getDocumentIndex(text);
+    const second = await getDocumentIndex(text);
+
+    expect(second).toEqual(first);
+    expect(first.model).toBe("topics:topics-1");
+    expect(provider.embed).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,187 @@
+const { User, Document } = require("../models/models");
+const { searchDocuments } = require("../controllers/controllers");
+const {
+  parseQuery,
+  buildIndex,
+  addToIndex,
+  removeFromIndex,
+  searchIndex,
+  buildSnippet,
+  indexDocument,
+  removeIndexedDocument,
+  clearSearchIndex,
+  searchUserDocuments,
+} = require("../services/searchIndex");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+}));
+
+const DOCUMENTS = [
+  {
+    id: "D1",
+    title: "Solar energy report",
+    summary: "Rooftop panels cut household bills.",
+    originalText: "Solar panels convert sunlight into electricity.",
+  },
+  {
+    id: "D2",
+    title: "Budget memo",
+    summary: "The committee approved spending on solar panels.",
+    originalText: "The finance committee approved the quarterly budget.",
+  },
+  {
+    id: "D3",
+    title: "Garden notes",
+    summary: "Tomatoes need sunlight.",
+    originalText: "Panels of glass protect the seedlings. Solar heat helps.",
+  },
+];
+
+const search = (query, documents = DOCUMENTS) =>
+  searchIndex(buildIndex(documents), query).map(({ docId }) => docId);
+
+describe("search index", () => {
+  it("parses phrases and field filters", () => {
+    expect(parseQuery('title:Solar "net zero" note:x summary:"A-B"')).toEqual([
+      { field: "title", terms: ["solar"], phrase: false },
+      { field: null, terms: ["net", "zero"], phrase: true },
+      { field: null, terms: ["note", "x"], phrase: true },
+      { field: "summary", terms: ["a", "b"], phrase: true },
+    ]);
+  });
+
+  it("requires every term and ranks title matches first", () => {
+    expect(search("solar")).toEqual(["D1", "D2", "D3"]);
+    expect(search("solar budget")).toEqual(["D2"]);
+  });
+
+  it("matches exact phrases and restricts clauses to a field", () => {
+    // A summary match outranks a text match
+    expect(search('"solar panels"')).toEqual(["D2", "D1"]);
+    expect(search('text:"solar panels"')).toEqual(["D1"]);
+    expect(search("summary:sunlight")).toEqual(["D3"]);
+  });
+
+  it("tolerates small misspellings and accents", () => {
+    expect(search("comittee")).toEqual(["D2"]);
+    expect(search("electricité")).toEqual(["D1"]);
+    // Short terms must match exactly
+    expect(search("cat")).toEqual([]);
+  });
+
+  it("updates documents in place", () => {
+    const index = buildIndex(DOCUMENTS);
+    addToIndex(index, { ...DOCUMENTS[1], title: "Wind memo" });
+    removeFromIndex(index, "D3");
+
+    expect(searchIndex(index, "memo").map(({ docId }) => docId)).toEqual([
+      "D2",
+    ]);
+    expect(searchIndex(index, "budget wind")).toHaveLength(1);
+    expect(searchIndex(index, "tomatoes")).toEqual([]);
+    expect(index.terms.has("tomatoes")).toBe(false);
+  });
+
+  it("cuts a snippet around the matches and highlights them", () => {
+    const text = `${"Intro words. ".repeat(30)}Solar power is solar energy.`;
+
+    const snippet = buildSnippet(text, ["solar"], 60);
+
+    expect(snippet.text.startsWith("…")).toBe(true);
+    expect(
+      snippet.highlights.map(([start, end]) => snippet.text.slice(start, end)),
+    ).toEqual(["Solar", "solar"]);
+  });
+});
+
+describe("GET /search-documents", () => {
+  const createResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await clearSearchIndex("U1");
+    jest.spyOn(User, "exists").mockResolvedValue(true);
+    jest.spyOn(Document, "list").mockResolvedValue(DOCUMENTS);
+    jest
+      .spyOn(Document, "getById")
+      .mockImplementation(async (userId, id) =>
+        DOCUMENTS.find((doc) => doc.id === id),
+      );
+  });
+
+  it("builds the index once and returns highlighted results", async () => {
+    const res = createResponse();
+    await searchDocuments(
+      { params: { userId: "U1" }, query: { searchTerm: "committee" } },
+      res,
+    );
+    await searchDocuments(
+      { params: { userId: "U1" }, query: { searchTerm: "solar" } },
+      createResponse(),
+    );
+
+    expect(Document.list).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body[0]).toEqual({
+      docId: "D2",
+      title: "Budget memo",
+      snippet: "The finance committee approved the quarterly budget.",
+      score: expect.any(Number),
+      highlights: { title: [], snippet: [[12, 21]] },
+    });
+  });
+
+  it("keeps every update when documents change at the same time", async () => {
+    const searchIds = async (query) =>
+      (
+        await searchUserDocuments("U1", query, {
+          loadDocuments: async () => DOCUMENTS,
+        })
+      ).map(({ docId }) => docId);
+    await searchIds("solar");
+
+    await Promise.all([
+      indexDocument("U1", { id: "D4", title: "Wind farm", summary: "" }),
+      indexDocument("U1", { id: "D5", title: "Wind tunnel", summary: "" }),
+      removeIndexedDocument("U1", "D2"),
+    ]);
+
+    expect((await searchIds("wind")).sort()).toEqual(["D4", "D5"]);
+    expect(await searchIds("committee")).toEqual([]);
+  });
+
+  it("does not store an index missing the changes made while it was built", async () => {
+    const searchIds = async (query, loadDocuments) =>
+      (await searchUserDocuments("U2", query, { loadDocuments })).map(
+        ({ docId }) => docId,
+      );
+    const upload = { id: "D9", title: "Tidal energy", summary: "" };
+
+    // The documents are read before D9 is uploaded and D1 deleted
+    await searchIds("solar", async () => {
+      await indexDocument("U2", upload);
+      await removeIndexedDocument("U2", "D1");
+      return DOCUMENTS;
+    });
+
+    const current = async () => [...DOCUMENTS.slice(1), upload];
+    expect(await searchIds("tidal", current)).toEqual(["D9"]);
+    expect(await searchIds("solar", current)).not.toContain("D1");
+  });
+
+  it("rejects empty queries", async () => {
+    const res = createResponse();
+    await searchDocuments(
+      { params: { userId: "U1" }, query: { searchTerm: "  " } },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Document.list).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+const { User, Document } = require("../models/models");
+const { semanticSearch } = require("../controllers/controllers");
+const { setEmbeddingProvider } = require("../services/embeddings");
+
+jest.mock("../services/services", () => ({
+  firestore: { collection: jest.fn() },
+}));
+
+// Local stand-in for an embedding model: texts about the same topic get the
+// same vector, whatever words they use
+const TOPICS = {
+  money: ["budget", "spending", "finance", "costs"],
+  weather: ["rain", "storm", "forecast", "umbrella"],
+};
+const standInModel = {
+  name: "stand-in",
+  model: "topics",
+  embed: async (texts) =>
+    texts.map((text) =>
+      Object.values(TOPICS).map((words) =>
+        words.some((word) => text.toLowerCase().includes(word)) ? 1 : 0,
+      ),
+    ),
+};
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+describe("GET /semantic-search", () => {
+  beforeAll(() => {
+    setEmbeddingProvider(standInModel);
+  });
+
+  afterAll(() => {
+    setEmbeddingProvider(undefined);
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(User, "exists").mockResolvedValue(true);
+    jest.spyOn(Document, "list").mockResolvedValue([
+      {
+        id: "D1",
+        title: "Quarterly memo",
+        originalText: "The finance team approved the budget.",
+      },
+      {
+        id: "D2",
+        title: "Trip plan",
+        originalText: "Pack an umbrella, the forecast says rain.",
+      },
+      { id: "D3", title: "Empty", originalText: "" },
+    ]);
+  });
+
+  it("returns the documents closest in meaning with their passages", async () => {
+    const res = createResponse();
+    await semanticSearch(
+      {
+        params: { userId: "U1" },
+        query: { query: "How much are we spending?" },
+      },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Documents retrieved successfully",
+      results: [
+        {
+          docId: "D1",
+          title: "Quarterly memo",
+          score: 1,
+          passages: [
+            {
+              text: "The finance team approved the budget.",
+              page: 1,
+              paragraph: 1,
+              start: 0,
+              end: 37,
+              score: 1,
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("requires a query", async () => {
+    const res = createResponse();
+    await semanticSearch({ params: { userId: "U1" }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
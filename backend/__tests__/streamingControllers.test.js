@@ -0,0 +1,124 @@
+const { EventEmitter } = require("events");
+const { chatWithAI, refineSummary } = require("../controllers/controllers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  chatWithAI: jest.fn(),
+  getChatSession: jest.fn(),
+  refineSummary: jest.fn(),
+}));
+
+/**
+ * Minimal response object that records what was written to it
+ */
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.body = "";
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.set = jest.fn();
+  res.write = jest.fn((chunk) => {
+    res.body += chunk;
+  });
+  res.end = jest.fn(() => {
+    res.writableEnded = true;
+  });
+  return res;
+};
+
+const parseEvents = (body) =>
+  body
+    .trim()
+    .split("\n\n")
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return {
+        event: eventLine.replace("event: ", ""),
+        data: JSON.parse(dataLine.replace("data: ", "")),
+      };
+    });
+
+const streamed = (body) => ({
+  headers: { accept: "text/event-stream" },
+  body,
+});
+
+describe("streaming AI endpoints", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("/chat streams tokens followed by the result", async () => {
+    services.chatWithAI.mockImplementation(
+      async (sessionId, message, originalText, { onToken }) => {
+        onToken("Hello");
+        onToken(" there");
+        return { response: "Hello there", citations: [] };
+      },
+    );
+    const res = createResponse();
+
+    await chatWithAI(
+      streamed({ message: "hi", originalText: "doc", sessionId: "S1" }),
+      res,
+    );
+
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ "Content-Type": "text/event-stream" }),
+    );
+    expect(parseEvents(res.body)).toEqual([
+      { event: "token", data: { text: "Hello" } },
+      { event: "token", data: { text: " there" } },
+      {
+        event: "result",
+        data: { response: "Hello there", sessionId: "S1", citations: [] },
+      },
+    ]);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it("/chat still answers with JSON without the event-stream header", async () => {
+    services.chatWithAI.mockResolvedValue({
+      response: "Plain answer",
+      citations: [],
+    });
+    const res = createResponse();
+
+    await chatWithAI(
+      { headers: {}, body: { message: "hi", originalText: "doc" } },
+      res,
+    );
+
+    expect(res.json).toHaveBeenCalledWith({
+      response: "Plain answer",
+      sessionId: expect.any(String),
+      citations: [],
+    });
+    expect(services.chatWithAI.mock.calls[0][3]).toEqual({
+      userId: undefined,
+    });
+  });
+
+  it("/refine-summary aborts the generation when the client disconnects", async () => {
+    let signal;
+    services.refineSummary.mockImplementation(
+      async (summary, instructions, options) => {
+        signal = options.signal;
+        res.destroyed = true;
+        res.emit("close");
+        throw new Error("This operation was aborted");
+      },
+    );
+    const res = createResponse();
+
+    await refineSummary(
+      streamed({ summary: "s", refinementInstructions: "shorter" }),
+      res,
+    );
+
+    expect(signal.aborted).toBe(true);
+    // Nothing is written to the closed connection
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  chunkText,
+  estimateTokens,
+  isHeading,
+} = require("../services/textChunker");
+
+describe("textChunker", () => {
+  it("estimates roughly four characters per token", () => {
+    expect(estimateTokens("")).toBe(0);
+    expect(estimateTokens("abcd")).toBe(1);
+    expect(estimateTokens("abcde")).toBe(2);
+  });
+
+  it("recognizes common heading styles", () => {
+    expect(isHeading("## Results")).toBe(true);
+    expect(isHeading("Chapter 3")).toBe(true);
+    expect(isHeading("2.1 Related Work")).toBe(true);
+    expect(isHeading("INTRODUCTION")).toBe(true);
+    expect(isHeading("This is an ordinary sentence.")).toBe(false);
+  });
+
+  it("keeps a short document in a single chunk", () => {
+    const chunks = chunkText("Hello world.\n\nSecond paragraph.");
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toEqual(
+      expect.objectContaining({
+        index: 0,
+        text: "Hello world.\n\nSecond paragraph.",
+        start: 0,
+        pageStart: 1,
+        pageEnd: 1,
+        heading: null,
+      }),
+    );
+  });
+
+  it("splits on headings and tracks pages and offsets", () => {
+    const intro = "Intro sentence. ".repeat(12).trim();
+    const methods = "Method sentence. ".repeat(12).trim();
+    const text = `# Intro\n${intro}\f## Methods\n${methods}`;
+
+    const chunks = chunkText(text, { maxTokens: 60 });
+
+    expect(chunks.map((chunk) => chunk.heading)).toEqual([
+      "# Intro",
+      "## Methods",
+    ]);
+    expect(chunks[1]).toEqual(
+      expect.objectContaining({ pageStart: 2, pageEnd: 2 }),
+    );
+    for (const chunk of chunks) {
+      expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      expect(chunk.tokens).toBeLessThanOrEqual(60);
+    }
+  });
+
+  it("splits oversized paragraphs within the token budget", () => {
+    const text = "A fairly long sentence goes here. ".repeat(100);
+
+    const chunks = chunkText(text, { maxTokens: 50 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.tokens).toBeLessThanOrEqual(50);
+    }
+    expect(chunks.map((chunk) => chunk.text).join(" ")).toBe(text.trim());
+  });
+});
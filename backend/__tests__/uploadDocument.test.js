@@ -1,11 +1,27 @@
 const { uploadDocument } = require("../controllers/controllers");
-const { firestore, generateSummary } = require("../services/services");
+const {
+  firestore,
+  generateSummary,
+  generateKeyIdeas,
+  suggestTags,
+  detectDocumentFormat,
+  extractDocumentText,
+} = require("../services/services");
 const firebaseAdmin = require("firebase-admin");
 const { sendSuccessResponse, sendErrorResponse } = require("../views/views");
 
 jest.mock("../services/services", () => ({
-  firestore: { collection: jest.fn() },
+  firestore: {
+    collection: jest.fn(),
+    runTransaction: jest.fn((run) =>
+      run({ get: (query) => query.get(), set: (ref, data) => ref.set(data) }),
+    ),
+  },
   generateSummary: jest.fn(),
+  generateKeyIdeas: jest.fn(),
+  suggestTags: jest.fn(),
+  detectDocumentFormat: jest.fn(),
+  extractDocumentText: jest.fn(),
 }));
 jest.mock("firebase-admin", () => ({
   firestore: { FieldValue: { arrayUnion: (x) => x } },
@@ -13,17 +29,32 @@ jest.mock("firebase-admin", () => ({
 jest.mock("../views/views", () => ({
   sendSuccessResponse: jest.fn(),
   sendErrorResponse: jest.fn(),
+  acceptsEventStream: jest.fn(() => false),
+  openEventStream: jest.fn(),
+  prefersAsync: jest.fn(() => false),
 }));
 
 describe("uploadDocument", () => {
-  let req, res, fakeUserRef, fakeDocSnapshot;
+  let req, res, fakeUserRef, fakeDocRef, fakeVersionRef, fakeDocSnapshot;
 
   beforeEach(() => {
     sendSuccessResponse.mockClear();
     sendErrorResponse.mockClear();
+    fakeVersionRef = { set: jest.fn() };
+    fakeDocRef = {
+      set: jest.fn(),
+      collection: jest.fn(() => ({
+        orderBy: () => ({
+          limit: () => ({ get: async () => ({ empty: true, docs: [] }) }),
+        }),
+        doc: jest.fn(() => fakeVersionRef),
+      })),
+    };
     fakeUserRef = {
+      id: "GENERATED_ID",
       get: jest.fn(),
       update: jest.fn(),
+      collection: jest.fn(() => ({ doc: jest.fn(() => fakeDocRef) })),
     };
     fakeDocSnapshot = { exists: true };
     firestore.collection.mockReturnValue({
@@ -42,7 +73,7 @@ describe("uploadDocument", () => {
     );
   });
 
-  it("succeeds and updates Firestore when userId provided", async () => {
+  it("succeeds and saves the document in the user's documents subcollection", async () => {
     req = {
       body: {
         userId: ["UID1"],
@@ -55,21 +86,47 @@ describe("uploadDocument", () => {
       originalText: "long text",
       summary: "short",
     });
+    generateKeyIdeas.mockResolvedValue("- Idea");
+    suggestTags.mockResolvedValue(["idea"]);
     fakeUserRef.get.mockResolvedValue({ exists: true });
-    fakeUserRef.update.mockResolvedValue();
+    fakeDocRef.set.mockResolvedValue();
 
     await uploadDocument(req, res);
 
     expect(generateSummary).toHaveBeenCalledWith("long text");
+    expect(suggestTags).toHaveBeenCalledWith("- Idea");
     expect(fakeUserRef.get).toHaveBeenCalled();
-    expect(fakeUserRef.update).toHaveBeenCalledWith({
-      documents: expect.any(Object),
+    expect(fakeUserRef.collection).toHaveBeenCalledWith("documents");
+    expect(fakeDocRef.set).toHaveBeenCalledWith({
+      title: "T",
+      originalText: "long text",
+      summary: "short",
+      tags: [],
+      folderId: null,
+      suggestedTags: ["idea"],
+      insights: {
+        keyIdeas: {
+          content: "- Idea",
+          options: {},
+          generatedAt: expect.any(Date),
+        },
+      },
+      createdAt: expect.any(Date),
     });
+    expect(fakeVersionRef.set).toHaveBeenCalledWith(
+      expect.objectContaining({ number: 1, reason: "created", title: "T" }),
+    );
+    expect(fakeUserRef.update).not.toHaveBeenCalled();
     expect(sendSuccessResponse).toHaveBeenCalledWith(
       res,
       200,
       "Document summarized",
-      { summary: "short", originalText: "long text" },
+      {
+        summary: "short",
+        originalText: "long text",
+        documentId: "GENERATED_ID",
+        suggestedTags: ["idea"],
+      },
     );
   });
 
@@ -83,4 +140,65 @@ describe("uploadDocument", () => {
 
     expect(sendErrorResponse).toHaveBeenCalledWith(res, 404, "User not found");
   });
+
+  it("extracts the text of an uploaded file and titles it by file name", async () => {
+    req = {
+      body: {},
+      file: {
+        buffer: Buffer.from("%PDF"),
+        originalname: "Quarterly Report.pdf",
+      },
+    };
+    res = {};
+    detectDocumentFormat.mockReturnValue("pdf");
+    extractDocumentText.mockResolvedValue({ text: "pdf text", format: "pdf" });
+    generateSummary.mockResolvedValue({
+      originalText: "pdf text",
+      summary: "sum",
+    });
+
+    await uploadDocument(req, res);
+
+    expect(extractDocumentText).toHaveBeenCalledWith(req.file);
+    expect(generateSummary).toHaveBeenCalledWith("pdf text");
+    expect(sendSuccessResponse).toHaveBeenCalledWith(
+      res,
+      200,
+      "Document summarized",
+      { summary: "sum", originalText: "pdf text" },
+    );
+  });
+
+  it("responds 415 for unsupported file types", async () => {
+    req = {
+      body: {},
+      file: { buffer: Buffer.from("MZ"), originalname: "a.exe" },
+    };
+    res = {};
+    detectDocumentFormat.mockReturnValue(null);
+
+    await uploadDocument(req, res);
+
+    expect(sendErrorResponse).toHaveBeenCalledWith(
+      res,
+      415,
+      "Unsupported file type",
+      expect.any(String),
+    );
+  });
+
+  it("responds 422 when no text can be extracted", async () => {
+    req = { body: { title: "Scan" }, file: { buffer: Buffer.from("%PDF") } };
+    res = {};
+    detectDocumentFormat.mockReturnValue("pdf");
+    extractDocumentText.mockResolvedValue({ text: "  ", format: "pdf" });
+
+    await uploadDocument(req, res);
+
+    expect(sendErrorResponse).toHaveBeenCalledWith(
+      res,
+      422,
+      "No text could be extracted from the document",
+    );
+  });
 });
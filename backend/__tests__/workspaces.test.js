@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+const { User, Share, Workspace } = require("../models/models");
+const {
+  createWorkspace,
+  inviteToWorkspace,
+  acceptWorkspaceInvitation,
+  removeWorkspaceMember,
+  summaryInLanguage,
+} = require("../controllers/controllers");
+const services = require("../services/services");
+
+jest.mock("../services/services", () => ({
+  firestore: {
+    collection: jest.fn(),
+    batch: jest.fn(),
+    runTransaction: jest.fn(),
+  },
+  generateSummaryInLanguage: jest.fn(),
+  sendWorkspaceInvitation: jest.fn(),
+}));
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  send: jest.fn().mockReturnThis(),
+});
+
+describe("team workspaces", () => {
+  let roles;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    roles = { U1: "owner", U2: "admin", U3: "member" };
+    jest
+      .spyOn(Workspace, "getRole")
+      .mockImplementation(async (workspaceId, userId) => roles[userId] || null);
+    jest
+      .spyOn(Workspace, "getById")
+      .mockResolvedValue({ id: "W1", name: "Team", settings: {} });
+  });
+
+  it("creates a workspace and validates its name and settings", async () => {
+    jest.restoreAllMocks();
+    jest.spyOn(User, "getById").mockResolvedValue({ email: "a@example.com" });
+    const batch = { set: jest.fn(), commit: jest.fn() };
+    services.firestore.batch.mockReturnValue(batch);
+    services.firestore.collection.mockReturnValue({
+      doc: () => ({
+        id: "W1",
+        get: jest.fn().mockResolvedValue({
+          id: "W1",
+          data: () => batch.set.mock.calls[0][1],
+        }),
+      }),
+    });
+    const params = { userId: "U1" };
+
+    let res = createResponse();
+    await createWorkspace(
+      {
+        params,
+        body: { name: " Team ", settings: { defaultLanguage: " French " } },
+      },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].workspace).toMatchObject({
+      id: "W1",
+      name: "Team",
+      role: "owner",
+      settings: { defaultLanguage: "French", defaultStyle: null },
+    });
+    expect(batch.set).toHaveBeenCalledWith(expect.anything(), {
+      workspaceId: "W1",
+      userId: "U1",
+      email: "a@example.com",
+      role: "owner",
+      joinedAt: expect.any(Date),
+    });
+
+    res = createResponse();
+    await createWorkspace(
+      { params, body: { name: "Team", settings: { theme: "dark" } } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = createResponse();
+    await createWorkspace({ params, body: { name: "  " } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("lets admins invite members and only the owner invite admins", async () => {
+    jest
+      .spyOn(Workspace, "listMembers")
+      .mockResolvedValue([{ userId: "U3", email: "member@example.com" }]);
+    jest
+      .spyOn(Workspace, "invite")
+      .mockImplementation(async (workspaceId, invitation) => ({
+        invitation: { ...invitation, workspaceName: "Team" },
+        token: "T0KEN",
+      }));
+    const invite = async (userId, body) => {
+      const res = createResponse();
+      await inviteToWorkspace(
+        { params: { userId, workspaceId: "W1" }, body },
+        res,
+      );
+      return res.status.mock.calls[0][0];
+    };
+
+    expect(
+      await invite("U2", { email: "new@example.com", role: "admin" }),
+    ).toBe(403);
+    expect(await invite("U3", { email: "new@example.com" })).toBe(403);
+    expect(await invite("U4", { email: "new@example.com" })).toBe(404);
+    expect(await invite("U2", { email: "Member@example.com" })).toBe(409);
+    expect(await invite("U2", { email: "new@example.com" })).toBe(201);
+    expect(
+      await invite("U1", { email: "new@example.com", role: "admin" }),
+    ).toBe(201);
+    expect(Workspace.invite).toHaveBeenLastCalledWith("W1", {
+      email: "new@example.com",
+      role: "admin",
+      invitedBy: "U1",
+    });
+    expect(services.sendWorkspaceInvitation).toHaveBeenLastCalledWith(
+      "new@example.com",
+      { workspaceName: "Team", role: "admin", token: "T0KEN" },
+    );
+  });
+
+  it("only accepts an invitation with the code emailed with it", async () => {
+    const invitationRef = { id: "W1_new@example.com" };
+    const invitation = {
+      ref: invitationRef,
+      data: () => ({ email: "new@example.com", role: "admin" }),
+    };
+    const filters = {};
+    const query = {
+      where: jest.fn((field, op, value) => {
+        filters[field] = value;
+        return query;
+      }),
+      limit: () => query,
+    };
+    const transaction = {
+      get: jest.fn(async () => ({
+        docs: filters.tokenHash === hash("T0KEN") ? [invitation] : [],
+      })),
+      set: jest.fn(),
+      delete: jest.fn(),
+    };
+    const memberRef = {
+      get: async () => ({ data: () => transaction.set.mock.calls[0][1] }),
+    };
+    services.firestore.collection.mockReturnValue({
+      where: query.where,
+      doc: () => memberRef,
+    });
+    services.firestore.runTransaction.mockImplementation((update) =>
+      update(transaction),
+    );
+    const accept = async (body) => {
+      const res = createResponse();
+      await acceptWorkspaceInvitation(
+        { params: { userId: "U9", workspaceId: "W1" }, body },
+        res,
+      );
+      return res;
+    };
+
+    expect((await accept({})).status).toHaveBeenCalledWith(400);
+    expect((await accept({ token: "guess" })).status).toHaveBeenCalledWith(404);
+    expect(transaction.set).not.toHaveBeenCalled();
+
+    const res = await accept({ token: "T0KEN" });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].member).toMatchObject({
+      userId: "U9",
+      email: "new@example.com",
+      role: "admin",
+    });
+    expect(filters.workspaceId).toBe("W1");
+    expect(transaction.delete).toHaveBeenCalledWith(invitationRef);
+  });
+
+  it("lets members leave and admins remove members but not admins", async () => {
+    roles.U5 = "admin";
+    jest.spyOn(Workspace, "removeMember").mockResolvedValue();
+    const remove = async (userId, memberId) => {
+      const res = createResponse();
+      await removeWorkspaceMember(
+        { params: { userId, workspaceId: "W1", memberId } },
+        res,
+      );
+      return res.status.mock.calls[0][0];
+    };
+
+    expect(await remove("U2", "U5")).toBe(403);
+    expect(await remove("U3", "U2")).toBe(403);
+    expect(await remove("U1", "U1")).toBe(400);
+    expect(await remove("U2", "U9")).toBe(404);
+    expect(await remove("U3", "U3")).toBe(200);
+    expect(await remove("U2", "U3")).toBe(200);
+    expect(await remove("U1", "U5")).toBe(200);
+    expect(Workspace.removeMember).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives members the editor role on the documents in the library", async () => {
+    Workspace.getRole.mockRestore();
+    const data = {
+      workspaceDocuments: { OWNER_D1: { workspaceId: "W1" } },
+      workspaceMembers: { W1_U3: { role: "member" } },
+    };
+    services.firestore.collection.mockImplementation((name) => ({
+      doc: (id) => ({
+        get: jest
+          .fn()
+          .mockResolvedValue(
+            data[name]?.[id]
+              ? { exists: true, data: () => data[name][id] }
+              : { exists: false },
+          ),
+      }),
+    }));
+
+    expect(await Share.getRole("OWNER", "D1", "U3")).toBe("editor");
+    expect(await Share.getRole("OWNER", "D1", "U4")).toBeNull();
+    expect(await Share.getRole("OWNER", "D2", "U3")).toBeNull();
+  });
+
+  it("uses the workspace language when a request leaves it out", async () => {
+    jest.spyOn(User, "getById").mockResolvedValue({ activeWorkspaceId: "W1" });
+    Workspace.getById.mockResolvedValue({
+      id: "W1",
+      settings: { defaultLanguage: "French", defaultStyle: null },
+    });
+    services.generateSummaryInLanguage.mockResolvedValue("Résumé");
+
+    let res = createResponse();
+    await summaryInLanguage(
+      { body: { userId: "U3", documentText: "Text" }, headers: {} },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(services.generateSummaryInLanguage).toHaveBeenCalledWith(
+      "Text",
+      "French",
+      undefined,
+    );
+
+    res = createResponse();
+    await summaryInLanguage(
+      { body: { userId: "U4", documentText: "Text" }, headers: {} },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -1,136 +1,5641 @@
-import React, { useState, useEffect } from "react";
-import { Box, Button, Typography, CircularProgress, TextField, Snackbar, Alert, Dialog, DialogTitle, DialogContent, List, ListItem, ListItemButton, ListItemText } from "@mui/material";
-import { useDropzone } from "react-dropzone";
-import axios from "axios";
-import { GoogleLogin } from "@react-oauth/google";
-import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
-import mammoth from "mammoth";
-
-pdfjsLib.GlobalWorkerOptions.workerSrc = `${process.env.PUBLIC_URL}/pdf.worker.min.mjs`;
-
-const UnifiedUploadModal = ({ setSummary, setOriginalText, setDocumentFile, theme }) => {
-  const [file, setFile] = useState(null);
-  const [title, setTitle] = useState("");
-  const [loading, setLoading] = useState(false);
-  const [progressMessage, setProgressMessage] = useState("");
-  const [googleCredential, setGoogleCredential] = useState(null);
-  const [driveOpen, setDriveOpen] = useState(false);
-  const [driveFiles, setDriveFiles] = useState([]);
-  const [errorMessage, setErrorMessage] = useState("");
-  const [snackbarOpen, setSnackbarOpen] = useState(false);
-
-  // Dropzone
-  const onDrop = (acceptedFiles) => {
-    const f = acceptedFiles[0];
-    setFile(f);
-    setTitle(f.name);
-    setDocumentFile(f);
-  };
-  const { getRootProps, getInputProps } = useDropzone({
-    onDrop,
-    accept: {
-      "application/pdf": [],
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [],
+const {
+  loginUser,
+  generateSummary,
+  generateKeyIdeas,
+  generateDiscussionPoints,
+  chatWithAI,
+  listChatSessions,
+  getChatSession,
+  clearSessionHistory,
+  verifyUserEmail,
+  requestPasswordReset,
+  resetPassword,
+  sendWorkspaceInvitation,
+  analyzeSentiment,
+  generateActionableRecommendations,
+  generateBulletSummary,
+  generateSummaryInLanguage,
+  rewriteContent,
+  processAudio,
+  refineSummary,
+  detectDocumentFormat,
+  extractDocumentText,
+  suggestTags,
+} = require("../services/services");
+const {
+  User,
+  Document,
+  Folder,
+  Share,
+  Comment,
+  Workspace,
+  SHARE_ROLES,
+  hasRole,
+  hasWorkspaceRole,
+  toSharedDocument,
+  UNFILED,
+  MAX_FOLDER_NAME_LENGTH,
+  MAX_WORKSPACE_NAME_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  credentialsError,
+} = require("../models/models");
+const { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags } = require("../services/tags");
+const { diffWords } = require("../services/textDiff");
+const {
+  jobsEnabled,
+  enqueueJob,
+  getJob,
+  watchJob,
+  toPublicJob,
+  isFinished,
+  isValidWebhookUrl,
+} = require("../services/jobQueue");
+const {
+  EXPORT_FORMATS,
+  buildReport,
+  renderReport,
+} = require("../services/exportReport");
+const {
+  sendErrorResponse,
+  sendSuccessResponse,
+  acceptsEventStream,
+  openEventStream,
+  prefersAsync,
+  sendJobAccepted,
+} = require("../views/views");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+} = require("../middleware/jwt");
+const { IncomingForm } = require("formidable");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const firebaseAdmin = require("firebase-admin");
+
+/**
+ * Save an AI result against the document named in the request body
+ * ({ userId, documentId }) so it can be shown again without regenerating it.
+ * Requests without a documentId are not saved, and a failed save does not
+ * fail the request.
+ * @param req - Request object
+ * @param type - Insight type, e.g. "keyIdeas"
+ * @param content - Generated content
+ * @param options - Options the content was generated with
+ * @returns {Promise<object|null>} - The saved insight, or null
+ */
+const saveInsight = async (req, type, content, options) => {
+  const { userId, documentId } = req.body;
+  const actualUserId = Array.isArray(userId) ? userId[0] : userId;
+  if (!actualUserId || !documentId) return null;
+
+  try {
+    return await Document.saveInsight(
+      actualUserId,
+      documentId,
+      type,
+      content,
+      options,
+    );
+  } catch (error) {
+    console.error(`Failed to save ${type} for ${documentId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Open a Server-Sent Events stream for an AI endpoint when the client asked
+ * for one. `options` are passed to the service so the generated text is sent
+ * as `token` events ({ text }) while it is written; `result` ends the stream
+ * with the body the endpoint would otherwise return as JSON. The generation
+ * is cancelled when the client disconnects.
+ * @param req - Request object
+ * @param res - Response object
+ * @returns {object|null} - Event stream with { options, result }, or null for a JSON response
+ */
+const openTokenStream = (req, res) => {
+  if (!acceptsEventStream(req)) return null;
+
+  const stream = openEventStream(res);
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    ...stream,
+    options: {
+      onToken: (text) => stream.send("token", { text }),
+      signal: controller.signal,
     },
+    result(body) {
+      stream.send("result", body);
+      stream.close();
+    },
+  };
+};
+
+/**
+ * Generate the key ideas of a document and tags suggested from them. A
+ * failure is logged and leaves the document without suggestions.
+ * @param text - Document text
+ * @returns {Promise<{keyIdeas: string|null, suggestedTags: string[]}>} - Key ideas and suggested tags
+ */
+const suggestDocumentTags = async (text) => {
+  try {
+    const keyIdeas = await generateKeyIdeas(text);
+    return { keyIdeas, suggestedTags: await suggestTags(keyIdeas) };
+  } catch (error) {
+    console.error("Failed to suggest tags:", error.message);
+    return { keyIdeas: null, suggestedTags: [] };
+  }
+};
+
+/**
+ * Summarize a document and, when a user is given, save it to their documents
+ * together with the key ideas and tags suggested for it
+ * @param title - Document title
+ * @param text - Document text
+ * @param userId - Optional owner of the document
+ * @param tags - Optional (normalized) tags of the saved document
+ * @param folderId - Optional folder of the saved document
+ * @param options - Options passed to generateSummary (onProgress, onToken, signal)
+ * @returns {Promise<{summary: string, originalText: string, documentId?: string, suggestedTags?: string[]}>} - Summary, the original text, and the saved document's ID and suggested tags
+ */
+const summarizeDocument = async (
+  { title, text, userId, tags = [], folderId = null },
+  options,
+) => {
+  const result = options
+    ? await generateSummary(text, options)
+    : await generateSummary(text);
+  if (!userId) {
+    return { summary: result.summary, originalText: result.originalText };
+  }
+
+  options?.onProgress?.({ stage: "tags", completed: 0, total: 1 });
+  const { keyIdeas, suggestedTags } = await suggestDocumentTags(
+    result.originalText,
+  );
+  const documentId = await Document.add(userId, {
+    id: Document.generateId(),
+    title: title,
+    originalText: result.originalText,
+    summary: result.summary,
+    tags,
+    folderId,
+    suggestedTags,
+    ...(keyIdeas
+      ? {
+          insights: {
+            keyIdeas: {
+              content: keyIdeas,
+              options: {},
+              generatedAt: new Date(),
+            },
+          },
+        }
+      : {}),
   });
 
-  // Text extraction
-  const extractText = async (file) => {
-    if (file.type === "application/pdf") {
-      const pdf = await pdfjsLib.getDocument(await file.arrayBuffer()).promise;
-      let text = "";
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        text += content.items.map((i) => i.str).join(" ") + "\n";
-      }
-      return text;
-    } else if (file.type === "application/vnd.openxmlformats-officedocument.wordprocessingml.document") {
-      return (await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() })).value;
-    }
-    return "";
+  return {
+    summary: result.summary,
+    originalText: result.originalText,
+    documentId,
+    suggestedTags,
   };
+};
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Load a document for a user who owns it or it is shared with. Documents
+ * the user cannot see are reported as not found.
+ * @param ownerId - Owner of the document
+ * @param docId - Document ID
+ * @param userId - User asking for the document
+ * @param required - Least role needed, e.g. "commenter"
+ * @returns {Promise<{document?: object, role?: string, error?: [number, string]}>} - The document and the user's role, or the status and message to respond with
+ */
+const loadSharedDocument = async (ownerId, docId, userId, required) => {
+  const role = await Share.getRole(ownerId, docId, userId);
+  const document = role && (await Document.getById(ownerId, docId));
+  if (!document) {
+    return { error: [404, "Document not found"] };
+  }
+  if (!hasRole(role, required)) {
+    return {
+      error: [403, `This action needs the ${required} role on the document`],
+    };
+  }
+  return { document, role };
+};
+
+/**
+ * Load a workspace for one of its members. Workspaces the user is not a
+ * member of are reported as not found.
+ * @param workspaceId - Workspace ID
+ * @param userId - User asking for the workspace
+ * @param required - Least role needed, e.g. "admin"
+ * @returns {Promise<{workspace?: object, role?: string, error?: [number, string]}>} - The workspace with the user's role, or the status and message to respond with
+ */
+const loadWorkspace = async (workspaceId, userId, required) => {
+  const role = await Workspace.getRole(workspaceId, userId);
+  const workspace = role && (await Workspace.getById(workspaceId));
+  if (!workspace) {
+    return { error: [404, "Workspace not found"] };
+  }
+  if (!hasWorkspaceRole(role, required)) {
+    return {
+      error: [403, `This action needs the ${required} role in the workspace`],
+    };
+  }
+  return { workspace: { ...workspace, role }, role };
+};
+
+/**
+ * Get a setting of the workspace the requesting user works in, used when a
+ * request leaves the option out. Failures are logged and treated as unset.
+ * @param req - Request with the userId in its body
+ * @param setting - One of WORKSPACE_SETTINGS
+ * @returns {Promise<string|null>} - The setting, or null
+ */
+const workspaceDefault = async (req, setting) => {
+  const { userId } = req.body;
+  const actualUserId = Array.isArray(userId) ? userId[0] : userId;
+  if (!actualUserId) return null;
+
+  try {
+    return await Workspace.getActiveSetting(actualUserId, setting);
+  } catch (error) {
+    console.error(`Failed to load workspace ${setting}:`, error.message);
+    return null;
+  }
+};
+
+const FOLDER_NAME_ERROR = `name must be a non-empty string of up to ${MAX_FOLDER_NAME_LENGTH} characters`;
+const WORKSPACE_NAME_ERROR = `name must be a non-empty string of up to ${MAX_WORKSPACE_NAME_LENGTH} characters`;
+
+/**
+ * Trim a folder name from a request
+ * @param name - Name as sent
+ * @returns {string|null} - The trimmed name, or null if it is not a valid name
+ */
+const readFolderName = (name) => {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_FOLDER_NAME_LENGTH ? trimmed : null;
+};
+
+/**
+ * Read the optional tags and folderId of an upload and check them
+ * @param body - Request body; multipart uploads may send tags as a comma-separated string
+ * @param userId - Owner of the document
+ * @returns {Promise<{tags?: string[], folderId?: string|null, error?: [number, string]}>} - Normalized values, or the status and message to respond with
+ */
+const readUploadOrganization = async (body, userId) => {
+  const { folderId = null } = body;
+  const tags = normalizeTags(
+    typeof body.tags === "string" ? body.tags.split(",") : (body.tags ?? []),
+  );
+  if (!tags) {
+    return {
+      error: [
+        400,
+        `tags must be a list of at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`,
+      ],
+    };
+  }
+  if (folderId && !(userId && (await Folder.getById(userId, folderId)))) {
+    return { error: [404, "Folder not found"] };
+  }
+  return { tags, folderId };
+};
+
+/**
+ * @swagger
+ * /register:
+ *   post:
+ *     summary: Register a new user
+ *     description: Create a new user in Firebase Authentication and Firestore.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "user@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *     responses:
+ *       201:
+ *         description: User registered successfully
+ *       400:
+ *         description: Invalid email or password (at least 6 characters), or the registration failed
+ */
+exports.registerUser = async (req, res) => {
+  const { email, password } = req.body;
+  const invalid = credentialsError(email, password);
+  if (invalid) {
+    return sendErrorResponse(res, 400, invalid);
+  }
+
+  try {
+    const userId = await User.register(email, password);
+
+    console.log("Firestore user document created successfully");
+    sendSuccessResponse(res, 201, "User registered successfully", { userId });
+  } catch (error) {
+    console.error("Error during user registration:", error.message);
+    sendErrorResponse(res, 400, "User registration failed", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /login:
+ *   post:
+ *     summary: Login a user
+ *     description: >
+ *       Authenticate a user and generate a custom token for the user, together with a
+ *       short-lived JWT access token (send it as `Authorization: Bearer <token>` to
+ *       user-scoped routes) and a refresh token for POST /refresh-token.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "user@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *     responses:
+ *       200:
+ *         description: Custom token generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customToken:
+ *                   type: string
+ *                 userId:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "1h"
+ *       400:
+ *         description: Email and password are required
+ *       401:
+ *         description: Invalid credentials
+ */
+exports.loginUser = async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    return sendErrorResponse(res, 400, "Email and password are required");
+  }
+
+  try {
+    const customToken = await loginUser(email, password);
+    const user = await firebaseAdmin.auth().getUserByEmail(email); // Fetch user details
+    const tokens = await issueTokens(user.uid);
+
+    sendSuccessResponse(res, 200, "Custom token generated", {
+      customToken,
+      userId: user.uid, // Send back userId
+      ...tokens,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 401, "Invalid credentials", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /refresh-token:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: >
+ *       Exchange a refresh token for a new access token and refresh token. Each refresh
+ *       token can only be used once; the old one is revoked.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return sendErrorResponse(res, 400, "Refresh token is required");
+  }
+
+  try {
+    const tokens = await rotateRefreshToken(refreshToken);
+    sendSuccessResponse(res, 200, "Tokens refreshed", tokens);
+  } catch (error) {
+    sendErrorResponse(res, 401, "Invalid refresh token", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke the given refresh token so it can no longer be used.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+exports.logoutUser = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    if (refreshToken) await revokeRefreshToken(refreshToken);
+    sendSuccessResponse(res, 200, "Logged out");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to log out", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /upload:
+ *   post:
+ *     summary: Generate a summary for a document
+ *     description: >
+ *       Accepts the text content of a document, or the document file itself as
+ *       multipart/form-data (PDF, DOCX, TXT, Markdown, HTML or RTF; the text is extracted
+ *       on the server), and generates a summary. Long documents
+ *       are summarized chunk by chunk and the partial summaries merged. Saved
+ *       documents also get their key ideas and AI-suggested tags (`suggestedTags`)
+ *       generated from them; the suggestions are not applied until the user
+ *       accepts them through PUT /documents/{userId}/{docId}/tags. Send
+ *       `Accept: text/event-stream` to receive `progress` events ({ stage, completed, total })
+ *       and `token` events ({ text }) with the summary as it is written,
+ *       followed by a final `result` (or `error`) event instead of a single JSON response.
+ *       Send `Prefer: respond-async` to summarize in a background job instead: the
+ *       response is 202 with a jobId, and GET /jobs/{jobId} reports its progress
+ *       and returns this endpoint's JSON body as the job result. Servers that do
+ *       not run background jobs (serverless deployments) ignore the header.
+ *     tags:
+ *       - Documents
+ *     parameters:
+ *       - in: header
+ *         name: Prefer
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: respond-async
+ *         description: Set to respond-async to run the work as a background job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *                 description: Optional. When provided, the document is saved for this user.
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional tags of the saved document.
+ *               folderId:
+ *                 type: string
+ *                 description: Optional folder of the saved document.
+ *               webhookUrl:
+ *                 type: string
+ *                 description: Optional. With Prefer respond-async, the finished job is POSTed to this URL.
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The document to summarize (PDF, DOCX, TXT, MD, HTML or RTF).
+ *               title:
+ *                 type: string
+ *                 description: Optional. Defaults to the file name without its extension.
+ *               userId:
+ *                 type: string
+ *                 description: Optional. When provided, the document is saved for this user.
+ *               tags:
+ *                 type: string
+ *                 description: Optional comma-separated tags of the saved document.
+ *               folderId:
+ *                 type: string
+ *                 description: Optional folder of the saved document.
+ *               webhookUrl:
+ *                 type: string
+ *                 description: Optional. With Prefer respond-async, the finished job is POSTed to this URL.
+ *     responses:
+ *       200:
+ *         description: Document summarized successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: string
+ *                 originalText:
+ *                   type: string
+ *                 documentId:
+ *                   type: string
+ *                   description: ID of the saved document, when a userId was provided.
+ *                 suggestedTags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Tags the AI suggests from the document's key ideas, when a userId was provided.
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: progress\ndata: {\"stage\":\"map\",\"completed\":1,\"total\":4}\n\n"
+ *       202:
+ *         $ref: '#/components/responses/JobAccepted'
+ *       400:
+ *         description: Missing text or title, invalid tags or invalid webhookUrl
+ *       404:
+ *         description: User or folder not found
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: No text could be extracted from the uploaded file
+ *       500:
+ *         description: Failed to generate summary
+ */
+exports.uploadDocument = async (req, res) => {
+  // Expecting JSON payload with title and text properties, or a multipart file
+  const { userId } = req.body;
+  let { title, text } = req.body;
+
+  if (req.file) {
+    if (!detectDocumentFormat(req.file)) {
+      return sendErrorResponse(
+        res,
+        415,
+        "Unsupported file type",
+        "Supported formats: PDF, DOCX, TXT, Markdown, HTML, RTF",
+      );
+    }
 
-  // Upload to backend
-  const handleUpload = async () => {
-    if (!file || !title) return setErrorMessage("Select file & title"), setSnackbarOpen(true);
     try {
-      setLoading(true); setProgressMessage("Extracting text...");
-      const text = await extractText(file);
-      setProgressMessage("Summarizing...");
-      const payload = { title, text, userId: localStorage.getItem("userId") };
-      const res = await axios.post("https://docuthinker-app-backend-api.vercel.app/upload", payload);
-      setSummary(res.data.summary); setOriginalText(res.data.originalText); localStorage.setItem("originalText", res.data.originalText);
-      setLoading(false);
-    } catch (e) {
-      setErrorMessage("Upload failed: " + (e.response?.data?.error || e.message));
-      setSnackbarOpen(true); setLoading(false);
+      ({ text } = await extractDocumentText(req.file));
+    } catch (error) {
+      return sendErrorResponse(
+        res,
+        422,
+        "Failed to extract text from document",
+        error.message,
+      );
     }
-  };
+    if (!text || !text.trim()) {
+      return sendErrorResponse(
+        res,
+        422,
+        "No text could be extracted from the document",
+      );
+    }
+
+    title = title || path.parse(req.file.originalname || "").name || "Untitled";
+  }
 
-  // Fetch Google Drive files
-  useEffect(() => {
-    if (!driveOpen || !googleCredential) return;
-    const fetchFiles = async () => {
+  if (!text || !title) {
+    return sendErrorResponse(res, 400, "Missing title or text in request body");
+  }
+
+  const { webhookUrl } = req.body;
+  if (webhookUrl && !(await isValidWebhookUrl(webhookUrl))) {
+    return sendErrorResponse(
+      res,
+      400,
+      "webhookUrl must be a public http(s) URL",
+    );
+  }
+
+  // Clients that prefer respond-async get a job to follow instead of waiting,
+  // when this server runs jobs; others are answered once the work is done
+  if (prefersAsync(req) && jobsEnabled()) {
+    try {
+      const actualUserId = Array.isArray(userId) ? userId[0] : userId;
+      if (actualUserId && !(await User.exists(actualUserId))) {
+        return sendErrorResponse(res, 404, "User not found");
+      }
+      const organization = await readUploadOrganization(req.body, actualUserId);
+      if (organization.error) {
+        return sendErrorResponse(res, ...organization.error);
+      }
+
+      const job = await enqueueJob(
+        "upload",
+        ({ reportProgress }) =>
+          summarizeDocument(
+            { title, text, userId: actualUserId, ...organization },
+            { onProgress: reportProgress },
+          ),
+        { userId: actualUserId || null, webhookUrl: webhookUrl || null },
+      );
+      return sendJobAccepted(res, job);
+    } catch (error) {
+      return sendErrorResponse(
+        res,
+        500,
+        "Failed to queue document",
+        error.message,
+      );
+    }
+  }
+
+  // Clients that accept text/event-stream get progress events while long
+  // documents are summarized chunk by chunk, then the summary as it is written
+  const stream = openTokenStream(req, res);
+  const sendSuccess = (statusCode, ...args) =>
+    stream
+      ? stream.success(...args)
+      : sendSuccessResponse(res, statusCode, ...args);
+  const sendError = (...args) =>
+    stream ? stream.error(...args) : sendErrorResponse(res, ...args);
+
+  try {
+    // Check the user before spending any model calls on the summary
+    const actualUserId = Array.isArray(userId) ? userId[0] : userId;
+    if (actualUserId && !(await User.exists(actualUserId))) {
+      return sendError(404, "User not found");
+    }
+    const organization = await readUploadOrganization(req.body, actualUserId);
+    if (organization.error) return sendError(...organization.error);
+
+    // Generate the summary and save the document if a userId is provided
+    const result = await summarizeDocument(
+      { title, text, userId: actualUserId, ...organization },
+      stream && {
+        onProgress: (progress) => stream.send("progress", progress),
+        ...stream.options,
+      },
+    );
+
+    // Send success response with the summary and the original text
+    sendSuccess(200, "Document summarized", result);
+  } catch (error) {
+    sendError(500, "Failed to summarize document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /process-audio:
+ *   post:
+ *     summary: Upload an audio file for processing
+ *     description: Upload an audio file to be summarized or transcribed by the AI. Optionally, provide additional text context for the model to consider. Send `Prefer: respond-async` to process the audio in a background job; the response is 202 with a jobId, and GET /jobs/{jobId} returns `{ summary }` as the job result. Servers that do not run background jobs (serverless deployments) ignore the header.
+ *     tags:
+ *     - Audio
+ *     parameters:
+ *       - in: header
+ *         name: Prefer
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: respond-async
+ *         description: Set to respond-async to run the work as a background job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               File:
+ *                 type: string
+ *                 format: binary
+ *                 description: The audio file to be uploaded (WAV or MP3 format).
+ *               context:
+ *                 type: string
+ *                 description: Additional text-based context to assist the AI in generating a more accurate response (optional).
+ *               webhookUrl:
+ *                 type: string
+ *                 description: Optional. With Prefer respond-async, the finished job is POSTed to this URL.
+ *     responses:
+ *       200:
+ *         description: Audio processed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: string
+ *                   description: The generated summary or response from the AI.
+ *       202:
+ *         $ref: '#/components/responses/JobAccepted'
+ *       400:
+ *         description: No audio file uploaded, or invalid webhookUrl
+ *       500:
+ *         description: Failed to process audio
+ */
+exports.processAudioFile = async (req, res) => {
+  const form = new IncomingForm();
+  await form.parse(req, async (err, fields, files) => {
+    if (err) {
+      return sendErrorResponse(res, 500, "Error parsing the file", err);
+    } else if (!files.File) {
+      return sendErrorResponse(res, 400, "No audio file uploaded");
+    }
+
+    // Extract optional context text from the fields
+    const context = fields.context || "";
+    const [webhookUrl] = [].concat(fields.webhookUrl || []);
+    if (webhookUrl && !(await isValidWebhookUrl(webhookUrl))) {
+      return sendErrorResponse(
+        res,
+        400,
+        "webhookUrl must be a public http(s) URL",
+      );
+    }
+
+    // Gemini takes a while to process audio, so clients may follow a job instead
+    if (prefersAsync(req) && jobsEnabled()) {
       try {
-        const res = await axios.get("https://www.googleapis.com/drive/v3/files", {
-          params: { pageSize: 50, fields: "files(id,name,mimeType)" },
-          headers: { Authorization: `Bearer ${googleCredential.credential}` },
-        });
-        setDriveFiles(res.data.files);
-      } catch (e) {
-        setErrorMessage("Failed to fetch Drive files"); setSnackbarOpen(true);
+        const job = await enqueueJob(
+          "audio",
+          () => processAudio(files.File[0], context),
+          { userId: req.user?.uid || null, webhookUrl: webhookUrl || null },
+        );
+        return sendJobAccepted(res, job);
+      } catch (error) {
+        return sendErrorResponse(
+          res,
+          500,
+          "Failed to queue audio",
+          error.message,
+        );
+      }
+    }
+
+    try {
+      // Process the uploaded audio file using the processAudio function
+      const result = await processAudio(files.File[0], context);
+      // Pass context to the processAudio function
+
+      // Send success response with the summary
+      sendSuccessResponse(res, 200, "Audio processed successfully", {
+        summary: result.summary,
+      });
+    } catch (error) {
+      sendErrorResponse(res, 500, "Failed to process audio", error.message);
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /jobs/{jobId}:
+ *   get:
+ *     summary: Get the status of a background job
+ *     description: >
+ *       Returns the status of a job queued with `Prefer: respond-async`
+ *       ("queued", "running", "completed" or "failed"), its latest progress
+ *       ({ stage, completed, total } for document summaries), and its result
+ *       or error once it has finished. Jobs of a user can only be read with
+ *       that user's access token. Send `Accept: text/event-stream` to
+ *       subscribe instead: `progress` events carry the job whenever it
+ *       changes, followed by a final `result` event ({ message, job }) or an
+ *       `error` event when the job fails.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID returned when the job was queued
+ *     responses:
+ *       200:
+ *         description: Job retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       example: upload
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, completed, failed]
+ *                     progress:
+ *                       type: object
+ *                       nullable: true
+ *                     result:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The JSON body the endpoint returns when called without Prefer respond-async
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *                     createdAt:
+ *                       type: string
+ *                     updatedAt:
+ *                       type: string
+ *       404:
+ *         description: Job not found or expired
+ *       500:
+ *         description: Failed to retrieve job
+ */
+exports.getJobStatus = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const stored = await getJob(jobId);
+    if (!stored || (stored.userId && stored.userId !== req.user?.uid)) {
+      return sendErrorResponse(res, 404, "Job not found");
+    }
+    const job = toPublicJob(stored);
+
+    if (!acceptsEventStream(req)) {
+      return sendSuccessResponse(res, 200, "Job retrieved", { job });
+    }
+
+    const stream = openEventStream(res);
+    const onUpdate = (update) => {
+      if (update.status === "completed") {
+        stream.success("Job completed", { job: update });
+      } else if (update.status === "failed") {
+        stream.error(500, "Job failed", update.error);
+      } else {
+        stream.send("progress", { job: update });
       }
     };
-    fetchFiles();
-  }, [driveOpen, googleCredential]);
-
-  return (
-    <>
-      <Box sx={{ width: 400, bgcolor: theme === "dark" ? "#1e1e1e" : "#fff", p: 3, borderRadius: 2, textAlign: "center" }}>
-        <Typography variant="h6" sx={{ mb: 2 }}>Upload PDF or DOCX</Typography>
-
-        <Box {...getRootProps()} sx={{ border: "2px dashed orange", p: 2, mb: 2, cursor: "pointer" }}>
-          <input {...getInputProps()} />
-          <Typography>{file ? "Change file" : "Drag & drop or click"}</Typography>
-        </Box>
-
-        {file && <TextField label="Title" fullWidth value={title} onChange={(e) => setTitle(e.target.value)} sx={{ mb: 2 }} />}
-
-        <Button variant="contained" fullWidth sx={{ mb: 1 }} onClick={handleUpload} disabled={loading}>
-          {loading ? <CircularProgress size={24} /> : "Upload"}
-        </Button>
-
-        <Typography>OR</Typography>
-
-        <GoogleLogin
-          onSuccess={(res) => { setGoogleCredential(res); setDriveOpen(true); }}
-          onError={() => { setErrorMessage("Google login failed"); setSnackbarOpen(true); }}
-        />
-      </Box>
-
-      {/* Google Drive Modal */}
-      <Dialog open={driveOpen} onClose={() => setDriveOpen(false)} fullWidth maxWidth="sm">
-        <DialogTitle sx={{ bgcolor: theme === "dark" ? "#1e1e1e" : "#fff" }}>Select Google Drive File</DialogTitle>
-        <DialogContent sx={{ bgcolor: theme === "dark" ? "#1e1e1e" : "#fff" }}>
-          {driveFiles.length === 0 ? <Typography>No files</Typography> :
-            <List>
-              {driveFiles.map(f => (
-                <ListItem key={f.id} disablePadding>
-                  <ListItemButton onClick={() => { setFile(f); setTitle(f.name); setDocumentFile(f); setDriveOpen(false); }}>
-                    <ListItemText primary={f.name} secondary={f.mimeType} />
-                  </ListItemButton>
-                </ListItem>
-              ))}
-            </List>}
-        </DialogContent>
-      </Dialog>
-
-      <Snackbar open={snackbarOpen} autoHideDuration={6000} onClose={() => setSnackbarOpen(false)}>
-        <Alert severity="error">{errorMessage}</Alert>
-      </Snackbar>
-    </>
-  );
+
+    onUpdate(job);
+    if (!isFinished(job)) {
+      const stopWatching = watchJob(jobId, onUpdate, stored.revision);
+      res.on("close", stopWatching);
+    }
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve job", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /generate-key-ideas:
+ *   post:
+ *     summary: Generate key ideas from document text
+ *     description: Extract key ideas from the given document text.
+ *     tags:
+ *     - AI/Machine Learning
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Key ideas generated
+ *       500:
+ *         description: Failed to generate key ideas
+ */
+exports.generateKeyIdeas = async (req, res) => {
+  const { documentText } = req.body;
+  try {
+    const keyIdeas = await generateKeyIdeas(documentText);
+    await saveInsight(req, "keyIdeas", keyIdeas);
+    sendSuccessResponse(res, 200, "Key ideas generated", { keyIdeas });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to generate key ideas", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /generate-discussion-points:
+ *   post:
+ *     summary: Generate discussion points from document text
+ *     description: Extract discussion points from the given document text.
+ *     tags:
+ *     - AI/Machine Learning
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discussion points generated
+ *       500:
+ *         description: Failed to generate discussion points
+ */
+exports.generateDiscussionPoints = async (req, res) => {
+  const { documentText } = req.body;
+  try {
+    const discussionPoints = await generateDiscussionPoints(documentText);
+    await saveInsight(req, "discussionPoints", discussionPoints);
+    sendSuccessResponse(res, 200, "Discussion points generated", {
+      discussionPoints,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to generate discussion points",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /chat:
+ *   post:
+ *     summary: Chat with AI using original document context
+ *     description: >
+ *       Engage in conversation with the AI about the original document text. The passages
+ *       of the document most relevant to each message are retrieved and the answer cites
+ *       them as [n]; `citations` locates each cited passage (page, paragraph and character
+ *       offsets into originalText).
+ *       To chat across several of the user's documents, send `userId` and `documentIds`
+ *       (an array of document IDs, or "all") instead of originalText. Passages are then
+ *       retrieved from every document, the answer names the document each part comes from,
+ *       and each citation also carries the `documentId` and `title` of its document.
+ *       Send `Accept: text/event-stream` to receive the answer as `token` events ({ text })
+ *       followed by a final `result` event ({ response, sessionId, citations }) or an `error` event.
+ *     tags:
+ *     - AI/Machine Learning
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               originalText:
+ *                 type: string
+ *               documentIds:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     enum: [all]
+ *                 description: Optional. Chat across these documents of the user (requires userId) instead of originalText.
+ *               sessionId:
+ *                 type: string
+ *                 description: Optional. A new session is started when omitted. A session started with a userId can only be continued with that userId (and its access token).
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Associates the session with the user so it can be listed later.
+ *     responses:
+ *       200:
+ *         description: AI response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 response:
+ *                   type: string
+ *                 sessionId:
+ *                   type: string
+ *                 citations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: The number used in the answer, e.g. 2 for [2].
+ *                       page:
+ *                         type: integer
+ *                       paragraph:
+ *                         type: integer
+ *                         description: Paragraph number, counted from the start of the page.
+ *                       start:
+ *                         type: integer
+ *                         description: Offset of the passage in originalText.
+ *                       end:
+ *                         type: integer
+ *                       heading:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *                       documentId:
+ *                         type: string
+ *                         description: Library chats only. Document the passage comes from.
+ *                       title:
+ *                         type: string
+ *                         description: Library chats only. Title of that document.
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: token\ndata: {\"text\":\"The document\"}\n\n"
+ *       400:
+ *         description: Both message and originalText (or userId and documentIds) are required
+ *       404:
+ *         description: Document or chat session not found, or none of the documents has text
+ *       500:
+ *         description: Failed to get response from the AI
+ */
+exports.chatWithAI = async (req, res) => {
+  let { message, originalText, documentIds, sessionId, userId } = req.body;
+
+  // A session started by a user can only be continued by that user
+  if (sessionId) {
+    try {
+      const session = await getChatSession(sessionId);
+      if (session?.userId && session.userId !== userId) {
+        return res.status(404).json({ error: "Chat session not found" });
+      }
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to load chat session",
+        details: error.message,
+      });
+    }
+  }
+
+  // If no sessionId is provided, generate a new one
+  if (!sessionId) {
+    sessionId = uuidv4();
+  }
+
+  let documents;
+  if (documentIds !== undefined) {
+    const validIds =
+      documentIds === "all" ||
+      (Array.isArray(documentIds) && documentIds.length > 0);
+    if (!message || !userId || !validIds) {
+      return res.status(400).json({
+        error:
+          'message, userId and documentIds (a list of document IDs or "all") are required',
+      });
+    }
+
+    try {
+      documents = await Document.listTexts(userId, documentIds);
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to load documents",
+        details: error.message,
+      });
+    }
+    if (!documents) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (documents.length === 0) {
+      return res.status(404).json({ error: "No documents to chat with" });
+    }
+  } else if (!message || !originalText) {
+    return res
+      .status(400)
+      .json({ error: "Both message and originalText are required" });
+  }
+
+  const stream = openTokenStream(req, res);
+
+  try {
+    const { response, citations } = await chatWithAI(
+      sessionId,
+      message,
+      originalText,
+      { userId, ...(documents && { documents }), ...stream?.options },
+    );
+    if (stream) stream.result({ response, sessionId, citations });
+    else res.status(200).json({ response, sessionId, citations });
+  } catch (error) {
+    console.error("Failed to get AI response:", error);
+    if (stream) {
+      return stream.error(
+        500,
+        "Failed to get response from the AI",
+        error.message,
+      );
+    }
+    res.status(500).json({
+      error: "Failed to get response from the AI",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /chat-sessions/{userId}:
+ *   get:
+ *     summary: List a user's chat sessions
+ *     description: Retrieve the chat sessions of the given userId, most recently active first.
+ *     tags:
+ *     - AI/Machine Learning
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Chat sessions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                       updatedAt:
+ *                         type: string
+ *                       messageCount:
+ *                         type: integer
+ *       500:
+ *         description: Failed to retrieve chat sessions
+ */
+exports.getChatSessions = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const sessions = await listChatSessions(userId);
+    sendSuccessResponse(res, 200, "Chat sessions retrieved", { sessions });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve chat sessions",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /chat-sessions/{userId}/{sessionId}:
+ *   get:
+ *     summary: Get a chat session
+ *     description: Retrieve a chat session with the summary of its older turns and its recent messages.
+ *     tags:
+ *     - AI/Machine Learning
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the chat session
+ *     responses:
+ *       200:
+ *         description: Chat session retrieved
+ *       404:
+ *         description: Chat session not found
+ *       500:
+ *         description: Failed to retrieve chat session
+ */
+exports.getChatSession = async (req, res) => {
+  const { userId, sessionId } = req.params;
+
+  try {
+    const session = await getChatSession(sessionId);
+    if (!session || session.userId !== userId) {
+      return sendErrorResponse(res, 404, "Chat session not found");
+    }
+
+    const { id, title, summary, messages, createdAt, updatedAt } = session;
+    sendSuccessResponse(res, 200, "Chat session retrieved", {
+      session: { id, title, summary, messages, createdAt, updatedAt },
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve chat session",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /chat-sessions/{userId}/{sessionId}:
+ *   delete:
+ *     summary: Delete a chat session
+ *     description: Delete a chat session and its history.
+ *     tags:
+ *     - AI/Machine Learning
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the chat session
+ *     responses:
+ *       200:
+ *         description: Chat session deleted successfully
+ *       404:
+ *         description: Chat session not found
+ *       500:
+ *         description: Failed to delete chat session
+ */
+exports.deleteChatSession = async (req, res) => {
+  const { userId, sessionId } = req.params;
+
+  try {
+    const session = await getChatSession(sessionId);
+    if (!session || session.userId !== userId) {
+      return sendErrorResponse(res, 404, "Chat session not found");
+    }
+
+    await clearSessionHistory(sessionId, userId);
+    sendSuccessResponse(res, 200, "Chat session deleted successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to delete chat session", error.message);
+  }
 };
 
-export default UnifiedUploadModal;
+/**
+ * @swagger
+ * /forgot-password:
+ *   post:
+ *     summary: Request a password reset code
+ *     description: >
+ *       Emails a one-time reset code to the user. The response is the same whether or
+ *       not an account exists for the email. Use the code with POST /reset-password.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "user@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ *       400:
+ *         description: Email is required
+ *       500:
+ *         description: Failed to send reset code
+ */
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return sendErrorResponse(res, 400, "Email is required");
+  }
+
+  try {
+    await requestPasswordReset(email);
+    sendSuccessResponse(
+      res,
+      200,
+      "If an account exists for this email, a reset code has been sent",
+    );
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to send reset code", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /reset-password:
+ *   post:
+ *     summary: Reset a user's password with an emailed code
+ *     description: >
+ *       Sets a new password using the one-time code sent by POST /forgot-password.
+ *       Codes expire after 15 minutes by default (PASSWORD_RESET_TTL) and are
+ *       invalidated after 5 wrong attempts.
+ *       Existing refresh tokens of the user are revoked.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "user@example.com"
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               newPassword:
+ *                 type: string
+ *                 example: "newPassword123"
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Missing fields, password too short, or invalid or expired code
+ */
+exports.resetPassword = async (req, res) => {
+  const { email, code, newPassword } = req.body;
+
+  if (!email || !code || !newPassword) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Email, code and new password are required",
+    );
+  }
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+    );
+  }
+
+  try {
+    const result = await resetPassword(email, code, newPassword);
+    sendSuccessResponse(res, 200, result.message);
+  } catch (error) {
+    sendErrorResponse(res, 400, "Failed to reset password", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /verify-email:
+ *   post:
+ *     summary: Verify if a user's email exists
+ *     description: Checks if the given email exists in the Firestore database.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "user@example.com"
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       404:
+ *         description: User not found
+ */
+exports.verifyEmail = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return sendErrorResponse(res, 400, "Email is required");
+  }
+
+  try {
+    const userRecord = await verifyUserEmail(email); // Call model to verify email
+    sendSuccessResponse(res, 200, "Email verified", { uid: userRecord.uid });
+  } catch (error) {
+    sendErrorResponse(res, 404, "User not found", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}:
+ *   get:
+ *     summary: Retrieve all documents of a user
+ *     description: Fetches a list of all documents associated with the given userId, optionally filtered by folder and tags and sorted. Documents are listed oldest first by default, without their text and insights; get a document for those.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *         description: Only documents in this folder, or `none` for documents in no folder.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *         description: Only documents with this tag. Repeat to require several tags.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, title]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *       400:
+ *         description: Invalid tag filter, sort or order
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve documents
+ */
+exports.getAllDocuments = async (req, res) => {
+  const { userId } = req.params;
+  const { folderId, tag = [], sort = "createdAt", order = "asc" } = req.query;
+
+  if (
+    !["createdAt", "title"].includes(sort) ||
+    !["asc", "desc"].includes(order)
+  ) {
+    return sendErrorResponse(
+      res,
+      400,
+      'sort must be "createdAt" or "title" and order "asc" or "desc"',
+    );
+  }
+  const tags = normalizeTags([].concat(tag));
+  if (!tags) {
+    return sendErrorResponse(res, 400, "Invalid tag filter");
+  }
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const documents = await Document.list(userId, {
+      folderId,
+      tags,
+      sort,
+      order,
+    });
+    sendSuccessResponse(res, 200, "Documents retrieved", documents);
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve documents", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}:
+ *   get:
+ *     summary: Retrieve a specific document by ID
+ *     description: Fetches a document associated with the given userId and docId.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *       404:
+ *         description: Document or user not found
+ *       500:
+ *         description: Failed to retrieve document
+ */
+exports.getDocumentById = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const document = await Document.getById(userId, docId);
+
+    if (!document) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    sendSuccessResponse(res, 200, "Document retrieved", document);
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /document-details/{userId}/{docId}:
+ *   get:
+ *     summary: Retrieve document details
+ *     description: Fetches the details (title, original text, summary) of a document by userId and docId, along with the AI results saved for it.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Document details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 originalText:
+ *                   type: string
+ *                 summary:
+ *                   type: string
+ *                 insights:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/Insight'
+ *       404:
+ *         description: Document or user not found
+ *       500:
+ *         description: Failed to retrieve document details
+ */
+exports.getDocumentDetails = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const document = await Document.getById(userId, docId);
+
+    if (!document) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const { id, title, originalText, summary, insights = {} } = document;
+    sendSuccessResponse(res, 200, "Document details retrieved", {
+      id,
+      title,
+      originalText,
+      summary,
+      insights,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve document details",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /search-documents/{userId}:
+ *   get:
+ *     summary: Full-text search of a user's documents
+ *     description: >
+ *       Searches the title, summary and text of the user's documents with a full-text index
+ *       and returns the matches ranked by relevance (BM25, title matches weighted highest).
+ *       Every term must match, allowing for small misspellings. Quote words to search for an
+ *       exact phrase, and prefix a term or phrase with `title:`, `summary:` or `text:` to
+ *       search only that field, e.g. `title:report "net zero"`.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user whose documents are to be searched.
+ *       - in: query
+ *         name: searchTerm
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results.
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   docId:
+ *                     type: string
+ *                     description: The document ID
+ *                   title:
+ *                     type: string
+ *                     description: The document title
+ *                   snippet:
+ *                     type: string
+ *                     description: The part of the summary or text with the most matches
+ *                   score:
+ *                     type: number
+ *                     description: Relevance score, higher is better
+ *                   highlights:
+ *                     type: object
+ *                     description: "[start, end] character ranges of the matches in the title and snippet"
+ *                     properties:
+ *                       title:
+ *                         type: array
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                       snippet:
+ *                         type: array
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *       400:
+ *         description: searchTerm is required
+ *       404:
+ *         description: User or documents not found
+ *       500:
+ *         description: Failed to search documents
+ */
+exports.searchDocuments = async (req, res) => {
+  const { userId } = req.params;
+  const { searchTerm, limit } = req.query;
+
+  if (typeof searchTerm !== "string" || !searchTerm.trim()) {
+    return sendErrorResponse(res, 400, "searchTerm is required");
+  }
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const response = await Document.search(userId, searchTerm, {
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+    });
+
+    if (response.length === 0) {
+      return sendErrorResponse(res, 404, "No matching documents found");
+    }
+
+    sendSuccessResponse(res, 200, "Documents retrieved successfully", response);
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to search documents", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /semantic-search/{userId}:
+ *   get:
+ *     summary: Search a user's documents by meaning
+ *     description: >
+ *       Embeds the query and returns the documents whose passages are most similar to it,
+ *       even when they do not share its exact words. Each result includes its best-matching
+ *       passages with their page, paragraph and character offsets. The embedding model is
+ *       configured with EMBEDDING_PROVIDER and EMBEDDING_MODEL.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user whose documents are to be searched.
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What to search for, in natural language.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Maximum number of documents.
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       docId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                         description: Cosine similarity of the best passage, higher is better
+ *                       passages:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             text:
+ *                               type: string
+ *                             page:
+ *                               type: integer
+ *                             paragraph:
+ *                               type: integer
+ *                             start:
+ *                               type: integer
+ *                             end:
+ *                               type: integer
+ *                             score:
+ *                               type: number
+ *       400:
+ *         description: query is required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to search documents
+ */
+exports.semanticSearch = async (req, res) => {
+  const { userId } = req.params;
+  const { query, limit } = req.query;
+
+  if (typeof query !== "string" || !query.trim()) {
+    return sendErrorResponse(res, 400, "query is required");
+  }
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const results = await Document.searchByMeaning(userId, query, {
+      limit: Math.min(parseInt(limit, 10) || 10, 50),
+    });
+
+    sendSuccessResponse(res, 200, "Documents retrieved successfully", {
+      results,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to search documents", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}:
+ *   delete:
+ *     summary: Delete a specific document
+ *     description: Deletes a document by userId and docId.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted successfully
+ *       404:
+ *         description: Document or user not found
+ *       500:
+ *         description: Failed to delete document
+ */
+exports.deleteDocument = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    await Document.delete(userId, docId);
+
+    sendSuccessResponse(res, 200, "Document deleted successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to delete document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/versions:
+ *   get:
+ *     summary: List the versions of a document
+ *     description: Returns the version history of a document's title, summary and refined summary, newest first. A version is added when the document is created, renamed, its summary is refined (with userId and documentId) or an older version is restored.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentVersion'
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to retrieve versions
+ */
+exports.getDocumentVersions = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const versions = await Document.listVersions(userId, docId);
+    sendSuccessResponse(res, 200, "Versions retrieved successfully", {
+      versions,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve versions", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore a version of a document
+ *     description: Sets the document's title, summary and refined summary back to those of the given version. The restored state is added to the history as a new version, so the restore can itself be undone.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The version number to restore
+ *     responses:
+ *       200:
+ *         description: Version restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       404:
+ *         description: Document or version not found
+ *       500:
+ *         description: Failed to restore version
+ */
+exports.restoreDocumentVersion = async (req, res) => {
+  const { userId, docId, version } = req.params;
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+    if (!(await Document.getVersion(userId, docId, version))) {
+      return sendErrorResponse(res, 404, "Version not found");
+    }
+
+    const document = await Document.restoreVersion(userId, docId, version);
+    sendSuccessResponse(res, 200, "Version restored successfully", {
+      document,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to restore version", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a document
+ *     description: Computes a word-level diff of the title, summary and refined summary between two versions. Each field is returned as runs of unchanged (`equal`), removed (`delete`) and added (`insert`) text, with the number of words added and removed.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: The older version. Defaults to the version before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: The newer version. Defaults to the latest version.
+ *     responses:
+ *       200:
+ *         description: Versions compared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 diff:
+ *                   type: object
+ *                   description: Keyed by field (title, summary, refinedSummary)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       changed:
+ *                         type: boolean
+ *                       added:
+ *                         type: integer
+ *                       removed:
+ *                         type: integer
+ *                       ops:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [equal, delete, insert]
+ *                             text:
+ *                               type: string
+ *       400:
+ *         description: Invalid version numbers
+ *       404:
+ *         description: Document or version not found
+ *       500:
+ *         description: Failed to compare versions
+ */
+exports.diffDocumentVersions = async (req, res) => {
+  const { userId, docId } = req.params;
+  const { from, to } = req.query;
+
+  const isVersionNumber = (value) =>
+    value === undefined || /^[1-9]\d*$/.test(String(value));
+  if (!isVersionNumber(from) || !isVersionNumber(to)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "from and to must be positive version numbers",
+    );
+  }
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const versions = await Document.listVersions(userId, docId);
+    const toNumber = to ? Number(to) : versions[0]?.number;
+    const fromNumber = from ? Number(from) : toNumber - 1;
+    const newer = versions.find((version) => version.number === toNumber);
+    const older = versions.find((version) => version.number === fromNumber);
+    if (!newer || !older) {
+      return sendErrorResponse(res, 404, "Version not found");
+    }
+
+    const diff = Object.fromEntries(
+      ["title", "summary", "refinedSummary"].map((field) => {
+        const { ops, added, removed } = diffWords(older[field], newer[field]);
+        return [
+          field,
+          {
+            changed: (older[field] ?? "") !== (newer[field] ?? ""),
+            added,
+            removed,
+            ops,
+          },
+        ];
+      }),
+    );
+
+    sendSuccessResponse(res, 200, "Versions compared successfully", {
+      from: fromNumber,
+      to: toNumber,
+      diff,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to compare versions", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/tags:
+ *   put:
+ *     summary: Set the tags of a document
+ *     description: Replaces the tags of a document. Tags are free-form; they are lowercased, a leading "#" is removed and duplicates are dropped.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["climate", "policy"]
+ *     responses:
+ *       200:
+ *         description: Tags updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Invalid tags
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to update tags
+ */
+exports.updateDocumentTags = async (req, res) => {
+  const { userId, docId } = req.params;
+  const tags = normalizeTags(req.body.tags);
+
+  if (!tags) {
+    return sendErrorResponse(
+      res,
+      400,
+      `tags must be a list of at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`,
+    );
+  }
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const document = await Document.organize(userId, docId, { tags });
+    sendSuccessResponse(res, 200, "Tags updated successfully", { document });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to update tags", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/folder:
+ *   put:
+ *     summary: Move a document to a folder
+ *     description: Files a document in a folder, or takes it out of its folder when folderId is null.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Document moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Missing folderId
+ *       404:
+ *         description: Document or folder not found
+ *       500:
+ *         description: Failed to move document
+ */
+exports.moveDocumentToFolder = async (req, res) => {
+  const { userId, docId } = req.params;
+  const { folderId } = req.body;
+
+  if (folderId === undefined) {
+    return sendErrorResponse(res, 400, "folderId is required (null for none)");
+  }
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+    if (folderId && !(await Folder.getById(userId, folderId))) {
+      return sendErrorResponse(res, 404, "Folder not found");
+    }
+
+    const document = await Document.organize(userId, docId, { folderId });
+    sendSuccessResponse(res, 200, "Document moved successfully", { document });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to move document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /tags/{userId}:
+ *   get:
+ *     summary: List the tags of a user's documents
+ *     description: Returns every tag used on the user's documents with the number of documents that have it, most used first.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve tags
+ */
+exports.getTags = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const tags = await Document.listTags(userId);
+    sendSuccessResponse(res, 200, "Tags retrieved successfully", { tags });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve tags", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /folders/{userId}:
+ *   get:
+ *     summary: List the folders of a user
+ *     description: Returns the user's folders sorted by name, each with the number of documents filed in it.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Folders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 folders:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Folder'
+ *                       - type: object
+ *                         properties:
+ *                           documentCount:
+ *                             type: integer
+ *                 unfiledCount:
+ *                   type: integer
+ *                   description: Number of documents in no folder.
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve folders
+ */
+exports.getFolders = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const [folders, documents] = await Promise.all([
+      Folder.list(userId),
+      Document.list(userId),
+    ]);
+    const countIn = (folderId) =>
+      documents.filter((doc) => (doc.folderId || UNFILED) === folderId).length;
+
+    sendSuccessResponse(res, 200, "Folders retrieved successfully", {
+      folders: folders.map((folder) => ({
+        ...folder,
+        documentCount: countIn(folder.id),
+      })),
+      unfiledCount: countIn(UNFILED),
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve folders", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /folders/{userId}:
+ *   post:
+ *     summary: Create a folder
+ *     description: Creates a folder documents can be filed in.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Research"
+ *     responses:
+ *       201:
+ *         description: Folder created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 folder:
+ *                   $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Missing or invalid name
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to create folder
+ */
+exports.createFolder = async (req, res) => {
+  const { userId } = req.params;
+  const name = readFolderName(req.body.name);
+
+  if (!name) {
+    return sendErrorResponse(res, 400, FOLDER_NAME_ERROR);
+  }
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const folder = await Folder.create(userId, name);
+    sendSuccessResponse(res, 201, "Folder created successfully", { folder });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to create folder", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /folders/{userId}/{folderId}:
+ *   put:
+ *     summary: Rename a folder
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Folder renamed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 folder:
+ *                   $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Missing or invalid name
+ *       404:
+ *         description: Folder not found
+ *       500:
+ *         description: Failed to rename folder
+ */
+exports.renameFolder = async (req, res) => {
+  const { userId, folderId } = req.params;
+  const name = readFolderName(req.body.name);
+
+  if (!name) {
+    return sendErrorResponse(res, 400, FOLDER_NAME_ERROR);
+  }
+
+  try {
+    if (!(await Folder.getById(userId, folderId))) {
+      return sendErrorResponse(res, 404, "Folder not found");
+    }
+
+    const folder = await Folder.rename(userId, folderId, name);
+    sendSuccessResponse(res, 200, "Folder renamed successfully", { folder });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to rename folder", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /folders/{userId}/{folderId}:
+ *   delete:
+ *     summary: Delete a folder
+ *     description: Deletes a folder. The documents filed in it are kept and moved out of the folder.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The folder ID
+ *     responses:
+ *       200:
+ *         description: Folder deleted successfully
+ *       404:
+ *         description: Folder not found
+ *       500:
+ *         description: Failed to delete folder
+ */
+exports.deleteFolder = async (req, res) => {
+  const { userId, folderId } = req.params;
+
+  try {
+    if (!(await Folder.getById(userId, folderId))) {
+      return sendErrorResponse(res, 404, "Folder not found");
+    }
+
+    await Folder.delete(userId, folderId);
+    sendSuccessResponse(res, 200, "Folder deleted successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to delete folder", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/shares:
+ *   get:
+ *     summary: List who a document is shared with
+ *     description: Returns the users the document is shared with and its public links.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Share'
+ *                 links:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to retrieve shares
+ */
+exports.getDocumentShares = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const [shares, links] = await Promise.all([
+      Share.listForDocument(userId, docId),
+      Share.listLinks(userId, docId),
+    ]);
+    sendSuccessResponse(res, 200, "Shares retrieved successfully", {
+      shares,
+      links,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve shares", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/shares:
+ *   put:
+ *     summary: Share a document with a user
+ *     description: Shares the document with the user registered with the given email, or changes their role if it is already shared with them. Viewers can read the document and its comments, commenters can also comment, and editors can also rename it.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "colleague@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, commenter, editor]
+ *     responses:
+ *       200:
+ *         description: Document shared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 share:
+ *                   $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Missing email, invalid role, or the owner's own email
+ *       404:
+ *         description: Document or user not found
+ *       500:
+ *         description: Failed to share document
+ */
+exports.shareDocument = async (req, res) => {
+  const { userId, docId } = req.params;
+  const { email, role } = req.body;
+
+  if (!email || !SHARE_ROLES.includes(role)) {
+    return sendErrorResponse(
+      res,
+      400,
+      `email and a role (${SHARE_ROLES.join(", ")}) are required`,
+    );
+  }
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    let grantee;
+    try {
+      grantee = await firebaseAdmin.auth().getUserByEmail(email);
+    } catch (error) {
+      return sendErrorResponse(
+        res,
+        404,
+        "No user is registered with this email",
+      );
+    }
+    if (grantee.uid === userId) {
+      return sendErrorResponse(res, 400, "You already own this document");
+    }
+
+    const share = await Share.grant(userId, docId, {
+      userId: grantee.uid,
+      email: grantee.email,
+      role,
+    });
+    sendSuccessResponse(res, 200, "Document shared successfully", { share });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to share document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/shares/{granteeId}:
+ *   delete:
+ *     summary: Stop sharing a document with a user
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *       - in: path
+ *         name: granteeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user the document is shared with
+ *     responses:
+ *       200:
+ *         description: Share removed successfully
+ *       404:
+ *         description: The document is not shared with this user
+ *       500:
+ *         description: Failed to remove share
+ */
+exports.unshareDocument = async (req, res) => {
+  const { userId, docId, granteeId } = req.params;
+
+  try {
+    if (!(await Share.revoke(userId, docId, granteeId))) {
+      return sendErrorResponse(
+        res,
+        404,
+        "The document is not shared with this user",
+      );
+    }
+
+    sendSuccessResponse(res, 200, "Share removed successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to remove share", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/share-links:
+ *   post:
+ *     summary: Create a public link to a document
+ *     description: Creates a link anyone can use, without signing in, to read the document's title, summary and saved insights through GET /public/documents/{token}. The original text is not included. The link works until it is revoked.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       201:
+ *         description: Link created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 link:
+ *                   $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to create link
+ */
+exports.createShareLink = async (req, res) => {
+  const { userId, docId } = req.params;
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    const link = await Share.createLink(userId, docId);
+    sendSuccessResponse(res, 201, "Link created successfully", { link });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to create link", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/share-links/{token}:
+ *   delete:
+ *     summary: Revoke a public link
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The link token
+ *     responses:
+ *       200:
+ *         description: Link revoked successfully
+ *       404:
+ *         description: Link not found
+ *       500:
+ *         description: Failed to revoke link
+ */
+exports.revokeShareLink = async (req, res) => {
+  const { userId, docId, token } = req.params;
+
+  try {
+    if (!(await Share.revokeLink(userId, docId, token))) {
+      return sendErrorResponse(res, 404, "Link not found");
+    }
+
+    sendSuccessResponse(res, 200, "Link revoked successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to revoke link", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /shared-documents/{userId}:
+ *   get:
+ *     summary: List the documents shared with a user
+ *     description: Returns the documents other users shared with this user, newest share first, with the user's role on each.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Shared documents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ownerId:
+ *                         type: string
+ *                       docId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [viewer, commenter, editor]
+ *                       sharedAt:
+ *                         type: string
+ *                         format: date-time
+ *       500:
+ *         description: Failed to retrieve shared documents
+ */
+exports.getSharedDocuments = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const shares = await Share.listForUser(userId);
+    const documents = await Promise.all(
+      shares.map(async ({ ownerId, docId, role, createdAt }) => {
+        const document = await Document.getById(ownerId, docId);
+        return (
+          document && {
+            ownerId,
+            docId,
+            title: Array.isArray(document.title)
+              ? document.title.join(" ")
+              : document.title,
+            role,
+            sharedAt: createdAt,
+          }
+        );
+      }),
+    );
+
+    sendSuccessResponse(res, 200, "Shared documents retrieved successfully", {
+      documents: documents.filter(Boolean),
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve shared documents",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /shared-documents/{userId}/{ownerId}/{docId}:
+ *   get:
+ *     summary: Read a document shared with a user
+ *     description: Returns a document the user owns or that is shared with them, with their role on it. The owner's folder and tags are not included for other users.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user reading the document
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [viewer, commenter, editor, owner]
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       404:
+ *         description: Document not found or not shared with the user
+ *       500:
+ *         description: Failed to retrieve document
+ */
+exports.getSharedDocument = async (req, res) => {
+  const { userId, ownerId, docId } = req.params;
+
+  try {
+    const { document, role, error } = await loadSharedDocument(
+      ownerId,
+      docId,
+      userId,
+      "viewer",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    sendSuccessResponse(res, 200, "Document retrieved", {
+      role,
+      document: role === "owner" ? document : toSharedDocument(document),
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /shared-documents/{userId}/{ownerId}/{docId}/title:
+ *   put:
+ *     summary: Rename a shared document
+ *     description: Renames a document the user owns or is an editor of.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user renaming the document
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               newTitle:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Document title updated successfully
+ *       400:
+ *         description: Missing title
+ *       403:
+ *         description: The user is not an editor of the document
+ *       404:
+ *         description: Document not found or not shared with the user
+ *       500:
+ *         description: Failed to update document title
+ */
+exports.updateSharedDocumentTitle = async (req, res) => {
+  const { userId, ownerId, docId } = req.params;
+  const { newTitle } = req.body;
+
+  if (!newTitle) {
+    return sendErrorResponse(res, 400, "newTitle is required");
+  }
+
+  try {
+    const { error } = await loadSharedDocument(
+      ownerId,
+      docId,
+      userId,
+      "editor",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    await Document.updateTitle(ownerId, docId, newTitle);
+    sendSuccessResponse(res, 200, "Document title updated successfully");
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to update document title",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /shared-documents/{userId}/{ownerId}/{docId}/comments:
+ *   get:
+ *     summary: List the comments on a document
+ *     description: Returns the comments on a document the user owns or that is shared with them, oldest first.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user reading the comments
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 comments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *       404:
+ *         description: Document not found or not shared with the user
+ *       500:
+ *         description: Failed to retrieve comments
+ */
+exports.getDocumentComments = async (req, res) => {
+  const { userId, ownerId, docId } = req.params;
+
+  try {
+    const { error } = await loadSharedDocument(
+      ownerId,
+      docId,
+      userId,
+      "viewer",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    const comments = await Comment.list(ownerId, docId);
+    sendSuccessResponse(res, 200, "Comments retrieved successfully", {
+      comments,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve comments", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /shared-documents/{userId}/{ownerId}/{docId}/comments:
+ *   post:
+ *     summary: Comment on a document
+ *     description: Adds a comment to a document the user owns or is a commenter or editor of.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user commenting
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 comment:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Missing or too long text
+ *       403:
+ *         description: The user is only a viewer of the document
+ *       404:
+ *         description: Document not found or not shared with the user
+ *       500:
+ *         description: Failed to add comment
+ */
+exports.addDocumentComment = async (req, res) => {
+  const { userId, ownerId, docId } = req.params;
+  const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+  if (!text || text.length > MAX_COMMENT_LENGTH) {
+    return sendErrorResponse(
+      res,
+      400,
+      `text must be a non-empty string of up to ${MAX_COMMENT_LENGTH} characters`,
+    );
+  }
+
+  try {
+    const { error } = await loadSharedDocument(
+      ownerId,
+      docId,
+      userId,
+      "commenter",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    const user = await User.getById(userId);
+    const comment = await Comment.add(ownerId, docId, {
+      userId,
+      email: user?.email || null,
+      text,
+    });
+    sendSuccessResponse(res, 201, "Comment added successfully", { comment });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to add comment", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /public/documents/{token}:
+ *   get:
+ *     summary: Read a document through a public link
+ *     description: Returns the title, summary and saved insights of the document behind a public link. No sign-in is needed. Revoked links are not found.
+ *     tags:
+ *     - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The link token
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     summary:
+ *                       type: string
+ *                     insights:
+ *                       type: object
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/Insight'
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Link not found or revoked
+ *       500:
+ *         description: Failed to retrieve document
+ */
+exports.getPublicDocument = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const link = await Share.resolveLink(token);
+    const document = link && (await Document.getById(link.ownerId, link.docId));
+    if (!document) {
+      return sendErrorResponse(res, 404, "Link not found");
+    }
+
+    sendSuccessResponse(res, 200, "Document retrieved", {
+      document: {
+        title: Array.isArray(document.title)
+          ? document.title.join(" ")
+          : document.title,
+        summary: document.summary,
+        insights: document.insights || {},
+        createdAt: document.createdAt,
+      },
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve document", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}:
+ *   get:
+ *     summary: List a user's workspaces and invitations
+ *     description: Returns the workspaces the user is a member of with their role, the pending invitations sent to their email, and the workspace they work in.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Workspaces retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workspaces:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceInvitation'
+ *                 activeWorkspaceId:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve workspaces
+ */
+exports.getWorkspaces = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await User.getById(userId);
+    if (!user) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const [workspaces, invitations] = await Promise.all([
+      Workspace.listForUser(userId),
+      user.email ? Workspace.listInvitationsForEmail(user.email) : [],
+    ]);
+    const activeWorkspaceId = workspaces.some(
+      (workspace) => workspace.id === user.activeWorkspaceId,
+    )
+      ? user.activeWorkspaceId
+      : null;
+    sendSuccessResponse(res, 200, "Workspaces retrieved successfully", {
+      workspaces,
+      invitations,
+      activeWorkspaceId,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve workspaces", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}:
+ *   post:
+ *     summary: Create a workspace
+ *     description: Creates a workspace owned by the user.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Research team"
+ *               settings:
+ *                 $ref: '#/components/schemas/WorkspaceSettings'
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workspace:
+ *                   $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invalid name or settings
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to create workspace
+ */
+exports.createWorkspace = async (req, res) => {
+  const { userId } = req.params;
+  const { name, settings } = req.body;
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+
+  if (!trimmedName || trimmedName.length > MAX_WORKSPACE_NAME_LENGTH) {
+    return sendErrorResponse(res, 400, WORKSPACE_NAME_ERROR);
+  }
+
+  try {
+    const user = await User.getById(userId);
+    if (!user) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    let workspace;
+    try {
+      workspace = await Workspace.create(userId, user.email, {
+        name: trimmedName,
+        settings,
+      });
+    } catch (error) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendSuccessResponse(res, 201, "Workspace created successfully", {
+      workspace,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to create workspace", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /users/{userId}/active-workspace:
+ *   put:
+ *     summary: Switch the workspace a user works in
+ *     description: Sets the workspace whose settings apply to the user's requests, or null to go back to their personal library.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workspaceId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Active workspace updated successfully
+ *       404:
+ *         description: Workspace not found
+ *       500:
+ *         description: Failed to switch workspace
+ */
+exports.setActiveWorkspace = async (req, res) => {
+  const { userId } = req.params;
+  const workspaceId = req.body.workspaceId || null;
+
+  try {
+    if (workspaceId) {
+      const { error } = await loadWorkspace(workspaceId, userId, "member");
+      if (error) return sendErrorResponse(res, ...error);
+    }
+
+    await User.setActiveWorkspace(userId, workspaceId);
+    sendSuccessResponse(res, 200, "Active workspace updated successfully", {
+      activeWorkspaceId: workspaceId,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to switch workspace", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace with its members
+ *     description: Returns a workspace the user is a member of, its members and, for admins, its pending invitations.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the member
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workspace:
+ *                   $ref: '#/components/schemas/Workspace'
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceMember'
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceInvitation'
+ *       404:
+ *         description: Workspace not found
+ *       500:
+ *         description: Failed to retrieve workspace
+ */
+exports.getWorkspace = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+
+  try {
+    const { workspace, role, error } = await loadWorkspace(
+      workspaceId,
+      userId,
+      "member",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    const [members, invitations] = await Promise.all([
+      Workspace.listMembers(workspaceId),
+      hasWorkspaceRole(role, "admin")
+        ? Workspace.listInvitations(workspaceId)
+        : [],
+    ]);
+    sendSuccessResponse(res, 200, "Workspace retrieved successfully", {
+      workspace,
+      members,
+      invitations,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve workspace", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}:
+ *   put:
+ *     summary: Rename a workspace or change its settings
+ *     description: Admins can rename the workspace and change its settings. Settings left out are kept; null clears one.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the admin
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               settings:
+ *                 $ref: '#/components/schemas/WorkspaceSettings'
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 workspace:
+ *                   $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invalid name or settings
+ *       403:
+ *         description: The user is not an admin of the workspace
+ *       404:
+ *         description: Workspace not found
+ *       500:
+ *         description: Failed to update workspace
+ */
+exports.updateWorkspace = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+  const { name, settings } = req.body;
+
+  if (name === undefined && settings === undefined) {
+    return sendErrorResponse(res, 400, "name or settings is required");
+  }
+  const trimmedName = typeof name === "string" ? name.trim() : name;
+  if (
+    trimmedName !== undefined &&
+    (!trimmedName ||
+      typeof trimmedName !== "string" ||
+      trimmedName.length > MAX_WORKSPACE_NAME_LENGTH)
+  ) {
+    return sendErrorResponse(res, 400, WORKSPACE_NAME_ERROR);
+  }
+
+  try {
+    const { role, error } = await loadWorkspace(workspaceId, userId, "admin");
+    if (error) return sendErrorResponse(res, ...error);
+
+    let workspace;
+    try {
+      workspace = await Workspace.update(workspaceId, {
+        name: trimmedName,
+        settings,
+      });
+    } catch (error) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendSuccessResponse(res, 200, "Workspace updated successfully", {
+      workspace: { ...workspace, role },
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to update workspace", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}:
+ *   delete:
+ *     summary: Delete a workspace
+ *     description: The owner can delete the workspace with its members and invitations. The documents in its library stay with their owners.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       403:
+ *         description: The user is not the owner of the workspace
+ *       404:
+ *         description: Workspace not found
+ *       500:
+ *         description: Failed to delete workspace
+ */
+exports.deleteWorkspace = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+
+  try {
+    const { error } = await loadWorkspace(workspaceId, userId, "owner");
+    if (error) return sendErrorResponse(res, ...error);
+
+    await Workspace.delete(workspaceId);
+    sendSuccessResponse(res, 200, "Workspace deleted successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to delete workspace", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}/invitations:
+ *   post:
+ *     summary: Invite someone to a workspace
+ *     description: Admins can invite an email as a member; only the owner can invite admins. The email is sent a single-use invitation code, which the invited user needs to accept or decline the invitation. Inviting the same email again replaces the code.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the admin
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "colleague@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitation:
+ *                   $ref: '#/components/schemas/WorkspaceInvitation'
+ *       400:
+ *         description: Missing email or invalid role
+ *       403:
+ *         description: The user is not allowed to invite with this role
+ *       404:
+ *         description: Workspace not found
+ *       409:
+ *         description: The email belongs to a member already
+ *       500:
+ *         description: Failed to send invitation
+ */
+exports.inviteToWorkspace = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+  const { email, role = "member" } = req.body;
+
+  if (
+    typeof email !== "string" ||
+    !email.trim() ||
+    !["admin", "member"].includes(role)
+  ) {
+    return sendErrorResponse(
+      res,
+      400,
+      "email and a role (admin, member) are required",
+    );
+  }
+
+  try {
+    const { error } = await loadWorkspace(
+      workspaceId,
+      userId,
+      role === "admin" ? "owner" : "admin",
+    );
+    if (error) return sendErrorResponse(res, ...error);
+
+    const members = await Workspace.listMembers(workspaceId);
+    if (
+      members.some(
+        (member) =>
+          (member.email || "").toLowerCase() === email.trim().toLowerCase(),
+      )
+    ) {
+      return sendErrorResponse(
+        res,
+        409,
+        "This email belongs to a member already",
+      );
+    }
+
+    const { invitation, token } = await Workspace.invite(workspaceId, {
+      email,
+      role,
+      invitedBy: userId,
+    });
+    try {
+      await sendWorkspaceInvitation(invitation.email, {
+        workspaceName: invitation.workspaceName,
+        role,
+        token,
+      });
+    } catch (error) {
+      // An invitation nobody received cannot be accepted
+      await Workspace.deleteInvitation(workspaceId, invitation.email);
+      throw error;
+    }
+    sendSuccessResponse(res, 201, "Invitation sent successfully", {
+      invitation,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to send invitation", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}/invitations/{email}:
+ *   delete:
+ *     summary: Cancel an invitation
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the admin
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invited email
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled successfully
+ *       403:
+ *         description: The user is not an admin of the workspace
+ *       404:
+ *         description: Workspace or invitation not found
+ *       500:
+ *         description: Failed to cancel invitation
+ */
+exports.cancelWorkspaceInvitation = async (req, res) => {
+  const { userId, workspaceId, email } = req.params;
+
+  try {
+    const { error } = await loadWorkspace(workspaceId, userId, "admin");
+    if (error) return sendErrorResponse(res, ...error);
+
+    if (!(await Workspace.deleteInvitation(workspaceId, email))) {
+      return sendErrorResponse(res, 404, "Invitation not found");
+    }
+    sendSuccessResponse(res, 200, "Invitation cancelled successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to cancel invitation", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspace-invitations/{userId}/{workspaceId}:
+ *   post:
+ *     summary: Accept an invitation to a workspace
+ *     description: Makes the user a member of the workspace with the role they were invited with. Needs the code emailed with the invitation, which can only be used once.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the invited user
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The invitation code from the email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 member:
+ *                   $ref: '#/components/schemas/WorkspaceMember'
+ *       400:
+ *         description: Missing invitation code
+ *       404:
+ *         description: Invitation not found, or the code does not match it
+ *       500:
+ *         description: Failed to accept invitation
+ */
+exports.acceptWorkspaceInvitation = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+  const { token } = req.body || {};
+
+  if (typeof token !== "string" || !token.trim()) {
+    return sendErrorResponse(res, 400, "The invitation code is required");
+  }
+
+  try {
+    const member =
+      (await Workspace.getById(workspaceId)) &&
+      (await Workspace.acceptInvitation(workspaceId, {
+        userId,
+        token: token.trim(),
+      }));
+    if (!member) {
+      return sendErrorResponse(res, 404, "Invitation not found");
+    }
+
+    sendSuccessResponse(res, 200, "Invitation accepted successfully", {
+      member,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to accept invitation", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspace-invitations/{userId}/{workspaceId}:
+ *   delete:
+ *     summary: Decline an invitation to a workspace
+ *     description: Needs the code emailed with the invitation.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the invited user
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The invitation code from the email
+ *     responses:
+ *       200:
+ *         description: Invitation declined successfully
+ *       400:
+ *         description: Missing invitation code
+ *       404:
+ *         description: Invitation not found, or the code does not match it
+ *       500:
+ *         description: Failed to decline invitation
+ */
+exports.declineWorkspaceInvitation = async (req, res) => {
+  const { workspaceId } = req.params;
+  const { token } = req.body || {};
+
+  if (typeof token !== "string" || !token.trim()) {
+    return sendErrorResponse(res, 400, "The invitation code is required");
+  }
+
+  try {
+    if (!(await Workspace.declineInvitation(workspaceId, token.trim()))) {
+      return sendErrorResponse(res, 404, "Invitation not found");
+    }
+
+    sendSuccessResponse(res, 200, "Invitation declined successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to decline invitation", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}/members/{memberId}:
+ *   put:
+ *     summary: Change the role of a workspace member
+ *     description: The owner can make members admins and admins members.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 member:
+ *                   $ref: '#/components/schemas/WorkspaceMember'
+ *       400:
+ *         description: Invalid role, or the member is the owner
+ *       403:
+ *         description: The user is not the owner of the workspace
+ *       404:
+ *         description: Workspace or member not found
+ *       500:
+ *         description: Failed to update member
+ */
+exports.updateWorkspaceMember = async (req, res) => {
+  const { userId, workspaceId, memberId } = req.params;
+  const { role } = req.body;
+
+  if (!["admin", "member"].includes(role)) {
+    return sendErrorResponse(res, 400, "role must be admin or member");
+  }
+
+  try {
+    const { error } = await loadWorkspace(workspaceId, userId, "owner");
+    if (error) return sendErrorResponse(res, ...error);
+
+    const memberRole = await Workspace.getRole(workspaceId, memberId);
+    if (!memberRole) {
+      return sendErrorResponse(res, 404, "Member not found");
+    }
+    if (memberRole === "owner") {
+      return sendErrorResponse(res, 400, "The owner's role cannot be changed");
+    }
+
+    const member = await Workspace.setMemberRole(workspaceId, memberId, role);
+    sendSuccessResponse(res, 200, "Member updated successfully", { member });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to update member", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a member from a workspace
+ *     description: Members can leave a workspace by removing themselves, except the owner. Admins can remove members and the owner can remove admins. The documents the member added to the library are taken out of it.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user removing the member
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the member
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The owner cannot leave the workspace
+ *       403:
+ *         description: The user is not allowed to remove this member
+ *       404:
+ *         description: Workspace or member not found
+ *       500:
+ *         description: Failed to remove member
+ */
+exports.removeWorkspaceMember = async (req, res) => {
+  const { userId, workspaceId, memberId } = req.params;
+
+  try {
+    const { role, error } = await loadWorkspace(workspaceId, userId, "member");
+    if (error) return sendErrorResponse(res, ...error);
+
+    const memberRole = await Workspace.getRole(workspaceId, memberId);
+    if (!memberRole) {
+      return sendErrorResponse(res, 404, "Member not found");
+    }
+    if (memberRole === "owner") {
+      return sendErrorResponse(
+        res,
+        400,
+        "The owner cannot leave the workspace; delete it instead",
+      );
+    }
+    // Admins manage members, and only the owner manages admins
+    if (
+      memberId !== userId &&
+      !(role === "owner" || (role === "admin" && memberRole === "member"))
+    ) {
+      return sendErrorResponse(
+        res,
+        403,
+        "You are not allowed to remove this member",
+      );
+    }
+
+    await Workspace.removeMember(workspaceId, memberId);
+    sendSuccessResponse(res, 200, "Member removed successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to remove member", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /workspaces/{userId}/{workspaceId}/documents:
+ *   get:
+ *     summary: List the documents in a workspace library
+ *     description: Returns the documents members added to the workspace, most recently added first. Members open them through /shared-documents/{userId}/{ownerId}/{docId}.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the member
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The workspace ID
+ *     responses:
+ *       200:
+ *         description: Workspace documents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ownerId:
+ *                         type: string
+ *                       docId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       summary:
+ *                         type: string
+ *                       addedAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Workspace not found
+ *       500:
+ *         description: Failed to retrieve workspace documents
+ */
+exports.getWorkspaceDocuments = async (req, res) => {
+  const { userId, workspaceId } = req.params;
+
+  try {
+    const { error } = await loadWorkspace(workspaceId, userId, "member");
+    if (error) return sendErrorResponse(res, ...error);
+
+    const entries = await Workspace.listDocuments(workspaceId);
+    const documents = await Promise.all(
+      entries.map(async ({ ownerId, docId, addedAt }) => {
+        const document = await Document.getById(ownerId, docId);
+        return (
+          document && {
+            ownerId,
+            docId,
+            title: Array.isArray(document.title)
+              ? document.title.join(" ")
+              : document.title,
+            summary: document.summary,
+            addedAt,
+          }
+        );
+      }),
+    );
+
+    sendSuccessResponse(
+      res,
+      200,
+      "Workspace documents retrieved successfully",
+      { documents: documents.filter(Boolean) },
+    );
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve workspace documents",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}/{docId}/workspace:
+ *   put:
+ *     summary: Add a document to a workspace library
+ *     description: Adds one of the user's documents to the library of a workspace they are a member of, moving it out of any other workspace, or takes it out of its workspace with a null workspaceId.
+ *     tags:
+ *     - Workspaces
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the owner
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workspaceId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Document workspace updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       404:
+ *         description: Document or workspace not found
+ *       500:
+ *         description: Failed to update document workspace
+ */
+exports.moveDocumentToWorkspace = async (req, res) => {
+  const { userId, docId } = req.params;
+  const workspaceId = req.body.workspaceId || null;
+
+  try {
+    if (!(await Document.getById(userId, docId))) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+    if (workspaceId) {
+      const { error } = await loadWorkspace(workspaceId, userId, "member");
+      if (error) return sendErrorResponse(res, ...error);
+    }
+
+    const document = await Workspace.setDocumentWorkspace(
+      userId,
+      docId,
+      workspaceId,
+    );
+    sendSuccessResponse(res, 200, "Document workspace updated successfully", {
+      document,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to update document workspace",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /documents/{userId}:
+ *   delete:
+ *     summary: Delete all documents
+ *     description: Deletes all documents associated with the given userId.
+ *     tags:
+ *     - Documents
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: All documents deleted successfully
+ *       500:
+ *         description: Failed to delete documents
+ */
+exports.deleteAllDocuments = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    await User.deleteAllDocuments(userId);
+
+    sendSuccessResponse(res, 200, "All documents deleted successfully");
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to delete documents", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /update-email:
+ *   post:
+ *     summary: Update user email
+ *     description: Updates the email of a user in both Firebase Authentication and Firestore.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - newEmail
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The userId of the user
+ *               newEmail:
+ *                 type: string
+ *                 description: The new email address
+ *     responses:
+ *       200:
+ *         description: Email updated successfully
+ *       400:
+ *         description: Failed to update email
+ */
+exports.updateUserEmail = async (req, res) => {
+  const { userId, newEmail } = req.body;
+
+  try {
+    // Update the user's email in Firebase Authentication
+    const userRecord = await firebaseAdmin
+      .auth()
+      .updateUser(userId, { email: newEmail });
+
+    // Also update the email in the user's Firestore document
+    await User.updateEmail(userId, newEmail);
+
+    sendSuccessResponse(res, 200, "Email updated successfully", {
+      email: userRecord.email,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 400, "Failed to update email", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /update-password:
+ *   post:
+ *     summary: Update user password
+ *     description: Updates the password of a user in Firebase Authentication.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - newPassword
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The userId of the user
+ *               newPassword:
+ *                 type: string
+ *                 description: The new password
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Failed to update password
+ */
+exports.updateUserPassword = async (req, res) => {
+  const { userId, newPassword } = req.body;
+
+  try {
+    // Update the user's password in Firebase Authentication
+    await firebaseAdmin.auth().updateUser(userId, { password: newPassword });
+    // Sign out other sessions that may have been using the old password
+    await revokeUserTokens(userId);
+
+    sendSuccessResponse(res, 200, "Password updated successfully");
+  } catch (error) {
+    sendErrorResponse(res, 400, "Failed to update password", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /days-since-joined/{userId}:
+ *   get:
+ *     summary: Get days since user joined
+ *     description: Retrieves the number of days since a user joined the service.
+ *     tags:
+ *     - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Days since user joined retrieved successfully
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve days since joined
+ */
+exports.getDaysSinceJoined = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const userData = await User.getById(userId);
+    if (!userData) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const createdAt = userData.createdAt.toDate();
+    const today = new Date();
+
+    // Calculate the difference in days between today and the creation date
+    const diffInTime = today.getTime() - createdAt.getTime();
+    const diffInDays = Math.floor(diffInTime / (1000 * 3600 * 24));
+
+    sendSuccessResponse(res, 200, "Days since user joined retrieved", {
+      days: diffInDays,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve days since joined",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ *
+ * /document-count/{userId}:
+ *   get:
+ *     summary: Get document count
+ *     description: Retrieves the number of documents associated with the given userId.
+ *     tags:
+ *     - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: Document count retrieved successfully
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve document count
+ */
+exports.getDocumentCount = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const documentCount = await Document.count(userId);
+
+    sendSuccessResponse(res, 200, "Document count retrieved", {
+      documentCount,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve document count",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /users/{userId}:
+ *   get:
+ *     summary: Get user email
+ *     description: Retrieves the email of a user by userId.
+ *     tags:
+ *     - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: User email retrieved successfully
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve user email
+ */
+exports.getUserEmail = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const userData = await User.getById(userId);
+    if (!userData) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    sendSuccessResponse(res, 200, "User email retrieved", {
+      email: userData.email,
+    });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to retrieve user email", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /update-document-title:
+ *   post:
+ *     summary: Update the title of a document
+ *     description: Updates the title of a document associated with a given user and document ID in Firestore.
+ *     tags:
+ *     - Documents
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - docId
+ *               - newTitle
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The userId of the user
+ *               docId:
+ *                 type: string
+ *                 description: The ID of the document
+ *               newTitle:
+ *                 type: string
+ *                 description: The new title for the document
+ *     responses:
+ *       200:
+ *         description: Document title updated successfully
+ *       404:
+ *         description: User or document not found
+ *       500:
+ *         description: Failed to update document title
+ */
+exports.updateDocumentTitle = async (req, res) => {
+  const { userId, docId, newTitle } = req.body;
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const document = await Document.getById(userId, docId);
+
+    if (!document) {
+      return sendErrorResponse(res, 404, "Document not found");
+    }
+
+    // Update the title of the specific document
+    await Document.updateTitle(userId, docId, newTitle);
+
+    sendSuccessResponse(res, 200, "Document title updated successfully");
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to update document title",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /user-joined-date/{userId}:
+ *   get:
+ *     summary: Get user joined date
+ *     description: Retrieves the date when the user joined (createdAt field) from Firestore.
+ *     tags:
+ *     - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The userId of the user
+ *     responses:
+ *       200:
+ *         description: User joined date retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 joinedDate:
+ *                   type: string
+ *                   format: date-time
+ *                   description: The date the user joined
+ *                 message:
+ *                   type: string
+ *                   description: Response message
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve user joined date
+ */
+exports.getUserJoinedDate = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    // Fetch user document from Firestore
+    const userData = await User.getById(userId);
+
+    // Check if the user exists
+    if (!userData) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    // Retrieve the createdAt field
+    const createdAt = userData.createdAt;
+
+    // If createdAt field exists, send it in the response
+    if (createdAt) {
+      sendSuccessResponse(res, 200, "User joined date retrieved", {
+        joinedDate: createdAt.toDate(),
+      });
+    } else {
+      sendErrorResponse(res, 404, "User joined date not available");
+    }
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve user joined date",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /update-theme:
+ *   put:
+ *     summary: Update user preferred theme
+ *     description: Updates the preferred theme (light/dark) for a user in their Firestore document.
+ *     tags:
+ *     - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - theme
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The userId of the user
+ *               theme:
+ *                 type: string
+ *                 description: The new preferred theme (either "light" or "dark")
+ *     responses:
+ *       200:
+ *         description: Theme updated successfully
+ *       400:
+ *         description: Failed to update theme
+ *       404:
+ *         description: User not found
+ */
+exports.updateTheme = async (req, res) => {
+  const { userId, theme } = req.body;
+
+  if (!userId || !theme) {
+    return sendErrorResponse(res, 400, "UserId and theme are required.");
+  }
+
+  // Validate theme input
+  if (theme !== "light" && theme !== "dark") {
+    return sendErrorResponse(
+      res,
+      400,
+      'Invalid theme. Theme must be either "light" or "dark".',
+    );
+  }
+
+  try {
+    if (!(await User.exists(userId))) {
+      return sendErrorResponse(res, 404, "User not found.");
+    }
+
+    // Update the theme preference in Firestore
+    await User.updateTheme(userId, theme);
+
+    sendSuccessResponse(res, 200, "Theme updated successfully.", { theme });
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to update theme.", error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /social-media/{userId}:
+ *   get:
+ *     summary: Get social media links for a user
+ *     description: Fetch social media links (GitHub, LinkedIn, Facebook, Instagram) for a specific user by their userId.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID of the user whose social media links you want to retrieve.
+ *     responses:
+ *       200:
+ *         description: Social media links retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 socialMedia:
+ *                   type: object
+ *                   properties:
+ *                     github:
+ *                       type: string
+ *                     linkedin:
+ *                       type: string
+ *                     facebook:
+ *                       type: string
+ *                     instagram:
+ *                       type: string
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to retrieve social media links
+ */
+exports.getSocialMedia = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const userData = await User.getById(userId);
+
+    if (!userData) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    const socialMedia = userData.socialMedia || {
+      github: "",
+      linkedin: "",
+      facebook: "",
+      instagram: "",
+    };
+
+    sendSuccessResponse(res, 200, "Social media links retrieved successfully", {
+      socialMedia,
+    });
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to retrieve social media links",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /update-social-media:
+ *   post:
+ *     summary: Update social media links for a user
+ *     description: Update the social media links (GitHub, LinkedIn, Facebook, Instagram) for a specific user by their userId.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The user ID of the user to update social media links for.
+ *               github:
+ *                 type: string
+ *               linkedin:
+ *                 type: string
+ *               facebook:
+ *                 type: string
+ *               instagram:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Social media links updated successfully
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to update social media links
+ */
+exports.updateSocialMedia = async (req, res) => {
+  const { userId, github, linkedin, facebook, instagram, twitter } = req.body;
+
+  try {
+    const userData = await User.getById(userId);
+
+    if (!userData) {
+      return sendErrorResponse(res, 404, "User not found");
+    }
+
+    // Get the current socialMedia data
+    const currentData = userData.socialMedia || {};
+
+    // Merge with the new data
+    const updatedData = {
+      github: github !== undefined ? github : currentData.github,
+      linkedin: linkedin !== undefined ? linkedin : currentData.linkedin,
+      facebook: facebook !== undefined ? facebook : currentData.facebook,
+      instagram: instagram !== undefined ? instagram : currentData.instagram,
+      twitter: twitter !== undefined ? twitter : currentData.twitter,
+    };
+
+    // Update the social media links in Firestore
+    await User.updateSocialMedia(userId, updatedData);
+
+    sendSuccessResponse(res, 200, "Social media links updated successfully");
+  } catch (error) {
+    sendErrorResponse(
+      res,
+      500,
+      "Failed to update social media links",
+      error.message,
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /sentiment-analysis:
+ *   post:
+ *     summary: Analyze sentiment of the document text
+ *     description: Perform sentiment analysis on the provided document text and return a sentiment score and description.
+ *     tags:
+ *       - Document Analysis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentText
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *                 description: The text content of the document to analyze sentiment for.
+ *     responses:
+ *       200:
+ *         description: Sentiment analysis completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sentimentScore:
+ *                   type: number
+ *                   description: Sentiment score ranging from -1 (very negative) to +1 (very positive).
+ *                 description:
+ *                   type: string
+ *                   description: Brief description of the sentiment.
+ *       400:
+ *         description: Invalid document text
+ *       500:
+ *         description: Failed to perform sentiment analysis
+ */
+exports.sentimentAnalysis = async (req, res) => {
+  try {
+    const { documentText } = req.body;
+
+    if (
+      !documentText ||
+      typeof documentText !== "string" ||
+      documentText.trim() === ""
+    ) {
+      return res.status(400).send({ error: "Invalid document text" });
+    }
+
+    const sentimentResult = await analyzeSentiment(documentText);
+    await saveInsight(req, "sentiment", {
+      score: sentimentResult.sentimentScore,
+      description: sentimentResult.description,
+    });
+
+    res.status(200).send({
+      sentimentScore: sentimentResult.sentimentScore,
+      description: sentimentResult.description,
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /bullet-summary:
+ *   post:
+ *     summary: Generate a summary in bullet points
+ *     description: Generate a summary of the provided document text in bullet points for concise representation. Send `Accept: text/event-stream` to receive the text as `token` events ({ text }) while it is generated, followed by a final `result` event with the JSON body below (or an `error` event).
+ *     tags:
+ *       - Document Analysis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentText
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *                 description: The text content of the document to generate a bullet point summary for.
+ *     responses:
+ *       200:
+ *         description: Bullet point summary generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: string
+ *                   description: The generated bullet point summary.
+ *       400:
+ *         description: Invalid document text
+ *       500:
+ *         description: Failed to generate bullet point summary
+ */
+exports.bulletSummary = async (req, res) => {
+  let stream = null;
+  try {
+    const { documentText } = req.body;
+
+    if (
+      !documentText ||
+      typeof documentText !== "string" ||
+      documentText.trim() === ""
+    ) {
+      return res.status(400).send({ error: "Invalid document text" });
+    }
+
+    stream = openTokenStream(req, res);
+    const bulletSummary = await generateBulletSummary(
+      documentText,
+      stream?.options,
+    );
+    await saveInsight(req, "bulletSummary", bulletSummary);
+    if (stream) return stream.result({ summary: bulletSummary });
+    res.status(200).send({ summary: bulletSummary });
+  } catch (error) {
+    if (stream) return stream.error(500, error.message);
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /summary-in-language:
+ *   post:
+ *     summary: Generate a summary in a selected language
+ *     description: Generate a summary of the provided document text in the selected language. Send `Accept: text/event-stream` to receive the text as `token` events ({ text }) while it is generated, followed by a final `result` event with the JSON body below (or an `error` event).
+ *     tags:
+ *       - Document Analysis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentText
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *                 description: The text content of the document to summarize.
+ *               language:
+ *                 type: string
+ *                 description: The language in which the summary should be generated. Defaults to the defaultLanguage of the workspace the user works in.
+ *     responses:
+ *       200:
+ *         description: Summary generated successfully in the selected language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: string
+ *                   description: The generated summary in the selected language.
+ *       400:
+ *         description: Invalid document text or language
+ *       500:
+ *         description: Failed to generate summary in the selected language
+ */
+exports.summaryInLanguage = async (req, res) => {
+  let stream = null;
+  try {
+    const { documentText } = req.body;
+    const language =
+      req.body.language || (await workspaceDefault(req, "defaultLanguage"));
+
+    if (
+      !documentText ||
+      typeof documentText !== "string" ||
+      documentText.trim() === "" ||
+      !language ||
+      typeof language !== "string" ||
+      language.trim() === ""
+    ) {
+      return res
+        .status(400)
+        .send({ error: "Invalid document text or language" });
+    }
+
+    stream = openTokenStream(req, res);
+    const translatedSummary = await generateSummaryInLanguage(
+      documentText,
+      language,
+      stream?.options,
+    );
+    await saveInsight(req, "languageSummary", translatedSummary, { language });
+    if (stream) return stream.result({ summary: translatedSummary });
+    res.status(200).send({ summary: translatedSummary });
+  } catch (error) {
+    if (stream) return stream.error(500, error.message);
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /content-rewriting:
+ *   post:
+ *     summary: Rewrite or rephrase document content
+ *     description: Rewrite or rephrase the provided document content based on the selected style. Send `Accept: text/event-stream` to receive the text as `token` events ({ text }) while it is generated, followed by a final `result` event with the JSON body below (or an `error` event).
+ *     tags:
+ *       - Document Analysis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentText
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *                 description: The text content of the document to rewrite or rephrase.
+ *               style:
+ *                 type: string
+ *                 description: The style or tone in which to rewrite the content (e.g., formal, casual). Defaults to the defaultStyle of the workspace the user works in.
+ *     responses:
+ *       200:
+ *         description: Content rewritten successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rewrittenContent:
+ *                   type: string
+ *                   description: The rewritten or rephrased document content.
+ *       400:
+ *         description: Invalid document text or style
+ *       500:
+ *         description: Failed to rewrite content
+ */
+exports.contentRewriting = async (req, res) => {
+  let stream = null;
+  try {
+    const { documentText } = req.body;
+    const style =
+      req.body.style || (await workspaceDefault(req, "defaultStyle"));
+
+    if (
+      !documentText ||
+      typeof documentText !== "string" ||
+      documentText.trim() === "" ||
+      !style ||
+      typeof style !== "string" ||
+      style.trim() === ""
+    ) {
+      return res.status(400).send({ error: "Invalid document text or style" });
+    }
+
+    stream = openTokenStream(req, res);
+    const rewrittenContent = await rewriteContent(
+      documentText,
+      style,
+      stream?.options,
+    );
+    await saveInsight(req, "rewrittenContent", rewrittenContent, { style });
+    if (stream) return stream.result({ rewrittenContent });
+    res.status(200).send({ rewrittenContent });
+  } catch (error) {
+    if (stream) return stream.error(500, error.message);
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /actionable-recommendations:
+ *   post:
+ *     summary: Generate actionable recommendations based on document content
+ *     description: Generate actionable recommendations or next steps based on the provided document text, focusing on identifying follow-up actions or critical takeaways.
+ *     tags:
+ *       - Document Analysis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentText
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               documentText:
+ *                 type: string
+ *                 description: The text content of the document to generate actionable recommendations for.
+ *     responses:
+ *       200:
+ *         description: Actionable recommendations generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recommendations:
+ *                   type: string
+ *                   description: The generated actionable recommendations or next steps.
+ *       400:
+ *         description: Invalid document text
+ *       500:
+ *         description: Failed to generate actionable recommendations
+ */
+exports.actionableRecommendations = async (req, res) => {
+  try {
+    const { documentText } = req.body;
+
+    if (
+      !documentText ||
+      typeof documentText !== "string" ||
+      documentText.trim() === ""
+    ) {
+      return res.status(400).send({ error: "Invalid document text" });
+    }
+
+    const recommendations =
+      await generateActionableRecommendations(documentText);
+    await saveInsight(req, "recommendations", recommendations);
+
+    res.status(200).send({ recommendations });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /refine-summary:
+ *   post:
+ *     summary: Refine a summary based on user instructions
+ *     description: Takes an initial summary and refinement instructions from the user, and returns a refined summary based on those instructions. Send `Accept: text/event-stream` to receive the text as `token` events ({ text }) while it is generated, followed by a final `result` event with the JSON body below (or an `error` event).
+ *     tags:
+ *       - Document Refinement
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *               - refinementInstructions
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, saves the result against the user's document.
+ *               documentId:
+ *                 type: string
+ *                 description: Optional. The saved document the result belongs to; returned later by /document-details.
+ *               summary:
+ *                 type: string
+ *                 description: The initial summary that needs refinement.
+ *               refinementInstructions:
+ *                 type: string
+ *                 description: Instructions on how to refine the summary (e.g., "Make it more concise and formal").
+ *     responses:
+ *       200:
+ *         description: Summary refined successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 refinedSummary:
+ *                   type: string
+ *                   description: The refined summary based on the user's instructions.
+ *       400:
+ *         description: Invalid summary or refinement instructions
+ *       500:
+ *         description: Failed to refine the summary
+ */
+exports.refineSummary = async (req, res) => {
+  let stream = null;
+  try {
+    const { summary, refinementInstructions } = req.body;
+
+    // Validate inputs
+    if (
+      !summary ||
+      typeof summary !== "string" ||
+      summary.trim() === "" ||
+      !refinementInstructions ||
+      typeof refinementInstructions !== "string" ||
+      refinementInstructions.trim() === ""
+    ) {
+      return res
+        .status(400)
+        .send({ error: "Invalid summary or refinement instructions" });
+    }
+
+    // Call the helper function to refine the summary, streaming it if asked to
+    stream = openTokenStream(req, res);
+    const refinedSummary = await refineSummary(
+      summary,
+      refinementInstructions,
+      stream?.options,
+    );
+    await saveInsight(req, "refinedSummary", refinedSummary, {
+      instructions: refinementInstructions,
+    });
+    if (stream) return stream.result({ refinedSummary });
+    res.status(200).send({ refinedSummary });
+  } catch (error) {
+    if (stream) return stream.error(500, error.message);
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /export:
+ *   post:
+ *     summary: Export a document report
+ *     description: Builds a report with the title, summary and AI insights of a document (bullet summary, key ideas, discussion points, sentiment, recommendations and refined summary) and returns it as a PDF, DOCX or Markdown file. With userId and documentId, the summary and insights saved with the document are used; fields sent in the body take precedence, so unsaved results can be exported as well. Sections without content are left out.
+ *     tags:
+ *       - Documents
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [pdf, docx, markdown]
+ *               userId:
+ *                 type: string
+ *                 description: Optional. Together with documentId, exports the summary and insights saved with the document.
+ *               documentId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               summary:
+ *                 type: string
+ *               bulletSummary:
+ *                 type: string
+ *               keyIdeas:
+ *                 type: string
+ *               discussionPoints:
+ *                 type: string
+ *               sentiment:
+ *                 type: object
+ *                 properties:
+ *                   score:
+ *                     type: number
+ *                   description:
+ *                     type: string
+ *               recommendations:
+ *                 type: string
+ *               refinedSummary:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The report file, sent as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.openxmlformats-officedocument.wordprocessingml.document:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or nothing to export
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to export document
+ */
+exports.exportDocument = async (req, res) => {
+  const { format, userId, documentId } = req.body;
+  const actualUserId = Array.isArray(userId) ? userId[0] : userId;
+
+  if (!EXPORT_FORMATS[format]) {
+    return sendErrorResponse(
+      res,
+      400,
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    );
+  }
+
+  try {
+    let saved = {};
+    if (actualUserId && documentId) {
+      const doc = await Document.getById(actualUserId, documentId);
+      if (!doc) {
+        return sendErrorResponse(res, 404, "Document not found");
+      }
+      saved = {
+        title: Array.isArray(doc.title) ? doc.title.join(" ") : doc.title,
+        summary: doc.summary,
+        ...Object.fromEntries(
+          Object.entries(doc.insights || {}).map(([type, { content }]) => [
+            type,
+            content,
+          ]),
+        ),
+      };
+    }
+
+    const report = buildReport(saved, req.body);
+    if (!report.sections.length) {
+      return sendErrorResponse(res, 400, "Nothing to export");
+    }
+
+    const { buffer, contentType, fileName } = await renderReport(
+      report,
+      format,
+    );
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    sendErrorResponse(res, 500, "Failed to export document", error.message);
+  }
+};
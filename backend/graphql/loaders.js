@@ -0,0 +1,21 @@
+const DataLoader = require("dataloader");
+const { User, Document, Folder } = require("../models/models");
+
+/**
+ * Create the DataLoaders of one GraphQL request. Lookups of users, documents
+ * and folders made while resolving the request are batched into one
+ * Firestore read per tick, and each is read at most once per request.
+ * Mutations clear what they change so later lookups see the change.
+ * @returns {{users: DataLoader, documents: DataLoader, folders: DataLoader}} - Loaders; users are loaded by ID, documents by { userId, docId } and folders by { userId, folderId }
+ */
+const createLoaders = () => ({
+  users: new DataLoader((uids) => User.getMany(uids)),
+  documents: new DataLoader((keys) => Document.getMany(keys), {
+    cacheKeyFn: ({ userId, docId }) => `${userId}/${docId}`,
+  }),
+  folders: new DataLoader((keys) => Folder.getMany(keys), {
+    cacheKeyFn: ({ userId, folderId }) => `${userId}/${folderId}`,
+  }),
+});
+
+module.exports = { createLoaders };
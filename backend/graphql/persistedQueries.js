@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const {
+  savePersistedQuery,
+  fetchPersistedQuery,
+} = require("../redis/redisClient");
+
+const PERSISTED_QUERY_TTL =
+  parseInt(process.env.GRAPHQL_PERSISTED_QUERY_TTL, 10) || 30 * 24 * 3600; // 30 days
+
+/**
+ * Read the extensions of a GraphQL request, sent in the JSON body of POST
+ * requests and as a JSON-encoded query parameter of GET requests
+ * @param req - Request object
+ * @returns {object|null} - Extensions, if any
+ */
+const readExtensions = (req) => {
+  const extensions = req.body?.extensions ?? req.query.extensions;
+  if (typeof extensions !== "string") return extensions || null;
+  try {
+    return JSON.parse(extensions);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Respond with a GraphQL error
+ * @param res - Response object
+ * @param status - HTTP status
+ * @param message - Error message
+ * @param code - Error code for extensions.code
+ */
+const sendGraphQLError = (res, status, message, code) => {
+  res.status(status).json({ errors: [{ message, extensions: { code } }] });
+};
+
+/**
+ * Middleware for automatic persisted queries on /graphql. Clients send the
+ * SHA-256 hash of a query as extensions.persistedQuery.sha256Hash instead of
+ * the query; the first time, the server answers PersistedQueryNotFound and
+ * the client sends the query along with its hash, which saves it. This is
+ * the protocol of Apollo Client's persisted query link.
+ * @param req - Request object
+ * @param res - Response object
+ * @param next - Next middleware function
+ * @returns {Promise<void>}
+ */
+const persistedQueries = async (req, res, next) => {
+  const persistedQuery = readExtensions(req)?.persistedQuery;
+  if (!persistedQuery) return next();
+
+  const { version, sha256Hash } = persistedQuery;
+  if (version !== 1 || typeof sha256Hash !== "string") {
+    return sendGraphQLError(
+      res,
+      400,
+      "Unsupported persisted query version",
+      "PERSISTED_QUERY_NOT_SUPPORTED",
+    );
+  }
+
+  try {
+    const query = req.body?.query ?? req.query.query;
+    if (query) {
+      const hash = crypto.createHash("sha256").update(query).digest("hex");
+      if (hash !== sha256Hash) {
+        return sendGraphQLError(
+          res,
+          400,
+          "provided sha does not match query",
+          "BAD_USER_INPUT",
+        );
+      }
+      await savePersistedQuery(sha256Hash, query, PERSISTED_QUERY_TTL);
+      return next();
+    }
+
+    const savedQuery = await fetchPersistedQuery(sha256Hash);
+    if (!savedQuery) {
+      // 200, so that clients retry with the query instead of failing
+      return sendGraphQLError(
+        res,
+        200,
+        "PersistedQueryNotFound",
+        "PERSISTED_QUERY_NOT_FOUND",
+      );
+    }
+    req.body = { ...req.body, query: savedQuery };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { persistedQueries };
@@ -0,0 +1,254 @@
+const {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType,
+  specifiedRules,
+  validate,
+} = require("graphql");
+
+const MAX_QUERY_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 10;
+const MAX_QUERY_COMPLEXITY =
+  parseInt(process.env.GRAPHQL_MAX_COMPLEXITY, 10) || 1000;
+
+// Items a list field is assumed to return when the query does not say, e.g.
+// listDocuments
+const DEFAULT_LIST_SIZE = 10;
+// Items assumed when first or limit is a variable whose value is not known,
+// the largest page the resolvers return
+const MAX_LIST_SIZE = 100;
+const LIST_SIZE_ARGUMENTS = ["first", "limit"];
+
+/**
+ * Walk the fields of a selection set, following fragments. Introspection
+ * fields (__schema, __type, ...) are skipped so that tools like GraphiQL keep
+ * working.
+ * @param context - Validation context
+ * @param selectionSet - Selection set node
+ * @param parentType - Type the selections are made on
+ * @param visitField - Called with (field node, field definition) for each field; returns its score
+ * @param fragments - Names of the fragments being expanded, to stop at cycles
+ * @returns {number[]} - Scores of the fields
+ */
+const scoreFields = (
+  context,
+  selectionSet,
+  parentType,
+  visitField,
+  fragments = new Set(),
+) =>
+  selectionSet.selections.flatMap((selection) => {
+    if (selection.kind === Kind.FIELD) {
+      const name = selection.name.value;
+      const fieldDef = parentType.getFields?.()[name];
+      // Unknown fields are reported by the standard rules
+      if (name.startsWith("__") || !fieldDef) return [];
+      return [visitField(selection, fieldDef)];
+    }
+
+    let fragment = selection;
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      fragment = context.getFragment(name);
+      if (!fragment || fragments.has(name)) return [];
+      fragments = new Set([...fragments, name]);
+    }
+    const typeCondition = fragment.typeCondition
+      ? context.getSchema().getType(fragment.typeCondition.name.value)
+      : parentType;
+    if (!typeCondition) return [];
+    return scoreFields(
+      context,
+      fragment.selectionSet,
+      typeCondition,
+      visitField,
+      fragments,
+    );
+  });
+
+/**
+ * Nesting depth of a selection set: 1 for a selection of scalar fields
+ * @param context - Validation context
+ * @param selectionSet - Selection set node
+ * @param parentType - Type the selections are made on
+ * @returns {number} - Depth
+ */
+const selectionDepth = (context, selectionSet, parentType) =>
+  Math.max(
+    0,
+    ...scoreFields(context, selectionSet, parentType, (field, fieldDef) =>
+      field.selectionSet
+        ? 1 +
+          selectionDepth(
+            context,
+            field.selectionSet,
+            getNamedType(fieldDef.type),
+          )
+        : 1,
+    ),
+  );
+
+/**
+ * Values of the variables of an operation: those sent with the request, or
+ * the defaults the operation declares
+ * @param operation - Operation definition node
+ * @param variables - Variables sent with the request
+ * @returns {object} - Values by variable name
+ */
+const variableValues = (operation, variables) =>
+  Object.fromEntries(
+    (operation.variableDefinitions || []).map(({ variable, defaultValue }) => {
+      const name = variable.name.value;
+      const fallback =
+        defaultValue?.kind === Kind.INT
+          ? parseInt(defaultValue.value, 10)
+          : undefined;
+      return [name, variables?.[name] ?? fallback];
+    }),
+  );
+
+/**
+ * Number of items a list field asks for: its first or limit argument when
+ * the query or its variables give it, DEFAULT_LIST_SIZE when it is left out
+ * and MAX_LIST_SIZE when it cannot be known
+ * @param field - Field node
+ * @param variables - Values of the operation's variables
+ * @returns {number} - List size
+ */
+const listSize = (field, variables) => {
+  const argument = field.arguments.find(({ name }) =>
+    LIST_SIZE_ARGUMENTS.includes(name.value),
+  );
+  if (!argument) return DEFAULT_LIST_SIZE;
+
+  const { value } = argument;
+  if (value.kind === Kind.INT) return parseInt(value.value, 10);
+  const size = value.kind === Kind.VARIABLE && variables[value.name.value];
+  return Number.isInteger(size) ? size : MAX_LIST_SIZE;
+};
+
+/**
+ * Estimated cost of a selection set: every field costs 1, and the fields
+ * selected on the items of a list (or connection) are counted once per item
+ * @param context - Validation context
+ * @param selectionSet - Selection set node
+ * @param parentType - Type the selections are made on
+ * @param variables - Values of the operation's variables
+ * @returns {number} - Complexity
+ */
+const selectionComplexity = (context, selectionSet, parentType, variables) =>
+  scoreFields(context, selectionSet, parentType, (field, fieldDef) => {
+    if (!field.selectionSet) return 1;
+    const type = getNullableType(fieldDef.type);
+    const isPaged = field.arguments.some(({ name }) =>
+      LIST_SIZE_ARGUMENTS.includes(name.value),
+    );
+    const items = isListType(type) || isPaged ? listSize(field, variables) : 1;
+    return (
+      1 +
+      items *
+        selectionComplexity(
+          context,
+          field.selectionSet,
+          getNamedType(type),
+          variables,
+        )
+    );
+  }).reduce((sum, cost) => sum + cost, 0);
+
+/**
+ * Create a validation rule that rejects operations scoring above a limit
+ * @param measure - (context, selectionSet, rootType, variables) => score
+ * @param limit - Highest score allowed
+ * @param describe - (score) => error message
+ * @param code - Error code for extensions.code
+ * @param variables - Variables sent with the request
+ * @returns {Function} - Validation rule
+ */
+const createLimitRule =
+  (measure, limit, describe, code, variables) => (context) => ({
+    OperationDefinition(node) {
+      const rootType = context.getSchema().getRootType(node.operation);
+      if (!rootType) return;
+
+      const score = measure(
+        context,
+        node.selectionSet,
+        rootType,
+        variableValues(node, variables),
+      );
+      if (score > limit) {
+        context.reportError(
+          new GraphQLError(describe(score), {
+            nodes: [node],
+            extensions: { code },
+          }),
+        );
+      }
+    },
+  });
+
+/**
+ * Create the validation rules limiting the cost of GraphQL operations, added
+ * to the standard rules over HTTP and WebSocket. List sizes given as
+ * variables are read from the variables of the request; without them, the
+ * largest size is assumed.
+ * @param variables - Variables sent with the request
+ * @returns {Function[]} - Validation rules
+ */
+const createQueryLimitRules = (variables) => [
+  createLimitRule(
+    selectionDepth,
+    MAX_QUERY_DEPTH,
+    (depth) =>
+      `Query depth ${depth} exceeds the maximum depth of ${MAX_QUERY_DEPTH}`,
+    "QUERY_TOO_DEEP",
+    variables,
+  ),
+  createLimitRule(
+    selectionComplexity,
+    MAX_QUERY_COMPLEXITY,
+    (complexity) =>
+      `Query complexity ${complexity} exceeds the maximum complexity of ${MAX_QUERY_COMPLEXITY}`,
+    "QUERY_TOO_COMPLEX",
+    variables,
+  ),
+];
+
+/**
+ * Read the variables of a GraphQL request, sent in the JSON body of POST
+ * requests and as a JSON-encoded query parameter of GET requests
+ * @param req - Request object
+ * @returns {object|null} - Variables, if any
+ */
+const requestVariables = (req) => {
+  const variables = req.body?.variables ?? req.query?.variables;
+  if (typeof variables !== "string") return variables || null;
+  try {
+    return JSON.parse(variables);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate an operation with the standard rules and the query limits
+ * @param schema - GraphQL schema
+ * @param document - Parsed operation
+ * @param variables - Variables sent with the operation, if known
+ * @returns {GraphQLError[]} - Validation errors
+ */
+const validateWithLimits = (schema, document, variables) =>
+  validate(schema, document, [
+    ...specifiedRules,
+    ...createQueryLimitRules(variables),
+  ]);
+
+module.exports = {
+  MAX_QUERY_DEPTH,
+  MAX_QUERY_COMPLEXITY,
+  createQueryLimitRules,
+  requestVariables,
+  validateWithLimits,
+};
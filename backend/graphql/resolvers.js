@@ -1,48 +1,271 @@
-const { firestore } = require("../services/services");
+const firebaseAdmin = require("firebase-admin");
+const { GraphQLError, GraphQLScalarType } = require("graphql");
+const { v4: uuidv4 } = require("uuid");
+const {
+  generateSummary,
+  generateKeyIdeas,
+  generateDiscussionPoints,
+  generateBulletSummary,
+  analyzeSentiment,
+  generateActionableRecommendations,
+  generateSummaryInLanguage,
+  rewriteContent,
+  refineSummary,
+  chatWithAI,
+  getChatSession,
+} = require("../services/services");
+const {
+  User,
+  Document,
+  Folder,
+  Share,
+  Workspace,
+  hasRole,
+  toSharedDocument,
+  credentialsError,
+} = require("../models/models");
+const { normalizeTags } = require("../services/tags");
+const { createLoaders } = require("./loaders");
+const {
+  getJob,
+  watchJob,
+  toPublicJob,
+  isFinished,
+} = require("../services/jobQueue");
+const { TOPICS, listen, subscribe } = require("../services/liveUpdates");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SOCIAL_MEDIA_SITES = [
+  "github",
+  "linkedin",
+  "facebook",
+  "instagram",
+  "twitter",
+];
+
+// Firebase Auth registration errors clients can act on, by Firebase code
+const REGISTRATION_ERRORS = {
+  "auth/email-already-exists": {
+    message: "A user with this email already exists",
+    code: "EMAIL_ALREADY_EXISTS",
+  },
+  "auth/invalid-email": {
+    message: "A valid email is required",
+    code: "BAD_USER_INPUT",
+  },
+  "auth/invalid-password": {
+    message: "Password is not strong enough",
+    code: "BAD_USER_INPUT",
+  },
+};
+
+/**
+ * Create an error with a machine-readable code, which clients receive as
+ * extensions.code
+ * @param message - Error message
+ * @param code - Error code, e.g. "BAD_USER_INPUT"
+ * @returns {GraphQLError} Error to throw
+ */
+const graphqlError = (message, code) =>
+  new GraphQLError(message, { extensions: { code } });
+
+/**
+ * Ensure the request is authenticated as the given user
+ * @param context - GraphQL context ({ user } set from the Bearer token)
+ * @param userId - User the operation is scoped to
+ */
+const assertOwner = (context, userId) => {
+  if (!context || !context.user) {
+    throw graphqlError("Authentication required", "UNAUTHENTICATED");
+  }
+  if (context.user.uid !== userId) {
+    throw graphqlError(
+      "You do not have access to this user's data",
+      "FORBIDDEN",
+    );
+  }
+};
+
+/**
+ * Ensure the request is authenticated as the owner of a document or as a
+ * user it is shared with
+ * @param context - GraphQL context ({ user } set from the Bearer token)
+ * @param ownerId - Owner of the document
+ * @param docId - Document ID
+ * @param required - Least role needed, e.g. "editor"
+ * @returns {Promise<string>} The user's role, "owner" for the owner
+ */
+const assertDocumentRole = async (context, ownerId, docId, required) => {
+  if (!context || !context.user) {
+    throw graphqlError("Authentication required", "UNAUTHENTICATED");
+  }
+
+  const role = await Share.getRole(ownerId, docId, context.user.uid);
+  if (!role) {
+    throw graphqlError(
+      "You do not have access to this user's data",
+      "FORBIDDEN",
+    );
+  }
+  if (!hasRole(role, required)) {
+    throw graphqlError(
+      `This action needs the ${required} role on the document`,
+      "FORBIDDEN",
+    );
+  }
+  return role;
+};
+
+/**
+ * Ensure the request is authenticated as the given user when the operation
+ * names one. AI operations work without a user, like their REST endpoints,
+ * but only save results against the authenticated user's documents.
+ * @param context - GraphQL context ({ user } set from the Bearer token)
+ * @param userId - User the operation is scoped to, if any
+ */
+const assertOptionalOwner = (context, userId) => {
+  if (userId) assertOwner(context, userId);
+};
+
+/**
+ * Ensure an argument is a non-empty string
+ * @param value - Argument value
+ * @param message - Error message if it is not
+ */
+const assertText = (value, message) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error(message);
+  }
+};
+
+/**
+ * Save an AI result against a document, like the REST endpoints do. Nothing
+ * is saved without a userId and documentId, and a failed save does not fail
+ * the operation.
+ * @param userId - User ID
+ * @param documentId - Document ID
+ * @param type - Insight type, e.g. "keyIdeas"
+ * @param content - Generated content
+ * @param options - Options the content was generated with
+ */
+const saveInsight = async (userId, documentId, type, content, options) => {
+  if (!userId || !documentId) return;
+
+  try {
+    await Document.saveInsight(userId, documentId, type, content, options);
+  } catch (error) {
+    console.error(`Failed to save ${type} for ${documentId}:`, error.message);
+  }
+};
+
+/**
+ * Get a setting of the workspace a user works in, used when an operation
+ * leaves the option out
+ * @param userId - User ID, if any
+ * @param setting - One of WORKSPACE_SETTINGS
+ * @returns {Promise<string|null>} The setting, or null
+ */
+const workspaceDefault = async (userId, setting) => {
+  if (!userId) return null;
+  return await Workspace.getActiveSetting(userId, setting).catch(() => null);
+};
+
+/**
+ * Get the DataLoaders of a request. Requests over HTTP share theirs between
+ * resolvers; other callers, like subscriptions, which run for a long time,
+ * get fresh loaders for each lookup so that nothing goes stale.
+ * @param context - GraphQL context, with loaders for HTTP requests
+ * @returns {object} Loaders from createLoaders
+ */
+const loadersOf = (context) => context?.loaders || createLoaders();
+
+/**
+ * Check whether a user exists
+ * @param context - GraphQL context
+ * @param id - User ID
+ * @returns {Promise<boolean>} True if the user exists
+ */
+const userExists = async (context, id) =>
+  Boolean(await loadersOf(context).users.load(id));
+
+/**
+ * Load a user for the User type
+ * @param context - GraphQL context
+ * @param id - User ID
+ * @returns {Promise<object>} User object
+ */
+const loadUser = async (context, id) => {
+  const user = await loadersOf(context).users.load(id);
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return { id, ...user };
+};
+
+/**
+ * Cursors are opaque to clients; they encode the ID of the last document of
+ * a page so that pages stay stable when documents are added before them
+ * @param docId - Document ID
+ * @returns {string} Cursor
+ */
+const encodeCursor = (docId) => Buffer.from(docId).toString("base64");
+const decodeCursor = (cursor) => Buffer.from(cursor, "base64").toString();
 
 /**
  * Resolvers for the GraphQL schema
  * @type {{Query: {getUser(*, {id: *}): Promise<{[p: string]: FirebaseFirestore.DocumentFieldValue, id: *}>, getDocument(*, {userId: *, docId: *}): Promise<*>, listDocuments(*, {userId: *}): Promise<*>}, Mutation: {createUser(*, {email: *, password: *}): Promise<{id: string, email: *, createdAt: string, documents: []}>, deleteDocument(*, {userId: *, docId: *}): Promise<boolean>, updateDocumentTitle(*, {userId: *, docId: *, title: *}): Promise<*>}}} Resolvers for the GraphQL schema
  */
 const resolvers = {
+  JSON: new GraphQLScalarType({
+    name: "JSON",
+    description: "Any JSON value",
+    serialize: (value) => value,
+    parseValue: (value) => value,
+  }),
+
   Query: {
     /**
      * Get user by ID
      * @param _ - Parent object
      * @param id - User ID
+     * @param context - GraphQL context with the authenticated user
      * @returns {Promise<{[p: string]: FirebaseFirestore.DocumentFieldValue, id: *}>} User object
      */
-    async getUser(_, { id }) {
-      const userDoc = await firestore.collection("users").doc(id).get();
+    async getUser(_, { id }, context) {
+      assertOwner(context, id);
 
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      return { id, ...userDoc.data() };
+      return await loadUser(context, id);
     },
 
     /**
-     * Get document by user ID and document ID
+     * Get document by user ID and document ID. Users the document is
+     * shared with can read it without the owner's folder and tags.
      * @param _ - Parent object
-     * @param userId - User ID
+     * @param userId - User ID of the owner
      * @param docId - Document ID
+     * @param context - GraphQL context with the authenticated user
      * @returns {Promise<*>} Document object
      */
-    async getDocument(_, { userId, docId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
+    async getDocument(_, { userId, docId }, context) {
+      const role = await assertDocumentRole(context, userId, docId, "viewer");
 
-      if (!userDoc.exists) {
+      if (!(await userExists(context, userId))) {
         throw new Error("User not found");
       }
 
-      const document = userDoc.data().documents.find((doc) => doc.id === docId);
+      const document = await loadersOf(context).documents.load({
+        userId,
+        docId,
+      });
 
       if (!document) {
         throw new Error("Document not found");
       }
 
-      return document;
+      return role === "owner" ? document : toSharedDocument(document);
     },
 
     /**
@@ -50,98 +273,1005 @@ const resolvers = {
      *
      * @param _ - Parent object
      * @param userId - User ID
+     * @param context - GraphQL context with the authenticated user
      * @returns {Promise<any|*[]>} List of documents
      */
-    async listDocuments(_, { userId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
+    async listDocuments(
+      _,
+      { userId, folderId, tags = [], sort, order },
+      context,
+    ) {
+      assertOwner(context, userId);
 
-      if (!userDoc.exists) {
+      if (!(await userExists(context, userId))) {
         throw new Error("User not found");
       }
 
-      return userDoc.data().documents || [];
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        throw new Error("Invalid tag filter");
+      }
+
+      return await Document.list(userId, {
+        folderId: folderId ?? undefined,
+        tags: normalizedTags,
+        sort,
+        order,
+      });
     },
-  },
 
-  Mutation: {
     /**
-     * Create a new user
+     * Page through the documents of a user. Takes the same filters as
+     * listDocuments; `after` is the endCursor of the previous page. Only the
+     * documents of the page are read (see Document.page).
      * @param _ - Parent object
-     * @param email - User email
-     * @param password - User password
-     * @returns {Promise<{id: string, email: *, createdAt: string, documents: *[]}>} Created user object
-     */
-    async createUser(_, { email, password }) {
-      // Implement user creation logic
-      const newUser = await firestore.collection("users").add({
-        email,
-        createdAt: new Date().toISOString(),
-        documents: [],
+     * @param userId - User ID
+     * @param first - Page size, up to MAX_PAGE_SIZE
+     * @param after - Cursor to continue after
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<{edges: *[], pageInfo: *, totalCount: number}>} Page of documents
+     */
+    async documentsConnection(
+      _,
+      {
+        userId,
+        first = DEFAULT_PAGE_SIZE,
+        after,
+        folderId,
+        tags = [],
+        sort,
+        order,
+      },
+      context,
+    ) {
+      assertOwner(context, userId);
+
+      if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE_SIZE) {
+        throw new Error(`first must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        throw new Error("Invalid tag filter");
+      }
+      if (!(await userExists(context, userId))) {
+        throw new Error("User not found");
+      }
+
+      const page = await Document.page(userId, {
+        first,
+        after: after ? decodeCursor(after) : undefined,
+        folderId: folderId ?? undefined,
+        tags: normalizedTags,
+        sort,
+        order,
       });
+      if (!page) {
+        throw new Error("Invalid cursor");
+      }
 
+      const edges = page.documents.map((doc) => ({
+        cursor: encodeCursor(doc.id),
+        node: doc,
+      }));
       return {
-        id: newUser.id,
-        email,
-        createdAt: new Date().toISOString(),
-        documents: [],
+        edges,
+        pageInfo: {
+          hasNextPage: page.hasNextPage,
+          endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+        },
+        totalCount: page.totalCount,
       };
     },
 
+    /**
+     * Search the documents of a user by keyword
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param searchTerm - Search query
+     * @param limit - Maximum number of results, up to 100
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} Best matches first
+     */
+    async searchDocuments(_, { userId, searchTerm, limit }, context) {
+      assertOwner(context, userId);
+      assertText(searchTerm, "searchTerm is required");
+
+      if (!(await userExists(context, userId))) {
+        throw new Error("User not found");
+      }
+
+      return await Document.search(userId, searchTerm, {
+        limit: Math.min(limit || 20, 100),
+      });
+    },
+
+    /**
+     * Find the documents of a user closest in meaning to a query
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param query - Search query
+     * @param limit - Maximum number of results, up to 50
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} Best matches first, with their passages
+     */
+    async semanticSearch(_, { userId, query, limit }, context) {
+      assertOwner(context, userId);
+      assertText(query, "query is required");
+
+      if (!(await userExists(context, userId))) {
+        throw new Error("User not found");
+      }
+
+      return await Document.searchByMeaning(userId, query, {
+        limit: Math.min(limit || 10, 50),
+      });
+    },
+
+    /**
+     * List the folders of a user
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} List of folders
+     */
+    async listFolders(_, { userId }, context) {
+      assertOwner(context, userId);
+
+      return await Folder.list(userId);
+    },
+
+    /**
+     * List the tags of a user's documents with how many documents have each
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} Tags, most used first
+     */
+    async listTags(_, { userId }, context) {
+      assertOwner(context, userId);
+
+      return await Document.listTags(userId);
+    },
+
+    /**
+     * List the documents other users shared with a user
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} Shared documents with their owner and the user's role, newest share first
+     */
+    async sharedWithMe(_, { userId }, context) {
+      assertOwner(context, userId);
+
+      const shares = await Share.listForUser(userId);
+      const loaders = loadersOf(context);
+      const documents = await Promise.all(
+        shares.map(async ({ ownerId, docId, role, createdAt }) => {
+          const document = await loaders.documents.load({
+            userId: ownerId,
+            docId,
+          });
+          return (
+            document && {
+              ownerId,
+              role,
+              sharedAt: createdAt,
+              document: toSharedDocument(document),
+            }
+          );
+        }),
+      );
+      return documents.filter(Boolean);
+    },
+
+    /**
+     * List the users a document is shared with
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} List of shares
+     */
+    async documentShares(_, { userId, docId }, context) {
+      assertOwner(context, userId);
+
+      return await Share.listForDocument(userId, docId);
+    },
+
+    /**
+     * List the public links to a document
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} List of links
+     */
+    async documentShareLinks(_, { userId, docId }, context) {
+      assertOwner(context, userId);
+
+      return await Share.listLinks(userId, docId);
+    },
+  },
+
+  User: {
+    createdAt: (user) =>
+      user.createdAt && typeof user.createdAt.toDate === "function"
+        ? user.createdAt.toDate().toISOString()
+        : user.createdAt,
+
+    /**
+     * Social media links, with unset sites as empty strings
+     * @param user - Parent user object
+     * @returns {object} Links by site
+     */
+    socialMedia: (user) =>
+      Object.fromEntries(
+        SOCIAL_MEDIA_SITES.map((site) => [
+          site,
+          user.socialMedia?.[site] || "",
+        ]),
+      ),
+
+    /**
+     * Count the user's documents
+     * @param user - Parent user object
+     * @returns {Promise<number>} Number of documents
+     */
+    async documentCount(user) {
+      return await Document.count(user.id);
+    },
+
+    /**
+     * Load the user's documents from the documents subcollection
+     * @param user - Parent user object
+     * @returns {Promise<*[]>} List of documents
+     */
+    async documents(user) {
+      return await Document.list(user.id);
+    },
+  },
+
+  // Folders are only returned to their owner, and documents shared with
+  // other users are returned without their folderId, so the authenticated
+  // user is the owner of any folder resolved here
+  Document: {
+    // Uploaded documents store their title as a list of words
+    title: (document) =>
+      Array.isArray(document.title)
+        ? document.title.join(" ")
+        : document.title || "",
+    tags: (document) => document.tags || [],
+    suggestedTags: (document) => document.suggestedTags || [],
+
+    /**
+     * Get the text of the document. Listed documents are read without it,
+     * so it is loaded when asked for.
+     * @param document - Parent document object
+     * @param _ - Arguments
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Text of the document
+     */
+    async originalText(document, _, context) {
+      if (typeof document.originalText === "string") {
+        return document.originalText;
+      }
+      const loaded = await loadersOf(context).documents.load({
+        userId: context.user.uid,
+        docId: document.id,
+      });
+      return loaded?.originalText || "";
+    },
+
+    /**
+     * Load the folder the document is filed in
+     * @param document - Parent document object
+     * @param _ - Arguments
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*|null>} Folder, or null
+     */
+    async folder(document, _, context) {
+      if (!document.folderId) return null;
+      return await loadersOf(context).folders.load({
+        userId: context.user.uid,
+        folderId: document.folderId,
+      });
+    },
+  },
+
+  Folder: {
+    /**
+     * Load the documents filed in the folder
+     * @param folder - Parent folder object
+     * @param _ - Arguments
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*[]>} List of documents
+     */
+    async documents(folder, _, context) {
+      return await Document.list(context.user.uid, { folderId: folder.id });
+    },
+  },
+
+  Mutation: {
+    /**
+     * Register a new user, like POST /register: the user gets a Firebase
+     * Auth account they can sign in with and a profile with the same ID.
+     * Errors have extensions.code BAD_USER_INPUT, EMAIL_ALREADY_EXISTS or
+     * INTERNAL_SERVER_ERROR.
+     * @param _ - Parent object
+     * @param email - User email
+     * @param password - User password, at least 6 characters
+     * @param context - GraphQL context
+     * @returns {Promise<*>} Created user object
+     */
+    async createUser(_, { email, password }, context) {
+      const invalid = credentialsError(email, password);
+      if (invalid) {
+        throw graphqlError(invalid, "BAD_USER_INPUT");
+      }
+
+      let userId;
+      try {
+        userId = await User.register(email, password);
+      } catch (error) {
+        const known = REGISTRATION_ERRORS[error.code];
+        if (known) {
+          throw graphqlError(known.message, known.code);
+        }
+        console.error("Error during user registration:", error.message);
+        throw graphqlError("User registration failed", "INTERNAL_SERVER_ERROR");
+      }
+
+      return await loadUser(context, userId);
+    },
+
+    /**
+     * Change the email of a user, both for signing in and in their profile
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param email - New email
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Updated user object
+     */
+    async updateEmail(_, { userId, email }, context) {
+      assertOwner(context, userId);
+
+      const userRecord = await firebaseAdmin
+        .auth()
+        .updateUser(userId, { email });
+      await User.updateEmail(userId, userRecord.email);
+      loadersOf(context).users.clear(userId);
+
+      return await loadUser(context, userId);
+    },
+
+    /**
+     * Change the theme of a user
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param theme - "light" or "dark"
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Updated user object
+     */
+    async updateTheme(_, { userId, theme }, context) {
+      assertOwner(context, userId);
+
+      if (!(await userExists(context, userId))) {
+        throw new Error("User not found");
+      }
+
+      await User.updateTheme(userId, theme);
+      loadersOf(context).users.clear(userId);
+
+      return await loadUser(context, userId);
+    },
+
+    /**
+     * Change the social media links of a user. Sites left out keep their
+     * current link.
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param socialMedia - New links by site
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Updated user object
+     */
+    async updateSocialMedia(_, { userId, socialMedia }, context) {
+      assertOwner(context, userId);
+
+      const user = await loadUser(context, userId);
+      const currentData = user.socialMedia || {};
+      const updatedData = Object.fromEntries(
+        SOCIAL_MEDIA_SITES.map((site) => [
+          site,
+          socialMedia[site] !== undefined
+            ? socialMedia[site]
+            : currentData[site],
+        ]),
+      );
+      await User.updateSocialMedia(userId, updatedData);
+      loadersOf(context).users.clear(userId);
+
+      return { ...user, socialMedia: updatedData };
+    },
+
     /**
      * Delete a document
      * @param _ - Parent object
      * @param userId - User ID
      * @param docId - Document ID
+     * @param context - GraphQL context with the authenticated user
      * @returns {Promise<boolean>} True if document is deleted successfully
      */
-    async deleteDocument(_, { userId, docId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
+    async deleteDocument(_, { userId, docId }, context) {
+      assertOwner(context, userId);
 
-      if (!userDoc.exists) {
+      if (!(await userExists(context, userId))) {
         throw new Error("User not found");
       }
 
-      const userData = userDoc.data();
-      const updatedDocs = userData.documents.filter((doc) => doc.id !== docId);
-
-      await firestore
-        .collection("users")
-        .doc(userId)
-        .update({ documents: updatedDocs });
+      await Document.delete(userId, docId);
+      loadersOf(context).documents.clear({ userId, docId });
 
       return true;
     },
 
     /**
-     * Update document title
+     * Update document title. Editors of a shared document can rename it.
      * @param _ - Parent object
-     * @param userId - User ID
+     * @param userId - User ID of the owner
      * @param docId - Document ID
      * @param title - New document title
+     * @param context - GraphQL context with the authenticated user
      * @returns {Promise<*>} Updated document object
      */
-    async updateDocumentTitle(_, { userId, docId, title }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
+    async updateDocumentTitle(_, { userId, docId, title }, context) {
+      const role = await assertDocumentRole(context, userId, docId, "editor");
 
-      if (!userDoc.exists) {
+      if (!(await userExists(context, userId))) {
         throw new Error("User not found");
       }
 
-      const userData = userDoc.data();
-      const docIndex = userData.documents.findIndex((doc) => doc.id === docId);
+      const document = await Document.updateTitle(userId, docId, title);
+      loadersOf(context).documents.clear({ userId, docId });
+      return role === "owner" ? document : toSharedDocument(document);
+    },
+
+    /**
+     * Replace the tags of a document
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param docId - Document ID
+     * @param tags - New tags
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Updated document object
+     */
+    async setDocumentTags(_, { userId, docId, tags }, context) {
+      assertOwner(context, userId);
+
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        throw new Error("Invalid tags");
+      }
+
+      loadersOf(context).documents.clear({ userId, docId });
+      return await Document.organize(userId, docId, { tags: normalizedTags });
+    },
+
+    /**
+     * File a document in a folder, or take it out of its folder
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param docId - Document ID
+     * @param folderId - Folder ID, or null
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Updated document object
+     */
+    async moveDocumentToFolder(_, { userId, docId, folderId }, context) {
+      assertOwner(context, userId);
+
+      loadersOf(context).documents.clear({ userId, docId });
+      return await Document.organize(userId, docId, {
+        folderId: folderId ?? null,
+      });
+    },
+
+    /**
+     * Create a folder
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param name - Folder name
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Created folder object
+     */
+    async createFolder(_, { userId, name }, context) {
+      assertOwner(context, userId);
+
+      return await Folder.create(userId, name.trim());
+    },
+
+    /**
+     * Rename a folder
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param folderId - Folder ID
+     * @param name - New folder name
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} Renamed folder object
+     */
+    async renameFolder(_, { userId, folderId, name }, context) {
+      assertOwner(context, userId);
+
+      loadersOf(context).folders.clear({ userId, folderId });
+      return await Folder.rename(userId, folderId, name.trim());
+    },
+
+    /**
+     * Delete a folder, moving its documents out of it
+     * @param _ - Parent object
+     * @param userId - User ID
+     * @param folderId - Folder ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<boolean>} True if the folder is deleted successfully
+     */
+    async deleteFolder(_, { userId, folderId }, context) {
+      assertOwner(context, userId);
+
+      if (!(await loadersOf(context).folders.load({ userId, folderId }))) {
+        throw new Error("Folder not found");
+      }
+
+      await Folder.delete(userId, folderId);
+      const loaders = loadersOf(context);
+      loaders.folders.clear({ userId, folderId });
+      // Its documents were moved out of it
+      loaders.documents.clearAll();
+
+      return true;
+    },
+
+    /**
+     * Share a document with the user registered with an email, or change
+     * their role
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param email - Email of the user to share with
+     * @param role - Role to give them
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} The share
+     */
+    async shareDocument(_, { userId, docId, email, role }, context) {
+      assertOwner(context, userId);
+
+      if (!(await loadersOf(context).documents.load({ userId, docId }))) {
+        throw new Error("Document not found");
+      }
+
+      const grantee = await firebaseAdmin
+        .auth()
+        .getUserByEmail(email)
+        .catch(() => null);
+      if (!grantee) {
+        throw new Error("No user is registered with this email");
+      }
+      if (grantee.uid === userId) {
+        throw new Error("You already own this document");
+      }
+
+      return await Share.grant(userId, docId, {
+        userId: grantee.uid,
+        email: grantee.email,
+        role,
+      });
+    },
+
+    /**
+     * Stop sharing a document with a user
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param granteeId - User ID of the user the document is shared with
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<boolean>} True if the share is removed, false if there was none
+     */
+    async unshareDocument(_, { userId, docId, granteeId }, context) {
+      assertOwner(context, userId);
+
+      return await Share.revoke(userId, docId, granteeId);
+    },
+
+    /**
+     * Create a public read-only link to a document
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<*>} The link
+     */
+    async createShareLink(_, { userId, docId }, context) {
+      assertOwner(context, userId);
 
-      if (docIndex === -1) {
+      if (!(await loadersOf(context).documents.load({ userId, docId }))) {
         throw new Error("Document not found");
       }
 
-      userData.documents[docIndex].title = title;
+      return await Share.createLink(userId, docId);
+    },
+
+    /**
+     * Revoke a public link
+     * @param _ - Parent object
+     * @param userId - User ID of the owner
+     * @param docId - Document ID
+     * @param token - Link token
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<boolean>} True if the link is revoked, false if there was none
+     */
+    async revokeShareLink(_, { userId, docId, token }, context) {
+      assertOwner(context, userId);
+
+      return await Share.revokeLink(userId, docId, token);
+    },
+
+    /**
+     * Summarize a text. Documents are saved by uploading them to /upload.
+     * @param _ - Parent object
+     * @param text - Text to summarize
+     * @returns {Promise<{summary: string, originalText: string}>} Summary and the original text
+     */
+    async summarizeText(_, { text }) {
+      assertText(text, "Invalid document text");
+
+      return await generateSummary(text);
+    },
+
+    /**
+     * Generate the key ideas of a text, saving them against the document
+     * when a userId and documentId are given
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Key ideas
+     */
+    async generateKeyIdeas(_, { documentText, userId, documentId }, context) {
+      assertOptionalOwner(context, userId);
+      assertText(documentText, "Invalid document text");
+
+      const keyIdeas = await generateKeyIdeas(documentText);
+      await saveInsight(userId, documentId, "keyIdeas", keyIdeas);
+      return keyIdeas;
+    },
+
+    /**
+     * Generate discussion points from a text
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Discussion points
+     */
+    async generateDiscussionPoints(
+      _,
+      { documentText, userId, documentId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      assertText(documentText, "Invalid document text");
+
+      const discussionPoints = await generateDiscussionPoints(documentText);
+      await saveInsight(
+        userId,
+        documentId,
+        "discussionPoints",
+        discussionPoints,
+      );
+      return discussionPoints;
+    },
+
+    /**
+     * Summarize a text in bullet points
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Bullet point summary
+     */
+    async bulletSummary(_, { documentText, userId, documentId }, context) {
+      assertOptionalOwner(context, userId);
+      assertText(documentText, "Invalid document text");
+
+      const bulletSummary = await generateBulletSummary(documentText);
+      await saveInsight(userId, documentId, "bulletSummary", bulletSummary);
+      return bulletSummary;
+    },
+
+    /**
+     * Analyze the sentiment of a text
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<{sentimentScore: number, description: string}>} Sentiment
+     */
+    async analyzeSentiment(_, { documentText, userId, documentId }, context) {
+      assertOptionalOwner(context, userId);
+      assertText(documentText, "Invalid document text");
+
+      const { sentimentScore, description } =
+        await analyzeSentiment(documentText);
+      await saveInsight(userId, documentId, "sentiment", {
+        score: sentimentScore,
+        description,
+      });
+      return { sentimentScore, description };
+    },
+
+    /**
+     * Generate actionable recommendations from a text
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Recommendations
+     */
+    async actionableRecommendations(
+      _,
+      { documentText, userId, documentId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      assertText(documentText, "Invalid document text");
+
+      const recommendations =
+        await generateActionableRecommendations(documentText);
+      await saveInsight(userId, documentId, "recommendations", recommendations);
+      return recommendations;
+    },
+
+    /**
+     * Summarize a text in another language, by default the one set for the
+     * user's workspace
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param language - Target language
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Translated summary
+     */
+    async summaryInLanguage(
+      _,
+      { documentText, language, userId, documentId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      const actualLanguage =
+        language || (await workspaceDefault(userId, "defaultLanguage"));
+      assertText(documentText, "Invalid document text");
+      assertText(actualLanguage, "Invalid language");
+
+      const summary = await generateSummaryInLanguage(
+        documentText,
+        actualLanguage,
+      );
+      await saveInsight(userId, documentId, "languageSummary", summary, {
+        language: actualLanguage,
+      });
+      return summary;
+    },
+
+    /**
+     * Rewrite a text in another style, by default the one set for the user's
+     * workspace
+     * @param _ - Parent object
+     * @param documentText - Document text
+     * @param style - Target style
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Rewritten content
+     */
+    async rewriteContent(
+      _,
+      { documentText, style, userId, documentId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      const actualStyle =
+        style || (await workspaceDefault(userId, "defaultStyle"));
+      assertText(documentText, "Invalid document text");
+      assertText(actualStyle, "Invalid style");
+
+      const rewrittenContent = await rewriteContent(documentText, actualStyle);
+      await saveInsight(
+        userId,
+        documentId,
+        "rewrittenContent",
+        rewrittenContent,
+        { style: actualStyle },
+      );
+      return rewrittenContent;
+    },
+
+    /**
+     * Refine a summary following the user's instructions
+     * @param _ - Parent object
+     * @param summary - Summary to refine
+     * @param refinementInstructions - How to refine it
+     * @param userId - Optional owner of the document
+     * @param documentId - Optional document the result belongs to
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<string>} Refined summary
+     */
+    async refineSummary(
+      _,
+      { summary, refinementInstructions, userId, documentId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      assertText(summary, "Invalid summary or refinement instructions");
+      assertText(
+        refinementInstructions,
+        "Invalid summary or refinement instructions",
+      );
+
+      const refinedSummary = await refineSummary(
+        summary,
+        refinementInstructions,
+      );
+      await saveInsight(userId, documentId, "refinedSummary", refinedSummary, {
+        instructions: refinementInstructions,
+      });
+      return refinedSummary;
+    },
+
+    /**
+     * Chat with the AI about a text, or about documents of the user
+     * @param _ - Parent object
+     * @param message - User message
+     * @param originalText - Text to chat about
+     * @param documentIds - Documents to chat about instead
+     * @param allDocuments - Chat about all documents of the user instead
+     * @param sessionId - Session to continue, or none to start one
+     * @param userId - User owning the session and the documents
+     * @param context - GraphQL context with the authenticated user
+     * @returns {Promise<{response: string, sessionId: string, citations: *[]}>} AI response and the passages it cites
+     */
+    async chat(
+      _,
+      { message, originalText, documentIds, allDocuments, sessionId, userId },
+      context,
+    ) {
+      assertOptionalOwner(context, userId);
+      assertText(message, "message is required");
+
+      let documents;
+      if (allDocuments || documentIds) {
+        if (!userId || (!allDocuments && documentIds.length === 0)) {
+          throw new Error(
+            "userId and documentIds or allDocuments are required to chat with documents",
+          );
+        }
+        documents = await Document.listTexts(
+          userId,
+          allDocuments ? "all" : documentIds,
+        );
+        if (!documents) {
+          throw new Error("Document not found");
+        }
+        if (documents.length === 0) {
+          throw new Error("No documents to chat with");
+        }
+      } else {
+        assertText(originalText, "Both message and originalText are required");
+      }
+
+      // A session started by a user can only be continued by that user
+      if (sessionId) {
+        const session = await getChatSession(sessionId);
+        if (session?.userId && session.userId !== userId) {
+          throw new Error("Chat session not found");
+        }
+      }
+
+      const actualSessionId = sessionId || uuidv4();
+      const { response, citations } = await chatWithAI(
+        actualSessionId,
+        message,
+        originalText,
+        { userId, ...(documents && { documents }) },
+      );
+      return { response, sessionId: actualSessionId, citations };
+    },
+  },
+
+  // Subscriptions are served over WebSocket (see subscriptions.js); each
+  // event is the value of the subscribed field
+  Subscription: {
+    jobProgress: {
+      /**
+       * Follow a background job until it finishes, starting with its
+       * current state. Jobs queued by a user can only be followed by them.
+       * @param _ - Parent object
+       * @param jobId - Job ID
+       * @param context - GraphQL context with the authenticated user
+       * @returns {Promise<AsyncIterableIterator<*>>} Job updates
+       */
+      async subscribe(_, { jobId }, context) {
+        const stored = await getJob(jobId);
+        if (
+          !stored ||
+          (stored.userId && stored.userId !== context?.user?.uid)
+        ) {
+          throw new Error("Job not found");
+        }
+
+        return listen((push, finish) => {
+          push(toPublicJob(stored));
+          if (isFinished(stored)) return finish();
+
+          return watchJob(
+            jobId,
+            (job) => {
+              push(job);
+              if (isFinished(job)) finish();
+            },
+            stored.revision,
+          );
+        });
+      },
+      resolve: (job) => job,
+    },
+
+    chatMessageAdded: {
+      /**
+       * Receive the messages added to a chat session of a user, both theirs
+       * and the AI's
+       * @param _ - Parent object
+       * @param userId - User ID
+       * @param sessionId - Chat session ID; the session may not exist yet
+       * @param context - GraphQL context with the authenticated user
+       * @returns {Promise<AsyncIterableIterator<*>>} New messages
+       */
+      async subscribe(_, { userId, sessionId }, context) {
+        assertOwner(context, userId);
+
+        const session = await getChatSession(sessionId);
+        if (session && session.userId !== userId) {
+          throw new Error("Chat session not found");
+        }
+
+        return subscribe(
+          TOPICS.chatMessages(sessionId),
+          (message) => message.userId === userId,
+        );
+      },
+      resolve: (message) => ({
+        ...message,
+        citations: message.citations || [],
+      }),
+    },
 
-      await firestore
-        .collection("users")
-        .doc(userId)
-        .update({ documents: userData.documents });
+    documentsChanged: {
+      /**
+       * Receive the documents of a user as they are created, updated and
+       * deleted
+       * @param _ - Parent object
+       * @param userId - User ID
+       * @param context - GraphQL context with the authenticated user
+       * @returns {AsyncIterableIterator<*>} Document changes
+       */
+      subscribe(_, { userId }, context) {
+        assertOwner(context, userId);
 
-      return userData.documents[docIndex];
+        return subscribe(TOPICS.documents(userId));
+      },
+      resolve: (change) => change,
     },
   },
 };
@@ -1,179 +1,332 @@
 const { makeExecutableSchema } = require("@graphql-tools/schema");
+const resolvers = require("./resolvers");
 
 /**
  * GraphQL schema definition
  * @type {string} GraphQL schema definition
  */
 const typeDefs = `
+  # Any JSON value, e.g. the result of a job
+  scalar JSON
+
+  enum Theme {
+    light
+    dark
+  }
+
+  type SocialMedia {
+    github: String
+    linkedin: String
+    facebook: String
+    instagram: String
+    twitter: String
+  }
+
+  input SocialMediaInput {
+    github: String
+    linkedin: String
+    facebook: String
+    instagram: String
+    twitter: String
+  }
+
   type User {
     id: ID!
     email: String!
     createdAt: String
+    theme: Theme
+    socialMedia: SocialMedia!
+    activeWorkspaceId: ID
+    documentCount: Int!
     documents: [Document!]
   }
 
   type Document {
     id: ID!
-    title: [String!]!
+    title: String!
+    summary: String!
+    originalText: String!
+    createdAt: String
+    tags: [String!]!
+    suggestedTags: [String!]!
+    folderId: ID
+    folder: Folder
+  }
+
+  type DocumentEdge {
+    cursor: String!
+    node: Document!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    endCursor: String
+  }
+
+  type DocumentConnection {
+    edges: [DocumentEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type Folder {
+    id: ID!
+    name: String!
+    createdAt: String
+    documents: [Document!]!
+  }
+
+  type TagCount {
+    name: String!
+    count: Int!
+  }
+
+  enum DocumentSort {
+    createdAt
+    title
+  }
+
+  enum SortOrder {
+    asc
+    desc
+  }
+
+  enum ShareRole {
+    viewer
+    commenter
+    editor
+  }
+
+  type Share {
+    userId: ID!
+    email: String
+    role: ShareRole!
+    createdAt: String
+  }
+
+  type ShareLink {
+    token: ID!
+    createdAt: String
+  }
+
+  type SharedDocument {
+    ownerId: ID!
+    role: ShareRole!
+    sharedAt: String
+    document: Document!
+  }
+
+  type SearchHighlights {
+    title: [[Int!]!]!
+    snippet: [[Int!]!]!
+  }
+
+  type SearchResult {
+    docId: ID!
+    title: String!
+    snippet: String!
+    score: Float!
+    highlights: SearchHighlights!
+  }
+
+  type Passage {
+    text: String!
+    page: Int
+    paragraph: Int
+    start: Int
+    end: Int
+    score: Float!
+  }
+
+  type SemanticSearchResult {
+    docId: ID!
+    title: String!
+    score: Float!
+    passages: [Passage!]!
+  }
+
+  type Summary {
     summary: String!
     originalText: String!
   }
 
+  type Sentiment {
+    sentimentScore: Float!
+    description: String!
+  }
+
+  type Citation {
+    id: Int!
+    page: Int
+    paragraph: Int
+    start: Int
+    end: Int
+    heading: String
+    text: String!
+    documentId: ID
+    title: String
+  }
+
+  type ChatResponse {
+    response: String!
+    sessionId: ID!
+    citations: [Citation!]!
+  }
+
+  type JobProgress {
+    stage: String!
+    round: Int
+    completed: Int!
+    total: Int!
+  }
+
+  enum JobStatus {
+    queued
+    running
+    completed
+    failed
+  }
+
+  type Job {
+    id: ID!
+    type: String!
+    status: JobStatus!
+    progress: JobProgress
+    result: JSON
+    error: String
+    createdAt: String
+    updatedAt: String
+  }
+
+  type ChatMessage {
+    sessionId: ID!
+    role: String!
+    text: String!
+    citations: [Citation!]!
+    createdAt: String
+  }
+
+  enum DocumentChangeType {
+    CREATED
+    UPDATED
+    DELETED
+  }
+
+  type DocumentChange {
+    type: DocumentChangeType!
+    documentId: ID!
+    document: Document
+  }
+
   type Query {
     getUser(id: ID!): User
     getDocument(userId: ID!, docId: ID!): Document
-    listDocuments(userId: ID!): [Document!]
+    listDocuments(
+      userId: ID!
+      folderId: ID
+      tags: [String!]
+      sort: DocumentSort
+      order: SortOrder
+    ): [Document!]
+    documentsConnection(
+      userId: ID!
+      first: Int
+      after: String
+      folderId: ID
+      tags: [String!]
+      sort: DocumentSort
+      order: SortOrder
+    ): DocumentConnection!
+    searchDocuments(
+      userId: ID!
+      searchTerm: String!
+      limit: Int
+    ): [SearchResult!]!
+    semanticSearch(
+      userId: ID!
+      query: String!
+      limit: Int
+    ): [SemanticSearchResult!]!
+    listFolders(userId: ID!): [Folder!]!
+    listTags(userId: ID!): [TagCount!]!
+    sharedWithMe(userId: ID!): [SharedDocument!]!
+    documentShares(userId: ID!, docId: ID!): [Share!]!
+    documentShareLinks(userId: ID!, docId: ID!): [ShareLink!]!
   }
 
   type Mutation {
     createUser(email: String!, password: String!): User
+    updateEmail(userId: ID!, email: String!): User
+    updateTheme(userId: ID!, theme: Theme!): User
+    updateSocialMedia(userId: ID!, socialMedia: SocialMediaInput!): User
     deleteDocument(userId: ID!, docId: ID!): Boolean
     updateDocumentTitle(userId: ID!, docId: ID!, title: String!): Document
+    setDocumentTags(userId: ID!, docId: ID!, tags: [String!]!): Document
+    moveDocumentToFolder(userId: ID!, docId: ID!, folderId: ID): Document
+    createFolder(userId: ID!, name: String!): Folder
+    renameFolder(userId: ID!, folderId: ID!, name: String!): Folder
+    deleteFolder(userId: ID!, folderId: ID!): Boolean
+    shareDocument(
+      userId: ID!
+      docId: ID!
+      email: String!
+      role: ShareRole!
+    ): Share
+    unshareDocument(userId: ID!, docId: ID!, granteeId: ID!): Boolean
+    createShareLink(userId: ID!, docId: ID!): ShareLink
+    revokeShareLink(userId: ID!, docId: ID!, token: ID!): Boolean
+    summarizeText(text: String!): Summary
+    generateKeyIdeas(documentText: String!, userId: ID, documentId: ID): String
+    generateDiscussionPoints(
+      documentText: String!
+      userId: ID
+      documentId: ID
+    ): String
+    bulletSummary(documentText: String!, userId: ID, documentId: ID): String
+    analyzeSentiment(
+      documentText: String!
+      userId: ID
+      documentId: ID
+    ): Sentiment
+    actionableRecommendations(
+      documentText: String!
+      userId: ID
+      documentId: ID
+    ): String
+    summaryInLanguage(
+      documentText: String!
+      language: String
+      userId: ID
+      documentId: ID
+    ): String
+    rewriteContent(
+      documentText: String!
+      style: String
+      userId: ID
+      documentId: ID
+    ): String
+    refineSummary(
+      summary: String!
+      refinementInstructions: String!
+      userId: ID
+      documentId: ID
+    ): String
+    chat(
+      message: String!
+      originalText: String
+      documentIds: [ID!]
+      allDocuments: Boolean
+      sessionId: ID
+      userId: ID
+    ): ChatResponse
   }
-`;
 
-/**
- * Resolvers for the GraphQL schema
- * @type {{Query: {getUser(*, {id: *}): Promise<*&{id: *}>, getDocument(*, {userId: *, docId: *}): Promise<*>, listDocuments(*, {userId: *}): Promise<*>}, Mutation: {createUser(*, {email: *, password: *}): Promise<{id: *, email: *, createdAt: string, documents: []}>, deleteDocument(*, {userId: *, docId: *}): Promise<boolean>, updateDocumentTitle(*, {userId: *, docId: *, title: *}): Promise<*>}}} Resolvers for the GraphQL schema
- */
-const resolvers = {
-  Query: {
-    /**
-     * Get user by ID
-     * @param _ - Parent object
-     * @param id - User ID
-     * @returns {Promise<*&{id: *}>} User object
-     */
-    async getUser(_, { id }) {
-      const userDoc = await firestore.collection("users").doc(id).get();
-
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      return { id, ...userDoc.data() };
-    },
-
-    /**
-     * Get document by user ID and document ID
-     * @param _ The parent object
-     * @param userId The user ID
-     * @param docId The document ID
-     * @returns {Promise<*>} Document object
-     */
-    async getDocument(_, { userId, docId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
-
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      const document = userDoc.data().documents.find((doc) => doc.id === docId);
-
-      if (!document) {
-        throw new Error("Document not found");
-      }
-
-      return document;
-    },
-
-    /**
-     * List documents for a user
-     * @param _ The parent object
-     * @param userId The user ID
-     * @returns {Promise<*[]>} List of documents
-     */
-    async listDocuments(_, { userId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
-
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      return userDoc.data().documents || [];
-    },
-  },
-  Mutation: {
-    /**
-     * Create a new user
-     * @param _ The parent object
-     * @param email The user email
-     * @param password The user password
-     * @returns {Promise<{id, email: *, createdAt: string, documents: *[]}>} Created user object
-     */
-    async createUser(_, { email, password }) {
-      const newUser = await firestore.collection("users").add({
-        email,
-        createdAt: new Date().toISOString(),
-        documents: [],
-      });
-
-      return {
-        id: newUser.id,
-        email,
-        createdAt: new Date().toISOString(),
-        documents: [],
-      };
-    },
-
-    /**
-     * Delete a document
-     * @param _ The parent object
-     * @param userId The user ID
-     * @param docId The document ID
-     * @returns {Promise<boolean>} True if the document was deleted
-     */
-    async deleteDocument(_, { userId, docId }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
-
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      const userData = userDoc.data();
-      const updatedDocs = userData.documents.filter((doc) => doc.id !== docId);
-
-      await firestore
-        .collection("users")
-        .doc(userId)
-        .update({ documents: updatedDocs });
-
-      return true;
-    },
-
-    /**
-     * Update the title of a document
-     * @param _ The parent object
-     * @param userId The user ID
-     * @param docId The document ID
-     * @param title The new title for the document
-     * @returns {Promise<*>} The updated document
-     */
-    async updateDocumentTitle(_, { userId, docId, title }) {
-      const userDoc = await firestore.collection("users").doc(userId).get();
-
-      if (!userDoc.exists) {
-        throw new Error("User not found");
-      }
-
-      const userData = userDoc.data();
-      const docIndex = userData.documents.findIndex((doc) => doc.id === docId);
-
-      if (docIndex === -1) {
-        throw new Error("Document not found");
-      }
-
-      userData.documents[docIndex].title = title;
-
-      await firestore
-        .collection("users")
-        .doc(userId)
-        .update({ documents: userData.documents });
-
-      return userData.documents[docIndex];
-    },
-  },
-};
+  type Subscription {
+    jobProgress(jobId: ID!): Job
+    chatMessageAdded(userId: ID!, sessionId: ID!): ChatMessage
+    documentsChanged(userId: ID!): DocumentChange
+  }
+`;
 
 /**
  * GraphQL schema
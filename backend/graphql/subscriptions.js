@@ -0,0 +1,44 @@
+const { WebSocketServer } = require("ws");
+const { useServer } = require("graphql-ws/use/ws");
+const { verifyAccessToken } = require("../middleware/jwt");
+const { validateWithLimits } = require("./queryLimits");
+
+/**
+ * Serve GraphQL over WebSocket (the graphql-ws protocol) on /graphql of an
+ * HTTP server, for subscriptions. Clients authenticate by sending
+ * { authorization: "Bearer <access token>" } as connection params; like
+ * HTTP requests to /graphql, connections without a token are anonymous.
+ * Connections with an invalid token are closed with 4403 Forbidden.
+ * @param server - HTTP server the app listens on
+ * @param schema - Executable GraphQL schema
+ * @returns {{dispose: Function}} - Stops serving subscriptions
+ */
+const attachSubscriptions = (server, schema) => {
+  const wsServer = new WebSocketServer({ server, path: "/graphql" });
+
+  return useServer(
+    {
+      schema,
+      // Subscriptions have the same depth and complexity limits as queries
+      validate: validateWithLimits,
+      onConnect: async (ctx) => {
+        const authorization = ctx.connectionParams?.authorization;
+        const token =
+          typeof authorization === "string" && authorization.split(" ")[1];
+        if (!token) return true;
+
+        try {
+          ctx.extra.user = await verifyAccessToken(token);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      // Resolvers receive the authenticated user (if any) as context.user
+      context: (ctx) => ({ user: ctx.extra.user }),
+    },
+    wsServer,
+  );
+};
+
+module.exports = { attachSubscriptions };
@@ -1,6 +1,5 @@
 // backend/index.js
-// DocuThinker - robust backend entry with safe /upload route
-// NOTE: backup your existing file before replacing.
+// DocuThinker - backend entry: middleware, GraphQL, Swagger and REST routes
 
 const path = require("path");
 const express = require("express");
@@ -15,23 +14,35 @@ const { graphqlHTTP } = require("express-graphql");
 const { makeExecutableSchema } = require("@graphql-tools/schema");
 const typeDefs = require("./graphql/schema");
 const resolvers = require("./graphql/resolvers");
-
-// Attempt to import controllers - if uploadDocument is missing we'll use a fallback
-let controllers = {};
-try {
-  controllers = require("./controllers/controllers");
-} catch (err) {
-  console.warn("Could not load controllers/controllers.js - using fallback stubs.", err?.message || err);
-}
+const { attachSubscriptions } = require("./graphql/subscriptions");
+const { startJobWorker } = require("./services/jobQueue");
+const { createLoaders } = require("./graphql/loaders");
+const {
+  createQueryLimitRules,
+  requestVariables,
+} = require("./graphql/queryLimits");
+const { persistedQueries } = require("./graphql/persistedQueries");
+const {
+  authenticateOptionalToken,
+  authorizeUser,
+  authorizeOptionalUser,
+} = require("./middleware/jwt");
+const { cacheAIResponse } = require("./middleware/aiCache");
 
 const {
   registerUser,
   loginUser,
+  refreshToken,
+  logoutUser,
   uploadDocument,
   generateKeyIdeas,
   generateDiscussionPoints,
   chatWithAI,
+  getChatSessions,
+  getChatSession,
+  deleteChatSession,
   forgotPassword,
+  resetPassword,
   verifyEmail,
   getAllDocuments,
   getDocumentById,
@@ -54,9 +65,47 @@ const {
   bulletSummary,
   contentRewriting,
   searchDocuments,
+  semanticSearch,
   processAudioFile,
   refineSummary,
-} = controllers || {};
+  exportDocument,
+  getJobStatus,
+  getDocumentVersions,
+  restoreDocumentVersion,
+  diffDocumentVersions,
+  updateDocumentTags,
+  moveDocumentToFolder,
+  getTags,
+  getFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  getDocumentShares,
+  shareDocument,
+  unshareDocument,
+  createShareLink,
+  revokeShareLink,
+  getSharedDocuments,
+  getSharedDocument,
+  updateSharedDocumentTitle,
+  getDocumentComments,
+  addDocumentComment,
+  getPublicDocument,
+  getWorkspaces,
+  createWorkspace,
+  setActiveWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  inviteToWorkspace,
+  cancelWorkspaceInvitation,
+  acceptWorkspaceInvitation,
+  declineWorkspaceInvitation,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  getWorkspaceDocuments,
+  moveDocumentToWorkspace,
+} = require("./controllers/controllers");
 
 const app = express();
 
@@ -115,7 +164,9 @@ const corsOptions = {
     return callback(new Error("Not allowed by CORS"), false);
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept", "Prefer"],
+  // Lets the frontend read the file name of exported reports and job URLs
+  exposedHeaders: ["Content-Disposition", "Location"],
   credentials: true,
 };
 app.use(cors(corsOptions));
@@ -128,10 +179,23 @@ initializeRedis().catch((err) => {
   console.warn("Redis init warning (continuing):", err?.message || err);
 });
 
-// GraphQL (safe init)
+// GraphQL (safe init); subscriptions are served over WebSocket once listening
+let schema = null;
 try {
-  const schema = makeExecutableSchema({ typeDefs, resolvers });
-  app.use("/graphql", graphqlHTTP({ schema, graphiql: true }));
+  schema = makeExecutableSchema({ typeDefs, resolvers });
+  // Resolvers receive the authenticated user (if any) as context.user and
+  // DataLoaders that batch and cache lookups for the request
+  app.use(
+    "/graphql",
+    authenticateOptionalToken,
+    persistedQueries,
+    graphqlHTTP((req) => ({
+      schema,
+      graphiql: process.env.NODE_ENV !== "production",
+      validationRules: createQueryLimitRules(requestVariables(req)),
+      context: { user: req.user, loaders: createLoaders() },
+    })),
+  );
 } catch (err) {
   console.warn("GraphQL initialization failed:", err?.message || err);
 }
@@ -181,86 +245,97 @@ const upload = multer({
 /**
  * Routes
  */
-// Basic auth endpoints (no-op if controllers missing)
-if (typeof registerUser === "function") app.post("/register", registerUser);
-if (typeof loginUser === "function") app.post("/login", loginUser);
+app.post("/register", registerUser);
+app.post("/login", loginUser);
+app.post("/refresh-token", refreshToken);
+app.post("/logout", logoutUser);
+
+// User-scoped routes (a :userId parameter or a userId in the body) go through
+// authorizeUser, which always requires a Bearer access token and only lets it
+// act on its own user. The AI endpoints also work without an account and go
+// through authorizeOptionalUser, which requires the token only when a userId
+// is sent.
 
 /**
- * Robust /upload route:
- * - Accepts multipart/form-data with field "file" (file in req.file)
- * - Accepts application/json with body { title, text, userId }
- * - If controllers.uploadDocument exists, it will be called directly and receive the same req/res.
- * - Otherwise returns a simple test summary so frontend can continue.
+ * /upload accepts either:
+ * - application/json with body { title, text, userId }
+ * - multipart/form-data with field "file" (PDF, DOCX, TXT, MD, HTML or RTF) and
+ *   optional "title"/"userId" fields; the text is extracted on the server
  */
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    // If you have a controller, let it handle the request (preserves project logic)
-    if (typeof uploadDocument === "function") {
-      return uploadDocument(req, res);
-    }
-
-    // Fallback behavior for local dev/test: handle both file and JSON payloads
-
-    // If there's a file (multipart)
-    if (req.file) {
-      const { originalname, mimetype, size, buffer } = req.file;
-
-      // Basic validation example
-      if (!mimetype) return res.status(400).json({ error: "Uploaded file missing mimetype" });
-      // We'll not parse PDF/DOCX here (keep fallback lightweight).
-      // Return metadata + fake summary for dev:
-      const fakeSummary = `Fallback summary for "${originalname}". File type: ${mimetype}, size: ${size} bytes.`;
-      return res.json({ summary: fakeSummary, originalText: "", title: originalname });
-    }
-
-    // If JSON body with extracted text
-    const { title, text, userId } = req.body || {};
-    if (text && title) {
-      // naive fallback summary: first 200 chars + sentence
-      const snippet = String(text).slice(0, 200);
-      const summary = `${snippet}${text.length > 200 ? "…" : ""}`;
-      return res.json({ summary, originalText: text, title, userId });
-    }
-
-    // Nothing provided
-    return res.status(400).json({ error: "No file or text provided in request. Send multipart/form-data (file) or JSON {title,text}." });
-  } catch (err) {
-    console.error("Upload route error:", err);
-    return res.status(500).json({ error: err.message || "Upload error" });
-  }
-});
+app.post("/upload", upload.single("file"), authorizeOptionalUser, uploadDocument);
 
-// Other AI / utility endpoints - register only if controller exists, otherwise skip
-if (typeof generateKeyIdeas === "function") app.post("/generate-key-ideas", generateKeyIdeas);
-if (typeof generateDiscussionPoints === "function") app.post("/generate-discussion-points", generateDiscussionPoints);
-if (typeof chatWithAI === "function") app.post("/chat", chatWithAI);
-if (typeof forgotPassword === "function") app.post("/forgot-password", forgotPassword);
-if (typeof verifyEmail === "function") app.post("/verify-email", verifyEmail);
+app.post("/generate-key-ideas", authorizeOptionalUser, cacheAIResponse("/generate-key-ideas"), generateKeyIdeas);
+app.post("/generate-discussion-points", authorizeOptionalUser, cacheAIResponse("/generate-discussion-points"), generateDiscussionPoints);
+app.post("/chat", authorizeOptionalUser, chatWithAI);
+app.get("/chat-sessions/:userId", authorizeUser, getChatSessions);
+app.get("/chat-sessions/:userId/:sessionId", authorizeUser, getChatSession);
+app.delete("/chat-sessions/:userId/:sessionId", authorizeUser, deleteChatSession);
+app.post("/forgot-password", forgotPassword);
+app.post("/reset-password", resetPassword);
+app.post("/verify-email", verifyEmail);
 
-if (typeof getAllDocuments === "function") app.get("/documents/:userId", getAllDocuments);
-if (typeof getDocumentById === "function") app.get("/documents/:userId/:docId", getDocumentById);
-if (typeof getDocumentDetails === "function") app.get("/document-details/:userId/:docId", getDocumentDetails);
-if (typeof deleteDocument === "function") app.delete("/documents/:userId/:docId", deleteDocument);
-if (typeof deleteAllDocuments === "function") app.delete("/documents/:userId", deleteAllDocuments);
+app.get("/documents/:userId", authorizeUser, getAllDocuments);
+app.get("/documents/:userId/:docId", authorizeUser, getDocumentById);
+app.get("/documents/:userId/:docId/versions", authorizeUser, getDocumentVersions);
+app.get("/documents/:userId/:docId/versions/diff", authorizeUser, diffDocumentVersions);
+app.post("/documents/:userId/:docId/versions/:version/restore", authorizeUser, restoreDocumentVersion);
+app.put("/documents/:userId/:docId/tags", authorizeUser, updateDocumentTags);
+app.put("/documents/:userId/:docId/folder", authorizeUser, moveDocumentToFolder);
+app.get("/document-details/:userId/:docId", authorizeUser, getDocumentDetails);
+app.delete("/documents/:userId/:docId", authorizeUser, deleteDocument);
+app.delete("/documents/:userId", authorizeUser, deleteAllDocuments);
+app.get("/tags/:userId", authorizeUser, getTags);
+app.get("/folders/:userId", authorizeUser, getFolders);
+app.post("/folders/:userId", authorizeUser, createFolder);
+app.put("/folders/:userId/:folderId", authorizeUser, renameFolder);
+app.delete("/folders/:userId/:folderId", authorizeUser, deleteFolder);
+app.get("/documents/:userId/:docId/shares", authorizeUser, getDocumentShares);
+app.put("/documents/:userId/:docId/shares", authorizeUser, shareDocument);
+app.delete("/documents/:userId/:docId/shares/:granteeId", authorizeUser, unshareDocument);
+app.post("/documents/:userId/:docId/share-links", authorizeUser, createShareLink);
+app.delete("/documents/:userId/:docId/share-links/:token", authorizeUser, revokeShareLink);
+app.get("/shared-documents/:userId", authorizeUser, getSharedDocuments);
+app.get("/shared-documents/:userId/:ownerId/:docId", authorizeUser, getSharedDocument);
+app.put("/shared-documents/:userId/:ownerId/:docId/title", authorizeUser, updateSharedDocumentTitle);
+app.get("/shared-documents/:userId/:ownerId/:docId/comments", authorizeUser, getDocumentComments);
+app.post("/shared-documents/:userId/:ownerId/:docId/comments", authorizeUser, addDocumentComment);
+app.get("/public/documents/:token", getPublicDocument);
+app.get("/workspaces/:userId", authorizeUser, getWorkspaces);
+app.post("/workspaces/:userId", authorizeUser, createWorkspace);
+app.put("/users/:userId/active-workspace", authorizeUser, setActiveWorkspace);
+app.get("/workspaces/:userId/:workspaceId", authorizeUser, getWorkspace);
+app.put("/workspaces/:userId/:workspaceId", authorizeUser, updateWorkspace);
+app.delete("/workspaces/:userId/:workspaceId", authorizeUser, deleteWorkspace);
+app.post("/workspaces/:userId/:workspaceId/invitations", authorizeUser, inviteToWorkspace);
+app.delete("/workspaces/:userId/:workspaceId/invitations/:email", authorizeUser, cancelWorkspaceInvitation);
+app.post("/workspace-invitations/:userId/:workspaceId", authorizeUser, acceptWorkspaceInvitation);
+app.delete("/workspace-invitations/:userId/:workspaceId", authorizeUser, declineWorkspaceInvitation);
+app.put("/workspaces/:userId/:workspaceId/members/:memberId", authorizeUser, updateWorkspaceMember);
+app.delete("/workspaces/:userId/:workspaceId/members/:memberId", authorizeUser, removeWorkspaceMember);
+app.get("/workspaces/:userId/:workspaceId/documents", authorizeUser, getWorkspaceDocuments);
+app.put("/documents/:userId/:docId/workspace", authorizeUser, moveDocumentToWorkspace);
 
-if (typeof updateUserEmail === "function") app.post("/update-email", updateUserEmail);
-if (typeof updateUserPassword === "function") app.post("/update-password", updateUserPassword);
-if (typeof getDaysSinceJoined === "function") app.get("/days-since-joined/:userId", getDaysSinceJoined);
-if (typeof getDocumentCount === "function") app.get("/document-count/:userId", getDocumentCount);
-if (typeof getUserEmail === "function") app.get("/users/:userId", getUserEmail);
-if (typeof updateDocumentTitle === "function") app.post("/update-document-title", updateDocumentTitle);
-if (typeof getUserJoinedDate === "function") app.get("/user-joined-date/:userId", getUserJoinedDate);
-if (typeof updateTheme === "function") app.put("/update-theme", updateTheme);
-if (typeof getSocialMedia === "function") app.get("/social-media/:userId", getSocialMedia);
-if (typeof updateSocialMedia === "function") app.post("/update-social-media", updateSocialMedia);
-if (typeof sentimentAnalysis === "function") app.post("/sentiment-analysis", sentimentAnalysis);
-if (typeof actionableRecommendations === "function") app.post("/actionable-recommendations", actionableRecommendations);
-if (typeof summaryInLanguage === "function") app.post("/summary-in-language", summaryInLanguage);
-if (typeof bulletSummary === "function") app.post("/bullet-summary", bulletSummary);
-if (typeof contentRewriting === "function") app.post("/content-rewriting", contentRewriting);
-if (typeof searchDocuments === "function") app.get("/search-documents/:userId", searchDocuments);
-if (typeof processAudioFile === "function") app.post("/process-audio", processAudioFile);
-if (typeof refineSummary === "function") app.post("/refine-summary", refineSummary);
+app.post("/update-email", authorizeUser, updateUserEmail);
+app.post("/update-password", authorizeUser, updateUserPassword);
+app.get("/days-since-joined/:userId", authorizeUser, getDaysSinceJoined);
+app.get("/document-count/:userId", authorizeUser, getDocumentCount);
+app.get("/users/:userId", authorizeUser, getUserEmail);
+app.post("/update-document-title", authorizeUser, updateDocumentTitle);
+app.get("/user-joined-date/:userId", authorizeUser, getUserJoinedDate);
+app.put("/update-theme", authorizeUser, updateTheme);
+app.get("/social-media/:userId", authorizeUser, getSocialMedia);
+app.post("/update-social-media", authorizeUser, updateSocialMedia);
+app.post("/sentiment-analysis", authorizeOptionalUser, cacheAIResponse("/sentiment-analysis"), sentimentAnalysis);
+app.post("/actionable-recommendations", authorizeOptionalUser, cacheAIResponse("/actionable-recommendations"), actionableRecommendations);
+app.post("/summary-in-language", authorizeOptionalUser, cacheAIResponse("/summary-in-language", { options: ["language"] }), summaryInLanguage);
+app.post("/bullet-summary", authorizeOptionalUser, cacheAIResponse("/bullet-summary"), bulletSummary);
+app.post("/content-rewriting", authorizeOptionalUser, cacheAIResponse("/content-rewriting", { options: ["style"] }), contentRewriting);
+app.get("/search-documents/:userId", authorizeUser, searchDocuments);
+app.get("/semantic-search/:userId", authorizeUser, semanticSearch);
+app.post("/process-audio", authorizeUser, processAudioFile);
+app.post("/refine-summary", authorizeOptionalUser, cacheAIResponse("/refine-summary", { input: "summary", options: ["refinementInstructions"] }), refineSummary);
+app.post("/export", authorizeOptionalUser, exportDocument);
+app.get("/jobs/:jobId", authenticateOptionalToken, getJobStatus);
 
 /**
  * 404 & error handlers
@@ -284,9 +359,12 @@ app.use((err, req, res, next) => {
 // Start server
 const port = parseInt(process.env.PORT, 10) || 5000;
 if (process.env.NODE_ENV !== "production") {
-  app.listen(port, "0.0.0.0", () => {
+  const server = app.listen(port, "0.0.0.0", () => {
     console.log(`DocuThinker backend listening on http://localhost:${port}`);
   });
+  if (schema) attachSubscriptions(server, schema);
+  // Background jobs need a process that keeps running after it responds
+  startJobWorker();
 } else {
   // On many hosts you export app instead of directly listening
   console.log("DocuThinker backend configured for production (app exported).");
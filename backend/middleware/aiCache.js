@@ -0,0 +1,68 @@
+const {
+  cacheTTL,
+  documentKey,
+  responseKey,
+  getCachedResponse,
+  cacheResponse,
+} = require("../services/aiCache");
+const { acceptsEventStream } = require("../views/views");
+
+/**
+ * Middleware caching the responses of an AI endpoint. Identical requests are
+ * answered from the cache with `X-Cache: HIT` and an `Age` header; others
+ * get `X-Cache: MISS` and their 200 response is cached. Streamed requests,
+ * and requests that leave an option to the user's workspace settings, get
+ * `X-Cache: BYPASS`. Requests sent with `Cache-Control: no-cache` or
+ * `regenerate: true` in the body (e.g. to regenerate a saved insight) skip
+ * the lookup, and their response replaces the cached one.
+ * @param endpoint - Endpoint path, e.g. "/bullet-summary"; names its TTL variable
+ * @param input - Body field with the text the endpoint works on
+ * @param options - Body fields with options the result depends on
+ * @returns {Function} - Middleware
+ */
+const cacheAIResponse =
+  (endpoint, { input = "documentText", options = [] } = {}) =>
+  async (req, res, next) => {
+    const body = req.body || {};
+    const text = body[input];
+    // Invalid requests are refused by the endpoint
+    if (typeof text !== "string" || text.trim() === "") return next();
+
+    const userId = Array.isArray(body.userId) ? body.userId[0] : body.userId;
+    const optionValues = options.map((field) => body[field] ?? null);
+    const ttl = cacheTTL(endpoint);
+    if (
+      !ttl ||
+      acceptsEventStream(req) ||
+      // Left-out options default to workspace settings, which can change
+      (userId && optionValues.includes(null))
+    ) {
+      res.set("X-Cache", "BYPASS");
+      return next();
+    }
+
+    const document = documentKey(userId, body.documentId);
+    const key = responseKey(endpoint, text, optionValues, document);
+    const regenerate =
+      body.regenerate === true ||
+      /\bno-cache\b/i.test(String(req.headers?.["cache-control"] || ""));
+    const cached = regenerate ? null : await getCachedResponse(key);
+    if (cached) {
+      const age = Math.floor((Date.now() - Date.parse(cached.cachedAt)) / 1000);
+      res.set("X-Cache", "HIT");
+      res.set("Age", String(Math.max(age, 0)));
+      return res.status(200).json(cached.body);
+    }
+
+    res.set("X-Cache", "MISS");
+    const sendJson = res.json.bind(res);
+    res.json = (responseBody) => {
+      if (res.statusCode === 200) {
+        cacheResponse(key, responseBody, ttl, document);
+      }
+      return sendJson(responseBody);
+    };
+    next();
+  };
+
+module.exports = { cacheAIResponse };
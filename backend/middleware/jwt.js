@@ -1,6 +1,30 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const {
+  saveRefreshToken,
+  fetchRefreshToken,
+  deleteRefreshToken,
+  deleteUserRefreshTokens,
+} = require("../redis/redisClient");
 require("dotenv").config();
 
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || "1h";
+const REFRESH_TOKEN_TTL =
+  parseInt(process.env.JWT_REFRESH_TTL, 10) || 30 * 24 * 3600; // 30 days
+
+const refreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param req - Request object
+ * @returns {string|undefined} - Token, if present
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.headers["authorization"];
+  return authHeader && authHeader.split(" ")[1];
+};
+
 /**
  * Middleware to authenticate the user using JWT token
  * @param req - Request object
@@ -10,15 +34,17 @@ require("dotenv").config();
  */
 const authenticateToken = (req, res, next) => {
   // Get the token from the Authorization header
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+  const token = getBearerToken(req);
 
   // Check if token is missing
   if (!token) return res.status(401).json({ error: "Access token required" });
 
   // Verify the token
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Invalid or expired token" });
+    // Refresh tokens only work on /refresh-token, never as access tokens
+    if (err || user.type === "refresh") {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
 
     // Attach user information to the request object
     req.user = user;
@@ -26,13 +52,199 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+/**
+ * Verify an access token outside of an HTTP request, e.g. when a GraphQL
+ * WebSocket connection is opened
+ * @param token - Access token
+ * @returns {Promise<object>} - Token payload; rejects for invalid, expired and refresh tokens
+ */
+const verifyAccessToken = (token) =>
+  new Promise((resolve, reject) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+      if (err || user.type === "refresh") {
+        return reject(new Error("Invalid or expired token"));
+      }
+      resolve(user);
+    });
+  });
+
+/**
+ * Middleware that authenticates the request only when it carries a token.
+ * Requests without an Authorization header continue anonymously.
+ * @param req - Request object
+ * @param res - Response object
+ * @param next - Next middleware function
+ * @returns {*} - Response object or next middleware function
+ */
+const authenticateOptionalToken = (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+  return authenticateToken(req, res, next);
+};
+
+/**
+ * User named by a request: the :userId route parameter or a userId in the body
+ * @param req - Request object
+ * @returns {string|undefined} - User ID, if any
+ */
+const requestedUserId = (req) => {
+  const requested = req.params.userId ?? req.body?.userId;
+  // Some clients send userId as a single-element array
+  return Array.isArray(requested) ? requested[0] : requested;
+};
+
+/**
+ * Authenticate the request and check that the user it names, if any, is the
+ * authenticated user
+ * @param req - Request object
+ * @param res - Response object
+ * @param next - Next middleware function
+ * @returns {*} - Response object or next middleware function
+ */
+const authenticateRequestedUser = (req, res, next) => {
+  const userId = requestedUserId(req);
+
+  return authenticateToken(req, res, () => {
+    if (userId && req.user.uid !== userId) {
+      return res
+        .status(403)
+        .json({ error: "You do not have access to this user's data" });
+    }
+    next();
+  });
+};
+
+/**
+ * Middleware for user-scoped routes. Requests always need a valid access
+ * token; the user they name (the :userId route parameter or a userId in the
+ * body) must be the token's user. Body requests act on the token's user, so
+ * a missing body userId is filled in from the token.
+ * @param req - Request object
+ * @param res - Response object
+ * @param next - Next middleware function
+ * @returns {*} - Response object or next middleware function
+ */
+const authorizeUser = (req, res, next) =>
+  authenticateRequestedUser(req, res, () => {
+    if (req.params.userId === undefined && req.body) {
+      req.body.userId = req.user.uid;
+    }
+    next();
+  });
+
+/**
+ * Middleware for routes that also work anonymously, like the AI endpoints:
+ * a request that names a user needs a valid access token for that user, and
+ * a request with a token is authenticated; requests with neither continue
+ * anonymously.
+ * @param req - Request object
+ * @param res - Response object
+ * @param next - Next middleware function
+ * @returns {*} - Response object or next middleware function
+ */
+const authorizeOptionalUser = (req, res, next) => {
+  if (!requestedUserId(req) && !getBearerToken(req)) return next();
+  return authenticateRequestedUser(req, res, next);
+};
+
 /**
  * Generate JWT token
  * @param user - User object
  * @returns {string} - JWT token
  */
 const generateToken = (user) => {
-  return jwt.sign(user, process.env.JWT_SECRET, { expiresIn: "1h" });
+  return jwt.sign(user, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+/**
+ * Generate a refresh token and remember it so it can be rotated or revoked
+ * @param uid - User ID
+ * @returns {Promise<string>} - Refresh token
+ */
+const generateRefreshToken = async (uid) => {
+  const tokenId = crypto.randomUUID();
+  await saveRefreshToken(tokenId, uid, REFRESH_TOKEN_TTL);
+  return jwt.sign({ uid, type: "refresh" }, refreshSecret(), {
+    expiresIn: REFRESH_TOKEN_TTL,
+    jwtid: tokenId,
+  });
 };
 
-module.exports = { authenticateToken, generateToken };
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param uid - User ID
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string}>} - Token pair
+ */
+const issueTokens = async (uid) => ({
+  accessToken: generateToken({ uid, type: "access" }),
+  refreshToken: await generateRefreshToken(uid),
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+/**
+ * Verify a refresh token and check it has not been used or revoked
+ * @param refreshToken - Refresh token
+ * @returns {Promise<{uid: string, jti: string}>} - Token payload
+ */
+const verifyRefreshToken = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, refreshSecret());
+  } catch (error) {
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  const owner = await fetchRefreshToken(payload.jti);
+  if (payload.type !== "refresh" || !owner || owner !== payload.uid) {
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  return payload;
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The old refresh token is
+ * revoked, so each refresh token can only be used once.
+ * @param refreshToken - Refresh token
+ * @returns {Promise<{userId: string, accessToken: string, refreshToken: string, expiresIn: string}>} - New tokens
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const { uid, jti } = await verifyRefreshToken(refreshToken);
+  await deleteRefreshToken(jti, uid);
+  return { userId: uid, ...(await issueTokens(uid)) };
+};
+
+/**
+ * Revoke a refresh token (e.g. on logout). Unknown or invalid tokens are ignored.
+ * @param refreshToken - Refresh token
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  try {
+    const { uid, jti } = await verifyRefreshToken(refreshToken);
+    await deleteRefreshToken(jti, uid);
+  } catch (error) {
+    // Nothing to revoke
+  }
+};
+
+/**
+ * Revoke every refresh token of a user (e.g. after a password change)
+ * @param uid - User ID
+ */
+const revokeUserTokens = async (uid) => {
+  await deleteUserRefreshTokens(uid);
+};
+
+module.exports = {
+  authenticateToken,
+  authenticateOptionalToken,
+  authorizeUser,
+  authorizeOptionalUser,
+  verifyAccessToken,
+  generateToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+};
@@ -1,5 +1,17 @@
+const crypto = require("crypto");
 const firebaseAdmin = require("firebase-admin");
-const firestore = firebaseAdmin.firestore();
+const { firestore, createUser } = require("../services/services");
+const {
+  indexDocument,
+  removeIndexedDocument,
+  clearSearchIndex,
+  searchUserDocuments,
+  buildSnippet,
+  highlight,
+} = require("../services/searchIndex");
+const { searchByMeaning } = require("../services/retrieval");
+const { TOPICS, publish } = require("../services/liveUpdates");
+const { invalidateDocumentResponses } = require("../services/aiCache");
 
 /**
  * @swagger
@@ -9,7 +21,8 @@ const firestore = firebaseAdmin.firestore();
  *       type: object
  *       description: >
  *         Represents a user in Firestore. Each user has a unique Firebase UID,
- *         email, theme preferences, social media links, and a list of documents.
+ *         email, theme preferences and social media links. The user's documents
+ *         are stored in the users/{uid}/documents subcollection.
  *       properties:
  *         uid:
  *           type: string
@@ -24,11 +37,6 @@ const firestore = firebaseAdmin.firestore();
  *           format: date-time
  *           description: Timestamp when the user was created.
  *           example: "2023-01-01T12:00:00Z"
- *         documents:
- *           type: array
- *           description: List of documents created by the user.
- *           items:
- *             $ref: '#/components/schemas/Document'
  *         theme:
  *           type: string
  *           description: User’s theme preference.
@@ -43,6 +51,11 @@ const firestore = firebaseAdmin.firestore();
  *             linkedin:
  *               type: string
  *               example: "https://linkedin.com/in/example"
+ *         activeWorkspaceId:
+ *           type: string
+ *           nullable: true
+ *           description: The workspace the user is working in, or null for their personal library.
+ *           example: "workspace123"
  *
  *     Document:
  *       type: object
@@ -62,6 +75,239 @@ const firestore = firebaseAdmin.firestore();
  *           type: string
  *           description: A brief summary of the document.
  *           example: "This is a summary of my first document."
+ *         originalText:
+ *           type: string
+ *           description: The full text of the document.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the document was created.
+ *           example: "2023-01-01T12:00:00Z"
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Free-form tags, lowercased.
+ *           example: ["climate", "policy"]
+ *         suggestedTags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Tags suggested by the AI when the document was uploaded.
+ *           example: ["renewable energy"]
+ *         folderId:
+ *           type: string
+ *           nullable: true
+ *           description: The folder the document is filed in, or null.
+ *           example: "folder123"
+ *         workspaceId:
+ *           type: string
+ *           nullable: true
+ *           description: The workspace whose library the document is in, or null.
+ *           example: "workspace123"
+ *         insights:
+ *           type: object
+ *           description: >
+ *             AI results saved for the document, keyed by type (keyIdeas,
+ *             discussionPoints, bulletSummary, sentiment, recommendations,
+ *             languageSummary, rewrittenContent). Only the latest result of
+ *             each type is kept.
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/Insight'
+ *
+ *     Folder:
+ *       type: object
+ *       description: >
+ *         A folder documents can be filed in, kept in the users/{uid}/folders
+ *         subcollection. A document is in at most one folder.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "folder123"
+ *         name:
+ *           type: string
+ *           example: "Research"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Share:
+ *       type: object
+ *       description: >
+ *         Access to a document granted by its owner to another user, kept in
+ *         the top-level shares collection. Viewers can read the document and
+ *         its comments, commenters can also comment, and editors can also
+ *         rename it.
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: The user the document is shared with.
+ *         email:
+ *           type: string
+ *           example: "colleague@example.com"
+ *         role:
+ *           type: string
+ *           enum: [viewer, commenter, editor]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ShareLink:
+ *       type: object
+ *       description: >
+ *         A public, read-only link to a document's title, summary and
+ *         insights, kept in the top-level shareLinks collection until it is
+ *         revoked. Anyone with the token can read the document.
+ *       properties:
+ *         token:
+ *           type: string
+ *           example: "h2Jx9c0b8u1F3Qk4mW7pZr5sTt6vYy8a"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Comment:
+ *       type: object
+ *       description: A comment on a document by its owner or a user it is shared with.
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         email:
+ *           type: string
+ *         text:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Workspace:
+ *       type: object
+ *       description: >
+ *         A library shared by a team, kept in the top-level workspaces
+ *         collection. Members see the documents added to it and can read,
+ *         comment on and rename them. Admins also manage members, invitations
+ *         and settings, and the owner can also change admins and delete the
+ *         workspace.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "workspace123"
+ *         name:
+ *           type: string
+ *           example: "Research team"
+ *         ownerId:
+ *           type: string
+ *         settings:
+ *           $ref: '#/components/schemas/WorkspaceSettings'
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *           description: The role of the requesting user.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     WorkspaceSettings:
+ *       type: object
+ *       description: >
+ *         Defaults used for members working in the workspace when a request
+ *         does not set its own.
+ *       properties:
+ *         defaultLanguage:
+ *           type: string
+ *           nullable: true
+ *           description: Language of /summary-in-language when none is sent.
+ *           example: "French"
+ *         defaultStyle:
+ *           type: string
+ *           nullable: true
+ *           description: Style of /content-rewriting when none is sent.
+ *           example: "formal"
+ *
+ *     WorkspaceMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     WorkspaceInvitation:
+ *       type: object
+ *       description: An invitation to join a workspace. The invited email is sent a single-use token, which is needed to accept or decline it.
+ *       properties:
+ *         workspaceId:
+ *           type: string
+ *         workspaceName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, member]
+ *         invitedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     DocumentVersion:
+ *       type: object
+ *       description: >
+ *         A saved state of a document's title, summary and refined summary,
+ *         kept in the users/{uid}/documents/{docId}/versions subcollection.
+ *         A version is added when the document is created, renamed, its
+ *         summary is refined or an older version is restored.
+ *       properties:
+ *         number:
+ *           type: integer
+ *           description: Version number, counting from 1.
+ *           example: 3
+ *         reason:
+ *           type: string
+ *           enum: [created, original, title, refinedSummary, restored]
+ *           description: What changed; "original" is the state of a document created before version history, recorded on its first change.
+ *         title:
+ *           type: string
+ *         summary:
+ *           type: string
+ *         refinedSummary:
+ *           type: string
+ *           nullable: true
+ *         refinementInstructions:
+ *           type: string
+ *           nullable: true
+ *         restoredFrom:
+ *           type: integer
+ *           description: For restored versions, the version that was restored.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Insight:
+ *       type: object
+ *       description: An AI result saved against a document.
+ *       properties:
+ *         content:
+ *           description: The generated text, or { score, description } for sentiment.
+ *           example: "1. The report covers..."
+ *         options:
+ *           type: object
+ *           description: Options the result was generated with, e.g. { language }, { style } or { instructions }.
+ *           example: { "language": "French" }
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the result was generated.
+ *           example: "2023-01-01T12:00:00Z"
  */
 
 /**
@@ -79,16 +325,488 @@ const firestore = firebaseAdmin.firestore();
  *     description: API for advanced analysis on documents.
  *   - name: Document Refinement
  *     description: API for enhancing and refining document content.
+ *   - name: Sharing
+ *     description: API for sharing documents with other users and through public links.
+ *   - name: Workspaces
+ *     description: API for team workspaces, their members and settings.
+ */
+
+// AI results that can be saved against a document
+const INSIGHT_TYPES = [
+  "keyIdeas",
+  "discussionPoints",
+  "bulletSummary",
+  "sentiment",
+  "recommendations",
+  "languageSummary",
+  "rewrittenContent",
+  "refinedSummary",
+];
+
+/**
+ * Convert a Firestore Timestamp to an ISO string, leaving other values as is
+ * @param value - Timestamp, string or undefined
+ * @returns {string|*} - ISO date string
+ */
+const toISOString = (value) =>
+  value && typeof value.toDate === "function"
+    ? value.toDate().toISOString()
+    : value;
+
+/**
+ * Get the documents subcollection of a user
+ * @param uid - User ID
+ * @returns {FirebaseFirestore.CollectionReference} - users/{uid}/documents
+ */
+const documentsOf = (uid) =>
+  firestore.collection("users").doc(uid).collection("documents");
+
+/**
+ * Convert a document snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Document with its ID and ISO dates
+ */
+const toDocument = (snapshot) => {
+  const data = snapshot.data();
+  const document = {
+    ...data,
+    id: snapshot.id,
+    createdAt: toISOString(data.createdAt),
+  };
+  if (data.insights) {
+    document.insights = Object.fromEntries(
+      Object.entries(data.insights).map(([type, insight]) => [
+        type,
+        { ...insight, generatedAt: toISOString(insight.generatedAt) },
+      ]),
+    );
+  }
+  return document;
+};
+
+/**
+ * Get the folders subcollection of a user
+ * @param uid - User ID
+ * @returns {FirebaseFirestore.CollectionReference} - users/{uid}/folders
+ */
+const foldersOf = (uid) =>
+  firestore.collection("users").doc(uid).collection("folders");
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Check a folder name
+ * @param name - Trimmed folder name
+ */
+const assertFolderName = (name) => {
+  if (
+    typeof name !== "string" ||
+    !name ||
+    name.length > MAX_FOLDER_NAME_LENGTH
+  ) {
+    throw new Error(
+      `Folder name must be 1 to ${MAX_FOLDER_NAME_LENGTH} characters long`,
+    );
+  }
+};
+
+// Folder filter of Document.list matching documents that are in no folder
+const UNFILED = "none";
+
+// Sort keys of Document.list
+const DOCUMENT_SORTS = {
+  createdAt: (doc) => doc.createdAt || "",
+  title: (doc) =>
+    (Array.isArray(doc.title)
+      ? doc.title.join(" ")
+      : doc.title || ""
+    ).toLowerCase(),
+};
+
+// Fields read when listing documents. Their text is left out, as lists do
+// not show it; it is read with the document (Document.getById).
+const DOCUMENT_LIST_FIELDS = [
+  "title",
+  "summary",
+  "createdAt",
+  "tags",
+  "suggestedTags",
+  "folderId",
+];
+
+// Roles a document can be shared with, from least to most access; the owner
+// has every permission
+const SHARE_ROLES = ["viewer", "commenter", "editor"];
+const ROLE_RANKS = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+/**
+ * Whether a role includes the permissions of another
+ * @param role - Role of the user ("owner" for the owner), or null
+ * @param required - Least role needed
+ * @returns {boolean} - True if role is at least required
+ */
+const hasRole = (role, required) =>
+  (ROLE_RANKS[role] || 0) >= ROLE_RANKS[required];
+
+/**
+ * Remove the owner's own organization (folder and tags) from a document
+ * shown to someone else
+ * @param document - Document
+ * @returns {object} - Document without folderId, tags and suggestedTags
+ */
+const toSharedDocument = ({ folderId, tags, suggestedTags, ...document }) =>
+  document;
+
+const sharesCollection = () => firestore.collection("shares");
+const shareLinksCollection = () => firestore.collection("shareLinks");
+
+/**
+ * Get the comments subcollection of a document
+ * @param uid - Owner ID
+ * @param docId - Document ID
+ * @returns {FirebaseFirestore.CollectionReference} - users/{uid}/documents/{docId}/comments
+ */
+const commentsOf = (uid, docId) =>
+  documentsOf(uid).doc(docId).collection("comments");
+
+/**
+ * Delete every result of a query
+ * @param query - Firestore query
+ */
+const deleteAll = async (query) => {
+  const snapshot = await query.get();
+  const writer = firestore.bulkWriter();
+  snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+};
+
+/**
+ * Convert a snapshot to a plain object with ISO dates
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Data with its createdAt as an ISO string
+ */
+const withISODates = (snapshot) => {
+  const data = snapshot.data();
+  return { ...data, createdAt: toISOString(data.createdAt) };
+};
+
+/**
+ * Convert a share snapshot to the plain object returned to the owner
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Share with its user, email, role and ISO dates
+ */
+const toShare = (snapshot) => {
+  const { userId, email, role, createdAt } = withISODates(snapshot);
+  return { userId, email, role, createdAt };
+};
+
+/**
+ * Convert a share link snapshot to the plain object returned to the owner
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Link with its token and ISO dates
+ */
+const toShareLink = (snapshot) => ({
+  token: snapshot.id,
+  createdAt: withISODates(snapshot).createdAt,
+});
+
+// Workspace roles, from least to most access
+const WORKSPACE_ROLES = ["member", "admin", "owner"];
+const WORKSPACE_SETTINGS = ["defaultLanguage", "defaultStyle"];
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+const MAX_WORKSPACE_SETTING_LENGTH = 50;
+// Role of workspace members on the documents in its library
+const WORKSPACE_DOCUMENT_ROLE = "editor";
+
+/**
+ * Whether a workspace role includes the permissions of another
+ * @param role - Role of the user, or null
+ * @param required - Least role needed
+ * @returns {boolean} - True if role is at least required
+ */
+const hasWorkspaceRole = (role, required) =>
+  WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+
+/**
+ * Check a workspace name
+ * @param name - Trimmed workspace name
+ */
+const assertWorkspaceName = (name) => {
+  if (
+    typeof name !== "string" ||
+    !name ||
+    name.length > MAX_WORKSPACE_NAME_LENGTH
+  ) {
+    throw new Error(
+      `Workspace name must be 1 to ${MAX_WORKSPACE_NAME_LENGTH} characters long`,
+    );
+  }
+};
+
+/**
+ * Check and clean workspace settings
+ * @param settings - Settings to change, each a string or null to clear it
+ * @returns {object} - Trimmed settings, empty strings as null
+ */
+const normalizeWorkspaceSettings = (settings) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("Workspace settings must be an object");
+  }
+  return Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => {
+      if (!WORKSPACE_SETTINGS.includes(key)) {
+        throw new Error(
+          `Unknown workspace setting ${key}. Must be one of ${WORKSPACE_SETTINGS.join(", ")}.`,
+        );
+      }
+      if (value !== null && typeof value !== "string") {
+        throw new Error(`${key} must be a string or null`);
+      }
+      const trimmed = value?.trim() || null;
+      if (trimmed && trimmed.length > MAX_WORKSPACE_SETTING_LENGTH) {
+        throw new Error(
+          `${key} must be at most ${MAX_WORKSPACE_SETTING_LENGTH} characters long`,
+        );
+      }
+      return [key, trimmed];
+    }),
+  );
+};
+
+const workspacesCollection = () => firestore.collection("workspaces");
+const workspaceMembersCollection = () =>
+  firestore.collection("workspaceMembers");
+const workspaceInvitationsCollection = () =>
+  firestore.collection("workspaceInvitations");
+const workspaceDocumentsCollection = () =>
+  firestore.collection("workspaceDocuments");
+
+/**
+ * Convert a workspace snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Workspace with its ID, settings and ISO dates
+ */
+const toWorkspace = (snapshot) => {
+  const { name, ownerId, settings = {}, createdAt } = withISODates(snapshot);
+  return {
+    id: snapshot.id,
+    name,
+    ownerId,
+    settings: Object.fromEntries(
+      WORKSPACE_SETTINGS.map((key) => [key, settings[key] || null]),
+    ),
+    createdAt,
+  };
+};
+
+/**
+ * Convert a member snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Member with their user, email, role and ISO dates
+ */
+const toWorkspaceMember = (snapshot) => {
+  const { userId, email, role, joinedAt } = snapshot.data();
+  return { userId, email, role, joinedAt: toISOString(joinedAt) };
+};
+
+/**
+ * Hash an invitation token; only the hash is stored
+ * @param token - Token emailed with the invitation
+ * @returns {string} - SHA-256 hash
+ */
+const hashInvitationToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Convert an invitation snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Invitation with its workspace, email, role and ISO dates
+ */
+const toWorkspaceInvitation = (snapshot) => {
+  const { workspaceId, workspaceName, email, role, invitedBy, createdAt } =
+    withISODates(snapshot);
+  return { workspaceId, workspaceName, email, role, invitedBy, createdAt };
+};
+
+/**
+ * Convert a folder snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Folder with its ID and ISO dates
+ */
+const toFolder = (snapshot) => {
+  const data = snapshot.data();
+  return { ...data, id: snapshot.id, createdAt: toISOString(data.createdAt) };
+};
+
+/**
+ * Get the version history subcollection of a document
+ * @param uid - User ID
+ * @param docId - Document ID
+ * @returns {FirebaseFirestore.CollectionReference} - users/{uid}/documents/{docId}/versions
+ */
+const versionsOf = (uid, docId) =>
+  documentsOf(uid).doc(docId).collection("versions");
+
+/**
+ * Fields of a document that are kept in its version history
+ * @param data - Document data
+ * @returns {object} - Title, summary, refined summary and its instructions
+ */
+const versionFields = (data) => {
+  const refined = data.insights?.refinedSummary;
+  return {
+    title: Array.isArray(data.title)
+      ? data.title.join(" ")
+      : (data.title ?? null),
+    summary: data.summary ?? null,
+    refinedSummary: refined?.content ?? null,
+    refinementInstructions: refined?.options?.instructions ?? null,
+  };
+};
+
+/**
+ * Convert a version snapshot to the plain object returned by the API
+ * @param snapshot - Firestore document snapshot
+ * @returns {object} - Version with ISO dates
+ */
+const toVersion = (snapshot) => {
+  const data = snapshot.data();
+  return { ...data, createdAt: toISOString(data.createdAt) };
+};
+
+/**
+ * Add a version to a document's history. For documents created before
+ * version history, their previous state is recorded first as the
+ * "original" version. The version number is allocated in a transaction, so
+ * concurrent changes get their own versions. A failed write is logged and
+ * does not fail the change.
+ * @param uid - User ID
+ * @param docId - Document ID
+ * @param previous - Document data before the change (omit for new documents)
+ * @param current - Document data after the change
+ * @param reason - What changed, e.g. "title"
+ * @param extra - Additional version fields, e.g. { restoredFrom }
+ */
+const recordVersion = async (
+  uid,
+  docId,
+  { previous, current, reason, extra = {} },
+) => {
+  try {
+    const versions = versionsOf(uid, docId);
+    await firestore.runTransaction(async (transaction) => {
+      const latest = await transaction.get(
+        versions.orderBy("number", "desc").limit(1),
+      );
+      let number = latest.empty ? 0 : latest.docs[0].data().number;
+
+      if (!number && previous) {
+        number = 1;
+        transaction.set(versions.doc(String(number)), {
+          number,
+          reason: "original",
+          ...versionFields(previous),
+          createdAt: previous.createdAt || new Date(),
+        });
+      }
+
+      number += 1;
+      transaction.set(versions.doc(String(number)), {
+        number,
+        reason,
+        ...versionFields(current),
+        ...extra,
+        createdAt: new Date(),
+      });
+    });
+  } catch (error) {
+    console.error(`Failed to record a version of ${docId}:`, error.message);
+  }
+};
+
+/**
+ * Apply a change to a user's search index. A failed update drops the index
+ * instead of leaving it out of date; the next search rebuilds it.
+ * @param uid - User ID
+ * @param update - Function updating the index
+ */
+const syncSearchIndex = async (uid, update) => {
+  try {
+    await update();
+  } catch (error) {
+    console.error(
+      `Failed to update the search index of ${uid}:`,
+      error.message,
+    );
+    await clearSearchIndex(uid).catch(() => {});
+  }
+};
+
+/**
+ * Tell live subscribers (GraphQL documentsChanged) that a document of a user
+ * was created, updated or deleted
+ * @param uid - User ID
+ * @param type - "CREATED", "UPDATED" or "DELETED"
+ * @param documentId - Document ID
+ * @param document - The document as it is now, or null once deleted
  */
+const publishDocumentChange = (uid, type, documentId, document = null) => {
+  publish(TOPICS.documents(uid), { type, documentId, document });
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check the email and password of a new account
+ * @param email - Email
+ * @param password - Password
+ * @returns {string|null} What is wrong with them, or null if they are valid
+ */
+const credentialsError = (email, password) => {
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+    return "A valid email is required";
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
 
 /**
  * User Model
  */
 const User = {
+  /**
+   * Register a user: create their Firebase Auth account, then their profile
+   * under the same ID so that they can sign in to it. POST /register and the
+   * createUser mutation both register users here. Firebase Auth errors
+   * (e.g. auth/email-already-exists) are passed on with their code.
+   * @param email - Email, checked with credentialsError
+   * @param password - Password, checked with credentialsError
+   * @returns {Promise<string>} The new user's ID
+   */
+  async register(email, password) {
+    const userRecord = await createUser(email, password);
+    console.log(`User created in Firebase Auth: ${userRecord.uid}`);
+
+    try {
+      await User.create(userRecord.uid, email, new Date());
+    } catch (error) {
+      // Do not leave an account behind that has no profile
+      await firebaseAdmin
+        .auth()
+        .deleteUser(userRecord.uid)
+        .catch(() => {});
+      throw error;
+    }
+
+    return userRecord.uid;
+  },
+
   async create(uid, email, createdAt) {
     await firestore.collection("users").doc(uid).set({
       email,
-      documents: [],
       createdAt,
       theme: "light",
       socialMedia: {},
@@ -100,6 +818,25 @@ const User = {
     return userDoc.exists ? userDoc.data() : null;
   },
 
+  /**
+   * Get several users in one read
+   * @param uids - User IDs
+   * @returns {Promise<(object|null)[]>} - Users in the order of uids, null for those that do not exist
+   */
+  async getMany(uids) {
+    const snapshots = await firestore.getAll(
+      ...uids.map((uid) => firestore.collection("users").doc(uid)),
+    );
+    return snapshots.map((snapshot) =>
+      snapshot.exists ? snapshot.data() : null,
+    );
+  },
+
+  async exists(uid) {
+    const userDoc = await firestore.collection("users").doc(uid).get();
+    return userDoc.exists;
+  },
+
   async updateEmail(uid, newEmail) {
     await firestore.collection("users").doc(uid).update({ email: newEmail });
   },
@@ -115,51 +852,1108 @@ const User = {
     await firestore.collection("users").doc(uid).update({ socialMedia });
   },
 
+  /**
+   * Switch the workspace the user works in
+   * @param uid - User ID
+   * @param workspaceId - Workspace ID, or null for the personal library
+   */
+  async setActiveWorkspace(uid, workspaceId) {
+    await firestore
+      .collection("users")
+      .doc(uid)
+      .update({ activeWorkspaceId: workspaceId });
+  },
+
   async deleteAllDocuments(uid) {
-    await firestore.collection("users").doc(uid).update({ documents: [] });
+    // Deletes the documents together with their version histories
+    await firestore.recursiveDelete(documentsOf(uid));
+    await Share.removeOwner(uid);
+    await deleteAll(workspaceDocumentsCollection().where("ownerId", "==", uid));
+    await syncSearchIndex(uid, () => clearSearchIndex(uid));
   },
 };
 
 /**
- * Document Model
+ * Document Model. Documents live in the users/{uid}/documents subcollection,
+ * one Firestore document per user document.
  */
 const Document = {
+  generateId() {
+    return firestore.collection("users").doc().id;
+  },
+
   async add(userId, doc) {
-    await firestore.collection("users").doc(userId).update({
-      documents: firebaseAdmin.firestore.FieldValue.arrayUnion(doc),
+    const { id = Document.generateId(), ...data } = doc;
+    const createdAt = data.createdAt || new Date();
+    await documentsOf(userId)
+      .doc(id)
+      .set({ ...data, createdAt });
+    await syncSearchIndex(userId, () => indexDocument(userId, { id, ...data }));
+    await recordVersion(userId, id, { current: data, reason: "created" });
+    publishDocumentChange(userId, "CREATED", id, {
+      ...data,
+      id,
+      createdAt:
+        createdAt instanceof Date
+          ? createdAt.toISOString()
+          : toISOString(createdAt),
     });
+    return id;
   },
 
-  async updateTitle(userId, docId, newTitle) {
-    const userDoc = await firestore.collection("users").doc(userId).get();
-    if (!userDoc.exists) throw new Error("User not found");
+  /**
+   * List a user's documents, oldest first unless sorted otherwise
+   * @param userId - User ID
+   * @param folderId - Only documents in this folder, or in none for UNFILED
+   * @param tags - Only documents with all of these (normalized) tags
+   * @param sort - Key of DOCUMENT_SORTS
+   * @param order - "asc" or "desc"
+   * @param withText - Read the whole documents, with their text and insights, instead of DOCUMENT_LIST_FIELDS
+   * @returns {Promise<object[]>} - Documents
+   */
+  async list(
+    userId,
+    {
+      folderId,
+      tags = [],
+      sort = "createdAt",
+      order = "asc",
+      withText = false,
+    } = {},
+  ) {
+    const collection = documentsOf(userId);
+    const snapshot = await (
+      withText ? collection : collection.select(...DOCUMENT_LIST_FIELDS)
+    ).get();
+    const sortKey = DOCUMENT_SORTS[sort] || DOCUMENT_SORTS.createdAt;
+    const direction = order === "desc" ? -1 : 1;
+    return snapshot.docs
+      .map(toDocument)
+      .filter(
+        (doc) =>
+          folderId === undefined ||
+          (doc.folderId || UNFILED) === (folderId || UNFILED),
+      )
+      .filter((doc) => tags.every((tag) => (doc.tags || []).includes(tag)))
+      .sort((a, b) => direction * sortKey(a).localeCompare(sortKey(b)));
+  },
 
-    const updatedDocs = userDoc
-      .data()
-      .documents.map((d) => (d.id === docId ? { ...d, title: newTitle } : d));
+  /**
+   * Read a page of a user's documents, without their text. Firestore sorts
+   * the documents, continues after the cursor and limits the page; it also
+   * filters by folder and by the first tag, while documents in no folder
+   * and further tags are filtered as the documents are read. Titles are
+   * sorted as stored, so unlike list() the order is case-sensitive.
+   * @param userId - User ID
+   * @param first - Page size
+   * @param after - ID of the document the page starts after
+   * @param folderId - Only documents in this folder, or in none for UNFILED
+   * @param tags - Only documents with all of these (normalized) tags
+   * @param sort - "createdAt" or "title"
+   * @param order - "asc" or "desc"
+   * @returns {Promise<{documents: object[], hasNextPage: boolean, totalCount: number}|null>} - Page of documents, or null if `after` is not a document of the user
+   */
+  async page(
+    userId,
+    { first, after, folderId, tags = [], sort = "createdAt", order = "asc" },
+  ) {
+    let filtered = documentsOf(userId);
+    if (folderId && folderId !== UNFILED) {
+      filtered = filtered.where("folderId", "==", folderId);
+    }
+    if (tags.length) {
+      filtered = filtered.where("tags", "array-contains", tags[0]);
+    }
+    const matches = (data) =>
+      (folderId !== UNFILED || !data.folderId) &&
+      tags.every((tag) => (data.tags || []).includes(tag));
 
-    await firestore.collection("users").doc(userId).update({
-      documents: updatedDocs,
-    });
+    const sortField = sort === "title" ? "title" : "createdAt";
+    const direction = order === "desc" ? "desc" : "asc";
+    let query = filtered
+      .orderBy(sortField, direction)
+      .orderBy(firebaseAdmin.firestore.FieldPath.documentId(), direction)
+      .select(...DOCUMENT_LIST_FIELDS);
+    if (after) {
+      const [cursor] = await firestore.getAll(documentsOf(userId).doc(after), {
+        fieldMask: [sortField],
+      });
+      if (!cursor.exists) return null;
+      query = query.startAfter(cursor);
+    }
+
+    // Read one more document than needed to know whether there is a next
+    // page, and read on while documents are filtered out
+    const documents = [];
+    let hasNextPage = false;
+    for (;;) {
+      const snapshot = await query.limit(first + 1).get();
+      for (const doc of snapshot.docs) {
+        if (!matches(doc.data())) continue;
+        if (documents.length === first) {
+          hasNextPage = true;
+          break;
+        }
+        documents.push(toDocument(doc));
+      }
+      if (hasNextPage || snapshot.docs.length <= first) break;
+      query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+    }
+
+    let totalCount;
+    if (folderId !== UNFILED && tags.length <= 1) {
+      totalCount = (await filtered.count().get()).data().count;
+    } else {
+      const snapshot = await filtered.select("folderId", "tags").get();
+      totalCount = snapshot.docs.filter((doc) => matches(doc.data())).length;
+    }
+    return { documents, hasNextPage, totalCount };
+  },
+
+  /**
+   * Count how many of a user's documents have each tag
+   * @param userId - User ID
+   * @returns {Promise<{name: string, count: number}[]>} - Tags, most used first
+   */
+  async listTags(userId) {
+    const counts = new Map();
+    (await Document.list(userId)).forEach((doc) =>
+      (doc.tags || []).forEach((tag) =>
+        counts.set(tag, (counts.get(tag) || 0) + 1),
+      ),
+    );
+    return [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  },
+
+  async count(userId) {
+    const snapshot = await documentsOf(userId).count().get();
+    return snapshot.data().count;
   },
 
   async getById(userId, docId) {
-    const userDoc = await firestore.collection("users").doc(userId).get();
-    if (!userDoc.exists) throw new Error("User not found");
+    const snapshot = await documentsOf(userId).doc(docId).get();
+    return snapshot.exists ? toDocument(snapshot) : null;
+  },
+
+  /**
+   * Get several documents, of any owners, in one read
+   * @param keys - { userId, docId } of each document
+   * @returns {Promise<(object|null)[]>} - Documents in the order of keys, null for those that do not exist
+   */
+  async getMany(keys) {
+    const snapshots = await firestore.getAll(
+      ...keys.map(({ userId, docId }) => documentsOf(userId).doc(docId)),
+    );
+    return snapshots.map((snapshot) =>
+      snapshot.exists ? toDocument(snapshot) : null,
+    );
+  },
+
+  /**
+   * Load documents of a user as { id, title, text } for retrieval (library
+   * chat and semantic search). Documents without text are left out.
+   * @param userId - Owner of the documents
+   * @param documentIds - Document IDs, or "all" for every document of the user
+   * @returns {Promise<{id: string, title: string, text: string}[]|null>} - Documents with text, or null if one of the IDs does not exist
+   */
+  async listTexts(userId, documentIds) {
+    let documents;
+    if (documentIds === "all") {
+      documents = await Document.list(userId, { withText: true });
+    } else {
+      documents = await Promise.all(
+        [...new Set(documentIds)].map((docId) =>
+          Document.getById(userId, docId),
+        ),
+      );
+      if (documents.includes(null)) return null;
+    }
+
+    return documents
+      .filter((doc) => typeof doc.originalText === "string" && doc.originalText)
+      .map((doc) => ({
+        id: doc.id,
+        title: Array.isArray(doc.title) ? doc.title.join(" ") : doc.title,
+        text: doc.originalText,
+      }));
+  },
+
+  /**
+   * Search a user's documents by keyword
+   * @param userId - User ID
+   * @param searchTerm - Search query
+   * @param limit - Maximum number of results
+   * @returns {Promise<object[]>} - Best matches first, each with a snippet cut from the field that matched and the [start, end] ranges of the matches
+   */
+  async search(userId, searchTerm, { limit = 20 } = {}) {
+    const results = await searchUserDocuments(userId, searchTerm, {
+      limit,
+      loadDocuments: () => Document.list(userId, { withText: true }),
+    });
+
+    const matches = await Promise.all(
+      results.map(async ({ docId, score, terms, fields }) => {
+        const doc = await Document.getById(userId, docId);
+        if (!doc) return null;
+
+        const title = Array.isArray(doc.title)
+          ? doc.title.join(" ")
+          : doc.title;
+        const snippetSource =
+          !fields.includes("text") && fields.includes("summary")
+            ? doc.summary
+            : doc.originalText;
+        const snippet = buildSnippet(snippetSource, terms);
+
+        return {
+          docId,
+          title,
+          snippet: snippet.text,
+          score,
+          highlights: {
+            title: highlight(title, terms),
+            snippet: snippet.highlights,
+          },
+        };
+      }),
+    );
+    return matches.filter(Boolean);
+  },
+
+  /**
+   * Find the documents of a user closest in meaning to a query
+   * @param userId - User ID
+   * @param query - Search query
+   * @param limit - Maximum number of results
+   * @returns {Promise<object[]>} - Best matches first, each with its best passages; scores are rounded to three decimals
+   */
+  async searchByMeaning(userId, query, { limit = 10 } = {}) {
+    const documents = await Document.listTexts(userId, "all");
+    const matches = await searchByMeaning(documents, query, { limit });
+    const round = (score) => Math.round(score * 1000) / 1000;
+
+    return matches.map(({ documentId, title, score, passages }) => ({
+      docId: documentId,
+      title,
+      score: round(score),
+      passages: passages.map(
+        ({ text, page, paragraph, start, end, score }) => ({
+          text,
+          page,
+          paragraph,
+          start,
+          end,
+          score: round(score),
+        }),
+      ),
+    }));
+  },
+
+  async updateTitle(userId, docId, newTitle) {
+    const ref = documentsOf(userId).doc(docId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error("Document not found");
+
+    await ref.update({ title: newTitle });
+    const document = toDocument(await ref.get());
+    await recordVersion(userId, docId, {
+      previous: snapshot.data(),
+      current: document,
+      reason: "title",
+    });
+    await syncSearchIndex(userId, () => indexDocument(userId, document));
+    await invalidateDocumentResponses(userId, docId);
+    publishDocumentChange(userId, "UPDATED", docId, document);
+    return document;
+  },
+
+  /**
+   * Save an AI result against a document, replacing the previous result of
+   * the same type
+   * @param userId - User ID
+   * @param docId - Document ID
+   * @param type - One of INSIGHT_TYPES
+   * @param content - Generated content
+   * @param options - Options the content was generated with
+   * @returns {Promise<object>} - The saved insight
+   */
+  async saveInsight(userId, docId, type, content, options = {}) {
+    if (!INSIGHT_TYPES.includes(type)) {
+      throw new Error(`Unknown insight type "${type}"`);
+    }
+
+    const ref = documentsOf(userId).doc(docId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error("Document not found");
+
+    const insight = { content, options, generatedAt: new Date() };
+    await ref.update({ [`insights.${type}`]: insight });
+    // Cached responses for the document may no longer match its insights
+    await invalidateDocumentResponses(userId, docId);
+    if (type === "refinedSummary") {
+      const previous = snapshot.data();
+      await recordVersion(userId, docId, {
+        previous,
+        current: {
+          ...previous,
+          insights: { ...previous.insights, refinedSummary: insight },
+        },
+        reason: "refinedSummary",
+      });
+    }
+    return { ...insight, generatedAt: insight.generatedAt.toISOString() };
+  },
+
+  /**
+   * Change the tags or folder of a document
+   * @param userId - User ID
+   * @param docId - Document ID
+   * @param tags - New (normalized) tags, or undefined to keep them
+   * @param folderId - New folder, null to take it out of its folder, or undefined to keep it
+   * @returns {Promise<object>} - The updated document
+   */
+  async organize(userId, docId, { tags, folderId }) {
+    const ref = documentsOf(userId).doc(docId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error("Document not found");
+    if (folderId && !(await Folder.getById(userId, folderId))) {
+      throw new Error("Folder not found");
+    }
 
-    return userDoc.data().documents.find((d) => d.id === docId) || null;
+    const changes = {};
+    if (tags !== undefined) changes.tags = tags;
+    if (folderId !== undefined) changes.folderId = folderId || null;
+    await ref.update(changes);
+    const document = toDocument(await ref.get());
+    publishDocumentChange(userId, "UPDATED", docId, document);
+    return document;
+  },
+
+  /**
+   * List the versions of a document, newest first
+   * @param userId - User ID
+   * @param docId - Document ID
+   * @returns {Promise<object[]>} - Versions
+   */
+  async listVersions(userId, docId) {
+    const snapshot = await versionsOf(userId, docId)
+      .orderBy("number", "desc")
+      .get();
+    return snapshot.docs.map(toVersion);
+  },
+
+  /**
+   * Get one version of a document
+   * @param userId - User ID
+   * @param docId - Document ID
+   * @param number - Version number
+   * @returns {Promise<object|null>} - The version, or null if it does not exist
+   */
+  async getVersion(userId, docId, number) {
+    const snapshot = await versionsOf(userId, docId).doc(String(number)).get();
+    return snapshot.exists ? toVersion(snapshot) : null;
+  },
+
+  /**
+   * Bring back the title, summary and refined summary of an older version.
+   * The restored state is added to the history as a new version.
+   * @param userId - User ID
+   * @param docId - Document ID
+   * @param number - Version number to restore
+   * @returns {Promise<object>} - The updated document
+   */
+  async restoreVersion(userId, docId, number) {
+    const ref = documentsOf(userId).doc(docId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error("Document not found");
+
+    const version = await Document.getVersion(userId, docId, number);
+    if (!version) throw new Error("Version not found");
+
+    await ref.update({
+      title: version.title,
+      summary: version.summary,
+      "insights.refinedSummary": version.refinedSummary
+        ? {
+            content: version.refinedSummary,
+            options: version.refinementInstructions
+              ? { instructions: version.refinementInstructions }
+              : {},
+            generatedAt: new Date(),
+          }
+        : firebaseAdmin.firestore.FieldValue.delete(),
+    });
+    const document = toDocument(await ref.get());
+    await recordVersion(userId, docId, {
+      previous: snapshot.data(),
+      current: document,
+      reason: "restored",
+      extra: { restoredFrom: version.number },
+    });
+    await syncSearchIndex(userId, () => indexDocument(userId, document));
+    await invalidateDocumentResponses(userId, docId);
+    publishDocumentChange(userId, "UPDATED", docId, document);
+    return document;
   },
 
   async delete(userId, docId) {
-    const userDoc = await firestore.collection("users").doc(userId).get();
-    if (!userDoc.exists) throw new Error("User not found");
+    // Deletes the document together with its version history and comments
+    await firestore.recursiveDelete(documentsOf(userId).doc(docId));
+    await Share.removeDocument(userId, docId);
+    await workspaceDocumentsCollection().doc(`${userId}_${docId}`).delete();
+    await syncSearchIndex(userId, () => removeIndexedDocument(userId, docId));
+    await invalidateDocumentResponses(userId, docId);
+    publishDocumentChange(userId, "DELETED", docId);
+  },
+};
+
+/**
+ * Folder Model. Folders live in the users/{uid}/folders subcollection; a
+ * document is filed in one through its folderId.
+ */
+const Folder = {
+  async list(userId) {
+    const snapshot = await foldersOf(userId).get();
+    return snapshot.docs
+      .map(toFolder)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async getById(userId, folderId) {
+    const snapshot = await foldersOf(userId).doc(folderId).get();
+    return snapshot.exists ? toFolder(snapshot) : null;
+  },
 
-    const updatedDocs = userDoc.data().documents.filter((d) => d.id !== docId);
+  /**
+   * Get several folders, of any users, in one read
+   * @param keys - { userId, folderId } of each folder
+   * @returns {Promise<(object|null)[]>} - Folders in the order of keys, null for those that do not exist
+   */
+  async getMany(keys) {
+    const snapshots = await firestore.getAll(
+      ...keys.map(({ userId, folderId }) => foldersOf(userId).doc(folderId)),
+    );
+    return snapshots.map((snapshot) =>
+      snapshot.exists ? toFolder(snapshot) : null,
+    );
+  },
+
+  async create(userId, name) {
+    assertFolderName(name);
+    const ref = foldersOf(userId).doc();
+    await ref.set({ name, createdAt: new Date() });
+    return toFolder(await ref.get());
+  },
+
+  async rename(userId, folderId, name) {
+    assertFolderName(name);
+    const ref = foldersOf(userId).doc(folderId);
+    if (!(await ref.get()).exists) throw new Error("Folder not found");
+
+    await ref.update({ name });
+    return toFolder(await ref.get());
+  },
+
+  /**
+   * Delete a folder. Its documents are kept and moved out of the folder.
+   * @param userId - User ID
+   * @param folderId - Folder ID
+   */
+  async delete(userId, folderId) {
+    const documents = await documentsOf(userId)
+      .where("folderId", "==", folderId)
+      .get();
+    const writer = firestore.bulkWriter();
+    documents.docs.forEach((doc) => writer.update(doc.ref, { folderId: null }));
+    writer.delete(foldersOf(userId).doc(folderId));
+    await writer.close();
+  },
+};
+
+/**
+ * Share Model. Shares (users/roles) and public links live in the top-level
+ * shares and shareLinks collections, so the documents shared with a user
+ * and the document behind a link can be found without knowing the owner.
+ */
+const Share = {
+  /**
+   * Get the role of a user on a document
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @param userId - User asking for access
+   * @returns {Promise<string|null>} - "owner", a SHARE_ROLES role, or null without access
+   */
+  async getRole(ownerId, docId, userId) {
+    if (!userId) return null;
+    if (userId === ownerId) return "owner";
+    const snapshot = await sharesCollection()
+      .doc(`${ownerId}_${docId}_${userId}`)
+      .get();
+    if (snapshot.exists) return snapshot.data().role;
+
+    // Members of the workspace the document is in
+    const workspaceId = await Workspace.getDocumentWorkspace(ownerId, docId);
+    return workspaceId && (await Workspace.getRole(workspaceId, userId))
+      ? WORKSPACE_DOCUMENT_ROLE
+      : null;
+  },
 
-    await firestore.collection("users").doc(userId).update({
-      documents: updatedDocs,
+  /**
+   * Share a document with a user, or change their role
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @param userId - User to share with
+   * @param email - Their email, shown to the owner
+   * @param role - One of SHARE_ROLES
+   * @returns {Promise<object>} - The share
+   */
+  async grant(ownerId, docId, { userId, email, role }) {
+    if (!SHARE_ROLES.includes(role)) {
+      throw new Error(
+        `Invalid role. Must be one of ${SHARE_ROLES.join(", ")}.`,
+      );
+    }
+    const ref = sharesCollection().doc(`${ownerId}_${docId}_${userId}`);
+    const existing = await ref.get();
+    await ref.set({
+      ownerId,
+      docId,
+      userId,
+      email,
+      role,
+      createdAt: existing.exists ? existing.data().createdAt : new Date(),
     });
+    return toShare(await ref.get());
+  },
+
+  /**
+   * Stop sharing a document with a user
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @param userId - User to remove
+   * @returns {Promise<boolean>} - False if the document was not shared with them
+   */
+  async revoke(ownerId, docId, userId) {
+    const ref = sharesCollection().doc(`${ownerId}_${docId}_${userId}`);
+    if (!(await ref.get()).exists) return false;
+    await ref.delete();
+    return true;
+  },
+
+  async listForDocument(ownerId, docId) {
+    const snapshot = await sharesCollection()
+      .where("ownerId", "==", ownerId)
+      .where("docId", "==", docId)
+      .get();
+    return snapshot.docs.map(toShare);
+  },
+
+  /**
+   * List the documents shared with a user
+   * @param userId - User ID
+   * @returns {Promise<object[]>} - Shares with their ownerId and docId, newest first
+   */
+  async listForUser(userId) {
+    const snapshot = await sharesCollection()
+      .where("userId", "==", userId)
+      .get();
+    return snapshot.docs
+      .map((doc) => {
+        const { ownerId, docId } = doc.data();
+        return { ...toShare(doc), ownerId, docId };
+      })
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  },
+
+  /**
+   * Create a public read-only link to a document
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @returns {Promise<{token: string, createdAt: string}>} - The link
+   */
+  async createLink(ownerId, docId) {
+    const token = crypto.randomBytes(24).toString("base64url");
+    const ref = shareLinksCollection().doc(token);
+    await ref.set({ ownerId, docId, createdAt: new Date() });
+    return toShareLink(await ref.get());
+  },
+
+  async listLinks(ownerId, docId) {
+    const snapshot = await shareLinksCollection()
+      .where("ownerId", "==", ownerId)
+      .where("docId", "==", docId)
+      .get();
+    return snapshot.docs.map(toShareLink);
+  },
+
+  /**
+   * Revoke a public link
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @param token - Link token
+   * @returns {Promise<boolean>} - False if the token is not a link to this document
+   */
+  async revokeLink(ownerId, docId, token) {
+    const ref = shareLinksCollection().doc(token);
+    const snapshot = await ref.get();
+    if (
+      !snapshot.exists ||
+      snapshot.data().ownerId !== ownerId ||
+      snapshot.data().docId !== docId
+    ) {
+      return false;
+    }
+    await ref.delete();
+    return true;
+  },
+
+  /**
+   * Find the document behind a public link
+   * @param token - Link token
+   * @returns {Promise<{ownerId: string, docId: string}|null>} - The document, or null if the link does not exist or was revoked
+   */
+  async resolveLink(token) {
+    const snapshot = await shareLinksCollection().doc(token).get();
+    if (!snapshot.exists) return null;
+    const { ownerId, docId } = snapshot.data();
+    return { ownerId, docId };
+  },
+
+  async removeDocument(ownerId, docId) {
+    await deleteAll(
+      sharesCollection()
+        .where("ownerId", "==", ownerId)
+        .where("docId", "==", docId),
+    );
+    await deleteAll(
+      shareLinksCollection()
+        .where("ownerId", "==", ownerId)
+        .where("docId", "==", docId),
+    );
+  },
+
+  async removeOwner(ownerId) {
+    await deleteAll(sharesCollection().where("ownerId", "==", ownerId));
+    await deleteAll(shareLinksCollection().where("ownerId", "==", ownerId));
   },
 };
 
-module.exports = { User, Document };
+/**
+ * Comment Model. Comments live in the users/{uid}/documents/{docId}/comments
+ * subcollection of the commented document.
+ */
+const Comment = {
+  async list(ownerId, docId) {
+    const snapshot = await commentsOf(ownerId, docId)
+      .orderBy("createdAt")
+      .get();
+    return snapshot.docs.map((doc) => ({ ...withISODates(doc), id: doc.id }));
+  },
+
+  async add(ownerId, docId, { userId, email, text }) {
+    const ref = commentsOf(ownerId, docId).doc();
+    await ref.set({ userId, email, text, createdAt: new Date() });
+    return { ...withISODates(await ref.get()), id: ref.id };
+  },
+};
+
+/**
+ * Workspace Model. Workspaces, their members, pending invitations and the
+ * documents in their library live in the top-level workspaces,
+ * workspaceMembers, workspaceInvitations and workspaceDocuments collections.
+ * Documents stay in their owner's documents subcollection; a document is in
+ * at most one workspace, recorded in its workspaceId.
+ */
+const Workspace = {
+  /**
+   * Create a workspace owned by a user
+   * @param ownerId - User creating the workspace
+   * @param email - Their email
+   * @param name - Trimmed workspace name
+   * @param settings - Initial settings
+   * @returns {Promise<object>} - The workspace, with the owner's role
+   */
+  async create(ownerId, email, { name, settings = {} }) {
+    assertWorkspaceName(name);
+    const ref = workspacesCollection().doc();
+    const batch = firestore.batch();
+    batch.set(ref, {
+      name,
+      ownerId,
+      settings: normalizeWorkspaceSettings(settings),
+      createdAt: new Date(),
+    });
+    batch.set(workspaceMembersCollection().doc(`${ref.id}_${ownerId}`), {
+      workspaceId: ref.id,
+      userId: ownerId,
+      email,
+      role: "owner",
+      joinedAt: new Date(),
+    });
+    await batch.commit();
+    return { ...toWorkspace(await ref.get()), role: "owner" };
+  },
+
+  async getById(workspaceId) {
+    const snapshot = await workspacesCollection().doc(workspaceId).get();
+    return snapshot.exists ? toWorkspace(snapshot) : null;
+  },
+
+  /**
+   * Get the role of a user in a workspace
+   * @param workspaceId - Workspace ID
+   * @param userId - User ID
+   * @returns {Promise<string|null>} - One of WORKSPACE_ROLES, or null if they are not a member
+   */
+  async getRole(workspaceId, userId) {
+    const snapshot = await workspaceMembersCollection()
+      .doc(`${workspaceId}_${userId}`)
+      .get();
+    return snapshot.exists ? snapshot.data().role : null;
+  },
+
+  /**
+   * Get a setting of the workspace a user works in
+   * @param userId - User ID
+   * @param setting - One of WORKSPACE_SETTINGS
+   * @returns {Promise<string|null>} - The setting, or null if it is unset or the user works in no workspace
+   */
+  async getActiveSetting(userId, setting) {
+    const user = await User.getById(userId);
+    const workspaceId = user?.activeWorkspaceId;
+    if (!workspaceId || !(await Workspace.getRole(workspaceId, userId))) {
+      return null;
+    }
+    const workspace = await Workspace.getById(workspaceId);
+    return workspace?.settings[setting] || null;
+  },
+
+  /**
+   * List the workspaces a user is a member of
+   * @param userId - User ID
+   * @returns {Promise<object[]>} - Workspaces with the user's role, by name
+   */
+  async listForUser(userId) {
+    const snapshot = await workspaceMembersCollection()
+      .where("userId", "==", userId)
+      .get();
+    const workspaces = await Promise.all(
+      snapshot.docs.map(async (doc) => {
+        const { workspaceId, role } = doc.data();
+        const workspace = await Workspace.getById(workspaceId);
+        return workspace && { ...workspace, role };
+      }),
+    );
+    return workspaces
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Rename a workspace or change its settings
+   * @param workspaceId - Workspace ID
+   * @param name - Trimmed new name, or undefined to keep it
+   * @param settings - Settings to change, or undefined to keep them
+   * @returns {Promise<object>} - The updated workspace
+   */
+  async update(workspaceId, { name, settings }) {
+    const changes = {};
+    if (name !== undefined) {
+      assertWorkspaceName(name);
+      changes.name = name;
+    }
+    if (settings !== undefined) {
+      Object.entries(normalizeWorkspaceSettings(settings)).forEach(
+        ([key, value]) => {
+          changes[`settings.${key}`] = value;
+        },
+      );
+    }
+    const ref = workspacesCollection().doc(workspaceId);
+    await ref.update(changes);
+    return toWorkspace(await ref.get());
+  },
+
+  /**
+   * Delete a workspace with its members and invitations. The documents in
+   * its library go back to being their owners' only.
+   * @param workspaceId - Workspace ID
+   */
+  async delete(workspaceId) {
+    const documents = await workspaceDocumentsCollection()
+      .where("workspaceId", "==", workspaceId)
+      .get();
+    const users = await firestore
+      .collection("users")
+      .where("activeWorkspaceId", "==", workspaceId)
+      .get();
+    const writer = firestore.bulkWriter();
+    documents.docs.forEach((doc) => {
+      const { ownerId, docId } = doc.data();
+      writer.update(documentsOf(ownerId).doc(docId), { workspaceId: null });
+      writer.delete(doc.ref);
+    });
+    users.docs.forEach((doc) =>
+      writer.update(doc.ref, { activeWorkspaceId: null }),
+    );
+    await writer.close();
+
+    await deleteAll(
+      workspaceMembersCollection().where("workspaceId", "==", workspaceId),
+    );
+    await deleteAll(
+      workspaceInvitationsCollection().where("workspaceId", "==", workspaceId),
+    );
+    await workspacesCollection().doc(workspaceId).delete();
+  },
+
+  async listMembers(workspaceId) {
+    const snapshot = await workspaceMembersCollection()
+      .where("workspaceId", "==", workspaceId)
+      .get();
+    return snapshot.docs
+      .map(toWorkspaceMember)
+      .sort(
+        (a, b) =>
+          WORKSPACE_ROLES.indexOf(b.role) - WORKSPACE_ROLES.indexOf(a.role) ||
+          (a.email || "").localeCompare(b.email || ""),
+      );
+  },
+
+  /**
+   * Change the role of a member
+   * @param workspaceId - Workspace ID
+   * @param userId - Member's user ID
+   * @param role - "admin" or "member"
+   * @returns {Promise<object>} - The member
+   */
+  async setMemberRole(workspaceId, userId, role) {
+    const ref = workspaceMembersCollection().doc(`${workspaceId}_${userId}`);
+    await ref.update({ role });
+    return toWorkspaceMember(await ref.get());
+  },
+
+  /**
+   * Remove a member, taking their documents out of the workspace library
+   * @param workspaceId - Workspace ID
+   * @param userId - Member's user ID
+   */
+  async removeMember(workspaceId, userId) {
+    const documents = await workspaceDocumentsCollection()
+      .where("workspaceId", "==", workspaceId)
+      .where("ownerId", "==", userId)
+      .get();
+    const writer = firestore.bulkWriter();
+    documents.docs.forEach((doc) => {
+      writer.update(documentsOf(userId).doc(doc.data().docId), {
+        workspaceId: null,
+      });
+      writer.delete(doc.ref);
+    });
+    writer.delete(workspaceMembersCollection().doc(`${workspaceId}_${userId}`));
+    await writer.close();
+
+    const user = await User.getById(userId);
+    if (user?.activeWorkspaceId === workspaceId) {
+      await User.setActiveWorkspace(userId, null);
+    }
+  },
+
+  /**
+   * Invite someone by email, replacing a pending invitation to the same email
+   * (and its token)
+   * @param workspaceId - Workspace ID
+   * @param email - Email to invite
+   * @param role - "admin" or "member"
+   * @param invitedBy - User ID of the admin inviting
+   * @returns {Promise<{invitation: object, token: string}>} - The invitation, and the token to email to the invited user
+   */
+  async invite(workspaceId, { email, role, invitedBy }) {
+    const workspace = await Workspace.getById(workspaceId);
+    const normalizedEmail = email.trim().toLowerCase();
+    const token = crypto.randomBytes(24).toString("base64url");
+    const ref = workspaceInvitationsCollection().doc(
+      `${workspaceId}_${normalizedEmail}`,
+    );
+    await ref.set({
+      workspaceId,
+      workspaceName: workspace.name,
+      email: normalizedEmail,
+      role,
+      invitedBy,
+      tokenHash: hashInvitationToken(token),
+      createdAt: new Date(),
+    });
+    return { invitation: toWorkspaceInvitation(await ref.get()), token };
+  },
+
+  async listInvitations(workspaceId) {
+    const snapshot = await workspaceInvitationsCollection()
+      .where("workspaceId", "==", workspaceId)
+      .get();
+    return snapshot.docs.map(toWorkspaceInvitation);
+  },
+
+  async listInvitationsForEmail(email) {
+    const snapshot = await workspaceInvitationsCollection()
+      .where("email", "==", email.trim().toLowerCase())
+      .get();
+    return snapshot.docs.map(toWorkspaceInvitation);
+  },
+
+  /**
+   * Cancel an invitation
+   * @param workspaceId - Workspace ID
+   * @param email - Invited email
+   * @returns {Promise<boolean>} - False if there was no such invitation
+   */
+  async deleteInvitation(workspaceId, email) {
+    const ref = workspaceInvitationsCollection().doc(
+      `${workspaceId}_${email.trim().toLowerCase()}`,
+    );
+    if (!(await ref.get()).exists) return false;
+    await ref.delete();
+    return true;
+  },
+
+  /**
+   * Find the invitation to a workspace a token was sent with
+   * @param workspaceId - Workspace ID
+   * @param token - Token from the invitation email
+   * @param transaction - Transaction to read in, if any
+   * @returns {Promise<object|null>} - Invitation snapshot, or null
+   */
+  async findInvitationByToken(workspaceId, token, transaction) {
+    const query = workspaceInvitationsCollection()
+      .where("workspaceId", "==", workspaceId)
+      .where("tokenHash", "==", hashInvitationToken(token))
+      .limit(1);
+    const snapshot = await (transaction ? transaction.get(query) : query.get());
+    return snapshot.docs[0] || null;
+  },
+
+  /**
+   * Decline an invitation with the token it was sent with
+   * @param workspaceId - Workspace ID
+   * @param token - Token from the invitation email
+   * @returns {Promise<boolean>} - False if the token does not match an invitation
+   */
+  async declineInvitation(workspaceId, token) {
+    const invitation = await Workspace.findInvitationByToken(
+      workspaceId,
+      token,
+    );
+    if (!invitation) return false;
+    await invitation.ref.delete();
+    return true;
+  },
+
+  /**
+   * Accept an invitation with the token it was sent with, making the user a
+   * member with the invited role. The invitation is deleted in the same
+   * transaction, so each token can only be used once.
+   * @param workspaceId - Workspace ID
+   * @param userId - User accepting
+   * @param token - Token from the invitation email
+   * @returns {Promise<object|null>} - The member, or null if the token does not match an invitation
+   */
+  async acceptInvitation(workspaceId, { userId, token }) {
+    const memberRef = workspaceMembersCollection().doc(
+      `${workspaceId}_${userId}`,
+    );
+    const member = await firestore.runTransaction(async (transaction) => {
+      const invitation = await Workspace.findInvitationByToken(
+        workspaceId,
+        token,
+        transaction,
+      );
+      if (!invitation) return null;
+
+      const { email, role } = invitation.data();
+      const joined = { workspaceId, userId, email, role, joinedAt: new Date() };
+      transaction.set(memberRef, joined);
+      transaction.delete(invitation.ref);
+      return joined;
+    });
+    return member && toWorkspaceMember(await memberRef.get());
+  },
+
+  /**
+   * Get the workspace a document is in
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @returns {Promise<string|null>} - Workspace ID, or null
+   */
+  async getDocumentWorkspace(ownerId, docId) {
+    const snapshot = await workspaceDocumentsCollection()
+      .doc(`${ownerId}_${docId}`)
+      .get();
+    return snapshot.exists ? snapshot.data().workspaceId : null;
+  },
+
+  /**
+   * Add a document to a workspace library, or take it out of its workspace
+   * @param ownerId - Owner of the document
+   * @param docId - Document ID
+   * @param workspaceId - Workspace ID, or null
+   * @returns {Promise<object>} - The updated document
+   */
+  async setDocumentWorkspace(ownerId, docId, workspaceId) {
+    const documentRef = documentsOf(ownerId).doc(docId);
+    const entryRef = workspaceDocumentsCollection().doc(`${ownerId}_${docId}`);
+    const batch = firestore.batch();
+    batch.update(documentRef, { workspaceId });
+    if (workspaceId) {
+      batch.set(entryRef, {
+        workspaceId,
+        ownerId,
+        docId,
+        addedAt: new Date(),
+      });
+    } else {
+      batch.delete(entryRef);
+    }
+    await batch.commit();
+    return toDocument(await documentRef.get());
+  },
+
+  /**
+   * List the documents in a workspace library
+   * @param workspaceId - Workspace ID
+   * @returns {Promise<{ownerId: string, docId: string, addedAt: string}[]>} - Documents, most recently added first
+   */
+  async listDocuments(workspaceId) {
+    const snapshot = await workspaceDocumentsCollection()
+      .where("workspaceId", "==", workspaceId)
+      .get();
+    return snapshot.docs
+      .map((doc) => {
+        const { ownerId, docId, addedAt } = doc.data();
+        return { ownerId, docId, addedAt: toISOString(addedAt) };
+      })
+      .sort((a, b) => (b.addedAt || "").localeCompare(a.addedAt || ""));
+  },
+};
+
+module.exports = {
+  User,
+  Document,
+  Folder,
+  Share,
+  Comment,
+  Workspace,
+  SHARE_ROLES,
+  WORKSPACE_ROLES,
+  WORKSPACE_SETTINGS,
+  hasWorkspaceRole,
+  hasRole,
+  toSharedDocument,
+  INSIGHT_TYPES,
+  UNFILED,
+  MAX_FOLDER_NAME_LENGTH,
+  MAX_WORKSPACE_NAME_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  credentialsError,
+};
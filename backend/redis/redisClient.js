@@ -162,6 +162,448 @@ const fetchFromCache = async (key) => {
   }
 };
 
+// ---------------- Persistent Store (Redis with in-memory fallback) ----------------
+
+// Used when REDIS_URL is not set or Redis is unreachable, so local development
+// keeps working. Entries still expire, but do not survive a restart. Expired
+// entries are swept every minute. Cached values, which can be computed again,
+// are kept apart from the rest: once MEMORY_STORE_MAX_ENTRIES are cached the
+// least recently used ones are dropped, as Redis would with an allkeys-lru
+// policy. Other state (auth tokens, reset codes and their limits, jobs, chat
+// sessions) is never dropped before it expires, so that filling the cache
+// cannot evict it.
+const memoryStore = new Map();
+const memoryCache = new Map();
+const MEMORY_STORE_MAX_ENTRIES =
+  parseInt(process.env.MEMORY_STORE_MAX_ENTRIES, 10) || 10000;
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+let memorySweep = null;
+
+// Prefixes of the keys of cached values
+const CACHE_KEY_PREFIXES = [
+  "ai:",
+  "embedding:",
+  "search:",
+  "graphql:persisted_query:",
+];
+
+const isRedisReady = () => Boolean(redisClient && redisClient.isReady);
+
+const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= Date.now();
+
+// Map a key is kept in
+const memoryOf = (key) =>
+  CACHE_KEY_PREFIXES.some((prefix) => key.startsWith(prefix))
+    ? memoryCache
+    : memoryStore;
+
+const readMemory = (key) => {
+  const memory = memoryOf(key);
+  const entry = memory.get(key);
+  if (!entry) return undefined;
+  if (isExpired(entry)) {
+    memory.delete(key);
+    return undefined;
+  }
+  // Maps keep insertion order, so moving the entry last marks it as used
+  memory.delete(key);
+  memory.set(key, entry);
+  return entry.value;
+};
+
+const sweepMemory = () => {
+  for (const memory of [memoryStore, memoryCache]) {
+    for (const [key, entry] of memory) {
+      if (isExpired(entry)) memory.delete(key);
+    }
+  }
+};
+
+const writeMemory = (key, value, ttl) => {
+  const memory = memoryOf(key);
+  memory.delete(key);
+  memory.set(key, {
+    value,
+    expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+  });
+  while (memoryCache.size > MEMORY_STORE_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+
+  if (!memorySweep) {
+    memorySweep = setInterval(sweepMemory, MEMORY_SWEEP_INTERVAL);
+    memorySweep.unref?.();
+  }
+};
+
+/**
+ * Store a JSON value with a TTL (in seconds)
+ */
+const storeValue = async (key, value, ttl) => {
+  if (!isRedisReady()) return writeMemory(key, JSON.stringify(value), ttl);
+  await redisClient.set(key, JSON.stringify(value), { EX: ttl });
+};
+
+// Attempts of updateValue when other clients keep changing the value
+const UPDATE_ATTEMPTS = 5;
+
+/**
+ * Read a JSON value, or null if it does not exist or has expired
+ */
+const readValue = async (key) => {
+  const data = isRedisReady() ? await redisClient.get(key) : readMemory(key);
+  return data ? JSON.parse(data) : null;
+};
+
+/**
+ * Update a JSON value without losing concurrent updates. `update` receives
+ * the current value (or null) and returns the new one, or undefined to leave
+ * it unchanged; it must not be async. With Redis, the key is WATCHed and the
+ * update retried when another client changes it before it is written.
+ */
+const updateValue = async (key, update, ttl) => {
+  if (!isRedisReady()) {
+    // Nothing else runs between the read and the write of the memory store
+    const data = readMemory(key);
+    const value = update(data ? JSON.parse(data) : null);
+    if (value !== undefined) writeMemory(key, JSON.stringify(value), ttl);
+    return value;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await redisClient.executeIsolated(async (client) => {
+        await client.watch(key);
+        const data = await client.get(key);
+        const value = update(data ? JSON.parse(data) : null);
+        if (value === undefined) {
+          await client.unwatch();
+          return value;
+        }
+        await client
+          .multi()
+          .set(key, JSON.stringify(value), { EX: ttl })
+          .exec();
+        return value;
+      });
+    } catch (err) {
+      if (!(err instanceof redis.WatchError) || attempt >= UPDATE_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
+};
+
+// Increments a counter and gives it a TTL if it has none, in one step so the
+// counter cannot be left without one
+const INCREMENT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if redis.call("TTL", KEYS[1]) < 0 then
+  redis.call("EXPIRE", KEYS[1], ARGV[1])
+end
+return count
+`;
+
+/**
+ * Increment a counter and return the new count. The TTL (in seconds) is set
+ * when the counter is created, so it counts within a fixed window.
+ */
+const incrementValue = async (key, ttl) => {
+  if (!isRedisReady()) {
+    const count = (readMemory(key) || 0) + 1;
+    const entry = memoryOf(key).get(key);
+    if (count > 1 && entry) {
+      entry.value = count;
+    } else {
+      writeMemory(key, count, ttl);
+    }
+    return count;
+  }
+
+  return redisClient.eval(INCREMENT_SCRIPT, {
+    keys: [key],
+    arguments: [String(ttl)],
+  });
+};
+
+/**
+ * Delete a stored value (or set)
+ */
+const removeValue = async (key) => {
+  if (!isRedisReady()) return memoryOf(key).delete(key);
+  await redisClient.del(key);
+};
+
+/**
+ * Add a member to a set and refresh the set's TTL (in seconds)
+ */
+const addToSet = async (key, member, ttl) => {
+  if (!isRedisReady()) {
+    const members = readMemory(key) || new Set();
+    members.add(member);
+    return writeMemory(key, members, ttl);
+  }
+  await redisClient.sAdd(key, member);
+  await redisClient.expire(key, ttl);
+};
+
+/**
+ * Remove a member from a set
+ */
+const removeFromSet = async (key, member) => {
+  if (!isRedisReady()) {
+    const members = readMemory(key);
+    if (members) members.delete(member);
+    return;
+  }
+  await redisClient.sRem(key, member);
+};
+
+/**
+ * List the members of a set
+ */
+const getSetMembers = async (key) => {
+  if (!isRedisReady()) return [...(readMemory(key) || [])];
+  return redisClient.sMembers(key);
+};
+
+// ---------------- Chat Sessions ----------------
+
+const CHAT_SESSION_TTL =
+  parseInt(process.env.CHAT_SESSION_TTL, 10) || 7 * 24 * 3600; // 7 days
+
+/**
+ * Save a chat session and index it under its user
+ */
+const saveChatSession = async (session, ttl = CHAT_SESSION_TTL) => {
+  await storeValue(`chat:session:${session.id}`, session, ttl);
+  if (session.userId) {
+    await addToSet(`user:chat_sessions:${session.userId}`, session.id, ttl);
+  }
+};
+
+/**
+ * Fetch a chat session by ID
+ */
+const fetchChatSession = async (sessionId) => {
+  return readValue(`chat:session:${sessionId}`);
+};
+
+/**
+ * Fetch all chat sessions of a user, dropping index entries that have expired
+ */
+const fetchUserChatSessions = async (userId) => {
+  const key = `user:chat_sessions:${userId}`;
+  const sessionIds = await getSetMembers(key);
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await fetchChatSession(sessionId);
+    if (session) {
+      sessions.push(session);
+    } else {
+      await removeFromSet(key, sessionId);
+    }
+  }
+
+  return sessions;
+};
+
+/**
+ * Delete a chat session and remove it from its user's index
+ */
+const deleteChatSession = async (sessionId, userId) => {
+  await removeValue(`chat:session:${sessionId}`);
+  if (userId) {
+    await removeFromSet(`user:chat_sessions:${userId}`, sessionId);
+  }
+};
+
+// ---------------- Refresh Tokens ----------------
+
+/**
+ * Remember an issued refresh token (by its ID) for a user
+ */
+const saveRefreshToken = async (tokenId, userId, ttl) => {
+  await storeValue(`auth:refresh:${tokenId}`, userId, ttl);
+  await addToSet(`user:refresh_tokens:${userId}`, tokenId, ttl);
+};
+
+/**
+ * Fetch the user a refresh token was issued to, or null if it was revoked
+ */
+const fetchRefreshToken = async (tokenId) => {
+  return readValue(`auth:refresh:${tokenId}`);
+};
+
+/**
+ * Revoke a refresh token
+ */
+const deleteRefreshToken = async (tokenId, userId) => {
+  await removeValue(`auth:refresh:${tokenId}`);
+  if (userId) {
+    await removeFromSet(`user:refresh_tokens:${userId}`, tokenId);
+  }
+};
+
+/**
+ * Revoke all refresh tokens of a user
+ */
+const deleteUserRefreshTokens = async (userId) => {
+  const key = `user:refresh_tokens:${userId}`;
+  for (const tokenId of await getSetMembers(key)) {
+    await removeValue(`auth:refresh:${tokenId}`);
+  }
+  await removeValue(key);
+};
+
+// ---------------- Password Resets ----------------
+
+/**
+ * Save a pending password reset for an email address, with no wrong attempts
+ */
+const savePasswordReset = async (email, reset, ttl) => {
+  await storeValue(`auth:password_reset:${email}`, reset, ttl);
+  await removeValue(`auth:password_reset_attempts:${email}`);
+};
+
+/**
+ * Fetch the pending password reset for an email address, or null
+ */
+const fetchPasswordReset = async (email) => {
+  return readValue(`auth:password_reset:${email}`);
+};
+
+/**
+ * Count an attempt to use the pending password reset of an email address
+ * and return the number of attempts so far
+ */
+const countPasswordResetAttempt = async (email, ttl) => {
+  return incrementValue(`auth:password_reset_attempts:${email}`, ttl);
+};
+
+/**
+ * Count a password reset request for an email address and return the number
+ * of requests in the current window
+ */
+const countPasswordResetRequest = async (email, ttl) => {
+  return incrementValue(`auth:password_reset_requests:${email}`, ttl);
+};
+
+/**
+ * Delete the pending password reset for an email address. Its attempt count
+ * is kept until it expires, for requests that already read the reset.
+ */
+const deletePasswordReset = async (email) => {
+  await removeValue(`auth:password_reset:${email}`);
+};
+
+// ---------------- Embedding Indexes ----------------
+
+/**
+ * Save the passages and embeddings of a document under its content key
+ */
+const saveEmbeddingIndex = async (key, index, ttl) => {
+  await storeValue(`embedding:index:${key}`, index, ttl);
+};
+
+/**
+ * Fetch a saved embedding index, or null
+ */
+const fetchEmbeddingIndex = async (key) => {
+  return readValue(`embedding:index:${key}`);
+};
+
+// ---------------- Search Indexes ----------------
+
+/**
+ * Fetch the full-text search index of a user, or null
+ */
+const fetchSearchIndex = async (userId) => {
+  return readValue(`search:index:${userId}`);
+};
+
+/**
+ * Update the full-text search index of a user with updateValue, so that
+ * concurrent updates are not lost
+ */
+const updateSearchIndex = async (userId, update, ttl) => {
+  return updateValue(`search:index:${userId}`, update, ttl);
+};
+
+/**
+ * Delete the full-text search index of a user
+ */
+const deleteSearchIndex = async (userId) => {
+  await removeValue(`search:index:${userId}`);
+};
+
+// ---------------- Background Jobs ----------------
+
+/**
+ * Save the state of a background job
+ */
+const saveJob = async (job, ttl) => {
+  await storeValue(`job:${job.id}`, job, ttl);
+};
+
+/**
+ * Fetch a background job by ID, or null
+ */
+const fetchJob = async (jobId) => {
+  return readValue(`job:${jobId}`);
+};
+
+// ---------------- AI Responses ----------------
+
+/**
+ * Save a cached response of an AI endpoint
+ */
+const saveAIResponse = async (key, response, ttl) => {
+  await storeValue(`ai:response:${key}`, response, ttl);
+};
+
+/**
+ * Fetch a cached response of an AI endpoint, or null
+ */
+const fetchAIResponse = async (key) => {
+  return readValue(`ai:response:${key}`);
+};
+
+/**
+ * Remember that a cached response was generated for a document
+ */
+const indexDocumentAIResponse = async (documentKey, key, ttl) => {
+  await addToSet(`ai:document_responses:${documentKey}`, key, ttl);
+};
+
+/**
+ * Delete the cached responses generated for a document
+ */
+const deleteDocumentAIResponses = async (documentKey) => {
+  const setKey = `ai:document_responses:${documentKey}`;
+  for (const key of await getSetMembers(setKey)) {
+    await removeValue(`ai:response:${key}`);
+  }
+  await removeValue(setKey);
+};
+
+// ---------------- Persisted GraphQL Queries ----------------
+
+/**
+ * Save the text of a persisted GraphQL query under its SHA-256 hash
+ */
+const savePersistedQuery = async (hash, query, ttl) => {
+  await storeValue(`graphql:persisted_query:${hash}`, query, ttl);
+};
+
+/**
+ * Fetch the text of a persisted GraphQL query by its hash, or null
+ */
+const fetchPersistedQuery = async (hash) => {
+  return readValue(`graphql:persisted_query:${hash}`);
+};
+
 module.exports = {
   redisClient,
   initializeRedis,
@@ -171,4 +613,31 @@ module.exports = {
   cacheRecentlyViewedDocument,
   invalidateCache,
   fetchFromCache,
+  isRedisReady,
+  saveChatSession,
+  fetchChatSession,
+  fetchUserChatSessions,
+  deleteChatSession,
+  saveRefreshToken,
+  fetchRefreshToken,
+  deleteRefreshToken,
+  deleteUserRefreshTokens,
+  savePasswordReset,
+  fetchPasswordReset,
+  countPasswordResetAttempt,
+  countPasswordResetRequest,
+  deletePasswordReset,
+  saveEmbeddingIndex,
+  fetchEmbeddingIndex,
+  fetchSearchIndex,
+  updateSearchIndex,
+  deleteSearchIndex,
+  saveJob,
+  fetchJob,
+  saveAIResponse,
+  fetchAIResponse,
+  indexDocumentAIResponse,
+  deleteDocumentAIResponses,
+  savePersistedQuery,
+  fetchPersistedQuery,
 };
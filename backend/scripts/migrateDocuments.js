@@ -0,0 +1,139 @@
+/**
+ * Migrate user documents from the legacy embedded `users.documents` array to
+ * the users/{uid}/documents subcollection.
+ *
+ * Each embedded document is written to users/{uid}/documents/{docId} (keeping
+ * its ID, or a deterministic legacy ID when missing) and the array field is removed from
+ * the user once all of its documents were copied. Documents without a
+ * createdAt get one derived from the user's creation date and their position
+ * in the array, so listing order is preserved. The script is idempotent and
+ * can safely be re-run after a partial failure.
+ *
+ * Usage:
+ *   node scripts/migrateDocuments.js [--dry-run]
+ */
+const firebaseAdmin = require("firebase-admin");
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+const USERS_PAGE_SIZE = 100;
+
+/**
+ * Resolve the creation date of a legacy embedded document
+ * @param doc - Embedded document
+ * @param userCreatedAt - The user's createdAt (Timestamp, Date or string)
+ * @param index - Position of the document in the embedded array
+ * @returns {Date} - Creation date to store
+ */
+const legacyCreatedAt = (doc, userCreatedAt, index) => {
+  const toDate = (value) => {
+    if (!value) return null;
+    const date =
+      typeof value.toDate === "function" ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  const base = toDate(userCreatedAt) || new Date(0);
+  return toDate(doc.createdAt) || new Date(base.getTime() + index);
+};
+
+/**
+ * Migrate the embedded documents of a single user
+ * @param firestore - Firestore instance
+ * @param userSnapshot - Snapshot of the user document
+ * @param dryRun - Only count the documents, without writing anything
+ * @returns {Promise<number>} - Number of documents migrated
+ */
+const migrateUser = async (
+  firestore,
+  userSnapshot,
+  { dryRun = false } = {},
+) => {
+  const { documents, createdAt } = userSnapshot.data();
+  if (!Array.isArray(documents)) return 0;
+  if (dryRun) return documents.length;
+
+  const collection = userSnapshot.ref.collection("documents");
+
+  for (let start = 0; start < documents.length; start += BATCH_SIZE) {
+    const batch = firestore.batch();
+    documents.slice(start, start + BATCH_SIZE).forEach((doc, offset) => {
+      const { id, ...data } = doc;
+      // Deterministic IDs for documents without one keep re-runs idempotent
+      const ref = collection.doc(id || `legacy-${start + offset}`);
+      batch.set(ref, {
+        ...data,
+        createdAt: legacyCreatedAt(doc, createdAt, start + offset),
+      });
+    });
+    await batch.commit();
+  }
+
+  // Only drop the array once every document has been copied
+  await userSnapshot.ref.update({
+    documents: firebaseAdmin.firestore.FieldValue.delete(),
+  });
+
+  return documents.length;
+};
+
+/**
+ * Migrate every user, paging through the users collection
+ * @param firestore - Firestore instance
+ * @param dryRun - Only report what would be migrated
+ * @param log - Logger function
+ * @returns {Promise<{users: number, documents: number}>} - Migration totals
+ */
+const migrateAllUsers = async (
+  firestore,
+  { dryRun = false, log = console.log } = {},
+) => {
+  const totals = { users: 0, documents: 0 };
+  let lastUser = null;
+
+  for (;;) {
+    let query = firestore
+      .collection("users")
+      .orderBy(firebaseAdmin.firestore.FieldPath.documentId())
+      .limit(USERS_PAGE_SIZE);
+    if (lastUser) query = query.startAfter(lastUser);
+
+    const page = await query.get();
+    if (page.empty) break;
+
+    for (const userSnapshot of page.docs) {
+      const count = await migrateUser(firestore, userSnapshot, { dryRun });
+      if (Array.isArray(userSnapshot.data().documents)) {
+        totals.users++;
+        totals.documents += count;
+        log(
+          `${dryRun ? "[dry run] " : ""}User ${userSnapshot.id}: ${count} document(s)`,
+        );
+      }
+    }
+
+    lastUser = page.docs[page.docs.length - 1];
+    if (page.size < USERS_PAGE_SIZE) break;
+  }
+
+  return totals;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+  const { firestore } = require("../services/services");
+
+  migrateAllUsers(firestore, { dryRun })
+    .then(({ users, documents }) => {
+      console.log(
+        `${dryRun ? "Would migrate" : "Migrated"} ${documents} document(s) for ${users} user(s)`,
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateUser, migrateAllUsers, legacyCreatedAt };
@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const { getProvider } = require("./llmProvider");
+const {
+  saveAIResponse,
+  fetchAIResponse,
+  indexDocumentAIResponse,
+  deleteDocumentAIResponses,
+} = require("../redis/redisClient");
+require("dotenv").config();
+
+/**
+ * Cache of AI endpoint responses.
+ *
+ * Responses are stored in Redis (or in memory) under a hash of the endpoint,
+ * the input text, the options and the model that generated them, so that
+ * identical requests do not call the model again. Responses to requests made
+ * for a saved document are cached for that document only and dropped when
+ * the document changes, since they are saved against it as insights.
+ */
+
+const DEFAULT_TTL = 24 * 3600; // 1 day
+
+/**
+ * Read a TTL from the environment; 0 turns caching off
+ * @param name - Environment variable
+ * @param fallback - TTL when the variable is not set
+ * @returns {number} - TTL in seconds
+ */
+const readTTL = (name, fallback) => {
+  const ttl = parseInt(process.env[name], 10);
+  return Number.isNaN(ttl) ? fallback : ttl;
+};
+
+/**
+ * How long responses of an endpoint are cached: AI_CACHE_TTL_<ENDPOINT>
+ * (e.g. AI_CACHE_TTL_BULLET_SUMMARY for /bullet-summary), AI_CACHE_TTL or
+ * one day
+ * @param endpoint - Endpoint path
+ * @returns {number} - TTL in seconds, 0 if the endpoint is not cached
+ */
+const cacheTTL = (endpoint) => {
+  const name = endpoint.replace(/^\//, "").replace(/\W/g, "_").toUpperCase();
+  return readTTL(`AI_CACHE_TTL_${name}`, readTTL("AI_CACHE_TTL", DEFAULT_TTL));
+};
+
+/**
+ * Key of the document a request is made for
+ * @param userId - Owner of the document, if any
+ * @param documentId - Document ID, if any
+ * @returns {string|null} - Document key, or null without both
+ */
+const documentKey = (userId, documentId) =>
+  userId && documentId ? `${userId}/${documentId}` : null;
+
+/**
+ * Cache key of a response
+ * @param endpoint - Endpoint path
+ * @param text - Input text
+ * @param options - Option values the result depends on
+ * @param document - Document key from documentKey, or null
+ * @returns {string} - SHA-256 hash
+ */
+const responseKey = (endpoint, text, options, document) => {
+  const { name, model } = getProvider();
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([endpoint, text, options, `${name}:${model}`, document]),
+    )
+    .digest("hex");
+};
+
+/**
+ * Get a cached response. A failed read counts as a miss.
+ * @param key - Key from responseKey
+ * @returns {Promise<{body: object, cachedAt: string}|null>} - Response body and when it was cached, or null
+ */
+const getCachedResponse = async (key) => {
+  try {
+    return await fetchAIResponse(key);
+  } catch (error) {
+    console.error("Failed to read a cached AI response:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Cache a response. A failed write is logged and otherwise ignored.
+ * @param key - Key from responseKey
+ * @param body - Response body
+ * @param ttl - TTL in seconds
+ * @param document - Document key from documentKey, or null
+ * @returns {Promise<void>}
+ */
+const cacheResponse = async (key, body, ttl, document) => {
+  try {
+    await saveAIResponse(
+      key,
+      { body, cachedAt: new Date().toISOString() },
+      ttl,
+    );
+    if (document) await indexDocumentAIResponse(document, key, ttl);
+  } catch (error) {
+    console.error("Failed to cache an AI response:", error.message);
+  }
+};
+
+/**
+ * Drop the cached responses generated for a document, when it is edited or
+ * deleted
+ * @param userId - Owner of the document
+ * @param documentId - Document ID
+ * @returns {Promise<void>}
+ */
+const invalidateDocumentResponses = async (userId, documentId) => {
+  try {
+    await deleteDocumentAIResponses(documentKey(userId, documentId));
+  } catch (error) {
+    console.error(
+      `Failed to drop the cached AI responses of ${documentId}:`,
+      error.message,
+    );
+  }
+};
+
+module.exports = {
+  cacheTTL,
+  documentKey,
+  responseKey,
+  getCachedResponse,
+  cacheResponse,
+  invalidateDocumentResponses,
+};
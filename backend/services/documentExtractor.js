@@ -0,0 +1,366 @@
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+
+/**
+ * Server-side text extraction for uploaded documents.
+ *
+ * Supports PDF, DOCX, plain text, Markdown, HTML and RTF. The format is
+ * detected from the file signature first (for PDF and RTF) and then from the
+ * file extension and MIME type. PDF pages are
+ * separated by form feed characters so the text chunker can track page numbers.
+ */
+
+const FORMATS_BY_EXTENSION = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".txt": "txt",
+  ".text": "txt",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html",
+  ".rtf": "rtf",
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "text/plain": "txt",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "application/rtf": "rtf",
+  "text/rtf": "rtf",
+};
+
+const SUPPORTED_FORMATS = ["pdf", "docx", "txt", "markdown", "html", "rtf"];
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+
+// RTF destinations whose content is metadata rather than document text
+const RTF_IGNORED_DESTINATIONS = new Set([
+  "fonttbl",
+  "colortbl",
+  "stylesheet",
+  "info",
+  "pict",
+  "header",
+  "headerl",
+  "headerr",
+  "headerf",
+  "footer",
+  "footerl",
+  "footerr",
+  "footerf",
+  "listtable",
+  "listoverridetable",
+  "rsidtbl",
+  "generator",
+  "xmlnstbl",
+  "themedata",
+  "colorschememapping",
+  "latentstyles",
+  "datastore",
+]);
+
+/**
+ * Detect the document format of an uploaded file
+ * @param file - Uploaded file ({ buffer, originalname, mimetype } as provided by multer)
+ * @returns {string|null} - One of SUPPORTED_FORMATS, or null if the format is not supported
+ */
+const detectFormat = ({ buffer, originalname = "", mimetype = "" } = {}) => {
+  if (buffer && buffer.length >= 4) {
+    const signature = buffer.subarray(0, 5).toString("latin1");
+    if (signature.startsWith("%PDF")) return "pdf";
+    if (signature.startsWith("{\\rtf")) return "rtf";
+  }
+
+  const extension = path.extname(originalname).toLowerCase();
+  const mimeType = mimetype.split(";")[0].trim().toLowerCase();
+  return (
+    FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIME_TYPE[mimeType] || null
+  );
+};
+
+/**
+ * Decode a text buffer, honoring a UTF-8 or UTF-16 byte order mark
+ * @param buffer - Raw file contents
+ * @returns {string} - Decoded text
+ */
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString("utf16le");
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    // Node has no big-endian decoder, so swap the bytes first
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString("utf16le");
+  }
+  return buffer.toString("utf8").replace(/^\uFEFF/, "");
+};
+
+/**
+ * Collapse runs of blank lines and trailing spaces left behind by extraction
+ * @param text - Extracted text
+ * @returns {string} - Normalized text
+ */
+const normalizeWhitespace = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\u00a0]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Decode HTML character references
+ * @param text - Text containing entities such as &amp; or &#8217;
+ * @returns {string} - Decoded text
+ */
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value <= 0x10ffff
+        ? String.fromCodePoint(value)
+        : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/**
+ * Convert HTML to plain text, keeping headings (as Markdown), paragraphs and
+ * list items on their own lines
+ * @param html - HTML source
+ * @returns {string} - Plain text
+ */
+const htmlToText = (html) => {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const text = (body ? body[1] : html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<head\b[\s\S]*?<\/head>/gi, "")
+    .replace(
+      /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (match, level, content) =>
+        `\n\n${"#".repeat(Number(level))} ${content.replace(/\s+/g, " ").trim()}\n\n`,
+    )
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(
+      /<\/?(p|div|section|article|header|footer|main|aside|nav|blockquote|pre|table|tr|ul|ol|dl|dt|dd|figure|figcaption|hr)\b[^>]*>/gi,
+      "\n\n",
+    )
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    // Whitespace inside a line is insignificant in HTML
+    .replace(/[ \t\r]*\n[ \t\r]*/g, "\n")
+    .replace(/[ \t]+/g, " ");
+
+  return normalizeWhitespace(decodeEntities(text));
+};
+
+/**
+ * Convert RTF to plain text. Handles groups, paragraph and tab control words,
+ * hex-escaped (\'hh, cp1252) and Unicode (\uN) characters, and skips
+ * destinations that hold metadata such as font tables and headers.
+ * @param rtf - RTF source
+ * @returns {string} - Plain text
+ */
+const rtfToText = (rtf) => {
+  const decoder = new TextDecoder("windows-1252");
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let output = "";
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === "{") {
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+      i++;
+    } else if (char === "}") {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+      i++;
+    } else if (char === "\\") {
+      const next = rtf[i + 1];
+
+      if (next === "'") {
+        emit(decoder.decode(Buffer.from(rtf.slice(i + 2, i + 4), "hex")));
+        i += 4;
+      } else if (next === "*") {
+        // Unknown destinations marked with \* are ignorable by definition
+        state.skip = true;
+        i += 2;
+      } else if (/[a-z]/i.test(next || "")) {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (RTF_IGNORED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === "par" || word === "line" || word === "sect") {
+          emit("\n");
+        } else if (word === "page") {
+          emit("\n\n");
+        } else if (word === "tab" || word === "cell") {
+          emit("\t");
+        } else if (word === "row") {
+          emit("\n");
+        } else if (word === "emdash") {
+          emit("—");
+        } else if (word === "endash") {
+          emit("–");
+        } else if (word === "bullet") {
+          emit("•");
+        } else if (word === "lquote" || word === "rquote") {
+          emit(word === "lquote" ? "‘" : "’");
+        } else if (word === "ldblquote" || word === "rdblquote") {
+          emit(word === "ldblquote" ? "“" : "”");
+        } else if (word === "uc") {
+          state.unicodeSkip = Number(param);
+        } else if (word === "u") {
+          const code = Number(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          // Skip the ANSI fallback characters that follow \uN
+          pendingSkip = state.unicodeSkip;
+        }
+      } else {
+        // Escaped literal (\\, \{, \}) or control symbol (\~, \-, \_)
+        if (next === "~") emit(" ");
+        else if (next === "_") emit("-");
+        else if (next === "\n" || next === "\r") emit("\n");
+        else if (next !== "-") emit(next || "");
+        i += 2;
+      }
+    } else if (char === "\n" || char === "\r") {
+      // Raw line breaks in RTF source are not part of the text
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  return normalizeWhitespace(output);
+};
+
+/**
+ * Extract the text of a PDF, one page per form-feed-separated block
+ * @param buffer - PDF file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+const extractPdf = async (buffer) => {
+  const pages = [];
+
+  await pdfParse(buffer, {
+    // Same line-joining as pdf-parse's default renderer, but keeping pages apart
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        text +=
+          lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push(text.trim());
+      return text;
+    },
+  });
+
+  return pages.join("\f");
+};
+
+/**
+ * Extract the raw text of a DOCX file
+ * @param buffer - DOCX file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+const extractDocx = async (buffer) => {
+  const result = await mammoth.extractRawText({ buffer });
+  return normalizeWhitespace(result.value);
+};
+
+/**
+ * Extract the text from an uploaded document
+ * @param file - Uploaded file ({ buffer, originalname, mimetype } as provided by multer)
+ * @returns {Promise<{text: string, format: string}>} - Extracted text and detected format
+ */
+const extractText = async (file) => {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new Error(
+      `Unsupported file type. Supported formats: ${SUPPORTED_FORMATS.join(", ")}`,
+    );
+  }
+
+  const { buffer } = file;
+  let text;
+  switch (format) {
+    case "pdf":
+      text = await extractPdf(buffer);
+      break;
+    case "docx":
+      text = await extractDocx(buffer);
+      break;
+    case "html":
+      text = htmlToText(decodeText(buffer));
+      break;
+    case "rtf":
+      text = rtfToText(buffer.toString("latin1"));
+      break;
+    default:
+      text = normalizeWhitespace(decodeText(buffer));
+  }
+
+  return { text, format };
+};
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  extractText,
+  htmlToText,
+  rtfToText,
+};
@@ -0,0 +1,249 @@
+const crypto = require("crypto");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+require("dotenv").config();
+
+/**
+ * Embedding provider abstraction.
+ *
+ * Every provider exposes the same interface:
+ *
+ *   embed(texts) -> Promise<number[][]>
+ *
+ * and returns one L2-normalized vector per input text, so the dot product of
+ * two vectors is their cosine similarity.
+ *
+ * The active provider is selected with the EMBEDDING_PROVIDER env variable:
+ * "hashing" (default, a local bag-of-words model that needs no API key),
+ * "gemini" or "openai". The model is selected with EMBEDDING_MODEL.
+ * EMBEDDING_BASE_URL points the "openai" provider at a different server than
+ * the chat model, e.g. a local embedding model.
+ */
+
+const DEFAULT_EMBEDDING_MODELS = {
+  hashing: "hashing-512",
+  gemini: "text-embedding-004",
+  openai: "text-embedding-3-small",
+};
+
+// Frequent words that carry no meaning on their own
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be been but by can did do does for from had has have " +
+    "he her his how i if in into is it its me my no not of on or our she so " +
+    "than that the their them then there these they this those to was we " +
+    "were what when where which who why will with you your"
+  ).split(" "),
+);
+
+/**
+ * Split text into lowercase word tokens, dropping stop words
+ * @param text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+const tokenize = (text) =>
+  (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((token) => !STOP_WORDS.has(token));
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ * @param vector - Vector to normalize
+ * @returns {number[]} - Normalized vector
+ */
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : vector;
+};
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param a - First vector
+ * @param b - Second vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Create a local embedding provider based on feature hashing: words and word
+ * pairs are hashed into a fixed number of dimensions and weighted by
+ * sublinear term frequency. It only captures word overlap, not meaning, but
+ * runs offline and is deterministic.
+ * @param dimensions - Vector size
+ * @returns {{name: string, model: string, embed: Function}} - Hashing provider
+ */
+const createHashingProvider = ({
+  dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 512,
+} = {}) => {
+  const embedOne = (text) => {
+    const tokens = tokenize(text);
+    const features = [
+      ...tokens,
+      ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`),
+    ];
+
+    const counts = new Map();
+    for (const feature of features) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = crypto.createHash("md5").update(feature).digest();
+      const index = hash.readUInt32LE(0) % dimensions;
+      // A second hash bit picks the sign, so collisions tend to cancel out
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign * (1 + Math.log(count));
+    }
+    return normalize(vector);
+  };
+
+  return {
+    name: "hashing",
+    model: `hashing-${dimensions}`,
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+};
+
+/**
+ * Create a provider backed by the Gemini embedding API
+ * @param apiKey - Google AI API key
+ * @param model - Embedding model name
+ * @returns {{name: string, model: string, embed: Function}} - Gemini provider
+ */
+const createGeminiEmbeddingProvider = ({
+  apiKey = process.env.GOOGLE_AI_API_KEY,
+  model = DEFAULT_EMBEDDING_MODELS.gemini,
+} = {}) => ({
+  name: "gemini",
+  model,
+
+  async embed(texts) {
+    const result = await new GoogleGenerativeAI(apiKey)
+      .getGenerativeModel({ model })
+      .batchEmbedContents({
+        requests: texts.map((text) => ({
+          content: { role: "user", parts: [{ text }] },
+        })),
+      });
+    return result.embeddings.map((embedding) => normalize(embedding.values));
+  },
+});
+
+/**
+ * Create a provider for any OpenAI-compatible embeddings API, including
+ * local embedding servers (e.g. Ollama, vLLM or text-embeddings-inference)
+ * @param apiKey - API key sent as a Bearer token
+ * @param baseUrl - Base URL of the API, without the trailing /embeddings
+ * @param model - Model name
+ * @param http - HTTP client with an axios-compatible post() (defaults to axios)
+ * @returns {{name: string, model: string, embed: Function}} - OpenAI-compatible provider
+ */
+const createOpenAIEmbeddingProvider = ({
+  apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  baseUrl = process.env.EMBEDDING_BASE_URL ||
+    process.env.OPENAI_BASE_URL ||
+    "https://api.openai.com/v1",
+  model = DEFAULT_EMBEDDING_MODELS.openai,
+  http = require("axios"),
+} = {}) => ({
+  name: "openai",
+  model,
+
+  async embed(texts) {
+    const response = await http.post(
+      `${baseUrl.replace(/\/+$/, "")}/embeddings`,
+      { model, input: texts },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+      },
+    );
+
+    const data = response.data?.data;
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error("Unexpected response from OpenAI-compatible API");
+    }
+    return [...data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => normalize(item.embedding));
+  },
+});
+
+const providerFactories = {
+  hashing: createHashingProvider,
+  gemini: createGeminiEmbeddingProvider,
+  openai: createOpenAIEmbeddingProvider,
+};
+
+/**
+ * Create the provider named by EMBEDDING_PROVIDER / EMBEDDING_MODEL (or the given overrides)
+ * @param name - Provider name: "hashing", "gemini" or "openai"
+ * @param model - Model name, defaults to the provider's default model
+ * @returns {object} - Embedding provider
+ */
+const createEmbeddingProvider = (
+  name = process.env.EMBEDDING_PROVIDER || "hashing",
+  model = process.env.EMBEDDING_MODEL,
+) => {
+  const key = String(name).toLowerCase();
+  const factory = providerFactories[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}`,
+    );
+  }
+  return key === "hashing"
+    ? factory()
+    : factory({ model: model || DEFAULT_EMBEDDING_MODELS[key] });
+};
+
+let activeProvider;
+
+/**
+ * Get the shared provider instance, creating it from the environment on first use
+ * @returns {object} - Active embedding provider
+ */
+const getEmbeddingProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createEmbeddingProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the shared provider instance (e.g. with a stand-in model in tests).
+ * Passing nothing resets it so the next getEmbeddingProvider() re-reads the environment.
+ * @param provider - Provider to use
+ */
+const setEmbeddingProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  DEFAULT_EMBEDDING_MODELS,
+  tokenize,
+  cosineSimilarity,
+  createHashingProvider,
+  createGeminiEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+};
@@ -0,0 +1,364 @@
+const PDFDocument = require("pdfkit");
+const {
+  Document: DocxDocument,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+} = require("docx");
+require("dotenv").config();
+
+/**
+ * Report export.
+ *
+ * A report collects the title, summary and AI insights of a document into
+ * sections and is rendered as Markdown, DOCX or PDF. Insight text is the
+ * Markdown returned by the model; the DOCX and PDF renderers keep its
+ * headings, lists and bold/italic text.
+ *
+ * The PDF uses the standard Helvetica fonts, which only cover Western
+ * European characters. Set EXPORT_PDF_FONT to the path of a TTF/OTF font to
+ * export documents in other scripts.
+ */
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  docx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+  },
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+// Report sections in order, by the field (or insight type) they come from
+const REPORT_SECTIONS = [
+  { key: "summary", heading: "Summary" },
+  { key: "bulletSummary", heading: "Bullet Summary" },
+  { key: "keyIdeas", heading: "Key Ideas" },
+  { key: "discussionPoints", heading: "Discussion Points" },
+  { key: "sentiment", heading: "Sentiment" },
+  { key: "recommendations", heading: "Recommendations" },
+  { key: "refinedSummary", heading: "Refined Summary" },
+];
+
+/**
+ * Get the Markdown text of a report section
+ * @param key - Section key
+ * @param value - Field value; sentiment is { score, description }
+ * @returns {string} - Section text, empty if there is nothing to show
+ */
+const sectionText = (key, value) => {
+  if (key === "sentiment") {
+    if (!value || typeof value.description !== "string") return "";
+    if (!value.description.trim()) return "";
+    return `**Score:** ${value.score}\n\n${value.description.trim()}`;
+  }
+  return typeof value === "string" ? value.trim() : "";
+};
+
+/**
+ * Build a report from one or more sources of content. Later sources take
+ * precedence, so unsaved results shown to the user can override the
+ * results saved with the document.
+ * @param sources - Objects with title, summary and the insight fields of REPORT_SECTIONS
+ * @returns {{title: string, sections: {heading: string, text: string}[]}} - Report with its non-empty sections
+ */
+const buildReport = (...sources) => {
+  const pick = (read) =>
+    sources.reduceRight((found, source) => found || read(source || {}), "");
+
+  return {
+    title:
+      pick((source) =>
+        typeof source.title === "string" ? source.title.trim() : "",
+      ) || "Document Report",
+    sections: REPORT_SECTIONS.map(({ key, heading }) => ({
+      heading,
+      text: pick((source) => sectionText(key, source[key])),
+    })).filter(({ text }) => text),
+  };
+};
+
+/**
+ * Split Markdown into headings, list items and paragraphs
+ * @param text - Markdown text
+ * @returns {{type: string, text: string, level?: number, number?: string}[]} - Blocks in order
+ */
+const parseBlocks = (text) => {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({ type: "paragraph", text: paragraph.join(" ") });
+      paragraph = [];
+    }
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const indent = line.length - line.trimStart().length;
+    let match;
+    if (!trimmed || /^(-{3,}|\*{3,}|`{3}.*)$/.test(trimmed)) {
+      flush();
+    } else if ((match = trimmed.match(/^#{1,6}\s+(.*)$/))) {
+      flush();
+      blocks.push({ type: "heading", text: match[1] });
+    } else if ((match = trimmed.match(/^[-*+•]\s+(.*)$/))) {
+      flush();
+      blocks.push({
+        type: "bullet",
+        text: match[1],
+        level: Math.min(Math.floor(indent / 2), 2),
+      });
+    } else if ((match = trimmed.match(/^(\d+)[.)]\s+(.*)$/))) {
+      flush();
+      blocks.push({ type: "numbered", number: match[1], text: match[2] });
+    } else {
+      paragraph.push(trimmed);
+    }
+  }
+  flush();
+  return blocks;
+};
+
+/**
+ * Split a line of Markdown into runs of plain, bold, italic and code text
+ * @param text - Markdown text without line breaks
+ * @returns {{text: string, bold?: boolean, italics?: boolean, code?: boolean}[]} - Runs in order
+ */
+const parseInline = (text) => {
+  // Links are kept as "text (url)"
+  const source = text.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, "$1 ($2)");
+  const runs = [];
+  let last = 0;
+  for (const match of source.matchAll(
+    /(\*\*|__)(.+?)\1|\*([^*\s][^*]*?)\*|`([^`]+)`/g,
+  )) {
+    if (match.index > last)
+      runs.push({ text: source.slice(last, match.index) });
+    if (match[2] !== undefined) runs.push({ text: match[2], bold: true });
+    else if (match[3] !== undefined)
+      runs.push({ text: match[3], italics: true });
+    else runs.push({ text: match[4], code: true });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) runs.push({ text: source.slice(last) });
+  return runs;
+};
+
+/**
+ * Line stating when the report was exported
+ * @param date - Export date
+ * @returns {string} - Byline
+ */
+const byline = (date) =>
+  `Exported from DocuThinker on ${date.toISOString().slice(0, 10)}`;
+
+/**
+ * Render a report as Markdown. Headings inside sections are demoted so they
+ * stay below the section headings.
+ * @param report - Report from buildReport
+ * @param date - Export date
+ * @returns {string} - Markdown
+ */
+const renderMarkdown = (report, date) =>
+  [
+    `# ${report.title}`,
+    `_${byline(date)}_`,
+    ...report.sections.map(
+      ({ heading, text }) =>
+        `## ${heading}\n\n${text.replace(/^#{1,6}(?=\s)/gm, (marks) =>
+          "#".repeat(Math.min(marks.length + 2, 6)),
+        )}`,
+    ),
+  ].join("\n\n") + "\n";
+
+/**
+ * Render a report as a Word document
+ * @param report - Report from buildReport
+ * @param date - Export date
+ * @returns {Promise<Buffer>} - DOCX file
+ */
+const renderDocx = (report, date) => {
+  const toRuns = (text) =>
+    parseInline(text).map(
+      ({ text: runText, bold, italics, code }) =>
+        new TextRun({
+          text: runText,
+          bold,
+          italics,
+          font: code ? "Courier New" : undefined,
+        }),
+    );
+
+  const children = [
+    new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({
+      children: [
+        new TextRun({ text: byline(date), italics: true, color: "666666" }),
+      ],
+    }),
+  ];
+
+  for (const { heading, text } of report.sections) {
+    children.push(
+      new Paragraph({ text: heading, heading: HeadingLevel.HEADING_1 }),
+    );
+    for (const block of parseBlocks(text)) {
+      if (block.type === "heading") {
+        children.push(
+          new Paragraph({
+            children: toRuns(block.text),
+            heading: HeadingLevel.HEADING_2,
+          }),
+        );
+      } else if (block.type === "bullet") {
+        children.push(
+          new Paragraph({
+            children: toRuns(block.text),
+            bullet: { level: block.level },
+          }),
+        );
+      } else if (block.type === "numbered") {
+        // Keep the model's own numbering
+        children.push(
+          new Paragraph({
+            children: [new TextRun(`${block.number}. `), ...toRuns(block.text)],
+            indent: { left: 360 },
+          }),
+        );
+      } else {
+        children.push(new Paragraph({ children: toRuns(block.text) }));
+      }
+    }
+  }
+
+  return Packer.toBuffer(
+    new DocxDocument({
+      creator: "DocuThinker",
+      title: report.title,
+      sections: [{ children }],
+    }),
+  );
+};
+
+/**
+ * Render a report as a PDF
+ * @param report - Report from buildReport
+ * @param date - Export date
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const renderPdf = (report, date) =>
+  new Promise((resolve, reject) => {
+    const customFont = process.env.EXPORT_PDF_FONT;
+    const fonts = customFont
+      ? {
+          regular: customFont,
+          bold: customFont,
+          italic: customFont,
+          code: customFont,
+        }
+      : {
+          regular: "Helvetica",
+          bold: "Helvetica-Bold",
+          italic: "Helvetica-Oblique",
+          code: "Courier",
+        };
+
+    const doc = new PDFDocument({
+      margin: 56,
+      info: { Title: report.title, Creator: "DocuThinker" },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    // Write runs of mixed styles as one wrapped paragraph
+    const writeRuns = (runs, indent = 0) => {
+      doc.x = left + indent;
+      runs.forEach((run, i) => {
+        const font = run.bold
+          ? fonts.bold
+          : run.italics
+            ? fonts.italic
+            : run.code
+              ? fonts.code
+              : fonts.regular;
+        doc.font(font).text(run.text, { continued: i < runs.length - 1 });
+      });
+      doc.x = left;
+      doc.moveDown(0.4);
+    };
+
+    doc.font(fonts.bold).fontSize(22).text(report.title);
+    doc
+      .moveDown(0.3)
+      .font(fonts.italic)
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(byline(date))
+      .fillColor("black");
+
+    for (const { heading, text } of report.sections) {
+      doc.moveDown(1).font(fonts.bold).fontSize(16).text(heading);
+      doc.moveDown(0.4).fontSize(11);
+      for (const block of parseBlocks(text)) {
+        const runs = parseInline(block.text);
+        if (block.type === "heading") {
+          doc.fontSize(13);
+          writeRuns(runs.map((run) => ({ ...run, bold: true })));
+          doc.fontSize(11);
+        } else if (block.type === "bullet") {
+          writeRuns([{ text: "•  " }, ...runs], 12 + block.level * 14);
+        } else if (block.type === "numbered") {
+          writeRuns([{ text: `${block.number}.  ` }, ...runs], 12);
+        } else {
+          writeRuns(runs);
+        }
+      }
+    }
+
+    doc.end();
+  });
+
+/**
+ * Render a report in one of EXPORT_FORMATS
+ * @param report - Report from buildReport
+ * @param format - "pdf", "docx" or "markdown"
+ * @param date - Export date
+ * @returns {Promise<{buffer: Buffer, contentType: string, fileName: string}>} - File contents and metadata
+ */
+const renderReport = async (report, format, date = new Date()) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const renderers = {
+    pdf: renderPdf,
+    docx: renderDocx,
+    markdown: async (...args) => Buffer.from(renderMarkdown(...args), "utf8"),
+  };
+
+  const baseName =
+    report.title
+      .normalize("NFD")
+      .replace(/[^\w\s-]/g, "")
+      .trim()
+      .replace(/\s+/g, "-")
+      .slice(0, 80) || "report";
+
+  return {
+    buffer: await renderers[format](report, date),
+    contentType,
+    fileName: `${baseName}.${extension}`,
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildReport,
+  parseBlocks,
+  parseInline,
+  renderMarkdown,
+  renderReport,
+};
@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+const { saveJob, fetchJob } = require("../redis/redisClient");
+require("dotenv").config();
+
+/**
+ * Background jobs for long-running AI work.
+ *
+ * A job is queued with the function that does the work and runs in this
+ * process, at most JOB_CONCURRENCY at a time. Jobs can only be queued once
+ * startJobWorker() has been called by a long-running server: serverless
+ * functions are frozen after they respond, so endpoints answer synchronously
+ * there. Its state (status, progress, result or error) is kept in Redis, or
+ * in memory without Redis, so it can be read by ID from any server instance
+ * until it expires after JOB_TTL seconds. The process running a job saves a
+ * heartbeat every few seconds; an unfinished job without one for
+ * JOB_STALE_AFTER was left behind by a process that stopped, and is marked
+ * as failed when it is next read. When a job finishes, its state is POSTed to
+ * the job's webhook URL, signed with JOB_WEBHOOK_SECRET when one is set.
+ * Webhooks must resolve to public addresses, so that they cannot reach the
+ * server's network or cloud metadata endpoints.
+ *
+ * Job states: "queued" -> "running" -> "completed" | "failed".
+ */
+
+const JOB_TTL = parseInt(process.env.JOB_TTL, 10) || 24 * 3600; // 1 day
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// How often watchers check the store for jobs run by other instances
+const JOB_WATCH_INTERVAL = 2000;
+// How often the jobs of this process are marked as alive
+const JOB_HEARTBEAT_INTERVAL = 15000;
+// Unfinished jobs without a heartbeat for this long are failed
+const JOB_STALE_AFTER = 60000;
+
+const FINISHED_STATES = ["completed", "failed"];
+
+// Loopback, private, link-local and other non-public ranges. IPv4-mapped
+// IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6"),
+);
+
+// Updates of the jobs run by this process, by job ID
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+const pending = [];
+let running = 0;
+// Queued and running jobs of this process, by ID
+const active = new Map();
+let heartbeat = null;
+
+/**
+ * Public view of a job, without its owner, webhook and revision
+ * @param job - Stored job
+ * @returns {object} - Job as returned by the API
+ */
+const toPublicJob = ({
+  id,
+  type,
+  status,
+  progress,
+  result,
+  error,
+  createdAt,
+  updatedAt,
+}) => ({ id, type, status, progress, result, error, createdAt, updatedAt });
+
+/**
+ * Whether a job has completed or failed
+ * @param job - Job
+ * @returns {boolean} - True when the job will not change anymore
+ */
+const isFinished = (job) => FINISHED_STATES.includes(job.status);
+
+/**
+ * Apply changes to a job, save it and tell its watchers
+ * @param job - Job to update (changed in place)
+ * @param changes - Fields to change
+ */
+const updateJob = async (job, changes) => {
+  const now = new Date().toISOString();
+  Object.assign(job, changes, {
+    revision: job.revision + 1,
+    updatedAt: now,
+    heartbeatAt: now,
+  });
+  await saveJob(job, JOB_TTL);
+  updates.emit(job.id, { ...job });
+};
+
+/**
+ * Whether an IP address is publicly routable
+ * @param address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Resolve a host name to an address, refusing hosts with a non-public address
+ * @param hostname - Host name or IP address
+ * @returns {Promise<[string, number]>} - Address and its family (4 or 6)
+ */
+const lookupPublicAddress = async (hostname) => {
+  const addresses = await dns.promises.lookup(
+    hostname.replace(/^\[(.*)\]$/, "$1"),
+    { all: true },
+  );
+  if (
+    !addresses.length ||
+    !addresses.every(({ address }) => isPublicAddress(address))
+  ) {
+    throw new Error(`${hostname} does not resolve to a public address`);
+  }
+  return [addresses[0].address, addresses[0].family];
+};
+
+/**
+ * POST the final state of a job to its webhook. Failures are only logged.
+ * @param job - Finished job
+ * @param http - HTTP client with an axios-compatible post() (defaults to axios)
+ */
+const notifyWebhook = async (job, http = require("axios")) => {
+  const body = JSON.stringify(toPublicJob(job));
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.JOB_WEBHOOK_SECRET) {
+    const signature = crypto
+      .createHmac("sha256", process.env.JOB_WEBHOOK_SECRET)
+      .update(body)
+      .digest("hex");
+    headers["X-DocuThinker-Signature"] = `sha256=${signature}`;
+  }
+
+  try {
+    await http.post(job.webhookUrl, body, {
+      headers,
+      timeout: 10000,
+      // Connect to the checked address, and do not follow redirects elsewhere
+      lookup: lookupPublicAddress,
+      maxRedirects: 0,
+    });
+  } catch (error) {
+    console.error(`Webhook for job ${job.id} failed:`, error.message);
+  }
+};
+
+/**
+ * Run a job and record its result or error
+ * @param job - Queued job
+ * @param work - Function doing the work
+ */
+const runJob = async (job, work) => {
+  try {
+    await updateJob(job, { status: "running" });
+    const result = await work({
+      // Progress is informational, so a failed save does not fail the job
+      reportProgress: (progress) =>
+        updateJob(job, { progress }).catch((error) =>
+          console.error(`Failed to save progress of ${job.id}:`, error.message),
+        ),
+    });
+    await updateJob(job, { status: "completed", result });
+  } catch (error) {
+    await updateJob(job, { status: "failed", error: error.message }).catch(
+      (saveError) =>
+        console.error(`Failed to save job ${job.id}:`, saveError.message),
+    );
+  }
+  active.delete(job.id);
+  if (job.webhookUrl) await notifyWebhook(job);
+};
+
+/**
+ * Start queued jobs while there are free slots
+ */
+const drainQueue = () => {
+  while (running < JOB_CONCURRENCY && pending.length) {
+    const { job, work } = pending.shift();
+    running++;
+    runJob(job, work).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+};
+
+/**
+ * Let this process run jobs and keep saving the heartbeat of its jobs. Called
+ * by long-running servers; without it, enqueueJob refuses jobs.
+ */
+const startJobWorker = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    const heartbeatAt = new Date().toISOString();
+    for (const job of active.values()) {
+      job.heartbeatAt = heartbeatAt;
+      saveJob(job, JOB_TTL).catch((error) =>
+        console.error(`Failed to save heartbeat of ${job.id}:`, error.message),
+      );
+    }
+  }, JOB_HEARTBEAT_INTERVAL);
+  heartbeat.unref?.();
+};
+
+/**
+ * Whether this process runs background jobs
+ * @returns {boolean} - True once startJobWorker has been called
+ */
+const jobsEnabled = () => heartbeat !== null;
+
+/**
+ * Queue a job. `work` receives { reportProgress } and returns the job result,
+ * which must be JSON-serializable.
+ * @param type - Job type, e.g. "upload"
+ * @param work - Async function doing the work
+ * @param userId - Optional owner; only they can read the job
+ * @param webhookUrl - Optional URL notified when the job finishes
+ * @returns {Promise<object>} - Public view of the queued job
+ */
+const enqueueJob = async (
+  type,
+  work,
+  { userId = null, webhookUrl = null } = {},
+) => {
+  if (!jobsEnabled()) {
+    throw new Error("Background jobs are not run by this server");
+  }
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: "queued",
+    progress: null,
+    result: null,
+    error: null,
+    // Counts updates, so watchers can skip the ones they have seen
+    revision: 0,
+    userId,
+    webhookUrl,
+    createdAt: now,
+    updatedAt: now,
+    heartbeatAt: now,
+  };
+  await saveJob(job, JOB_TTL);
+  const queued = toPublicJob(job);
+
+  active.set(job.id, job);
+  pending.push({ job, work });
+  drainQueue();
+  return queued;
+};
+
+/**
+ * Whether a job was left unfinished by a process that stopped
+ * @param job - Stored job
+ * @returns {boolean} - True when no process has saved its heartbeat lately
+ */
+const isAbandoned = (job) =>
+  !isFinished(job) &&
+  !active.has(job.id) &&
+  Date.now() - Date.parse(job.heartbeatAt || job.updatedAt) > JOB_STALE_AFTER;
+
+/**
+ * Get a job by ID. A job left behind by a stopped process is failed first.
+ * @param jobId - Job ID
+ * @returns {Promise<object|null>} - Stored job including its userId, or null if it does not exist or has expired
+ */
+const getJob = async (jobId) => {
+  const job = await fetchJob(jobId);
+  if (!job || !isAbandoned(job)) return job;
+
+  await updateJob(job, {
+    status: "failed",
+    error: "The job was interrupted before it finished",
+  });
+  if (job.webhookUrl) await notifyWebhook(job);
+  return job;
+};
+
+/**
+ * Call a listener with every update of a job until it finishes. Jobs run by
+ * this process are reported as they change; jobs run by other instances are
+ * read from the store every few seconds.
+ * @param jobId - Job ID
+ * @param listener - Called with the public view of the job
+ * @param seenRevision - Revision the caller already has; older updates are skipped
+ * @returns {Function} - Stops watching
+ */
+const watchJob = (jobId, listener, seenRevision = -1) => {
+  let lastRevision = seenRevision;
+  const onUpdate = (job) => {
+    if (job.revision <= lastRevision) return;
+    lastRevision = job.revision;
+    listener(toPublicJob(job));
+    if (isFinished(job)) stop();
+  };
+
+  const timer = setInterval(async () => {
+    const job = await getJob(jobId).catch(() => null);
+    if (job) onUpdate(job);
+  }, JOB_WATCH_INTERVAL);
+  timer.unref?.();
+
+  const stop = () => {
+    clearInterval(timer);
+    updates.off(jobId, onUpdate);
+  };
+
+  updates.on(jobId, onUpdate);
+  return stop;
+};
+
+/**
+ * Whether a URL can be used as a job webhook
+ * @param url - URL to check
+ * @returns {Promise<boolean>} - True for absolute http(s) URLs whose host resolves to public addresses only
+ */
+const isValidWebhookUrl = async (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (!["http:", "https:"].includes(protocol)) return false;
+    await lookupPublicAddress(hostname);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+module.exports = {
+  startJobWorker,
+  jobsEnabled,
+  enqueueJob,
+  getJob,
+  watchJob,
+  toPublicJob,
+  isFinished,
+  isValidWebhookUrl,
+  notifyWebhook,
+};
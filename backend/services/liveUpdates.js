@@ -0,0 +1,107 @@
+const { EventEmitter } = require("events");
+
+/**
+ * Live updates for GraphQL subscriptions.
+ *
+ * Models and services publish events to topics as things change, and
+ * subscription resolvers read them as async iterators. Events are delivered
+ * to subscribers connected to the instance that published them; job
+ * progress is followed with watchJob instead, which also sees jobs run by
+ * other instances.
+ */
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Topic names, so publishers and subscribers cannot disagree on them
+const TOPICS = {
+  documents: (userId) => `documents:${userId}`,
+  chatMessages: (sessionId) => `chat:${sessionId}`,
+};
+
+/**
+ * Publish an event to the subscribers of a topic
+ * @param topic - Topic, one of TOPICS
+ * @param payload - Event payload
+ */
+const publish = (topic, payload) => {
+  events.emit(topic, payload);
+};
+
+/**
+ * Turn a listener-based source into an async iterator. Values pushed while
+ * the consumer is busy are queued; values pushed before `finish` are still
+ * delivered.
+ * @param start - Called with (push, finish); returns a function that stops the source
+ * @returns {AsyncIterableIterator<*>} - Iterator; its return() stops the source
+ */
+const listen = (start) => {
+  const queue = [];
+  const waiting = [];
+  let done = false;
+  let stop = () => {};
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    stop();
+    waiting
+      .splice(0)
+      .forEach((resolve) => resolve({ value: undefined, done: true }));
+  };
+  const push = (value) => {
+    if (done) return;
+    const resolve = waiting.shift();
+    if (resolve) resolve({ value, done: false });
+    else queue.push(value);
+  };
+
+  stop = start(push, finish) || stop;
+  // The source may have finished before it could be stopped
+  if (done) stop();
+
+  return {
+    next() {
+      if (queue.length) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    return() {
+      queue.length = 0;
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      queue.length = 0;
+      finish();
+      return Promise.reject(error);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
+/**
+ * Subscribe to the events of a topic
+ * @param topic - Topic, one of TOPICS
+ * @param filter - Optional predicate; events it rejects are skipped
+ * @returns {AsyncIterableIterator<*>} - Events published from now on
+ */
+const subscribe = (topic, filter = () => true) =>
+  listen((push) => {
+    const listener = (payload) => {
+      if (filter(payload)) push(payload);
+    };
+    events.on(topic, listener);
+    return () => events.off(topic, listener);
+  });
+
+module.exports = {
+  TOPICS,
+  publish,
+  listen,
+  subscribe,
+};
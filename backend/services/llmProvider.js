@@ -0,0 +1,304 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const {
+  GoogleAIFileManager,
+  FileState,
+} = require("@google/generative-ai/server");
+require("dotenv").config();
+
+/**
+ * LLM provider abstraction.
+ *
+ * Every provider exposes the same interface so the service layer never has to
+ * know which model vendor it is talking to:
+ *
+ *   generate({ systemInstruction, history, message, json }) -> Promise<string>
+ *   stream({ systemInstruction, history, message, json, signal }) -> AsyncIterable<string>
+ *   generateFromFile({ systemInstruction, filePath, mimeType, message }) -> Promise<string>
+ *
+ * `history` is a list of `{ role: "user" | "model", text }` turns that precede
+ * `message`. `json` asks the provider for a JSON-only answer where supported.
+ * `stream` yields the answer in pieces as they are generated and stops when
+ * `signal` (an AbortSignal) is aborted.
+ *
+ * The active provider is selected with the LLM_PROVIDER env variable
+ * ("gemini" by default, "openai" or "mock") and the model with LLM_MODEL.
+ */
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-1.5-flash",
+  openai: "gpt-4o-mini",
+  mock: "mock-echo",
+};
+
+/**
+ * Create a provider backed by Google Generative AI (Gemini)
+ * @param apiKey - Google AI API key
+ * @param model - Gemini model name
+ * @returns {{name: string, model: string, generate: Function, stream: Function, generateFromFile: Function}} - Gemini provider
+ */
+const createGeminiProvider = ({
+  apiKey = process.env.GOOGLE_AI_API_KEY,
+  model = DEFAULT_MODELS.gemini,
+} = {}) => {
+  const getModel = (systemInstruction) =>
+    new GoogleGenerativeAI(apiKey).getGenerativeModel({
+      model,
+      ...(systemInstruction ? { systemInstruction } : {}),
+    });
+
+  const startChat = ({ systemInstruction, history = [], json }) =>
+    getModel(systemInstruction).startChat({
+      history: history.map((turn) => ({
+        role: turn.role,
+        parts: [{ text: turn.text }],
+      })),
+      ...(json
+        ? { generationConfig: { responseMimeType: "application/json" } }
+        : {}),
+    });
+
+  return {
+    name: "gemini",
+    model,
+
+    async generate(request) {
+      const result = await startChat(request).sendMessage(request.message);
+
+      if (!result.response || !result.response.text) {
+        throw new Error("Empty response from Gemini");
+      }
+
+      return result.response.text();
+    },
+
+    async *stream(request) {
+      const result = await startChat(request).sendMessageStream(
+        request.message,
+        request.signal ? { signal: request.signal } : {},
+      );
+
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+
+    async generateFromFile({ systemInstruction, filePath, mimeType, message }) {
+      const fileManager = new GoogleAIFileManager(apiKey);
+
+      // Upload file to Gemini
+      const uploadResult = await fileManager.uploadFile(filePath, {
+        mimeType,
+        displayName: "User Uploaded Audio",
+      });
+
+      let uploadedFile = await fileManager.getFile(uploadResult.file.name);
+      while (uploadedFile.state === FileState.PROCESSING) {
+        await new Promise((resolve) => setTimeout(resolve, 10000)); // Wait for 10 seconds before re-checking the state
+        uploadedFile = await fileManager.getFile(uploadResult.file.name);
+      }
+
+      if (uploadedFile.state === FileState.FAILED) {
+        throw new Error("Audio processing failed.");
+      }
+
+      const result = await getModel(systemInstruction).generateContent([
+        { fileData: { fileUri: uploadedFile.uri, mimeType } },
+        { text: message },
+      ]);
+
+      if (!result.response || !result.response.text) {
+        throw new Error("Empty response from Gemini");
+      }
+
+      return result.response.text();
+    },
+  };
+};
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio, ...)
+ * @param apiKey - API key sent as a Bearer token
+ * @param baseUrl - Base URL of the API, without the trailing /chat/completions
+ * @param model - Model name
+ * @param http - HTTP client with an axios-compatible post() (defaults to axios)
+ * @returns {{name: string, model: string, generate: Function, stream: Function, generateFromFile: Function}} - OpenAI-compatible provider
+ */
+const createOpenAIProvider = ({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  model = DEFAULT_MODELS.openai,
+  http = require("axios"),
+} = {}) => {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const headers = {
+    "Content-Type": "application/json",
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  const buildBody = ({ systemInstruction, history = [], message, json }) => ({
+    model,
+    messages: [
+      ...(systemInstruction
+        ? [{ role: "system", content: systemInstruction }]
+        : []),
+      ...history.map((turn) => ({
+        role: turn.role === "model" ? "assistant" : "user",
+        content: turn.text,
+      })),
+      { role: "user", content: message },
+    ],
+    ...(json ? { response_format: { type: "json_object" } } : {}),
+  });
+
+  return {
+    name: "openai",
+    model,
+
+    async generate(request) {
+      const response = await http.post(url, buildBody(request), { headers });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error("Empty response from OpenAI-compatible API");
+      }
+
+      return content;
+    },
+
+    async *stream(request) {
+      const response = await http.post(
+        url,
+        { ...buildBody(request), stream: true },
+        { headers, responseType: "stream", signal: request.signal },
+      );
+
+      // The body is a series of "data: {...}" lines ending with "data: [DONE]"
+      let buffer = "";
+      for await (const data of response.data) {
+        buffer += data.toString();
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          const payload = line.slice(5).trim();
+          if (payload === "[DONE]") return;
+
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+
+    async generateFromFile() {
+      throw new Error(
+        "File input is not supported by the OpenAI-compatible provider",
+      );
+    },
+  };
+};
+
+/**
+ * Create a deterministic, offline provider for local development and tests.
+ * By default it echoes the start of the message back; when a JSON answer is
+ * requested it returns a neutral `{ score, description }` object.
+ * @param respond - Optional custom responder receiving the generate() request
+ * @returns {{name: string, model: string, generate: Function, stream: Function, generateFromFile: Function}} - Mock provider
+ */
+const createMockProvider = ({ respond, model = DEFAULT_MODELS.mock } = {}) => {
+  const echo = (text) => {
+    const snippet = String(text || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 200);
+    return `[${model}] ${snippet}`;
+  };
+
+  const generate = async (request) => {
+    if (respond) return respond(request);
+    if (request.json) {
+      return JSON.stringify({ score: 0, description: echo(request.message) });
+    }
+    return echo(request.message);
+  };
+
+  return {
+    name: "mock",
+    model,
+    generate,
+
+    // Streams the generate() answer one word at a time
+    async *stream(request) {
+      const text = String(await generate(request));
+      for (const piece of text.match(/\s*\S+\s*$|\s*\S+/g) || []) {
+        if (request.signal && request.signal.aborted) return;
+        yield piece;
+      }
+    },
+
+    async generateFromFile(request) {
+      if (respond) return respond(request);
+      return echo(`${request.mimeType} ${request.message}`);
+    },
+  };
+};
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER / LLM_MODEL (or the given overrides)
+ * @param name - Provider name: "gemini", "openai" or "mock"
+ * @param model - Model name, defaults to the provider's default model
+ * @returns {object} - LLM provider
+ */
+const createProvider = (
+  name = process.env.LLM_PROVIDER || "gemini",
+  model = process.env.LLM_MODEL,
+) => {
+  const key = String(name).toLowerCase();
+  const factory = providerFactories[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}`,
+    );
+  }
+  return factory({ model: model || DEFAULT_MODELS[key] });
+};
+
+let activeProvider;
+
+/**
+ * Get the shared provider instance, creating it from the environment on first use
+ * @returns {object} - Active LLM provider
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the shared provider instance (e.g. with a mock provider in tests).
+ * Passing nothing resets it so the next getProvider() re-reads the environment.
+ * @param provider - Provider to use
+ */
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  DEFAULT_MODELS,
+  createGeminiProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  createProvider,
+  getProvider,
+  setProvider,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * Mail transport abstraction.
+ *
+ * Every transport exposes the same interface:
+ *
+ *   send({ to, subject, text }) -> Promise<void>
+ *
+ * The active transport is selected with the MAIL_TRANSPORT env variable:
+ * "console" (default, logs the message), "file" (writes one JSON file per
+ * message to MAIL_FILE_DIR) or "webhook" (POSTs the message as JSON to
+ * MAIL_WEBHOOK_URL, e.g. a mail API or an internal relay).
+ */
+
+/**
+ * Create a transport that prints messages to the console
+ * @param log - Logger function
+ * @returns {{name: string, send: Function}} - Console transport
+ */
+const createConsoleTransport = ({ log = console.log } = {}) => ({
+  name: "console",
+
+  async send({ to, subject, text }) {
+    log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}\n`);
+  },
+});
+
+/**
+ * Create a transport that writes each message to a JSON file, for local
+ * development and end-to-end tests
+ * @param directory - Directory the messages are written to
+ * @returns {{name: string, directory: string, send: Function}} - File transport
+ */
+const createFileTransport = ({
+  directory = process.env.MAIL_FILE_DIR || "/tmp/mail",
+} = {}) => ({
+  name: "file",
+  directory,
+
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2),
+    );
+  },
+});
+
+/**
+ * Create a transport that POSTs messages to an HTTP endpoint
+ * @param url - Endpoint receiving { from, to, subject, text }
+ * @param from - Sender address
+ * @param http - HTTP client with an axios-compatible post() (defaults to axios)
+ * @returns {{name: string, send: Function}} - Webhook transport
+ */
+const createWebhookTransport = ({
+  url = process.env.MAIL_WEBHOOK_URL,
+  from = process.env.MAIL_FROM || "no-reply@docuthinker.app",
+  http = require("axios"),
+} = {}) => ({
+  name: "webhook",
+
+  async send({ to, subject, text }) {
+    if (!url) throw new Error("MAIL_WEBHOOK_URL is not set");
+    await http.post(url, { from, to, subject, text });
+  },
+});
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  webhook: createWebhookTransport,
+};
+
+/**
+ * Create the transport named by MAIL_TRANSPORT (or the given override). The
+ * console transport is refused in production, where it would write reset
+ * codes to the server log instead of sending them.
+ * @param name - Transport name: "console", "file" or "webhook"
+ * @returns {object} - Mail transport
+ */
+const createTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+  const transportName = String(name).toLowerCase();
+  const factory = transportFactories[transportName];
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${name}". Expected one of: ${Object.keys(transportFactories).join(", ")}`,
+    );
+  }
+  if (transportName === "console" && process.env.NODE_ENV === "production") {
+    throw new Error(
+      'The "console" mail transport cannot be used in production. Set MAIL_TRANSPORT to "file" or "webhook".',
+    );
+  }
+  return factory();
+};
+
+let activeTransport;
+
+/**
+ * Get the shared transport instance, creating it from the environment on first use
+ * @returns {object} - Active mail transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the shared transport instance (e.g. with a fake in tests).
+ * Passing nothing resets it so the next getTransport() re-reads the environment.
+ * @param transport - Transport to use
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createWebhookTransport,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+const { chunkText } = require("./textChunker");
+const { getEmbeddingProvider, cosineSimilarity } = require("./embeddings");
+const {
+  saveEmbeddingIndex,
+  fetchEmbeddingIndex,
+} = require("../redis/redisClient");
+require("dotenv").config();
+
+/**
+ * Passage retrieval over document text.
+ *
+ * A document is split into short passages (keeping their character offsets,
+ * page and paragraph number), every passage is embedded with the active
+ * embedding provider, and the index is cached by content hash so it is only
+ * built once per document and embedding model. Questions are embedded the
+ * same way and answered from the most similar passages.
+ */
+
+const EMBEDDING_BATCH_SIZE = 64;
+const INDEX_TTL =
+  parseInt(process.env.EMBEDDING_INDEX_TTL, 10) || 7 * 24 * 3600; // 7 days
+
+/**
+ * Count the sorted positions that are below a value
+ * @param positions - Sorted character offsets
+ * @param value - Offset to compare with
+ * @returns {number} - Number of positions < value
+ */
+const countBelow = (positions, value) => {
+  let low = 0;
+  let high = positions.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (positions[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Split a document into passages for retrieval
+ * @param text - Full document text
+ * @param maxTokens - Token budget per passage
+ * @returns {{index: number, text: string, start: number, end: number, page: number, paragraph: number, heading: (string|null)}[]} - Passages in document order; `paragraph` counts from the start of the page
+ */
+const splitPassages = (
+  text,
+  { maxTokens = parseInt(process.env.RAG_CHUNK_TOKENS, 10) || 250 } = {},
+) => {
+  const source = String(text || "");
+  const pageBreaks = [...source.matchAll(/\f/g)].map((match) => match.index);
+  const paragraphBreaks = [...source.matchAll(/\n[ \t\r]*\n/g)].map(
+    (match) => match.index,
+  );
+
+  return chunkText(source, { maxTokens }).map((chunk) => {
+    const pageIndex = countBelow(pageBreaks, chunk.start);
+    const pageStart = pageIndex ? pageBreaks[pageIndex - 1] : -1;
+    const paragraph =
+      countBelow(paragraphBreaks, chunk.start) -
+      countBelow(paragraphBreaks, pageStart + 1) +
+      1;
+
+    return {
+      index: chunk.index,
+      text: chunk.text.trim(),
+      start: chunk.start,
+      end: chunk.end,
+      page: chunk.pageStart,
+      paragraph,
+      heading: chunk.heading,
+    };
+  });
+};
+
+/**
+ * Embed texts in batches with the active embedding provider
+ * @param texts - Texts to embed
+ * @returns {Promise<number[][]>} - One vector per text
+ */
+const embedTexts = async (texts) => {
+  const provider = getEmbeddingProvider();
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(
+      ...(await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE))),
+    );
+  }
+  // Rounding keeps cached indexes small without affecting the ranking
+  return vectors.map((vector) =>
+    vector.map((value) => Math.round(value * 1e6) / 1e6),
+  );
+};
+
+/**
+ * Get the passage index of a document, building and caching it on first use
+ * @param text - Full document text
+ * @returns {Promise<{model: string, passages: object[], vectors: number[][]}>} - Passages and their embeddings
+ */
+const getDocumentIndex = async (text) => {
+  const { name, model } = getEmbeddingProvider();
+  const hash = crypto.createHash("sha256").update(String(text)).digest("hex");
+  const key = `${name}:${model}:${hash}`;
+
+  const cached = await fetchEmbeddingIndex(key);
+  if (cached) return cached;
+
+  const passages = splitPassages(text);
+  const index = {
+    model: `${name}:${model}`,
+    passages,
+    vectors: await embedTexts(passages.map((passage) => passage.text)),
+  };
+  await saveEmbeddingIndex(key, index, INDEX_TTL);
+  return index;
+};
+
+/**
+ * Rank the passages of an index by similarity to a query vector
+ * @param index - Index from getDocumentIndex
+ * @param queryVector - Embedded query
+ * @param topK - Number of passages to return
+ * @returns {object[]} - Best passages with their `score`, most similar first
+ */
+const rankPassages = (index, queryVector, topK) =>
+  index.passages
+    .map((passage, i) => ({
+      ...passage,
+      score: cosineSimilarity(index.vectors[i], queryVector),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+/**
+ * Retrieve the passages of a document that best match a query
+ * @param text - Full document text
+ * @param query - Question or search query
+ * @param topK - Number of passages to return
+ * @returns {Promise<object[]>} - Best passages with their `score`, most similar first
+ */
+const retrievePassages = async (
+  text,
+  query,
+  { topK = parseInt(process.env.RAG_TOP_K, 10) || 4 } = {},
+) => {
+  const index = await getDocumentIndex(text);
+  const [queryVector] = await embedTexts([query]);
+  return rankPassages(index, queryVector, topK);
+};
+
+/**
+ * Retrieve the passages that best match a query across several documents.
+ * Every document is searched with its own index and the passages are ranked
+ * together, so the best-matching documents contribute the most passages.
+ * @param documents - Documents as { id, title, text }
+ * @param query - Question or search query
+ * @param topK - Number of passages to return
+ * @returns {Promise<object[]>} - Best passages with their `score`, `documentId` and `title`, most similar first
+ */
+const retrieveFromDocuments = async (
+  documents,
+  query,
+  { topK = parseInt(process.env.RAG_LIBRARY_TOP_K, 10) || 8 } = {},
+) => {
+  const [queryVector] = await embedTexts([query]);
+
+  const passages = [];
+  for (const { id, title, text } of documents) {
+    const index = await getDocumentIndex(text);
+    passages.push(
+      ...rankPassages(index, queryVector, topK).map((passage) => ({
+        ...passage,
+        documentId: id,
+        title,
+      })),
+    );
+  }
+
+  return passages.sort((a, b) => b.score - a.score).slice(0, topK);
+};
+
+/**
+ * Find the documents most similar in meaning to a query. A document scores
+ * as well as its best-matching passage; documents with nothing in common
+ * with the query are left out.
+ * @param documents - Documents as { id, title, text }
+ * @param query - Search query
+ * @param limit - Number of documents to return
+ * @param passagesPerDocument - Number of matching passages returned per document
+ * @returns {Promise<{documentId: string, title: string, score: number, passages: object[]}[]>} - Best documents first, each with its best passages
+ */
+const searchByMeaning = async (
+  documents,
+  query,
+  { limit = 10, passagesPerDocument = 3 } = {},
+) => {
+  const [queryVector] = await embedTexts([query]);
+
+  const results = [];
+  for (const { id, title, text } of documents) {
+    const index = await getDocumentIndex(text);
+    const passages = rankPassages(index, queryVector, passagesPerDocument);
+    if (passages.length && passages[0].score > 0) {
+      results.push({
+        documentId: id,
+        title,
+        score: passages[0].score,
+        passages,
+      });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+module.exports = {
+  splitPassages,
+  embedTexts,
+  getDocumentIndex,
+  rankPassages,
+  retrievePassages,
+  retrieveFromDocuments,
+  searchByMeaning,
+};
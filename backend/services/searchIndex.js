@@ -0,0 +1,502 @@
+const crypto = require("crypto");
+const {
+  fetchSearchIndex,
+  updateSearchIndex,
+  deleteSearchIndex,
+} = require("../redis/redisClient");
+require("dotenv").config();
+
+/**
+ * Full-text search over a user's documents.
+ *
+ * Every user has an inverted index that maps each term to the documents and
+ * fields (title, summary, text) it occurs in, with its token positions. The
+ * index is stored in Redis (or in memory), updated when documents are added,
+ * renamed or deleted, and rebuilt from Firestore when it is missing. Updates
+ * are applied with a WATCH/MULTI transaction, retried when another update
+ * gets in first, so that concurrent uploads do not overwrite each other.
+ * Changes made while there is no index leave an `outdated` marker in its
+ * place, so that a search building the index at the same time does not
+ * store it without them.
+ *
+ * Queries support:
+ *
+ *   solar panels          every term must match (close misspellings too)
+ *   "solar panels"        exact phrase
+ *   title:solar           term or phrase restricted to a field
+ *   summary:"net zero"    (title:, summary: or text:)
+ *
+ * Results are ranked with BM25, with title matches weighted above summary
+ * matches and summary matches above text matches.
+ */
+
+const FIELDS = ["title", "summary", "text"];
+const FIELD_WEIGHTS = { title: 3, summary: 2, text: 1 };
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Misspelled matches count for less than exact ones
+const FUZZY_WEIGHT = 0.5;
+
+const SNIPPET_LENGTH = 160;
+const INDEX_TTL = parseInt(process.env.SEARCH_INDEX_TTL, 10) || 30 * 24 * 3600; // 30 days
+
+/**
+ * Lowercase a word and strip its accents
+ * @param word - Word to normalize
+ * @returns {string} - Index term
+ */
+const normalizeTerm = (word) =>
+  word.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+/**
+ * Split text into terms, keeping their position and character offsets
+ * @param text - Text to tokenize
+ * @returns {{term: string, position: number, start: number, end: number}[]} - Tokens in order
+ */
+const tokenize = (text) =>
+  [...String(text || "").matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(
+    (match, position) => ({
+      term: normalizeTerm(match[0]),
+      position,
+      start: match.index,
+      end: match.index + match[0].length,
+    }),
+  );
+
+/**
+ * Get the searchable fields of a document
+ * @param doc - Document with title, summary and originalText
+ * @returns {{title: string, summary: string, text: string}} - Field values
+ */
+const documentFields = (doc) => ({
+  title: Array.isArray(doc.title) ? doc.title.join(" ") : doc.title || "",
+  summary: typeof doc.summary === "string" ? doc.summary : "",
+  text: typeof doc.originalText === "string" ? doc.originalText : "",
+});
+
+/**
+ * Create an empty index
+ * @returns {{docs: object, terms: Map}} - Index
+ */
+const createIndex = () => ({ docs: {}, terms: new Map() });
+
+/**
+ * Remove a document from an index
+ * @param index - Index to update
+ * @param docId - Document ID
+ * @returns {object} - The index
+ */
+const removeFromIndex = (index, docId) => {
+  if (!index.docs[docId]) return index;
+
+  for (const [term, postings] of index.terms) {
+    if (!postings[docId]) continue;
+    delete postings[docId];
+    if (Object.keys(postings).length === 0) index.terms.delete(term);
+  }
+  delete index.docs[docId];
+  return index;
+};
+
+/**
+ * Add a document to an index, replacing its previous entry
+ * @param index - Index to update
+ * @param doc - Document with id, title, summary and originalText
+ * @returns {object} - The index
+ */
+const addToIndex = (index, doc) => {
+  removeFromIndex(index, doc.id);
+
+  const fields = documentFields(doc);
+  const lengths = {};
+  for (const field of FIELDS) {
+    const tokens = tokenize(fields[field]);
+    lengths[field] = tokens.length;
+
+    for (const { term, position } of tokens) {
+      if (!index.terms.has(term)) index.terms.set(term, {});
+      const postings = index.terms.get(term);
+      postings[doc.id] = postings[doc.id] || {};
+      postings[doc.id][field] = postings[doc.id][field] || [];
+      postings[doc.id][field].push(position);
+    }
+  }
+
+  index.docs[doc.id] = { title: fields.title, lengths };
+  return index;
+};
+
+/**
+ * Build an index of several documents
+ * @param documents - Documents with id, title, summary and originalText
+ * @returns {object} - Index
+ */
+const buildIndex = (documents) =>
+  documents.reduce((index, doc) => addToIndex(index, doc), createIndex());
+
+/**
+ * Parse a query into clauses that must all match
+ * @param query - Search query
+ * @returns {{field: (string|null), terms: string[], phrase: boolean}[]} - Clauses
+ */
+const parseQuery = (query) => {
+  const clauses = [];
+  for (const [, prefix, quoted, word] of String(query || "").matchAll(
+    /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g,
+  )) {
+    const field = FIELDS.includes(prefix?.toLowerCase())
+      ? prefix.toLowerCase()
+      : null;
+    // An unknown prefix such as "note:" is searched as an ordinary word
+    const text =
+      prefix && !field ? `${prefix}:${quoted ?? word}` : (quoted ?? word);
+    const terms = tokenize(text).map(({ term }) => term);
+    if (terms.length === 0) continue;
+
+    clauses.push({
+      field,
+      terms,
+      phrase: quoted !== undefined || terms.length > 1,
+    });
+  }
+  return clauses;
+};
+
+/**
+ * Number of typos tolerated in a term, based on its length
+ * @param term - Query term
+ * @returns {number} - Maximum edit distance
+ */
+const maxEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * Levenshtein distance of two strings, giving up once it exceeds a maximum
+ * @param a - First string
+ * @param b - Second string
+ * @param max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Find the index terms a query term matches: itself and close misspellings
+ * @param index - Index to search
+ * @param term - Query term
+ * @returns {{term: string, weight: number}[]} - Matching index terms
+ */
+const expandTerm = (index, term) => {
+  const matches = index.terms.has(term) ? [{ term, weight: 1 }] : [];
+  const edits = maxEdits(term);
+  if (!edits) return matches;
+
+  for (const candidate of index.terms.keys()) {
+    if (
+      candidate !== term &&
+      Math.abs(candidate.length - term.length) <= edits &&
+      editDistance(term, candidate, edits) <= edits
+    ) {
+      matches.push({ term: candidate, weight: FUZZY_WEIGHT });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Count the occurrences of a phrase in one field of a document
+ * @param index - Index to search
+ * @param terms - Phrase terms in order
+ * @param docId - Document ID
+ * @param field - Field name
+ * @returns {number} - Number of occurrences
+ */
+const countPhrase = (index, terms, docId, field) => {
+  const positions = terms.map(
+    (term) => new Set(index.terms.get(term)[docId][field] || []),
+  );
+  let count = 0;
+  for (const start of positions[0]) {
+    if (positions.every((set, i) => set.has(start + i))) count++;
+  }
+  return count;
+};
+
+/**
+ * Search an index
+ * @param index - Index to search
+ * @param query - Search query
+ * @returns {{docId: string, score: number, terms: string[], fields: string[]}[]} - Matching documents, best first, with the index terms and fields that matched
+ */
+const searchIndex = (index, query) => {
+  const clauses = parseQuery(query);
+  const docIds = Object.keys(index.docs);
+  if (clauses.length === 0 || docIds.length === 0) return [];
+
+  const averageLengths = Object.fromEntries(
+    FIELDS.map((field) => [
+      field,
+      docIds.reduce((sum, id) => sum + index.docs[id].lengths[field], 0) /
+        docIds.length,
+    ]),
+  );
+  const idf = (term) => {
+    const df = Object.keys(index.terms.get(term)).length;
+    return Math.log(1 + (docIds.length - df + 0.5) / (df + 0.5));
+  };
+  const fieldScore = (docId, field, frequency) => {
+    const length = index.docs[docId].lengths[field];
+    const norm = 1 - B + (B * length) / (averageLengths[field] || 1);
+    return (
+      (FIELD_WEIGHTS[field] * frequency * (K1 + 1)) / (frequency + K1 * norm)
+    );
+  };
+
+  // Score every clause separately; a document has to match all of them
+  const matches = new Map();
+  clauses.forEach(({ field, terms, phrase }, clauseIndex) => {
+    const fields = field ? [field] : FIELDS;
+    const addMatch = (docId, score, matchedTerms, matchedField) => {
+      if (!matches.has(docId)) {
+        matches.set(docId, {
+          clauses: new Set(),
+          score: 0,
+          terms: new Set(),
+          fields: new Set(),
+        });
+      }
+      const match = matches.get(docId);
+      match.clauses.add(clauseIndex);
+      match.score += score;
+      matchedTerms.forEach((term) => match.terms.add(term));
+      match.fields.add(matchedField);
+    };
+
+    if (phrase) {
+      if (!terms.every((term) => index.terms.has(term))) return;
+      const weight = terms.reduce((sum, term) => sum + idf(term), 0);
+      for (const docId of Object.keys(index.terms.get(terms[0]))) {
+        if (!terms.every((term) => index.terms.get(term)[docId])) continue;
+        for (const name of fields) {
+          const count = countPhrase(index, terms, docId, name);
+          if (count) {
+            addMatch(
+              docId,
+              weight * fieldScore(docId, name, count),
+              terms,
+              name,
+            );
+          }
+        }
+      }
+      return;
+    }
+
+    for (const { term, weight } of expandTerm(index, terms[0])) {
+      const termIdf = idf(term);
+      for (const [docId, postings] of Object.entries(index.terms.get(term))) {
+        for (const name of fields) {
+          if (postings[name]) {
+            addMatch(
+              docId,
+              weight * termIdf * fieldScore(docId, name, postings[name].length),
+              [term],
+              name,
+            );
+          }
+        }
+      }
+    }
+  });
+
+  return [...matches]
+    .filter(([, match]) => match.clauses.size === clauses.length)
+    .map(([docId, match]) => ({
+      docId,
+      score: Math.round(match.score * 1000) / 1000,
+      terms: [...match.terms],
+      fields: FIELDS.filter((name) => match.fields.has(name)),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        index.docs[a.docId].title.localeCompare(index.docs[b.docId].title),
+    );
+};
+
+/**
+ * Find the character ranges of the given terms in a text
+ * @param text - Text to highlight
+ * @param terms - Index terms to highlight
+ * @returns {number[][]} - [start, end] ranges
+ */
+const highlight = (text, terms) => {
+  const wanted = new Set(terms);
+  return tokenize(text)
+    .filter(({ term }) => wanted.has(term))
+    .map(({ start, end }) => [start, end]);
+};
+
+/**
+ * Cut the part of a text with the most matches, for display in results
+ * @param text - Text to cut a snippet from
+ * @param terms - Index terms to highlight
+ * @param length - Approximate snippet length in characters
+ * @returns {{text: string, highlights: number[][]}} - Snippet and the [start, end] ranges of its matches
+ */
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  const source = String(text || "");
+  const ranges = highlight(source, terms);
+
+  // Start the window shortly before the densest cluster of matches
+  let start = 0;
+  let best = 0;
+  let next = 0;
+  ranges.forEach(([from], i) => {
+    while (next < ranges.length && ranges[next][1] <= from + length) next++;
+    if (next - i > best) {
+      best = next - i;
+      start = from;
+    }
+  });
+  if (start > 0) {
+    start = Math.max(0, start - Math.floor(length / 4));
+    const boundary = source.lastIndexOf(" ", start);
+    start = boundary > 0 && start - boundary < 20 ? boundary + 1 : start;
+  }
+  const end = Math.min(source.length, start + length);
+
+  const prefix = start > 0 ? "…" : "";
+  return {
+    text: `${prefix}${source.slice(start, end)}${end < source.length ? "…" : ""}`,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [
+        from - start + prefix.length,
+        to - start + prefix.length,
+      ]),
+  };
+};
+
+/**
+ * Turn a stored index back into an index
+ * @param data - Index as stored
+ * @returns {object} - Index
+ */
+const fromStored = (data) => ({ docs: data.docs, terms: new Map(data.terms) });
+
+/**
+ * Turn an index into a JSON-serializable value to store
+ * @param index - Index
+ * @returns {object} - Index as stored
+ */
+const toStored = (index) => ({ docs: index.docs, terms: [...index.terms] });
+
+/**
+ * Change the stored index of a user, if it has been built. Otherwise a new
+ * `outdated` marker is stored, for searches building the index.
+ * @param userId - User ID
+ * @param change - Updates the index in place
+ */
+const updateIndex = async (userId, change) => {
+  await updateSearchIndex(
+    userId,
+    (data) => {
+      if (!data?.docs) return { outdated: crypto.randomUUID() };
+      const index = fromStored(data);
+      change(index);
+      return toStored(index);
+    },
+    INDEX_TTL,
+  );
+};
+
+/**
+ * Add or update a document in its owner's index. Until the first search
+ * builds the index there is nothing to update.
+ * @param userId - User ID
+ * @param doc - Document with id, title, summary and originalText
+ */
+const indexDocument = async (userId, doc) => {
+  await updateIndex(userId, (index) => addToIndex(index, doc));
+};
+
+/**
+ * Remove a document from its owner's index
+ * @param userId - User ID
+ * @param docId - Document ID
+ */
+const removeIndexedDocument = async (userId, docId) => {
+  await updateIndex(userId, (index) => removeFromIndex(index, docId));
+};
+
+/**
+ * Drop the index of a user; the next search rebuilds it
+ * @param userId - User ID
+ */
+const clearSearchIndex = async (userId) => {
+  await deleteSearchIndex(userId);
+};
+
+/**
+ * Search the documents of a user, building the index on first use
+ * @param userId - User ID
+ * @param query - Search query
+ * @param loadDocuments - Loads all documents of the user, to build the index
+ * @param limit - Maximum number of results
+ * @returns {Promise<object[]>} - Results of searchIndex
+ */
+const searchUserDocuments = async (
+  userId,
+  query,
+  { loadDocuments, limit = 20 },
+) => {
+  const data = await fetchSearchIndex(userId);
+  if (data?.docs) return searchIndex(fromStored(data), query).slice(0, limit);
+
+  const index = buildIndex(await loadDocuments());
+  // Store the index only if no document changed while it was built (the
+  // marker is the one read before); otherwise the next search builds it again
+  await updateSearchIndex(
+    userId,
+    (current) =>
+      !current?.docs && current?.outdated === data?.outdated
+        ? toStored(index)
+        : undefined,
+    INDEX_TTL,
+  );
+  return searchIndex(index, query).slice(0, limit);
+};
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  buildIndex,
+  addToIndex,
+  removeFromIndex,
+  searchIndex,
+  highlight,
+  buildSnippet,
+  indexDocument,
+  removeIndexedDocument,
+  clearSearchIndex,
+  searchUserDocuments,
+};
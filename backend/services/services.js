@@ -1,13 +1,26 @@
+const crypto = require("crypto");
 const firebaseAdmin = require("firebase-admin");
 const fs = require("fs");
-const pdfParse = require("pdf-parse");
-const mammoth = require("mammoth");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const multer = require("multer");
+const { getProvider } = require("./llmProvider");
+const { chunkText, estimateTokens } = require("./textChunker");
+const { detectFormat, extractText } = require("./documentExtractor");
+const { retrievePassages, retrieveFromDocuments } = require("./retrieval");
+const { sendMail } = require("./mailer");
+const { TOPICS, publish } = require("./liveUpdates");
+const { MAX_TAG_LENGTH, normalizeTag } = require("./tags");
 const {
-  GoogleAIFileManager,
-  FileState,
-} = require("@google/generative-ai/server");
+  saveChatSession,
+  fetchChatSession,
+  fetchUserChatSessions,
+  deleteChatSession,
+  deleteUserRefreshTokens,
+  savePasswordReset,
+  fetchPasswordReset,
+  countPasswordResetAttempt,
+  countPasswordResetRequest,
+  deletePasswordReset,
+} = require("../redis/redisClient");
 require("dotenv").config();
 
 // Parse the private key (ensuring it's correctly formatted)
@@ -44,6 +57,200 @@ firebaseAdmin.initializeApp({
 // Firestore for storing user documents
 const firestore = firebaseAdmin.firestore();
 
+/**
+ * Check if the text is valid (non-empty string)
+ * @param text - Text to validate
+ * @returns {boolean} - Whether the text is valid
+ */
+const isValidText = (text) => {
+  return typeof text === "string" && text.trim().length > 0;
+};
+
+/**
+ * Build the system instruction shared by every AI task
+ * @param task - Description of what the AI should do
+ * @returns {string} - System instruction for the LLM provider
+ */
+const buildInstruction = (task) =>
+  `${process.env.AI_INSTRUCTIONS}. Your task now is to: ${task}`;
+
+/**
+ * Send a request to the active LLM provider. When `onToken` is given the
+ * answer is streamed and each piece is passed to it as it arrives.
+ * @param request - Provider request ({ systemInstruction, history, message, json })
+ * @param onToken - Optional callback receiving each generated piece of text
+ * @param signal - Optional AbortSignal that cancels the generation
+ * @returns {Promise<string>} - Full AI response text
+ */
+const generateText = async (request, { onToken, signal } = {}) => {
+  const provider = getProvider();
+  if (signal) signal.throwIfAborted();
+  if (!onToken || !provider.stream) return provider.generate(request);
+
+  let response = "";
+  for await (const token of provider.stream({ ...request, signal })) {
+    response += token;
+    onToken(token);
+  }
+  // Providers may end the stream quietly when aborted
+  if (signal) signal.throwIfAborted();
+  return response;
+};
+
+/**
+ * Run a single-turn AI task over the given text using the active LLM provider
+ * @param task - Description of what the AI should do
+ * @param text - Input text sent as the user message
+ * @param errorMessage - Error message thrown when the AI returns nothing
+ * @param options - Extra provider options (e.g. { json: true }), plus the
+ *   optional { onToken, signal } streaming options of generateText
+ * @returns {Promise<string>} - AI response text
+ */
+const runTask = async (task, text, errorMessage, options = {}) => {
+  const { onToken, signal, ...providerOptions } = options;
+  const response = await generateText(
+    {
+      systemInstruction: buildInstruction(task),
+      history: [],
+      message: text,
+      ...providerOptions,
+    },
+    { onToken, signal },
+  );
+
+  if (!isValidText(response)) {
+    throw new Error(errorMessage);
+  }
+
+  return response;
+};
+
+/**
+ * Run an async function over items with a bounded number of concurrent calls
+ * @param items - Items to process
+ * @param limit - Maximum number of concurrent calls
+ * @param fn - Async function called with (item, index)
+ * @returns {Promise<*[]>} - Results in the same order as the items
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+};
+
+/**
+ * Describe where a chunk comes from, e.g. `Part 2 of 5 (pages 3-4, "Results")`
+ * @param chunk - Chunk produced by chunkText
+ * @param total - Total number of chunks
+ * @returns {string} - Human readable label
+ */
+const describeChunk = (chunk, total) => {
+  const pages =
+    chunk.pageStart === chunk.pageEnd
+      ? `page ${chunk.pageStart}`
+      : `pages ${chunk.pageStart}-${chunk.pageEnd}`;
+  const section = chunk.heading ? `, "${chunk.heading}"` : "";
+  return `Part ${chunk.index + 1} of ${total} (${pages}${section})`;
+};
+
+/**
+ * Run a task over a document of any length (map-reduce).
+ * Documents within the SUMMARY_CHUNK_TOKENS budget are sent in one request.
+ * Longer ones are split by page/heading into chunks, each chunk is processed
+ * with `mapTask`, and the partial results are merged with `reduceTask`
+ * (in several rounds if the partial results are still over budget).
+ * @param text - Full document text
+ * @param task - Task used when the document fits in a single request
+ * @param mapTask - Task applied to each chunk
+ * @param reduceTask - Task that merges the partial results into the final answer
+ * @param errorMessage - Error message thrown when the AI returns nothing
+ * @param onProgress - Optional callback receiving { stage, completed, total }
+ * @param onToken - Optional callback streaming the final answer piece by piece
+ * @param signal - Optional AbortSignal that cancels the remaining requests
+ * @returns {Promise<string>} - AI response text
+ */
+const runChunkedTask = async (
+  text,
+  {
+    task,
+    mapTask,
+    reduceTask,
+    errorMessage,
+    onProgress = () => {},
+    onToken,
+    signal,
+  },
+) => {
+  const maxTokens = parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 6000;
+  const concurrency = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3;
+
+  if (estimateTokens(text) <= maxTokens) {
+    onProgress({ stage: "summarizing", completed: 0, total: 1 });
+    const response = await runTask(task, text, errorMessage, {
+      onToken,
+      signal,
+    });
+    onProgress({ stage: "done", completed: 1, total: 1 });
+    return response;
+  }
+
+  const chunks = chunkText(text, { maxTokens });
+  let completed = 0;
+  onProgress({ stage: "map", completed, total: chunks.length });
+
+  let partials = await mapWithConcurrency(
+    chunks,
+    concurrency,
+    async (chunk) => {
+      const partial = await runTask(
+        `${mapTask} This is ${describeChunk(chunk, chunks.length)} of a longer document.`,
+        chunk.text,
+        errorMessage,
+        { signal },
+      );
+      completed++;
+      onProgress({ stage: "map", completed, total: chunks.length });
+      return `${describeChunk(chunk, chunks.length)}:\n${partial}`;
+    },
+  );
+
+  // Merge groups of partial results until they fit into one final request
+  let round = 0;
+  while (estimateTokens(partials.join("\n\n")) > maxTokens) {
+    round++;
+    const groups = chunkText(partials.join("\n\n"), { maxTokens });
+    if (groups.length >= partials.length) break;
+    onProgress({ stage: "reduce", round, completed: 0, total: groups.length });
+    partials = await mapWithConcurrency(groups, concurrency, (group) =>
+      runTask(
+        "Merge the following partial results from consecutive parts of one long document into a single result, keeping every important point.",
+        group.text,
+        errorMessage,
+        { signal },
+      ),
+    );
+  }
+
+  onProgress({ stage: "reduce", round: round + 1, completed: 0, total: 1 });
+  const response = await runTask(
+    reduceTask,
+    partials.join("\n\n"),
+    errorMessage,
+    { onToken, signal },
+  );
+  onProgress({ stage: "done", completed: 1, total: 1 });
+  return response;
+};
+
 /**
  * Create a new user in Firebase Auth
  * @param email - User email
@@ -54,43 +261,95 @@ exports.createUser = async (email, password) => {
   return await firebaseAdmin.auth().createUser({ email, password });
 };
 
+/**
+ * Check an email/password pair against Firebase Auth. The Admin SDK cannot
+ * verify passwords, so this uses the Identity Toolkit REST API, or the Auth
+ * emulator when FIREBASE_AUTH_EMULATOR_HOST is set.
+ * @param email - User email
+ * @param password - User password
+ * @param http - HTTP client with an axios-compatible post() (defaults to axios)
+ * @returns {Promise<string>} - UID of the user
+ */
+const verifyPassword = async (email, password, http = require("axios")) => {
+  const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  const baseUrl = emulatorHost
+    ? `http://${emulatorHost}/identitytoolkit.googleapis.com`
+    : "https://identitytoolkit.googleapis.com";
+  const apiKey = process.env.FIREBASE_API_KEY || (emulatorHost && "emulator");
+
+  try {
+    const response = await http.post(
+      `${baseUrl}/v1/accounts:signInWithPassword?key=${apiKey}`,
+      { email, password, returnSecureToken: false },
+    );
+    return response.data.localId;
+  } catch (error) {
+    // Firebase answers 400 for unknown emails and wrong passwords alike
+    if (error.response && error.response.status === 400) {
+      throw new Error("Invalid email or password");
+    }
+    throw error;
+  }
+};
+
 /**
  * Login user and generate custom token
  * @param email - User email
+ * @param password - User password
+ * @param http - Optional HTTP client used to verify the password
  * @returns {Promise<string>} - Custom token for the user
  */
-exports.loginUser = async (email) => {
-  const user = await firebaseAdmin.auth().getUserByEmail(email);
-  return await firebaseAdmin.auth().createCustomToken(user.uid);
+exports.loginUser = async (email, password, http) => {
+  const uid = await verifyPassword(email, password, http);
+  return await firebaseAdmin.auth().createCustomToken(uid);
+};
+
+/**
+ * Detect the format of an uploaded document
+ * @param file - Uploaded file ({ buffer, originalname, mimetype })
+ * @returns {string|null} - "pdf", "docx", "txt", "markdown", "html", "rtf", or null if unsupported
+ */
+exports.detectDocumentFormat = (file) => detectFormat(file);
+
+/**
+ * Extract the text content of an uploaded document (PDF, DOCX, TXT, Markdown, HTML or RTF)
+ * @param file - Uploaded file ({ buffer, originalname, mimetype })
+ * @returns {Promise<{text: string, format: string}>} - Extracted text and detected format
+ */
+exports.extractDocumentText = async (file) => {
+  if (!file || !file.buffer) throw new Error("No file provided");
+  return await extractText(file);
 };
 
 // --- CURRENTLY UNUSED FUNCTIONS. APP IS USING HF TRANSFORMERS MODELS INSTEAD ---
 
 /**
  * Generate a summary from the provided text.
+ * Long documents are summarized chunk by chunk and the partial summaries merged.
  * @param {string} text - The text content of the document.
+ * @param {{onProgress?: Function, onToken?: Function, signal?: AbortSignal}} options - Optional progress and streaming callbacks
  * @returns {Promise<{summary: string, originalText: string}>} - Generated summary and original text.
  */
-exports.generateSummary = async (text) => {
+exports.generateSummary = async (
+  text,
+  { onProgress, onToken, signal } = {},
+) => {
   if (!text) throw new Error("No text provided");
 
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Summarize the provided document text in paragraphs (not bullet points).`,
+  const summary = await runChunkedTask(text, {
+    task: "Summarize the provided document text in paragraphs (not bullet points).",
+    mapTask:
+      "Summarize the provided text in paragraphs, capturing every important point.",
+    reduceTask:
+      "Combine the following partial summaries of one long document into a single coherent summary in paragraphs (not bullet points).",
+    errorMessage: "Failed to generate a summary from the AI",
+    onProgress,
+    onToken,
+    signal,
   });
 
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text }] }],
-  });
-  const result = await chatSession.sendMessage(text);
-
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to generate a summary from the AI");
-  }
-
   return {
-    summary: result.response.text(),
+    summary,
     originalText: text,
   };
 };
@@ -102,7 +361,6 @@ exports.generateSummary = async (text) => {
  * @returns {Promise<{summary: string}>} - Generated summary
  */
 exports.processAudio = async (file, context) => {
-  const fileBuffer = fs.readFileSync(file.filepath);
   const mimeType = file.mimetype;
 
   // Accept both "audio/wav", "audio/wave", and "audio/mp3" formats
@@ -112,74 +370,43 @@ exports.processAudio = async (file, context) => {
     );
   }
 
-  const fileManager = new GoogleAIFileManager(process.env.GOOGLE_AI_API_KEY);
-
-  // Upload file to Gemini
-  const uploadResult = await fileManager.uploadFile(file.filepath, {
-    mimeType: mimeType,
-    displayName: "User Uploaded Audio",
-  });
-
-  let uploadedFile = await fileManager.getFile(uploadResult.file.name);
-  while (uploadedFile.state === FileState.PROCESSING) {
-    await new Promise((resolve) => setTimeout(resolve, 10000)); // Wait for 10 seconds before re-checking the state
-    uploadedFile = await fileManager.getFile(uploadResult.file.name);
-  }
-
-  if (uploadedFile.state === FileState.FAILED) {
-    throw new Error("Audio processing failed.");
-  }
-
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
   // Generate transcription or summary with context if provided
-  const prompt = [
-    {
-      fileData: {
-        fileUri: uploadedFile.uri,
-        mimeType: mimeType,
-      },
-    },
-    {
-      text: `${process.env.AI_INSTRUCTIONS}. Please respond conversationally to the user and do what the user asks you 
+  const summary = await getProvider().generateFromFile({
+    filePath: file.filepath,
+    mimeType: mimeType,
+    message: `${process.env.AI_INSTRUCTIONS}. Please respond conversationally to the user and do what the user asks you 
       to do. If the user asks a question, provide a detailed answer.${
         context
           ? " Here is some additional context about the document being referred to by the user. Answer based on this document: " +
             context
           : ""
       }.`,
-    },
-  ];
-
-  const result = await model.generateContent(prompt);
+  });
 
-  if (!result.response || !result.response.text) {
+  if (!isValidText(summary)) {
     throw new Error("Failed to generate a summary from the AI");
   }
 
   return {
-    summary: result.response.text(),
+    summary,
   };
 };
 
 /**
  * Process a text document and generate key ideas
  * @param documentText - Text content of the document
+ * @param options - Optional { onProgress } callback for long documents
  * @returns {Promise<string>} - Generated key ideas
  */
-exports.generateKeyIdeas = async (documentText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Generate key ideas from the provided text.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
+exports.generateKeyIdeas = async (documentText, { onProgress } = {}) => {
+  return runChunkedTask(documentText, {
+    task: "Generate key ideas from the provided text.",
+    mapTask: "List the key ideas of the provided text.",
+    reduceTask:
+      "Merge the following key ideas extracted from the parts of one long document into a single, de-duplicated list of the document's key ideas.",
+    errorMessage: "Failed to generate key ideas from the AI",
+    onProgress,
   });
-  const result = await chatSession.sendMessage(documentText);
-  return result.response.text();
 };
 
 /**
@@ -188,122 +415,360 @@ exports.generateKeyIdeas = async (documentText) => {
  * @returns {Promise<string>} - Generated discussion points
  */
 exports.generateDiscussionPoints = async (documentText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Generate discussion points from the provided text.`,
-  });
+  return runTask(
+    "Generate discussion points from the provided text.",
+    documentText,
+    "Failed to generate discussion points from the AI",
+  );
+};
 
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
-  });
-  const result = await chatSession.sendMessage(documentText);
-  return result.response.text();
+/**
+ * Summarize a list of chat messages into the session's running summary
+ * @param previousSummary - Existing summary of even older turns (may be empty)
+ * @param messages - Messages being folded into the summary
+ * @returns {Promise<string>} - Updated summary
+ */
+const summarizeChatTurns = async (previousSummary, messages) => {
+  const transcript = messages
+    .map(
+      (turn) => `${turn.role === "model" ? "Assistant" : "User"}: ${turn.text}`,
+    )
+    .join("\n");
+
+  return runTask(
+    "Condense the earlier part of a conversation between a user and an AI assistant about a document into a short summary. Keep facts, answers, decisions and open questions the conversation may refer back to.",
+    `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ""}New turns:\n${transcript}`,
+    "Failed to summarize the conversation history",
+  );
 };
 
-// In-memory store for conversation history per session
-let sessionHistory = {};
+/**
+ * Format retrieved passages as numbered sources for the prompt
+ * @param passages - Passages from retrievePassages or retrieveFromDocuments
+ * @returns {string} - Numbered passages with their location (and document title)
+ */
+const formatPassages = (passages) =>
+  passages
+    .map((passage, i) => {
+      const source = passage.documentId ? `"${passage.title}", ` : "";
+      return `[${i + 1}] (${source}page ${passage.page}, paragraph ${passage.paragraph})\n${passage.text}`;
+    })
+    .join("\n\n");
 
 /**
- * Check if the text is valid (non-empty string)
- * @param text - Text to validate
- * @returns {boolean} - Whether the text is valid
+ * Collect the passages an answer cites with [n] markers, in citation order
+ * @param response - AI response
+ * @param passages - Passages that were numbered in the prompt
+ * @returns {{id: number, page: number, paragraph: number, start: number, end: number, heading: (string|null), text: string}[]} - Cited passages, with `documentId` and `title` for passages from a library chat
  */
-const isValidText = (text) => {
-  return typeof text === "string" && text.trim().length > 0;
+const extractCitations = (response, passages) => {
+  const ids = [];
+  for (const [, group] of response.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const id of group.split(",").map(Number)) {
+      if (id >= 1 && id <= passages.length && !ids.includes(id)) ids.push(id);
+    }
+  }
+
+  return ids.map((id) => {
+    const { page, paragraph, start, end, heading, text, documentId, title } =
+      passages[id - 1];
+    const citation = { id, page, paragraph, start, end, heading, text };
+    return documentId ? { ...citation, documentId, title } : citation;
+  });
 };
 
 /**
- * Chat with the AI using the provided message
+ * Chat with the AI using the provided message.
+ * Instead of sending the whole document, the passages most relevant to the
+ * message are retrieved and the AI is asked to cite them as [n]. When
+ * `documents` are given, passages are retrieved across all of them and the
+ * AI attributes each part of the answer to its source document title.
+ * The session is persisted in Redis (with a TTL); once it holds more than
+ * CHAT_HISTORY_WINDOW messages the oldest turns are folded into a summary.
  * @param sessionId - Unique session ID for the conversation
  * @param message - User message to send to the AI
  * @param originalText - Original text for the conversation
- * @returns {Promise<string>} - AI response message
+ * @param options - Optional { userId } owning the session, { documents } ({ id, title, text }) to chat across instead of originalText, and { onToken, signal } to stream the answer
+ * @returns {Promise<{response: string, citations: object[]}>} - AI response message and the passages it cites
  */
-exports.chatWithAI = async (sessionId, message, originalText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Use the provided context and respond to the user’s message conversationally.`,
-  });
-
-  // Initialize the conversation history if not present
-  if (!sessionHistory[sessionId]) {
-    sessionHistory[sessionId] = [];
-  }
-
-  // Retrieve the conversation history for this session
-  let history = sessionHistory[sessionId];
-
-  // Ensure the originalText is valid for the first message
-  if (history.length === 0 && isValidText(originalText)) {
-    // Add the original context as the first message from the user
-    history.push({ role: "user", parts: [{ text: originalText }] });
-  }
-
+exports.chatWithAI = async (
+  sessionId,
+  message,
+  originalText,
+  { userId, documents, onToken, signal } = {},
+) => {
   // Ensure the user message is valid
   if (!isValidText(message)) {
     throw new Error("User message must be a non-empty string.");
   }
 
-  // Add the user message to history
-  history.push({ role: "user", parts: [{ text: message }] });
+  const now = new Date().toISOString();
+
+  // Retrieve the session, or start a new one
+  const session = (await fetchChatSession(sessionId)) || {
+    id: sessionId,
+    userId: userId || null,
+    title: message.trim().slice(0, 80),
+    context: !documents && isValidText(originalText) ? originalText : "",
+    ...(documents && { documentIds: documents.map(({ id }) => id) }),
+    summary: "",
+    messages: [],
+    createdAt: now,
+  };
+  if (!session.userId && userId) session.userId = userId;
+
+  // The summary of older turns comes first, then the recent turns
+  const history = [
+    ...(session.summary
+      ? [
+          {
+            role: "user",
+            text: `Summary of our earlier conversation: ${session.summary}`,
+          },
+        ]
+      : []),
+    ...session.messages.map(({ role, text }) => ({ role, text })),
+  ];
 
+  let response;
+  let passages = [];
   try {
-    // Start AI chat session using the accumulated history
-    const chatSession = model.startChat({
-      history: history, // Pass the conversation history
-    });
+    // Ground the answer in the parts of the document(s) that match the message
+    if (documents) {
+      passages = await retrieveFromDocuments(documents, message);
+    } else if (session.context) {
+      passages = await retrievePassages(session.context, message);
+    }
 
-    const result = await chatSession.sendMessage(message);
+    let instruction = "Respond to the user’s message conversationally.";
+    let prompt = message;
+    if (passages.length && documents) {
+      instruction =
+        "Respond to the user’s message conversationally, using the numbered passages from their documents. Each passage is labelled with the title of the document it comes from. Say which document each part of your answer comes from by its title, and cite the passages you rely on by their number in square brackets, e.g. [1] or [2][3]. If the passages do not contain the answer, say so.";
+      prompt = `Passages from the documents:\n\n${formatPassages(passages)}\n\nMessage: ${message}`;
+    } else if (passages.length) {
+      instruction =
+        "Respond to the user’s message conversationally, using the numbered passages from their document. Cite the passages you rely on by their number in square brackets, e.g. [1] or [2][3]. If the passages do not contain the answer, say so.";
+      prompt = `Passages from the document:\n\n${formatPassages(passages)}\n\nMessage: ${message}`;
+    }
+
+    response = await generateText(
+      {
+        systemInstruction: buildInstruction(instruction),
+        history,
+        message: prompt,
+      },
+      { onToken, signal },
+    );
 
     // Ensure that the response contains valid text
-    if (!result.response || !result.response.text) {
+    if (!isValidText(response)) {
       throw new Error("Failed to get response from the AI.");
     }
-
-    // Add the AI's response to the conversation history
-    history.push({ role: "model", parts: [{ text: result.response.text() }] });
-
-    // Update the session history with the new conversation context
-    sessionHistory[sessionId] = history;
-
-    // Return the AI's response
-    return result.response.text();
   } catch (error) {
     // Handle potential errors
     throw new Error("Failed to get AI response: " + error.message);
   }
+
+  const citations = extractCitations(response, passages);
+
+  // Add the exchange to the conversation history
+  const turn = [
+    { role: "user", text: message, createdAt: now },
+    {
+      role: "model",
+      text: response,
+      citations,
+      createdAt: new Date().toISOString(),
+    },
+  ];
+  session.messages.push(...turn);
+
+  // Fold the oldest turns into the summary once the window is exceeded
+  const windowSize = parseInt(process.env.CHAT_HISTORY_WINDOW, 10) || 20;
+  if (session.messages.length > windowSize) {
+    const older = session.messages.slice(
+      0,
+      session.messages.length - Math.ceil(windowSize / 2),
+    );
+    try {
+      session.summary = await summarizeChatTurns(session.summary, older);
+      session.messages = session.messages.slice(older.length);
+    } catch (error) {
+      // Keep the full history and try again on the next message
+      console.error("Failed to summarize chat history:", error.message);
+    }
+  }
+
+  session.updatedAt = new Date().toISOString();
+  await saveChatSession(session);
+
+  // Tell live subscribers (GraphQL chatMessageAdded) about the new turn
+  turn.forEach((chatMessage) =>
+    publish(TOPICS.chatMessages(sessionId), {
+      ...chatMessage,
+      sessionId,
+      userId: session.userId,
+    }),
+  );
+
+  // Return the AI's response with the passages it cites
+  return { response, citations };
+};
+
+/**
+ * List the chat sessions of a user, most recently active first
+ * @param userId - User ID
+ * @returns {Promise<{id, title, createdAt, updatedAt, messageCount}[]>} - Session metadata
+ */
+exports.listChatSessions = async (userId) => {
+  const sessions = await fetchUserChatSessions(userId);
+
+  return sessions
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+    .map(({ id, title, createdAt, updatedAt, messages }) => ({
+      id,
+      title,
+      createdAt,
+      updatedAt,
+      messageCount: messages.length,
+    }));
+};
+
+/**
+ * Get a chat session with its summary and recent messages
+ * @param sessionId - Unique session ID for the conversation
+ * @returns {Promise<object|null>} - Chat session, or null if it does not exist
+ */
+exports.getChatSession = async (sessionId) => {
+  return fetchChatSession(sessionId);
 };
 
 /**
  * Clear the conversation history for a given session
  * @param sessionId - Unique session ID for the conversation
+ * @param userId - Optional owner of the session
  */
-exports.clearSessionHistory = (sessionId) => {
-  delete sessionHistory[sessionId];
+exports.clearSessionHistory = async (sessionId, userId) => {
+  await deleteChatSession(sessionId, userId);
+};
+
+const RESET_CODE_MAX_ATTEMPTS = 5;
+// Reset codes sent to an email address per window
+const RESET_REQUEST_LIMIT = 3;
+const RESET_REQUEST_WINDOW = 60 * 60; // 1 hour
+
+/**
+ * Hash a password reset code so the code itself is never stored
+ * @param code - Reset code
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashResetCode = (code) =>
+  crypto.createHash("sha256").update(String(code)).digest("hex");
+
+/**
+ * Start a password reset: email a one-time code to the user. Does nothing
+ * (without failing) for unknown emails, so callers cannot probe for accounts,
+ * or once RESET_REQUEST_LIMIT codes were sent to the address within the hour.
+ * @param email - User email
+ * @returns {Promise<void>}
+ */
+exports.requestPasswordReset = async (email) => {
+  let user;
+  try {
+    user = await firebaseAdmin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return;
+    throw error;
+  }
+
+  const key = email.toLowerCase();
+  const requests = await countPasswordResetRequest(key, RESET_REQUEST_WINDOW);
+  if (requests > RESET_REQUEST_LIMIT) return;
+
+  const ttl = parseInt(process.env.PASSWORD_RESET_TTL, 10) || 15 * 60;
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  await savePasswordReset(
+    key,
+    {
+      uid: user.uid,
+      codeHash: hashResetCode(code),
+      expiresAt: Date.now() + ttl * 1000,
+    },
+    ttl,
+  );
+
+  await sendMail({
+    to: email,
+    subject: "Your DocuThinker password reset code",
+    text:
+      `Your password reset code is ${code}. It expires in ${Math.round(ttl / 60)} minutes.\n\n` +
+      "If you did not request a password reset, you can ignore this email.",
+  });
 };
 
 /**
- * Verify user email and update the password
+ * Finish a password reset: check the emailed code and set the new password.
+ * Codes are single-use and invalidated after too many wrong attempts. All
+ * refresh tokens of the user are revoked.
  * @param email - User email
+ * @param code - Reset code from the email
  * @param newPassword - New password for the user
  * @returns {Promise<{message: string}>} - Success message
  */
-exports.verifyUserAndUpdatePassword = async (email, newPassword) => {
-  try {
-    // Check if the user exists in Firebase
-    const user = await firebaseAdmin.auth().getUserByEmail(email);
+exports.resetPassword = async (email, code, newPassword) => {
+  const key = email.toLowerCase();
+  const reset = await fetchPasswordReset(key);
+  if (!reset) throw new Error("Invalid or expired reset code");
+
+  // Count the attempt before checking the code, so that concurrent requests
+  // cannot try more codes than allowed
+  const ttl = Math.ceil((reset.expiresAt - Date.now()) / 1000);
+  const attempts = await countPasswordResetAttempt(key, Math.max(ttl, 1));
+  if (ttl <= 0 || attempts > RESET_CODE_MAX_ATTEMPTS) {
+    await deletePasswordReset(key);
+    throw new Error("Invalid or expired reset code");
+  }
 
-    // If user exists, update their password
-    await firebaseAdmin.auth().updateUser(user.uid, {
-      password: newPassword,
-    });
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashResetCode(code)),
+    Buffer.from(reset.codeHash),
+  );
 
-    return { message: "Password updated successfully." };
-  } catch (error) {
-    throw new Error("Failed to update password. " + error.message);
+  if (!matches) {
+    if (attempts >= RESET_CODE_MAX_ATTEMPTS) await deletePasswordReset(key);
+    throw new Error("Invalid or expired reset code");
   }
+
+  // Keep the code if the password cannot be changed, so it can be retried
+  await firebaseAdmin.auth().updateUser(reset.uid, { password: newPassword });
+  await deletePasswordReset(key);
+  await deleteUserRefreshTokens(reset.uid);
+
+  return { message: "Password updated successfully." };
+};
+
+/**
+ * Email an invitation to join a workspace, with the token needed to accept it
+ * @param email - Invited email
+ * @param workspaceName - Name of the workspace
+ * @param role - Role the user is invited with
+ * @param token - Invitation token
+ * @returns {Promise<void>}
+ */
+exports.sendWorkspaceInvitation = async (
+  email,
+  { workspaceName, role, token },
+) => {
+  await sendMail({
+    to: email,
+    subject: `You are invited to the "${workspaceName}" workspace on DocuThinker`,
+    text:
+      `You have been invited to join the "${workspaceName}" workspace on DocuThinker as ${role === "admin" ? "an admin" : "a member"}.\n\n` +
+      `To join, sign in to DocuThinker, open your profile and enter this invitation code:\n\n${token}\n\n` +
+      "The code can only be used once. If you were not expecting this invitation, you can ignore this email.",
+  });
 };
 
 /**
@@ -326,25 +791,15 @@ exports.verifyUserEmail = async (email) => {
  * @returns {Promise<{sentimentScore, description}>} - Sentiment analysis result
  */
 exports.analyzeSentiment = async (documentText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Analyze the sentiment of the provided text. Return the result as a JSON object with two properties: "score" between -1 (very negative) to +1 (very positive) and "description" as a brief summary of the sentiment.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
-  });
-  const result = await chatSession.sendMessage(documentText);
-
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to perform sentiment analysis from the AI");
-  }
+  let responseText = await runTask(
+    'Analyze the sentiment of the provided text. Return the result as a JSON object with two properties: "score" between -1 (very negative) to +1 (very positive) and "description" as a brief summary of the sentiment.',
+    documentText,
+    "Failed to perform sentiment analysis from the AI",
+    { json: true },
+  );
 
   // Extract and parse the response text into JSON format
   try {
-    let responseText = result.response.text();
-
     // Strip the ```json and ``` markers if they exist
     responseText = responseText.replace(/```json|```/g, "").trim();
 
@@ -364,75 +819,63 @@ exports.analyzeSentiment = async (documentText) => {
 /**
  * Generate bullet point summary from the document text
  * @param documentText - Text content of the document
+ * @param options - Optional { onProgress } callback for long documents and { onToken, signal } to stream the answer
  * @returns {Promise<string>} - Generated bullet point summary
  */
-exports.generateBulletSummary = async (documentText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Summarize the provided document text in bullet points.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
+exports.generateBulletSummary = async (
+  documentText,
+  { onProgress, onToken, signal } = {},
+) => {
+  return runChunkedTask(documentText, {
+    task: "Summarize the provided document text in bullet points.",
+    mapTask: "Summarize the provided text in bullet points.",
+    reduceTask:
+      "Combine the following bullet point summaries of the parts of one long document into a single, de-duplicated bullet point summary.",
+    errorMessage: "Failed to generate bullet point summary from the AI",
+    onProgress,
+    onToken,
+    signal,
   });
-  const result = await chatSession.sendMessage(documentText);
-
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to generate bullet point summary from the AI");
-  }
-
-  return result.response.text();
 };
 
 /**
  * Generate a summary in a specific language
  * @param documentText - Text content of the document
  * @param language - Target language for the summary
+ * @param options - Optional { onToken, signal } to stream the answer
  * @returns {Promise<string>} - Generated summary in the specified language
  */
-exports.generateSummaryInLanguage = async (documentText, language) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Summarize the given text in ${language}.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
-  });
-  const result = await chatSession.sendMessage(documentText);
-
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to generate translated summary from the AI");
-  }
-
-  return result.response.text();
+exports.generateSummaryInLanguage = async (
+  documentText,
+  language,
+  { onToken, signal } = {},
+) => {
+  return runTask(
+    `Summarize the given text in ${language}.`,
+    documentText,
+    "Failed to generate translated summary from the AI",
+    { onToken, signal },
+  );
 };
 
 /**
  * Rewrite content in a specific style
  * @param documentText - Text content to rewrite
  * @param style - Target style for rewriting the content
+ * @param options - Optional { onToken, signal } to stream the answer
  * @returns {Promise<string>} - Rewritten content in the specified style
  */
-exports.rewriteContent = async (documentText, style) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Rephrase or rewrite the provided text in a ${style} style.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
-  });
-  const result = await chatSession.sendMessage(documentText);
-
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to rewrite content using the AI");
-  }
-
-  return result.response.text();
+exports.rewriteContent = async (
+  documentText,
+  style,
+  { onToken, signal } = {},
+) => {
+  return runTask(
+    `Rephrase or rewrite the provided text in a ${style} style.`,
+    documentText,
+    "Failed to rewrite content using the AI",
+    { onToken, signal },
+  );
 };
 
 /**
@@ -441,57 +884,69 @@ exports.rewriteContent = async (documentText, style) => {
  * @returns {Promise<string>} - Generated actionable recommendations
  */
 exports.generateActionableRecommendations = async (documentText) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Generate actionable recommendations or next steps based on the provided text. Focus on identifying follow-up actions, decisions to be made, or critical takeaways.`,
-  });
-
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: documentText }] }],
-  });
-  const result = await chatSession.sendMessage(documentText);
-
-  if (!result.response || !result.response.text) {
-    throw new Error(
-      "Failed to generate actionable recommendations using the AI",
-    );
-  }
-
-  return result.response.text();
+  return runTask(
+    "Generate actionable recommendations or next steps based on the provided text. Focus on identifying follow-up actions, decisions to be made, or critical takeaways.",
+    documentText,
+    "Failed to generate actionable recommendations using the AI",
+  );
 };
 
 /**
  * Refine the summary based on the user's instructions
  * @param summary - Original summary to refine
  * @param refinementInstructions - Instructions for refining the summary
+ * @param options - Optional { onToken, signal } to stream the answer
  * @returns {Promise<string>} - Refined summary based on the instructions
  */
-exports.refineSummary = async (summary, refinementInstructions) => {
-  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    systemInstruction: `${process.env.AI_INSTRUCTIONS}. Your task now is to: Refine the provided summary based on the user's instructions.`,
-  });
-
+exports.refineSummary = async (
+  summary,
+  refinementInstructions,
+  { onToken, signal } = {},
+) => {
   // Combine the user input into a single prompt
   const refinementPrompt = `
     Summary: ${summary}
     Refinement Instructions: ${refinementInstructions}
     Please refine the summary as per the instructions.`;
 
-  const chatSession = model.startChat({
-    history: [{ role: "user", parts: [{ text: refinementPrompt }] }],
-  });
-
-  const result = await chatSession.sendMessage(refinementPrompt);
+  return runTask(
+    "Refine the provided summary based on the user's instructions.",
+    refinementPrompt,
+    "Failed to refine the summary using the AI",
+    { onToken, signal },
+  );
+};
 
-  if (!result.response || !result.response.text) {
-    throw new Error("Failed to refine the summary using the AI");
+/**
+ * Suggest tags for a document from its key ideas
+ * @param keyIdeas - Key ideas of the document, as returned by generateKeyIdeas
+ * @param limit - Maximum number of tags
+ * @returns {Promise<string[]>} - Normalized tags, most relevant first
+ */
+exports.suggestTags = async (keyIdeas, limit = 5) => {
+  const responseText = await runTask(
+    `Suggest up to ${limit} short topic tags (one to three words each) that describe the document whose key ideas are provided, most relevant first. Return the result as a JSON array of strings.`,
+    keyIdeas,
+    "Failed to suggest tags using the AI",
+    { json: true },
+  );
+
+  let tags;
+  try {
+    tags = JSON.parse(responseText.replace(/```json|```/g, "").trim());
+  } catch (error) {
+    throw new Error("Failed to parse tag suggestions");
+  }
+  if (!Array.isArray(tags)) {
+    throw new Error("Failed to parse tag suggestions");
   }
 
-  return result.response.text();
+  const normalized = tags
+    .filter((tag) => typeof tag === "string")
+    .map(normalizeTag)
+    .filter((tag) => tag && tag.length <= MAX_TAG_LENGTH);
+  return [...new Set(normalized)].slice(0, limit);
 };
 
 // Export endpoints to be used in server routes
-module.exports = { firestore, isValidText, sessionHistory, ...exports };
+module.exports = { firestore, isValidText, ...exports };
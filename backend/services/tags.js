@@ -0,0 +1,43 @@
+/**
+ * Document tags are free-form labels. They are stored lowercased, without a
+ * leading "#" and with runs of whitespace collapsed, so "#Climate  Policy"
+ * and "climate policy" are the same tag.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize one tag
+ * @param tag - Tag as entered
+ * @returns {string} - Normalized tag, empty if nothing is left
+ */
+const normalizeTag = (tag) =>
+  String(tag)
+    .trim()
+    .replace(/^#+/, "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+/**
+ * Normalize and de-duplicate a list of tags, dropping empty ones
+ * @param tags - Tags as entered
+ * @returns {string[]|null} - Normalized tags in their original order, or null if tags is not an array of strings, has more than MAX_TAGS tags or one is longer than MAX_TAG_LENGTH
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    return null;
+  }
+
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (
+    normalized.length > MAX_TAGS ||
+    normalized.some((tag) => tag.length > MAX_TAG_LENGTH)
+  ) {
+    return null;
+  }
+  return normalized;
+};
+
+module.exports = { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag, normalizeTags };
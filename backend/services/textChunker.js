@@ -0,0 +1,205 @@
+/**
+ * Split document text into chunks that fit a token budget.
+ *
+ * Pages (form feed characters, as emitted by the PDF extractor) and headings
+ * are used as natural boundaries; paragraphs are packed together until the
+ * budget is reached, and paragraphs that are too large on their own are split
+ * by sentence. Every chunk keeps the character offsets it was cut from so
+ * callers can point back into the original text.
+ */
+
+// Rough heuristic: ~4 characters per token for English prose
+const CHARS_PER_TOKEN = 4;
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown: "## Results"
+  /^(chapter|section|part|appendix)\s+[\w.]+/i, // "Chapter 3", "Section 2.1"
+  /^\d+(\.\d+)*\.?\s+[A-Z]/, // Numbered: "2.1 Results"
+  /^[A-Z][A-Z0-9 ,:&'()/-]{2,80}$/, // ALL CAPS line: "INTRODUCTION"
+];
+
+/**
+ * Estimate the number of tokens in a text
+ * @param text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+const estimateTokens = (text) =>
+  Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+
+/**
+ * Check whether a (trimmed) line looks like a heading
+ * @param line - Trimmed line of text
+ * @returns {boolean} - Whether the line is a heading
+ */
+const isHeading = (line) =>
+  line.length <= 100 && HEADING_PATTERNS.some((pattern) => pattern.test(line));
+
+/**
+ * Break the text into paragraph and heading units with their offsets and page
+ * @param text - Full document text
+ * @returns {{start: number, end: number, page: number, heading: boolean}[]} - Text units
+ */
+const findUnits = (text) => {
+  const units = [];
+  let current = null;
+  let page = 1;
+  let pos = 0;
+
+  const close = () => {
+    if (current) units.push(current);
+    current = null;
+  };
+
+  while (pos <= text.length) {
+    let end = pos;
+    while (end < text.length && text[end] !== "\n" && text[end] !== "\f") {
+      end++;
+    }
+
+    const line = text.slice(pos, end);
+    const trimmed = line.trim();
+    const start = pos + (line.length - line.trimStart().length);
+    const lineEnd = pos + line.trimEnd().length;
+
+    if (!trimmed) {
+      close();
+    } else if (isHeading(trimmed)) {
+      close();
+      units.push({ start, end: lineEnd, page, heading: true });
+    } else if (current) {
+      current.end = lineEnd;
+    } else {
+      current = { start, end: lineEnd, page, heading: false };
+    }
+
+    if (text[end] === "\f") {
+      close();
+      page++;
+    }
+    if (end >= text.length) break;
+    pos = end + 1;
+  }
+  close();
+
+  return units;
+};
+
+/**
+ * Split a span that exceeds the budget on sentence boundaries, falling back to
+ * whitespace (or hard) cuts for sentences that are still too long
+ * @param text - Full document text
+ * @param start - Span start offset
+ * @param end - Span end offset
+ * @param maxChars - Maximum characters per piece
+ * @returns {{start: number, end: number}[]} - Sub-spans
+ */
+const splitSpan = (text, start, end, maxChars) => {
+  const sentences = [];
+  const sentencePattern = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+  const span = text.slice(start, end);
+  let match;
+  while ((match = sentencePattern.exec(span)) !== null && match[0]) {
+    let from = start + match.index;
+    const to = from + match[0].length;
+    // Hard-split sentences that are longer than the budget on their own
+    while (to - from > maxChars) {
+      const window = text.slice(from, from + maxChars);
+      const cut = window.lastIndexOf(" ");
+      const size = cut > maxChars / 2 ? cut + 1 : maxChars;
+      sentences.push({ start: from, end: from + size });
+      from += size;
+    }
+    sentences.push({ start: from, end: to });
+  }
+
+  const pieces = [];
+  for (const sentence of sentences) {
+    const last = pieces[pieces.length - 1];
+    if (last && sentence.end - last.start <= maxChars) {
+      last.end = sentence.end;
+    } else {
+      pieces.push({ ...sentence });
+    }
+  }
+
+  return pieces
+    .map((piece) => {
+      const raw = text.slice(piece.start, piece.end);
+      return {
+        start: piece.start + (raw.length - raw.trimStart().length),
+        end: piece.start + raw.trimEnd().length,
+      };
+    })
+    .filter((piece) => piece.end > piece.start);
+};
+
+/**
+ * Split text into chunks that each fit within the token budget
+ * @param text - Full document text
+ * @param maxTokens - Token budget per chunk
+ * @returns {{index: number, text: string, start: number, end: number, pageStart: number, pageEnd: number, heading: (string|null), tokens: number}[]} - Chunks in document order
+ */
+const chunkText = (text, { maxTokens = 6000 } = {}) => {
+  const source = String(text || "");
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const groups = [];
+  let current = [];
+  let section = null;
+
+  // Paragraphs larger than the budget are broken up by sentence first
+  const units = findUnits(source).flatMap((unit) =>
+    unit.end - unit.start > maxChars
+      ? splitSpan(source, unit.start, unit.end, maxChars).map((piece) => ({
+          ...piece,
+          page: unit.page,
+          heading: false,
+        }))
+      : [unit],
+  );
+
+  for (const unit of units) {
+    if (unit.heading) section = source.slice(unit.start, unit.end).trim();
+    unit.section = section;
+
+    const start = current.length ? current[0].start : unit.start;
+    const last = current[current.length - 1];
+    const overBudget = last && unit.end - start > maxChars;
+    // Start a new chunk at a heading once the current one is reasonably full,
+    // so sections stay together
+    const sectionBreak =
+      last && unit.heading && last.end - start >= maxChars / 2;
+
+    if (overBudget || sectionBreak) {
+      // Carry a trailing heading over so it stays with its section
+      const carry =
+        overBudget &&
+        last.heading &&
+        current.length > 1 &&
+        unit.end - last.start <= maxChars
+          ? [current.pop()]
+          : [];
+      groups.push(current);
+      current = carry;
+    }
+    current.push(unit);
+  }
+  if (current.length) groups.push(current);
+
+  return groups.map((group, index) => {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const chunk = source.slice(first.start, last.end);
+    return {
+      index,
+      text: chunk,
+      start: first.start,
+      end: last.end,
+      pageStart: first.page,
+      pageEnd: last.page,
+      heading: first.section,
+      tokens: estimateTokens(chunk),
+    };
+  });
+};
+
+module.exports = { estimateTokens, isHeading, chunkText };
@@ -0,0 +1,141 @@
+/**
+ * Word-level text diff.
+ *
+ * Texts are split into words, whitespace and punctuation, and compared with
+ * Myers' algorithm, which finds the smallest set of insertions and deletions
+ * turning one text into the other. Texts that differ in more than
+ * MAX_EDIT_DISTANCE tokens are reported as replaced as a whole, which keeps
+ * the memory used by the comparison bounded.
+ */
+
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into word, whitespace and punctuation tokens
+ * @param text - Text to split
+ * @returns {string[]} - Tokens; joined they give back the text
+ */
+const tokenize = (text) =>
+  String(text ?? "").match(/\s+|[\p{L}\p{N}_'’-]+|[^\s\p{L}\p{N}]/gu) || [];
+
+/**
+ * Shortest edit script between two token lists (Myers' algorithm)
+ * @param a - Old tokens
+ * @param b - New tokens
+ * @returns {Array<[string, string]>|null} - [type, token] pairs in order, or null if the edit distance is over MAX_EDIT_DISTANCE
+ */
+const shortestEdit = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  // v[k + offset] is the furthest x reached on diagonal k (k = x - y)
+  const v = new Int32Array(2 * max + 3);
+  // v around the diagonals in use, before each round, for backtracking
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])
+          ? v[k + 1 + offset]
+          : v[k - 1 + offset] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k + offset] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Walk the trace of shortestEdit back from the end of both lists
+ * @param trace - v before each round, over diagonals -d-1..d+1
+ * @param a - Old tokens
+ * @param b - New tokens
+ * @returns {Array<[string, string]>} - [type, token] pairs in order
+ */
+const backtrack = (trace, a, b) => {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push(["equal", a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) edits.push(["insert", b[--y]]);
+      else edits.push(["delete", a[--x]]);
+    }
+  }
+  return edits.reverse();
+};
+
+/**
+ * Compare two texts word by word
+ * @param before - Old text
+ * @param after - New text
+ * @returns {{ops: {type: string, text: string}[], added: number, removed: number}} - Runs of "equal", "delete" and "insert" text in order, and the number of words added and removed
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Only the part between the common prefix and suffix needs comparing
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = shortestEdit(middleA, middleB) || [
+    ...middleA.map((token) => ["delete", token]),
+    ...middleB.map((token) => ["insert", token]),
+  ];
+  const edits = [
+    ...a.slice(0, start).map((token) => ["equal", token]),
+    ...middle,
+    ...a.slice(endA).map((token) => ["equal", token]),
+  ];
+
+  const ops = [];
+  let added = 0;
+  let removed = 0;
+  for (const [type, token] of edits) {
+    if (/\S/.test(token)) {
+      if (type === "insert") added++;
+      if (type === "delete") removed++;
+    }
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += token;
+    else ops.push({ type, text: token });
+  }
+
+  return { ops, added, removed };
+};
+
+module.exports = { tokenize, diffWords };
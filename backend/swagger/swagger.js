@@ -47,6 +47,31 @@ const swaggerOptions = {
           bearerFormat: "JWT",
         },
       },
+      responses: {
+        JobAccepted: {
+          description:
+            "Work queued as a background job (sent for Prefer: respond-async); follow it with GET /jobs/{jobId}",
+          headers: {
+            Location: {
+              description: "Status URL of the job",
+              schema: { type: "string" },
+            },
+          },
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  message: { type: "string" },
+                  jobId: { type: "string" },
+                  status: { type: "string", example: "queued" },
+                  statusUrl: { type: "string", example: "/jobs/{jobId}" },
+                },
+              },
+            },
+          },
+        },
+      },
     },
     security: [
       {
@@ -25,3 +25,77 @@ exports.sendErrorResponse = (res, statusCode, message, details = "") => {
     details,
   });
 };
+
+/**
+ * Helper: Check whether the client asked for a Server-Sent Events response
+ * @param req - Request object
+ * @returns {boolean} - Whether the Accept header includes text/event-stream
+ */
+exports.acceptsEventStream = (req) => {
+  return String(req.headers?.accept || "").includes("text/event-stream");
+};
+
+/**
+ * Helper: Check whether the client asked for the work to run in the
+ * background (`Prefer: respond-async`)
+ * @param req - Request object
+ * @returns {boolean} - Whether the Prefer header includes respond-async
+ */
+exports.prefersAsync = (req) => {
+  return /\brespond-async\b/i.test(String(req.headers?.prefer || ""));
+};
+
+/**
+ * Helper: Answer a request whose work was queued as a background job
+ * @param res - Response object
+ * @param job - Queued job
+ */
+exports.sendJobAccepted = (res, job) => {
+  const statusUrl = `/jobs/${job.id}`;
+  res.set("Location", statusUrl);
+  res.status(202).json({
+    message: "Job queued",
+    jobId: job.id,
+    status: job.status,
+    statusUrl,
+  });
+};
+
+/**
+ * Helper: Open a Server-Sent Events stream on the response.
+ * The final `result` and `error` events carry the same payloads as
+ * sendSuccessResponse and sendErrorResponse.
+ * @param res - Response object
+ * @returns {{send: Function, success: Function, error: Function, close: Function}} - Event stream
+ */
+exports.openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  const send = (event, data) => {
+    // The client may already have disconnected
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    send,
+    success(message, data) {
+      send("result", { message, ...data });
+      res.end();
+    },
+    error(statusCode, message, details = "") {
+      send("error", { status: statusCode, error: message, details });
+      res.end();
+    },
+    close() {
+      res.end();
+    },
+  };
+};
@@ -17,6 +17,7 @@ import Register from "./pages/Register";
 import LandingPage from "./pages/LandingPage";
 import ForgotPassword from "./pages/ForgotPassword";
 import DocumentsPage from "./pages/DocumentsPage";
+import SharedDocumentPage from "./pages/SharedDocumentPage";
 import Profile from "./pages/Profile";
 import PrivacyPolicy from "./pages/PrivacyPolicy";
 import NotFoundPage from "./pages/NotFoundPage";
@@ -97,6 +98,14 @@ function App() {
                 element={<ForgotPassword theme={theme} />}
               />
               <Route path="/profile" element={<Profile theme={theme} />} />
+              <Route
+                path="/share/:token"
+                element={<SharedDocumentPage theme={theme} />}
+              />
+              <Route
+                path="/shared/:ownerId/:docId"
+                element={<SharedDocumentPage theme={theme} />}
+              />
               <Route
                 path="/privacy-policy"
                 element={<PrivacyPolicy theme={theme} />}
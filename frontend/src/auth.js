@@ -0,0 +1,107 @@
+import axios from "axios";
+
+const BACKEND_URLS = [
+  "https://docuthinker-app-backend-api.vercel.app",
+  process.env.REACT_APP_BACKEND_URL,
+].filter(Boolean);
+
+/**
+ * Store the access and refresh tokens returned by /login or /refresh-token
+ * @param tokens - Object with accessToken and refreshToken
+ */
+export const saveTokens = ({ accessToken, refreshToken }) => {
+  if (accessToken) localStorage.setItem("accessToken", accessToken);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+};
+
+/**
+ * Remove all stored credentials
+ */
+export const clearTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("accessToken");
+  localStorage.removeItem("refreshToken");
+};
+
+/**
+ * Revoke the refresh token on the server and forget the stored credentials
+ */
+export const logout = async () => {
+  const refreshToken = localStorage.getItem("refreshToken");
+  clearTokens();
+  localStorage.removeItem("userId");
+  if (refreshToken) {
+    await axios
+      .post(`${BACKEND_URLS[0]}/logout`, { refreshToken })
+      .catch(() => {});
+  }
+};
+
+const isBackendRequest = (config) =>
+  BACKEND_URLS.some((url) => (config.url || "").startsWith(url));
+
+let refreshing = null;
+
+/**
+ * Exchange the stored refresh token for new tokens. Concurrent callers share
+ * a single request, since each refresh token can only be used once.
+ * @returns {Promise<string>} - New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshing = axios
+      .post(`${BACKEND_URLS[0]}/refresh-token`, { refreshToken })
+      .then((response) => {
+        saveTokens(response.data);
+        return response.data.accessToken;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * Attach the access token to backend requests and transparently refresh it
+ * when it has expired
+ */
+export const setupAuthInterceptors = () => {
+  axios.interceptors.request.use((config) => {
+    const accessToken = localStorage.getItem("accessToken");
+    if (accessToken && isBackendRequest(config)) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      const canRefresh =
+        response &&
+        response.status === 401 &&
+        config &&
+        !config._retried &&
+        isBackendRequest(config) &&
+        !config.url.endsWith("/refresh-token") &&
+        localStorage.getItem("refreshToken");
+
+      if (!canRefresh) throw error;
+
+      try {
+        await refreshAccessToken();
+      } catch (refreshError) {
+        // The session is over; the user has to log in again
+        clearTokens();
+        throw error;
+      }
+
+      config._retried = true;
+      return axios(config);
+    },
+  );
+};
@@ -13,6 +13,7 @@ import ContentCopyIcon from "@mui/icons-material/ContentCopy";
 import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import axios from "axios";
 import Spinner from "./Spinner";
+import { postEventStream, isAbortError } from "../stream";
 import ReactMarkdown from "react-markdown";
 import { v4 as uuidv4 } from "uuid";
 import remarkGfm from "remark-gfm";
@@ -20,7 +21,10 @@ import remarkMath from "remark-math";
 import rehypeKatex from "rehype-katex";
 import "katex/dist/katex.min.css";
 
-const AiMessage = ({ text, theme }) => {
+// Characters of surrounding text shown around a cited passage
+const CITATION_CONTEXT = 200;
+
+const AiMessage = ({ text, theme, citations = [], onCite }) => {
   const [copied, setCopied] = useState(false);
 
   const handleCopy = () => {
@@ -264,6 +268,29 @@ const AiMessage = ({ text, theme }) => {
         >
           {text}
         </ReactMarkdown>
+        {citations.length > 0 && (
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, mt: 1 }}>
+            <Typography sx={{ font: "inherit", fontSize: "12px" }}>
+              Sources:
+            </Typography>
+            {citations.map((citation) => (
+              <MuiLink
+                key={citation.id}
+                component="button"
+                onClick={() => onCite(citation)}
+                sx={{
+                  font: "inherit",
+                  fontSize: "12px",
+                  color: "#f57c00",
+                  "&:hover": { textDecoration: "underline" },
+                }}
+              >
+                [{citation.id}] {citation.title && `${citation.title}, `}page{" "}
+                {citation.page}, paragraph {citation.paragraph}
+              </MuiLink>
+            ))}
+          </Box>
+        )}
       </Box>
       <IconButton
         onClick={handleCopy}
@@ -285,20 +312,59 @@ const AiMessage = ({ text, theme }) => {
   );
 };
 
-const ChatModal = ({ theme }) => {
+/**
+ * Chat about the current document, or - when documentIds is given - across
+ * several documents of the user's library ("all" for every document)
+ */
+const ChatModal = ({
+  theme,
+  documentIds,
+  buttonLabel = "Chat with AI",
+  disabled = false,
+}) => {
+  const isLibraryChat = documentIds !== undefined;
   const [open, setOpen] = useState(false);
   const [message, setMessage] = useState("");
   const [loading, setLoading] = useState(false);
   const [chatHistory, setChatHistory] = useState([]);
+  const [activeCitation, setActiveCitation] = useState(null);
   const chatEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // Library chats are not resumed: each one starts a fresh session
+  const librarySessionIdRef = useRef(uuidv4());
 
   useEffect(() => {
+    if (isLibraryChat) return;
+
     const sessionId = localStorage.getItem("sessionId");
     if (!sessionId) {
       const newSessionId = uuidv4();
       localStorage.setItem("sessionId", newSessionId);
+      return;
     }
-  }, []);
+
+    // Restore the recent messages of a session saved on the server
+    const userId = localStorage.getItem("userId");
+    if (!userId) return;
+
+    axios
+      .get(
+        `https://docuthinker-app-backend-api.vercel.app/chat-sessions/${userId}/${sessionId}`,
+      )
+      .then((res) => {
+        const messages = res.data.session?.messages || [];
+        setChatHistory(
+          messages.map((turn) => ({
+            sender: turn.role === "model" ? "AI" : "User",
+            text: turn.text,
+            citations: turn.citations || [],
+          })),
+        );
+      })
+      .catch(() => {
+        // No saved session yet (or it expired) - start with an empty chat
+      });
+  }, [isLibraryChat]);
 
   useEffect(() => {
     if (chatEndRef.current) {
@@ -308,30 +374,120 @@ const ChatModal = ({ theme }) => {
 
   const handleChat = async () => {
     const originalText = localStorage.getItem("originalText");
-    const sessionId = localStorage.getItem("sessionId");
-    if (!message || !originalText || !sessionId) return;
+    const sessionId = isLibraryChat
+      ? librarySessionIdRef.current
+      : localStorage.getItem("sessionId");
+    const userId = localStorage.getItem("userId");
+    if (!message || !sessionId) return;
+    if (isLibraryChat ? !userId : !originalText) return;
     if (loading) return;
 
+    // Show the question right away and fill in the answer as it streams in
+    const updateAnswer = (update, citations = []) =>
+      setChatHistory((history) => [
+        ...history.slice(0, -1),
+        {
+          sender: "AI",
+          text: update(history[history.length - 1].text),
+          citations,
+        },
+      ]);
+    setChatHistory((history) => [
+      ...history,
+      { sender: "User", text: message },
+      { sender: "AI", text: "" },
+    ]);
+    setMessage("");
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     try {
       setLoading(true);
-      const res = await axios.post(
+      const result = await postEventStream(
         "https://docuthinker-app-backend-api.vercel.app/chat",
-        { message, originalText, sessionId },
+        isLibraryChat
+          ? { message, documentIds, sessionId, userId }
+          : { message, originalText, sessionId, userId },
+        {
+          onToken: (token) => updateAnswer((text) => text + token),
+          signal: controller.signal,
+        },
       );
-      setLoading(false);
-      const aiResponse = res.data.response;
-      setChatHistory([
-        ...chatHistory,
-        { sender: "User", text: message },
-        { sender: "AI", text: aiResponse },
-      ]);
-      setMessage("");
+      updateAnswer(() => result.response, result.citations);
     } catch (error) {
+      if (isAbortError(error)) {
+        updateAnswer((text) => (text ? `${text} …` : "(Cancelled)"));
+      } else {
+        updateAnswer(() => "Sorry, something went wrong. Please try again.");
+        console.error("Chat failed:", error);
+      }
+    } finally {
+      abortControllerRef.current = null;
       setLoading(false);
-      console.error("Chat failed:", error);
     }
   };
 
+  const handleCancel = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  // Stop a running answer when the modal is unmounted
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // Show a cited passage highlighted within the surrounding document text.
+  // Library chats only have the cited passage itself, not its document.
+  const renderCitation = () => {
+    const { id, documentId, title, page, paragraph, start, end, text } =
+      activeCitation;
+    const source = documentId
+      ? text
+      : localStorage.getItem("originalText") || "";
+    const [citedStart, citedEnd] = documentId ? [0, text.length] : [start, end];
+    const from = Math.max(0, citedStart - CITATION_CONTEXT);
+    const to = Math.min(source.length, citedEnd + CITATION_CONTEXT);
+
+    return (
+      <Box
+        sx={{
+          border: "1px solid #f57c00",
+          borderRadius: "12px",
+          padding: 2,
+          marginBottom: 2,
+          maxHeight: "30%",
+          overflowY: "auto",
+          bgcolor: theme === "dark" ? "#2a2a2a" : "white",
+        }}
+      >
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <Typography sx={{ font: "inherit", fontWeight: "bold" }}>
+            [{id}] {title && `${title}, `}Page {page}, paragraph {paragraph}
+          </Typography>
+          <IconButton
+            onClick={() => setActiveCitation(null)}
+            sx={{ color: theme === "dark" ? "white" : "black", p: 0.5 }}
+          >
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+        <Typography
+          sx={{ font: "inherit", fontSize: "14px", whiteSpace: "pre-wrap" }}
+        >
+          {from > 0 && "…"}
+          {source.slice(from, citedStart)}
+          <mark>{source.slice(citedStart, citedEnd)}</mark>
+          {source.slice(citedEnd, to)}
+          {to < source.length && "…"}
+        </Typography>
+      </Box>
+    );
+  };
+
   const handleKeyDown = (event) => {
     if (event.key === "Enter") handleChat();
   };
@@ -346,6 +502,7 @@ const ChatModal = ({ theme }) => {
     <>
       <Button
         onClick={() => setOpen(true)}
+        disabled={disabled}
         sx={{
           bgcolor: "#f57c00",
           color: "white",
@@ -353,7 +510,7 @@ const ChatModal = ({ theme }) => {
           borderRadius: "12px",
         }}
       >
-        Chat with AI
+        {buttonLabel}
       </Button>
       <Modal open={open} onClose={() => setOpen(false)}>
         <Box
@@ -404,7 +561,11 @@ const ChatModal = ({ theme }) => {
               color: theme === "dark" ? "white" : "black",
             }}
           >
-            Chat With AI About Your Document
+            {isLibraryChat
+              ? documentIds === "all"
+                ? "Chat With AI About All Your Documents"
+                : `Chat With AI About ${documentIds.length} Document${documentIds.length === 1 ? "" : "s"}`
+              : "Chat With AI About Your Document"}
           </Typography>
 
           <Box
@@ -429,7 +590,12 @@ const ChatModal = ({ theme }) => {
                 }}
               >
                 {chat.sender === "AI" ? (
-                  <AiMessage text={chat.text} theme={theme} />
+                  <AiMessage
+                    text={chat.text}
+                    theme={theme}
+                    citations={chat.citations}
+                    onCite={setActiveCitation}
+                  />
                 ) : (
                   <Typography
                     variant="body2"
@@ -450,6 +616,8 @@ const ChatModal = ({ theme }) => {
             <Box ref={chatEndRef} />
           </Box>
 
+          {activeCitation && renderCitation()}
+
           <TextField
             label="Chat with AI"
             fullWidth
@@ -476,13 +644,28 @@ const ChatModal = ({ theme }) => {
             }}
           />
 
-          <Button
-            variant="contained"
-            sx={{ bgcolor: "#f57c00", font: "inherit" }}
-            onClick={handleChat}
-          >
-            {loading ? <Spinner /> : "Send"}
-          </Button>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            <Button
+              variant="contained"
+              sx={{ bgcolor: "#f57c00", font: "inherit", flexGrow: 1 }}
+              onClick={handleChat}
+            >
+              {loading ? <Spinner /> : "Send"}
+            </Button>
+            {loading && (
+              <Button
+                variant="outlined"
+                sx={{
+                  color: "#f57c00",
+                  borderColor: "#f57c00",
+                  font: "inherit",
+                }}
+                onClick={handleCancel}
+              >
+                Cancel
+              </Button>
+            )}
+          </Box>
 
           <Typography
             sx={{
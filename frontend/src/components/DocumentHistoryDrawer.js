@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Drawer,
+  IconButton,
+  List,
+  ListItem,
+  MenuItem,
+  TextField,
+  Typography,
+} from "@mui/material";
+import CloseIcon from "@mui/icons-material/Close";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+const REASON_LABELS = {
+  created: "Created",
+  original: "Original",
+  title: "Title changed",
+  refinedSummary: "Summary refined",
+  restored: "Restored",
+};
+
+const FIELD_LABELS = {
+  title: "Title",
+  summary: "Summary",
+  refinedSummary: "Refined Summary",
+};
+
+/**
+ * Render a word diff, with removed text struck through and added text marked
+ * @param ops - Runs of "equal", "delete" and "insert" text
+ * @returns {Array} - Text, <del> and <ins> elements
+ */
+const renderDiff = (ops) =>
+  ops.map(({ type, text }, index) => {
+    if (type === "delete") {
+      return (
+        <del key={index} style={{ backgroundColor: "#ffcdd2", color: "#000" }}>
+          {text}
+        </del>
+      );
+    }
+    if (type === "insert") {
+      return (
+        <ins key={index} style={{ backgroundColor: "#c8e6c9", color: "#000" }}>
+          {text}
+        </ins>
+      );
+    }
+    return <span key={index}>{text}</span>;
+  });
+
+const DocumentHistoryDrawer = ({
+  open,
+  onClose,
+  document,
+  onRestored,
+  theme,
+}) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const userId = localStorage.getItem("userId");
+  const docId = document?.id;
+  const versionsUrl = `${API_URL}/documents/${userId}/${docId}/versions`;
+
+  const fetchVersions = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(versionsUrl);
+      const list = response.data.versions;
+      setVersions(list);
+      // Compare the latest version with the one before it
+      setTo(list[0]?.number ?? "");
+      setFrom(list[1]?.number ?? "");
+    } catch (error) {
+      console.error("Error fetching document versions:", error);
+      setVersions([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && docId) {
+      setDiff(null);
+      fetchVersions();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, docId]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    axios
+      .get(`${versionsUrl}/diff?from=${from}&to=${to}`)
+      .then((response) => setDiff(response.data.diff))
+      .catch((error) => {
+        console.error("Error comparing document versions:", error);
+        setDiff(null);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [from, to]);
+
+  const handleRestore = async (number) => {
+    setRestoring(number);
+    try {
+      const response = await axios.post(`${versionsUrl}/${number}/restore`);
+      onRestored(response.data.document);
+      await fetchVersions();
+    } catch (error) {
+      console.error("Error restoring document version:", error);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const textColor = theme === "dark" ? "#fff" : "#000";
+  const selectSx = {
+    flex: 1,
+    "& .MuiInputBase-input, & .MuiInputLabel-root": {
+      font: "inherit",
+      color: textColor,
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#666" : "#ccc",
+    },
+  };
+  const versionOptions = versions.map((version) => (
+    <MenuItem
+      key={version.number}
+      value={version.number}
+      sx={{ font: "inherit" }}
+    >
+      v{version.number} · {REASON_LABELS[version.reason] || version.reason}
+    </MenuItem>
+  ));
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box
+        sx={{
+          width: { xs: "100vw", sm: 480 },
+          p: 2,
+          minHeight: "100%",
+          bgcolor: theme === "dark" ? "#333" : "white",
+          color: textColor,
+        }}
+        role="presentation"
+      >
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            mb: 2,
+          }}
+        >
+          <Typography
+            sx={{ font: "inherit", fontWeight: "bold", fontSize: "20px" }}
+          >
+            History of {document?.title}
+          </Typography>
+          <IconButton onClick={onClose} title="Close history">
+            <CloseIcon sx={{ color: textColor }} />
+          </IconButton>
+        </Box>
+
+        {loading ? (
+          <CircularProgress sx={{ display: "block", margin: "20px auto" }} />
+        ) : versions.length === 0 ? (
+          <Typography sx={{ font: "inherit" }}>
+            No versions recorded yet.
+          </Typography>
+        ) : (
+          <>
+            <Typography sx={{ font: "inherit", fontWeight: "bold", mb: 1 }}>
+              Compare versions
+            </Typography>
+            <Box sx={{ display: "flex", gap: 1, mb: 2 }}>
+              <TextField
+                select
+                size="small"
+                label="From"
+                value={from}
+                onChange={(event) => setFrom(event.target.value)}
+                sx={selectSx}
+              >
+                {versionOptions}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="To"
+                value={to}
+                onChange={(event) => setTo(event.target.value)}
+                sx={selectSx}
+              >
+                {versionOptions}
+              </TextField>
+            </Box>
+
+            {diff &&
+              Object.entries(FIELD_LABELS).map(([field, label]) => (
+                <Box key={field} sx={{ mb: 2 }}>
+                  <Typography sx={{ font: "inherit", fontWeight: "bold" }}>
+                    {label}
+                    {diff[field].changed
+                      ? ` (+${diff[field].added} / -${diff[field].removed} words)`
+                      : " (unchanged)"}
+                  </Typography>
+                  {diff[field].changed && (
+                    <Typography
+                      sx={{
+                        font: "inherit",
+                        whiteSpace: "pre-wrap",
+                        wordBreak: "break-word",
+                      }}
+                    >
+                      {renderDiff(diff[field].ops)}
+                    </Typography>
+                  )}
+                </Box>
+              ))}
+
+            <Typography sx={{ font: "inherit", fontWeight: "bold", mt: 2 }}>
+              Versions
+            </Typography>
+            <List>
+              {versions.map((version, index) => (
+                <ListItem
+                  key={version.number}
+                  sx={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: 1,
+                    px: 0,
+                    borderBottom: `1px solid ${theme === "dark" ? "#555" : "#eee"}`,
+                  }}
+                >
+                  <Box>
+                    <Typography sx={{ font: "inherit", fontWeight: "bold" }}>
+                      v{version.number} ·{" "}
+                      {REASON_LABELS[version.reason] || version.reason}
+                      {version.restoredFrom ? ` v${version.restoredFrom}` : ""}
+                    </Typography>
+                    <Typography
+                      sx={{ font: "inherit", fontSize: "14px", opacity: 0.8 }}
+                    >
+                      {version.title}
+                      {version.createdAt &&
+                        ` · ${new Date(version.createdAt).toLocaleString()}`}
+                    </Typography>
+                  </Box>
+                  {index > 0 && (
+                    <Button
+                      onClick={() => handleRestore(version.number)}
+                      disabled={restoring !== null}
+                      size="small"
+                      sx={{ font: "inherit", color: "#f57c00" }}
+                    >
+                      {restoring === version.number ? "Restoring…" : "Restore"}
+                    </Button>
+                  )}
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default DocumentHistoryDrawer;
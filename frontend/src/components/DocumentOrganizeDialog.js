@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography,
+} from "@mui/material";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+const DocumentOrganizeDialog = ({
+  open,
+  onClose,
+  document,
+  folders,
+  workspaces = [],
+  knownTags,
+  onSaved,
+  theme,
+}) => {
+  const [tags, setTags] = useState([]);
+  const [folderId, setFolderId] = useState("");
+  const [workspaceId, setWorkspaceId] = useState("");
+  const [saving, setSaving] = useState(false);
+  const userId = localStorage.getItem("userId");
+
+  useEffect(() => {
+    if (open && document) {
+      setTags(document.tags || []);
+      setFolderId(document.folderId || "");
+      setWorkspaceId(document.workspaceId || "");
+    }
+  }, [open, document]);
+
+  // AI suggestions from the upload that have not been added yet
+  const suggestions = (document?.suggestedTags || []).filter(
+    (tag) => !tags.includes(tag),
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const documentUrl = `${API_URL}/documents/${userId}/${document.id}`;
+      let updated = document;
+      if (tags.join() !== (document.tags || []).join()) {
+        updated = (await axios.put(`${documentUrl}/tags`, { tags })).data
+          .document;
+      }
+      if (folderId !== (document.folderId || "")) {
+        updated = (
+          await axios.put(`${documentUrl}/folder`, {
+            folderId: folderId || null,
+          })
+        ).data.document;
+      }
+      if (workspaceId !== (document.workspaceId || "")) {
+        updated = (
+          await axios.put(`${documentUrl}/workspace`, {
+            workspaceId: workspaceId || null,
+          })
+        ).data.document;
+      }
+      onSaved(updated);
+      onClose();
+    } catch (error) {
+      console.error("Error organizing document:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const textColor = theme === "dark" ? "#fff" : "#000";
+  const fieldSx = {
+    mt: 2,
+    "& .MuiInputBase-input, & .MuiInputLabel-root, & .MuiChip-label": {
+      font: "inherit",
+      color: textColor,
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#666" : "#ccc",
+    },
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{
+        style: {
+          backgroundColor: theme === "dark" ? "#222" : "#f5f5f5",
+          color: textColor,
+          borderRadius: "8px",
+        },
+      }}
+    >
+      <DialogTitle sx={{ font: "inherit", fontSize: "24px" }}>
+        Organize {document?.title}
+      </DialogTitle>
+      <DialogContent>
+        <Autocomplete
+          multiple
+          freeSolo
+          options={knownTags}
+          value={tags}
+          onChange={(event, value) =>
+            setTags([
+              ...new Set(
+                value
+                  .map((tag) => tag.trim().replace(/^#+/, "").toLowerCase())
+                  .filter(Boolean),
+              ),
+            ])
+          }
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Tags"
+              placeholder="Type a tag and press Enter"
+            />
+          )}
+          sx={fieldSx}
+        />
+
+        {suggestions.length > 0 && (
+          <Box sx={{ mt: 1 }}>
+            <Typography sx={{ font: "inherit", fontSize: "14px", mb: 0.5 }}>
+              Suggested tags:
+            </Typography>
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}>
+              {suggestions.map((tag) => (
+                <Chip
+                  key={tag}
+                  label={`+ ${tag}`}
+                  size="small"
+                  onClick={() => setTags([...tags, tag])}
+                  title={`Add the tag ${tag}`}
+                  sx={{
+                    font: "inherit",
+                    color: "#f57c00",
+                    borderColor: "#f57c00",
+                  }}
+                  variant="outlined"
+                />
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        <TextField
+          select
+          fullWidth
+          label="Folder"
+          value={folderId}
+          onChange={(event) => setFolderId(event.target.value)}
+          sx={fieldSx}
+        >
+          <MenuItem value="" sx={{ font: "inherit" }}>
+            No folder
+          </MenuItem>
+          {folders.map((folder) => (
+            <MenuItem
+              key={folder.id}
+              value={folder.id}
+              sx={{ font: "inherit" }}
+            >
+              {folder.name}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {workspaces.length > 0 && (
+          <TextField
+            select
+            fullWidth
+            label="Workspace library"
+            value={workspaceId}
+            onChange={(event) => setWorkspaceId(event.target.value)}
+            sx={fieldSx}
+          >
+            <MenuItem value="" sx={{ font: "inherit" }}>
+              Only me
+            </MenuItem>
+            {workspaces.map((workspace) => (
+              <MenuItem
+                key={workspace.id}
+                value={workspace.id}
+                sx={{ font: "inherit" }}
+              >
+                {workspace.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: textColor, font: "inherit" }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          disabled={saving}
+          sx={{ color: "#f57c00", font: "inherit" }}
+        >
+          {saving ? "Saving…" : "Save"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DocumentOrganizeDialog;
@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { ContentCopy, Delete, LinkOff } from "@mui/icons-material";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+const ROLE_LABELS = {
+  viewer: "Can view",
+  commenter: "Can comment",
+  editor: "Can edit",
+};
+
+const ShareDialog = ({ open, onClose, document, theme }) => {
+  const [shares, setShares] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const userId = localStorage.getItem("userId");
+  const docId = document?.id;
+  const documentUrl = `${API_URL}/documents/${userId}/${docId}`;
+
+  const fetchShares = async () => {
+    try {
+      const response = await axios.get(`${documentUrl}/shares`);
+      setShares(response.data.shares);
+      setLinks(response.data.links);
+    } catch (error) {
+      console.error("Error fetching shares:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (open && docId) {
+      setEmail("");
+      setError("");
+      fetchShares();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, docId]);
+
+  const handleShare = async (shareEmail, shareRole) => {
+    setSaving(true);
+    setError("");
+    try {
+      await axios.put(`${documentUrl}/shares`, {
+        email: shareEmail,
+        role: shareRole,
+      });
+      setEmail("");
+      await fetchShares();
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to share document");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnshare = async (granteeId) => {
+    try {
+      await axios.delete(`${documentUrl}/shares/${granteeId}`);
+      setShares(shares.filter((share) => share.userId !== granteeId));
+    } catch (error) {
+      console.error("Error removing share:", error);
+    }
+  };
+
+  const handleCreateLink = async () => {
+    try {
+      const response = await axios.post(`${documentUrl}/share-links`);
+      setLinks([...links, response.data.link]);
+    } catch (error) {
+      console.error("Error creating share link:", error);
+    }
+  };
+
+  const handleRevokeLink = async (token) => {
+    try {
+      await axios.delete(`${documentUrl}/share-links/${token}`);
+      setLinks(links.filter((link) => link.token !== token));
+    } catch (error) {
+      console.error("Error revoking share link:", error);
+    }
+  };
+
+  const linkUrl = (token) => `${window.location.origin}/share/${token}`;
+
+  const textColor = theme === "dark" ? "#fff" : "#000";
+  const fieldSx = {
+    "& .MuiInputBase-input, & .MuiInputLabel-root": {
+      font: "inherit",
+      color: textColor,
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#666" : "#ccc",
+    },
+  };
+  const rowSx = {
+    display: "flex",
+    alignItems: "center",
+    gap: 1,
+    py: 0.5,
+    borderBottom: `1px solid ${theme === "dark" ? "#555" : "#eee"}`,
+  };
+  const roleOptions = Object.entries(ROLE_LABELS).map(([value, label]) => (
+    <MenuItem key={value} value={value} sx={{ font: "inherit" }}>
+      {label}
+    </MenuItem>
+  ));
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{
+        style: {
+          backgroundColor: theme === "dark" ? "#222" : "#f5f5f5",
+          color: textColor,
+          borderRadius: "8px",
+        },
+      }}
+    >
+      <DialogTitle sx={{ font: "inherit", fontSize: "24px" }}>
+        Share {document?.title}
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: "flex", gap: 1, mt: 1 }}>
+          <TextField
+            label="Email"
+            type="email"
+            size="small"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            sx={{ ...fieldSx, flex: 2 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Role"
+            value={role}
+            onChange={(event) => setRole(event.target.value)}
+            sx={{ ...fieldSx, flex: 1 }}
+          >
+            {roleOptions}
+          </TextField>
+          <Button
+            onClick={() => handleShare(email.trim(), role)}
+            disabled={saving || !email.trim()}
+            sx={{ color: "#f57c00", font: "inherit" }}
+          >
+            Share
+          </Button>
+        </Box>
+        {error && (
+          <Typography sx={{ font: "inherit", color: "red", mt: 1 }}>
+            {error}
+          </Typography>
+        )}
+
+        <Typography sx={{ font: "inherit", fontWeight: "bold", mt: 2 }}>
+          People with access
+        </Typography>
+        {shares.length === 0 ? (
+          <Typography sx={{ font: "inherit", fontSize: "14px", opacity: 0.8 }}>
+            Only you can see this document.
+          </Typography>
+        ) : (
+          shares.map((share) => (
+            <Box key={share.userId} sx={rowSx}>
+              <Typography sx={{ font: "inherit", flex: 1 }}>
+                {share.email}
+              </Typography>
+              <TextField
+                select
+                size="small"
+                value={share.role}
+                onChange={(event) =>
+                  handleShare(share.email, event.target.value)
+                }
+                sx={fieldSx}
+              >
+                {roleOptions}
+              </TextField>
+              <IconButton
+                onClick={() => handleUnshare(share.userId)}
+                title={`Stop sharing with ${share.email}`}
+                sx={{ color: "red" }}
+              >
+                <Delete />
+              </IconButton>
+            </Box>
+          ))
+        )}
+
+        <Typography sx={{ font: "inherit", fontWeight: "bold", mt: 2 }}>
+          Public links
+        </Typography>
+        <Typography sx={{ font: "inherit", fontSize: "14px", opacity: 0.8 }}>
+          Anyone with a link can read the summary and insights, but not the
+          original text.
+        </Typography>
+        {links.map((link) => (
+          <Box key={link.token} sx={rowSx}>
+            <Typography
+              sx={{
+                font: "inherit",
+                fontSize: "14px",
+                flex: 1,
+                wordBreak: "break-all",
+              }}
+            >
+              {linkUrl(link.token)}
+            </Typography>
+            <IconButton
+              onClick={() => navigator.clipboard.writeText(linkUrl(link.token))}
+              title="Copy link"
+              sx={{ color: textColor }}
+            >
+              <ContentCopy />
+            </IconButton>
+            <IconButton
+              onClick={() => handleRevokeLink(link.token)}
+              title="Revoke link"
+              sx={{ color: "red" }}
+            >
+              <LinkOff />
+            </IconButton>
+          </Box>
+        ))}
+        <Button
+          onClick={handleCreateLink}
+          sx={{ color: "#f57c00", font: "inherit", mt: 1 }}
+        >
+          Create public link
+        </Button>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: textColor, font: "inherit" }}>
+          Done
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareDialog;
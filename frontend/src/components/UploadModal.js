@@ -9,7 +9,7 @@ import {
   Alert,
 } from "@mui/material";
 import { useDropzone } from "react-dropzone";
-import axios from "axios";
+import { runBackgroundJob } from "../jobs";
 import GoogleDriveFileSelectorModal from "./GoogleDriveFileSelectorModal";
 
 // ✅ Use only pdfjs-dist (no react-pdf)
@@ -19,7 +19,13 @@ import mammoth from "mammoth";
 // ✅ Force pdf.js to use CDN worker (avoids import.meta issue)
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
 
-const UploadModal = ({ setSummary, setOriginalText, setDocumentFile, theme }) => {
+const UploadModal = ({
+  setSummary,
+  setOriginalText,
+  setDocumentFile,
+  setDocumentId,
+  theme,
+}) => {
   const [open, setOpen] = useState(true);
   const [loading, setLoading] = useState(false);
   const [progressMessage, setProgressMessage] = useState("");
@@ -101,16 +107,26 @@ const UploadModal = ({ setSummary, setOriginalText, setDocumentFile, theme }) =>
       const userId = localStorage.getItem("userId");
       if (userId) payload.userId = userId;
 
-      // ✅ Use ENV variable
-      const response = await axios.post(
+      // ✅ Use ENV variable; long documents are summarized as a background job
+      const result = await runBackgroundJob(
         `${process.env.REACT_APP_BACKEND_URL}/upload`,
-        payload
+        payload,
+        {
+          onProgress: ({ progress }) => {
+            if (progress && progress.total > 1) {
+              setProgressMessage(
+                `Summarizing your document (${progress.completed}/${progress.total})...`
+              );
+            }
+          },
+        }
       );
 
       setLoading(false);
-      const { summary, originalText } = response.data;
+      const { summary, originalText, documentId } = result;
       setSummary(summary);
       setOriginalText(originalText);
+      if (setDocumentId) setDocumentId(documentId || null);
       localStorage.setItem("originalText", originalText);
       setOpen(false);
     } catch (error) {
@@ -0,0 +1,370 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { Delete } from "@mui/icons-material";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+const ROLE_LABELS = { owner: "Owner", admin: "Admin", member: "Member" };
+
+/**
+ * Workspace membership of the signed-in user: switching the workspace they
+ * work in, pending invitations, creating workspaces and, for admins, managing
+ * the members, invitations and settings of the active workspace.
+ */
+const WorkspacesPanel = ({ theme }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState("");
+  const [details, setDetails] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("member");
+  // Invitation codes from the emails, by workspace ID
+  const [invitationCodes, setInvitationCodes] = useState({});
+  const [settings, setSettings] = useState({
+    defaultLanguage: "",
+    defaultStyle: "",
+  });
+  const [error, setError] = useState("");
+  const userId = localStorage.getItem("userId");
+
+  const fetchWorkspaces = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${userId}`);
+      setWorkspaces(response.data.workspaces);
+      setInvitations(response.data.invitations);
+      setActiveWorkspaceId(response.data.activeWorkspaceId || "");
+    } catch (error) {
+      console.error("Error fetching workspaces:", error);
+    }
+  };
+
+  const fetchDetails = async (workspaceId) => {
+    if (!workspaceId) {
+      setDetails(null);
+      return;
+    }
+    try {
+      const response = await axios.get(
+        `${API_URL}/workspaces/${userId}/${workspaceId}`,
+      );
+      setDetails(response.data);
+      const { defaultLanguage, defaultStyle } =
+        response.data.workspace.settings;
+      setSettings({
+        defaultLanguage: defaultLanguage || "",
+        defaultStyle: defaultStyle || "",
+      });
+    } catch (error) {
+      console.error("Error fetching workspace:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (userId) fetchWorkspaces();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userId]);
+
+  useEffect(() => {
+    fetchDetails(activeWorkspaceId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeWorkspaceId]);
+
+  // Run a request, show its error message if it fails and reload the panel
+  const run = async (request, reloadDetails = true) => {
+    setError("");
+    try {
+      await request();
+      await fetchWorkspaces();
+      if (reloadDetails) await fetchDetails(activeWorkspaceId);
+    } catch (error) {
+      setError(error.response?.data?.error || "Something went wrong");
+    }
+  };
+
+  // The details of the new workspace are loaded when activeWorkspaceId changes
+  const handleSwitch = (workspaceId) =>
+    run(
+      () =>
+        axios.put(`${API_URL}/users/${userId}/active-workspace`, {
+          workspaceId: workspaceId || null,
+        }),
+      false,
+    );
+
+  const handleCreate = () =>
+    run(async () => {
+      await axios.post(`${API_URL}/workspaces/${userId}`, {
+        name: newName.trim(),
+      });
+      setNewName("");
+    });
+
+  const handleInvitation = (workspaceId, accept) => {
+    const url = `${API_URL}/workspace-invitations/${userId}/${workspaceId}`;
+    const body = { token: (invitationCodes[workspaceId] || "").trim() };
+    return run(() =>
+      accept ? axios.post(url, body) : axios.delete(url, { data: body }),
+    );
+  };
+
+  const workspaceUrl = `${API_URL}/workspaces/${userId}/${activeWorkspaceId}`;
+  const role = details?.workspace.role;
+  const isAdmin = role === "owner" || role === "admin";
+
+  const handleInvite = () =>
+    run(async () => {
+      await axios.post(`${workspaceUrl}/invitations`, {
+        email: inviteEmail.trim(),
+        role: inviteRole,
+      });
+      setInviteEmail("");
+    });
+
+  const handleSaveSettings = () =>
+    run(() =>
+      axios.put(workspaceUrl, {
+        settings: {
+          defaultLanguage: settings.defaultLanguage || null,
+          defaultStyle: settings.defaultStyle || null,
+        },
+      }),
+    );
+
+  // Leaving the workspace also stops working in it
+  const handleRemoveMember = (memberId) =>
+    run(
+      () => axios.delete(`${workspaceUrl}/members/${memberId}`),
+      memberId !== userId,
+    );
+
+  const textColor = theme === "dark" ? "#fff" : "#000";
+  const fieldSx = {
+    mb: 1,
+    "& .MuiInputBase-input, & .MuiInputLabel-root": {
+      fontFamily: "Poppins, sans-serif",
+      color: textColor,
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#666" : "#ccc",
+    },
+  };
+
+  return (
+    <Box sx={{ textAlign: "left", mt: 3 }}>
+      <Typography
+        sx={{ font: "inherit", fontWeight: "bold", fontSize: "20px", mb: 1 }}
+      >
+        Workspaces
+      </Typography>
+
+      <TextField
+        select
+        fullWidth
+        size="small"
+        label="Working in"
+        value={activeWorkspaceId}
+        onChange={(event) => handleSwitch(event.target.value)}
+        sx={fieldSx}
+      >
+        <MenuItem value="" sx={{ font: "inherit" }}>
+          My documents
+        </MenuItem>
+        {workspaces.map((workspace) => (
+          <MenuItem
+            key={workspace.id}
+            value={workspace.id}
+            sx={{ font: "inherit" }}
+          >
+            {workspace.name} ({ROLE_LABELS[workspace.role]})
+          </MenuItem>
+        ))}
+      </TextField>
+
+      {invitations.map((invitation) => (
+        <Box
+          key={invitation.workspaceId}
+          sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}
+        >
+          <Typography sx={{ font: "inherit", flex: 1 }}>
+            Invited to <strong>{invitation.workspaceName}</strong> as{" "}
+            {ROLE_LABELS[invitation.role]}
+          </Typography>
+          <TextField
+            size="small"
+            label="Code from the email"
+            value={invitationCodes[invitation.workspaceId] || ""}
+            onChange={(event) =>
+              setInvitationCodes((codes) => ({
+                ...codes,
+                [invitation.workspaceId]: event.target.value,
+              }))
+            }
+            sx={fieldSx}
+          />
+          <Button
+            size="small"
+            onClick={() => handleInvitation(invitation.workspaceId, true)}
+            disabled={!invitationCodes[invitation.workspaceId]?.trim()}
+            sx={{ font: "inherit", color: "#f57c00" }}
+          >
+            Join
+          </Button>
+          <Button
+            size="small"
+            onClick={() => handleInvitation(invitation.workspaceId, false)}
+            disabled={!invitationCodes[invitation.workspaceId]?.trim()}
+            sx={{ font: "inherit", color: textColor }}
+          >
+            Decline
+          </Button>
+        </Box>
+      ))}
+
+      <Box sx={{ display: "flex", gap: 1 }}>
+        <TextField
+          size="small"
+          label="New workspace name"
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          sx={{ ...fieldSx, flex: 1 }}
+        />
+        <Button
+          onClick={handleCreate}
+          disabled={!newName.trim()}
+          sx={{ font: "inherit", color: "#f57c00", mb: 1 }}
+        >
+          Create
+        </Button>
+      </Box>
+
+      {details && (
+        <Box sx={{ mt: 2 }}>
+          <Typography sx={{ font: "inherit", fontWeight: "bold", mb: 1 }}>
+            Members of {details.workspace.name}
+          </Typography>
+          {details.members.map((member) => (
+            <Box
+              key={member.userId}
+              sx={{ display: "flex", alignItems: "center", gap: 1 }}
+            >
+              <Typography sx={{ font: "inherit", flex: 1 }}>
+                {member.email} · {ROLE_LABELS[member.role]}
+              </Typography>
+              {member.role !== "owner" &&
+                (member.userId === userId ||
+                  role === "owner" ||
+                  (role === "admin" && member.role === "member")) && (
+                  <IconButton
+                    onClick={() => handleRemoveMember(member.userId)}
+                    title={
+                      member.userId === userId
+                        ? "Leave workspace"
+                        : `Remove ${member.email}`
+                    }
+                    sx={{ color: "red" }}
+                  >
+                    <Delete />
+                  </IconButton>
+                )}
+            </Box>
+          ))}
+
+          {isAdmin && (
+            <>
+              {details.invitations.map((invitation) => (
+                <Typography
+                  key={invitation.email}
+                  sx={{ font: "inherit", opacity: 0.8 }}
+                >
+                  {invitation.email} · invited as {ROLE_LABELS[invitation.role]}
+                </Typography>
+              ))}
+              <Box sx={{ display: "flex", gap: 1, mt: 1 }}>
+                <TextField
+                  size="small"
+                  label="Invite by email"
+                  value={inviteEmail}
+                  onChange={(event) => setInviteEmail(event.target.value)}
+                  sx={{ ...fieldSx, flex: 2 }}
+                />
+                <TextField
+                  select
+                  size="small"
+                  value={inviteRole}
+                  onChange={(event) => setInviteRole(event.target.value)}
+                  sx={{ ...fieldSx, flex: 1 }}
+                >
+                  <MenuItem value="member" sx={{ font: "inherit" }}>
+                    Member
+                  </MenuItem>
+                  {role === "owner" && (
+                    <MenuItem value="admin" sx={{ font: "inherit" }}>
+                      Admin
+                    </MenuItem>
+                  )}
+                </TextField>
+                <Button
+                  onClick={handleInvite}
+                  disabled={!inviteEmail.trim()}
+                  sx={{ font: "inherit", color: "#f57c00", mb: 1 }}
+                >
+                  Invite
+                </Button>
+              </Box>
+
+              <Typography sx={{ font: "inherit", fontWeight: "bold", my: 1 }}>
+                Workspace settings
+              </Typography>
+              <TextField
+                fullWidth
+                size="small"
+                label="Default summary language"
+                value={settings.defaultLanguage}
+                onChange={(event) =>
+                  setSettings({
+                    ...settings,
+                    defaultLanguage: event.target.value,
+                  })
+                }
+                sx={fieldSx}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Default rewrite style"
+                value={settings.defaultStyle}
+                onChange={(event) =>
+                  setSettings({ ...settings, defaultStyle: event.target.value })
+                }
+                sx={fieldSx}
+              />
+              <Button
+                onClick={handleSaveSettings}
+                sx={{ font: "inherit", color: "#f57c00" }}
+              >
+                Save settings
+              </Button>
+            </>
+          )}
+        </Box>
+      )}
+
+      {error && (
+        <Typography color="error" sx={{ mt: 1, font: "inherit" }}>
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default WorkspacesPanel;
@@ -4,6 +4,10 @@ import "./index.css";
 import App from "./App";
 import reportWebVitals from "./reportWebVitals";
 import { GoogleOAuthProvider } from "@react-oauth/google";
+import { setupAuthInterceptors } from "./auth";
+
+// Send the access token with backend requests and refresh it when it expires
+setupAuthInterceptors();
 
 // ✅ Create root using React 18 API
 const root = ReactDOM.createRoot(document.getElementById("root"));
@@ -0,0 +1,89 @@
+import axios from "axios";
+import { subscribe } from "./live";
+
+const POLL_INTERVAL = 2000;
+
+const JOB_PROGRESS = `
+  subscription JobProgress($jobId: ID!) {
+    jobProgress(jobId: $jobId) {
+      status
+      progress {
+        stage
+        completed
+        total
+      }
+      result
+      error
+    }
+  }
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follow a job live through the jobProgress subscription
+ * @param jobId - Job ID
+ * @param onProgress - Called with the job whenever it changes
+ * @returns {Promise<{result?: object, unavailable?: boolean}>} - The job result, or unavailable when the subscription failed
+ */
+const followJob = (jobId, onProgress) =>
+  new Promise((resolve, reject) => {
+    const unsubscribe = subscribe(
+      JOB_PROGRESS,
+      { jobId },
+      {
+        onData: ({ jobProgress: job }) => {
+          if (job.status === "completed") {
+            unsubscribe();
+            resolve({ result: job.result });
+          } else if (job.status === "failed") {
+            unsubscribe();
+            reject(new Error(job.error || "Job failed"));
+          } else {
+            onProgress(job);
+          }
+        },
+        // Fall back to polling when the connection fails
+        onError: () => {
+          unsubscribe();
+          resolve({ unavailable: true });
+        },
+      },
+    );
+  });
+
+/**
+ * POST to an endpoint as a background job (`Prefer: respond-async`) and
+ * follow the job until it finishes, instead of keeping the request open
+ * while the work runs. Updates arrive live over the GraphQL WebSocket, or by
+ * polling the job when it is not available.
+ * @param url - Endpoint URL
+ * @param body - Request body (JSON or FormData)
+ * @param onProgress - Called with the job whenever it is checked
+ * @param headers - Extra request headers
+ * @returns {Promise<object>} - The job result, i.e. the endpoint's usual response body
+ */
+export const runBackgroundJob = async (
+  url,
+  body,
+  { onProgress = () => {}, headers = {} } = {},
+) => {
+  const response = await axios.post(url, body, {
+    headers: { ...headers, Prefer: "respond-async" },
+  });
+
+  // Servers without job support answer right away
+  if (response.status !== 202) return response.data;
+
+  const live = await followJob(response.data.jobId, onProgress);
+  if (!live.unavailable) return live.result;
+
+  const statusUrl = new URL(response.data.statusUrl, url).toString();
+  for (;;) {
+    await sleep(POLL_INTERVAL);
+    const { job } = (await axios.get(statusUrl)).data;
+    if (job.status === "completed") return job.result;
+    if (job.status === "failed") throw new Error(job.error || "Job failed");
+    onProgress(job);
+  }
+};
@@ -0,0 +1,62 @@
+import { createClient } from "graphql-ws";
+
+// Subscriptions are only served by a long-running backend (`npm start` or the
+// Docker image): serverless hosting such as Vercel cannot keep WebSockets
+// open. Without REACT_APP_GRAPHQL_WS_URL, live updates are turned off and
+// callers fall back to polling.
+const GRAPHQL_WS_URL = process.env.REACT_APP_GRAPHQL_WS_URL;
+
+let client = null;
+
+/**
+ * GraphQL-over-WebSocket client, connected on the first subscription and
+ * authenticated with the current access token on every (re)connection
+ * @returns {object} - graphql-ws client
+ */
+const getClient = () => {
+  if (!client) {
+    client = createClient({
+      url: GRAPHQL_WS_URL,
+      connectionParams: () => {
+        const accessToken = localStorage.getItem("accessToken");
+        return accessToken ? { authorization: `Bearer ${accessToken}` } : {};
+      },
+      // Report a lost connection right away, so callers can poll instead
+      retryAttempts: 0,
+      shouldRetry: () => false,
+    });
+  }
+  return client;
+};
+
+/**
+ * Subscribe to a GraphQL subscription
+ * @param query - Subscription query
+ * @param variables - Query variables
+ * @param onData - Called with the data of each event
+ * @param onError - Called if the subscription cannot be started or fails,
+ *   including when live updates are not configured
+ * @returns {Function} - Unsubscribes
+ */
+export const subscribe = (query, variables, { onData, onError = () => {} }) => {
+  if (!GRAPHQL_WS_URL) {
+    // Called after returning, so callers can unsubscribe from onError
+    Promise.resolve().then(() =>
+      onError(new Error("Live updates are not available")),
+    );
+    return () => {};
+  }
+
+  return getClient().subscribe(
+    { query, variables },
+    {
+      next: ({ data, errors }) => {
+        if (errors) onError(new Error(errors[0].message));
+        else onData(data);
+      },
+      error: (error) =>
+        onError(error instanceof Error ? error : new Error("Connection lost")),
+      complete: () => {},
+    },
+  );
+};
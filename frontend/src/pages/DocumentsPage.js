@@ -16,9 +16,72 @@ import {
   DialogContent,
   DialogContentText,
   DialogTitle,
+  Checkbox,
+  FormControlLabel,
+  Switch,
+  Chip,
+  MenuItem,
 } from "@mui/material";
-import { Delete, Visibility, Edit, Save } from "@mui/icons-material";
+import {
+  Delete,
+  Visibility,
+  Edit,
+  Save,
+  History,
+  LocalOffer,
+  CreateNewFolder,
+  Share,
+} from "@mui/icons-material";
 import { useNavigate } from "react-router-dom";
+import ChatModal from "../components/ChatModal";
+import DocumentHistoryDrawer from "../components/DocumentHistoryDrawer";
+import DocumentOrganizeDialog from "../components/DocumentOrganizeDialog";
+import ShareDialog from "../components/ShareDialog";
+import { subscribe } from "../live";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+// Sort options of the document list, as "<sort>-<order>"
+const SORT_OPTIONS = {
+  "createdAt-asc": "Oldest first",
+  "createdAt-desc": "Newest first",
+  "title-asc": "Title A–Z",
+  "title-desc": "Title Z–A",
+};
+
+const DOCUMENTS_CHANGED = `
+  subscription DocumentsChanged($userId: ID!) {
+    documentsChanged(userId: $userId) {
+      type
+      documentId
+    }
+  }
+`;
+
+// What each role of a document shared with the user allows
+const SHARE_ROLE_LABELS = {
+  viewer: "Can view",
+  commenter: "Can comment",
+  editor: "Can edit",
+};
+
+/**
+ * Render text with the given [start, end] ranges marked
+ * @param text - Text to render
+ * @param ranges - Character ranges to highlight, in order
+ * @returns {Array} - Text and <mark> elements
+ */
+const renderHighlighted = (text = "", ranges = []) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
 
 const DocumentsPage = ({ theme }) => {
   const [documents, setDocuments] = useState([]);
@@ -33,6 +96,24 @@ const DocumentsPage = ({ theme }) => {
   const [searchResults, setSearchResults] = useState([]);
   const [searchLoading, setSearchLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
+  const [searchByMeaning, setSearchByMeaning] = useState(false);
+  const [selectedDocIds, setSelectedDocIds] = useState([]);
+  const [historyDocument, setHistoryDocument] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [unfiledCount, setUnfiledCount] = useState(0);
+  const [tagCounts, setTagCounts] = useState([]);
+  const [folderFilter, setFolderFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState([]);
+  const [sortOption, setSortOption] = useState("createdAt-asc");
+  const [organizingDocument, setOrganizingDocument] = useState(null);
+  const [folderDialog, setFolderDialog] = useState(null);
+  const [sharingDocument, setSharingDocument] = useState(null);
+  const [sharedDocuments, setSharedDocuments] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspace, setActiveWorkspace] = useState(null);
+  const [workspaceDocuments, setWorkspaceDocuments] = useState([]);
+  // Bumped when documents change elsewhere, to reload the library
+  const [libraryVersion, setLibraryVersion] = useState(0);
 
   useEffect(() => {
     const handler = setTimeout(() => {
@@ -47,11 +128,37 @@ const DocumentsPage = ({ theme }) => {
       clearTimeout(handler);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [searchTerm]);
+  }, [searchTerm, searchByMeaning]);
+
+  // Semantic search: documents closest in meaning, shown with their best passage
+  const searchDocumentsByMeaning = async () => {
+    const response = await axios.get(
+      `https://docuthinker-app-backend-api.vercel.app/semantic-search/${userId}?query=${encodeURIComponent(searchTerm)}`,
+    );
+
+    return response.data.results.map(({ docId, title, passages }) => {
+      const [passage] = passages;
+      const text =
+        passage.text.length > 200
+          ? `${passage.text.slice(0, 200)}…`
+          : passage.text;
+      return {
+        docId,
+        title,
+        snippet: `Page ${passage.page}, paragraph ${passage.paragraph}: ${text}`,
+        highlights: {},
+      };
+    });
+  };
 
   const handleSearchChange = async () => {
     setSearchLoading(true);
     try {
+      if (searchByMeaning) {
+        setSearchResults(await searchDocumentsByMeaning());
+        return;
+      }
+
       const response = await axios.get(
         `https://docuthinker-app-backend-api.vercel.app/search-documents/${userId}?searchTerm=${encodeURIComponent(searchTerm)}`,
       );
@@ -68,11 +175,17 @@ const DocumentsPage = ({ theme }) => {
             docId: response.data[key].docId,
             title: title,
             snippet: response.data[key].snippet,
+            highlights: response.data[key].highlights || {},
           };
         });
 
       setSearchResults(results);
     } catch (error) {
+      if (error.response?.status === 404) {
+        // Nothing matched
+        setSearchResults([]);
+        return;
+      }
       console.error("Error searching documents:", error);
     } finally {
       setSearchLoading(false);
@@ -86,9 +199,14 @@ const DocumentsPage = ({ theme }) => {
     }
 
     const fetchDocuments = async () => {
+      const [sort, order] = sortOption.split("-");
+      const params = new URLSearchParams({ sort, order });
+      if (folderFilter) params.append("folderId", folderFilter);
+      tagFilter.forEach((tag) => params.append("tag", tag));
+
       try {
         const response = await axios.get(
-          `https://docuthinker-app-backend-api.vercel.app/documents/${userId}`,
+          `https://docuthinker-app-backend-api.vercel.app/documents/${userId}?${params}`,
         );
         const documentsData = response.data;
         const documentsList = Object.keys(documentsData)
@@ -96,6 +214,7 @@ const DocumentsPage = ({ theme }) => {
           .map((key) => documentsData[key]);
 
         setDocuments(documentsList);
+        setCurrentPage(1);
         setLoading(false);
       } catch (error) {
         console.error("Error fetching documents:", error);
@@ -104,6 +223,80 @@ const DocumentsPage = ({ theme }) => {
     };
 
     fetchDocuments();
+  }, [userId, folderFilter, tagFilter, sortOption, libraryVersion]);
+
+  // Folders and tags shown in the filters, with their document counts
+  const fetchLibrary = async () => {
+    try {
+      const [foldersResponse, tagsResponse] = await Promise.all([
+        axios.get(`${API_URL}/folders/${userId}`),
+        axios.get(`${API_URL}/tags/${userId}`),
+      ]);
+      setFolders(foldersResponse.data.folders);
+      setUnfiledCount(foldersResponse.data.unfiledCount);
+      setTagCounts(tagsResponse.data.tags);
+    } catch (error) {
+      console.error("Error fetching folders and tags:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (userId) fetchLibrary();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userId, libraryVersion]);
+
+  // Reload the library when documents change, e.g. in another tab
+  useEffect(() => {
+    if (!userId) return;
+
+    return subscribe(
+      DOCUMENTS_CHANGED,
+      { userId },
+      {
+        onData: () => setLibraryVersion((version) => version + 1),
+        onError: (error) =>
+          console.error("Live document updates unavailable:", error),
+      },
+    );
+  }, [userId]);
+
+  // Documents other users shared with this user
+  useEffect(() => {
+    if (!userId) return;
+
+    axios
+      .get(`${API_URL}/shared-documents/${userId}`)
+      .then((response) => setSharedDocuments(response.data.documents))
+      .catch((error) =>
+        console.error("Error fetching shared documents:", error),
+      );
+  }, [userId]);
+
+  // Library of the workspace the user works in, chosen on the profile page
+  const fetchWorkspaceLibrary = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${userId}`);
+      const { workspaces, activeWorkspaceId } = response.data;
+      const active = workspaces.find(({ id }) => id === activeWorkspaceId);
+      setWorkspaces(workspaces);
+      setActiveWorkspace(active || null);
+      setWorkspaceDocuments(
+        active
+          ? (
+              await axios.get(
+                `${API_URL}/workspaces/${userId}/${active.id}/documents`,
+              )
+            ).data.documents
+          : [],
+      );
+    } catch (error) {
+      console.error("Error fetching workspace library:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (userId) fetchWorkspaceLibrary();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [userId]);
 
   const indexOfLastDocument = currentPage * documentsPerPage;
@@ -118,8 +311,10 @@ const DocumentsPage = ({ theme }) => {
       const response = await axios.get(
         `https://docuthinker-app-backend-api.vercel.app/document-details/${userId}/${docId}`,
       );
-      const { summary, originalText } = response.data;
-      navigate("/home", { state: { summary, originalText } });
+      const { summary, originalText, insights } = response.data;
+      navigate("/home", {
+        state: { summary, originalText, documentId: docId, insights },
+      });
     } catch (error) {
       console.error("Error viewing document:", error);
     }
@@ -136,6 +331,7 @@ const DocumentsPage = ({ theme }) => {
       );
       setDocuments(documents.filter((doc) => doc.id !== docId));
       setSearchResults(searchResults.filter((doc) => doc.docId !== docId));
+      setSelectedDocIds(selectedDocIds.filter((id) => id !== docId));
     } catch (error) {
       console.error("Error deleting document:", error);
     }
@@ -155,6 +351,7 @@ const DocumentsPage = ({ theme }) => {
         `https://docuthinker-app-backend-api.vercel.app/documents/${userId}`,
       );
       setDocuments([]);
+      setSelectedDocIds([]);
       handleCloseDeleteAllDialog();
     } catch (error) {
       console.error("Error deleting all documents:", error);
@@ -202,7 +399,13 @@ const DocumentsPage = ({ theme }) => {
 
       // Update the title in the searchResults array
       const updatedSearchResults = searchResults.map((doc) =>
-        doc.docId === docId ? { ...doc, title: newTitle } : doc,
+        doc.docId === docId
+          ? {
+              ...doc,
+              title: newTitle,
+              highlights: { ...doc.highlights, title: [] },
+            }
+          : doc,
       );
       setSearchResults(updatedSearchResults);
 
@@ -220,6 +423,85 @@ const DocumentsPage = ({ theme }) => {
     }
   };
 
+  // A restored version can bring back an older title
+  const handleVersionRestored = (restored) => {
+    const title = Array.isArray(restored.title)
+      ? restored.title.join(" ")
+      : restored.title;
+    setDocuments((docs) =>
+      docs.map((doc) => (doc.id === restored.id ? { ...doc, title } : doc)),
+    );
+    setSearchResults((results) =>
+      results.map((doc) =>
+        doc.docId === restored.id
+          ? { ...doc, title, highlights: { ...doc.highlights, title: [] } }
+          : doc,
+      ),
+    );
+    setHistoryDocument((current) => current && { ...current, title });
+  };
+
+  const handleDocumentOrganized = (updated) => {
+    const stillMatches =
+      (!folderFilter || (updated.folderId || "none") === folderFilter) &&
+      tagFilter.every((tag) => (updated.tags || []).includes(tag));
+    setDocuments((docs) =>
+      stillMatches
+        ? docs.map((doc) =>
+            doc.id === updated.id
+              ? {
+                  ...doc,
+                  tags: updated.tags,
+                  folderId: updated.folderId,
+                  workspaceId: updated.workspaceId,
+                }
+              : doc,
+          )
+        : docs.filter((doc) => doc.id !== updated.id),
+    );
+    fetchLibrary();
+    fetchWorkspaceLibrary();
+  };
+
+  const handleSaveFolder = async () => {
+    const { folderId, name } = folderDialog;
+    try {
+      if (folderId) {
+        await axios.put(`${API_URL}/folders/${userId}/${folderId}`, { name });
+      } else {
+        await axios.post(`${API_URL}/folders/${userId}`, { name });
+      }
+      setFolderDialog(null);
+      fetchLibrary();
+    } catch (error) {
+      console.error("Error saving folder:", error);
+    }
+  };
+
+  const handleDeleteFolder = async (folderId) => {
+    try {
+      await axios.delete(`${API_URL}/folders/${userId}/${folderId}`);
+      // Its documents are kept and moved out of the folder
+      setDocuments((docs) =>
+        docs.map((doc) =>
+          doc.folderId === folderId ? { ...doc, folderId: null } : doc,
+        ),
+      );
+      setFolderFilter("");
+      fetchLibrary();
+    } catch (error) {
+      console.error("Error deleting folder:", error);
+    }
+  };
+
+  const handleToggleSelected = (docId) => {
+    setSelectedDocIds((selected) =>
+      selected.includes(docId)
+        ? selected.filter((id) => id !== docId)
+        : [...selected, docId],
+    );
+  };
+
   const handlePageChange = (event, value) => {
     setCurrentPage(value);
   };
@@ -256,6 +538,17 @@ const DocumentsPage = ({ theme }) => {
     );
   }
 
+  const filterSx = {
+    minWidth: 160,
+    "& .MuiInputBase-input, & .MuiInputLabel-root": {
+      font: "inherit",
+      color: theme === "dark" ? "#fff" : "#000",
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#444" : "#ccc",
+    },
+  };
+
   if (loading) {
     return (
       <Box p={4} display="flex" justifyContent="center" alignItems="center">
@@ -296,6 +589,7 @@ const DocumentsPage = ({ theme }) => {
           size="small"
           label="Search documents..."
           title="Search documents"
+          placeholder='e.g. solar "net zero" title:report'
           sx={{
             marginTop: { xs: 2, md: 0 },
             width: { xs: "100%", md: "40%" },
@@ -330,6 +624,27 @@ const DocumentsPage = ({ theme }) => {
             },
           }}
         />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={searchByMeaning}
+              onChange={(event) => setSearchByMeaning(event.target.checked)}
+              sx={{
+                "& .MuiSwitch-switchBase.Mui-checked": { color: "#f57c00" },
+                "& .MuiSwitch-switchBase.Mui-checked + .MuiSwitch-track": {
+                  backgroundColor: "#f57c00",
+                },
+              }}
+            />
+          }
+          label="Search by meaning"
+          title="Find documents about the same topic, even when they use different words"
+          sx={{
+            ml: { xs: 0, md: 1 },
+            color: theme === "dark" ? "white" : "black",
+            "& .MuiFormControlLabel-label": { font: "inherit" },
+          }}
+        />
       </Box>
 
       {searchLoading ? (
@@ -407,7 +722,7 @@ const DocumentsPage = ({ theme }) => {
                               color: theme === "dark" ? "white" : "black",
                             }}
                           >
-                            {doc.title}
+                            {renderHighlighted(doc.title, doc.highlights.title)}
                           </Typography>
                         }
                         secondary={
@@ -417,7 +732,10 @@ const DocumentsPage = ({ theme }) => {
                               color: theme === "dark" ? "#ccc" : "#555",
                             }}
                           >
-                            {doc.snippet}
+                            {renderHighlighted(
+                              doc.snippet,
+                              doc.highlights.snippet,
+                            )}
                           </Typography>
                         }
                       />
@@ -456,6 +774,30 @@ const DocumentsPage = ({ theme }) => {
                           >
                             <Edit />
                           </IconButton>
+                          <IconButton
+                            onClick={() =>
+                              setHistoryDocument({
+                                id: doc.docId,
+                                title: doc.title,
+                              })
+                            }
+                            title={`History of ${doc.title}`}
+                            sx={{ color: theme === "dark" ? "#fff" : "#000" }}
+                          >
+                            <History />
+                          </IconButton>
+                          <IconButton
+                            onClick={() =>
+                              setSharingDocument({
+                                id: doc.docId,
+                                title: doc.title,
+                              })
+                            }
+                            title={`Share ${doc.title}`}
+                            sx={{ color: theme === "dark" ? "#fff" : "#000" }}
+                          >
+                            <Share />
+                          </IconButton>
                           <IconButton
                             onClick={() => handleDeleteDocument(doc.docId)}
                             sx={{ color: "red" }}
@@ -482,6 +824,138 @@ const DocumentsPage = ({ theme }) => {
         }}
       ></div>
 
+      {/* Folder, tag and sort filters */}
+      <Box
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 1,
+          mb: 2,
+        }}
+      >
+        <TextField
+          select
+          size="small"
+          label="Folder"
+          value={folderFilter}
+          onChange={(event) => setFolderFilter(event.target.value)}
+          sx={filterSx}
+        >
+          <MenuItem value="">All documents</MenuItem>
+          <MenuItem value="none">No folder ({unfiledCount})</MenuItem>
+          {folders.map((folder) => (
+            <MenuItem key={folder.id} value={folder.id}>
+              {folder.name} ({folder.documentCount})
+            </MenuItem>
+          ))}
+        </TextField>
+        <IconButton
+          onClick={() => setFolderDialog({ name: "" })}
+          title="New folder"
+          sx={{ color: theme === "dark" ? "#fff" : "#000" }}
+        >
+          <CreateNewFolder />
+        </IconButton>
+        {folders.some((folder) => folder.id === folderFilter) && (
+          <>
+            <IconButton
+              onClick={() =>
+                setFolderDialog({
+                  folderId: folderFilter,
+                  name: folders.find((folder) => folder.id === folderFilter)
+                    .name,
+                })
+              }
+              title="Rename folder"
+              sx={{ color: theme === "dark" ? "#fff" : "#000" }}
+            >
+              <Edit />
+            </IconButton>
+            <IconButton
+              onClick={() => handleDeleteFolder(folderFilter)}
+              title="Delete folder (its documents are kept)"
+              sx={{ color: "red" }}
+            >
+              <Delete />
+            </IconButton>
+          </>
+        )}
+        <TextField
+          select
+          size="small"
+          label="Sort"
+          value={sortOption}
+          onChange={(event) => setSortOption(event.target.value)}
+          sx={filterSx}
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+        {tagCounts.map(({ name, count }) => (
+          <Chip
+            key={name}
+            label={`${name} (${count})`}
+            size="small"
+            clickable
+            onClick={() =>
+              setTagFilter((selected) =>
+                selected.includes(name)
+                  ? selected.filter((tag) => tag !== name)
+                  : [...selected, name],
+              )
+            }
+            variant={tagFilter.includes(name) ? "filled" : "outlined"}
+            title={`Show only documents tagged ${name}`}
+            sx={{
+              font: "inherit",
+              color: tagFilter.includes(name)
+                ? "#fff"
+                : theme === "dark"
+                  ? "#fff"
+                  : "#000",
+              bgcolor: tagFilter.includes(name) ? "#f57c00" : "transparent",
+            }}
+          />
+        ))}
+      </Box>
+
+      {documents.length > 0 && (
+        <Box
+          sx={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 2,
+            mb: 1,
+          }}
+        >
+          <ChatModal
+            theme={theme}
+            documentIds={selectedDocIds}
+            buttonLabel={`Chat with selected (${selectedDocIds.length})`}
+            disabled={selectedDocIds.length === 0}
+          />
+          <ChatModal
+            theme={theme}
+            documentIds="all"
+            buttonLabel="Chat with all documents"
+          />
+          <Typography
+            sx={{
+              font: "inherit",
+              fontSize: "14px",
+              color: theme === "dark" ? "#ccc" : "#555",
+            }}
+          >
+            Select documents below to ask questions across them.
+          </Typography>
+        </Box>
+      )}
+
       {documents.length === 0 ? (
         <Typography
           sx={{ font: "inherit", color: theme === "dark" ? "white" : "black" }}
@@ -510,6 +984,16 @@ const DocumentsPage = ({ theme }) => {
                 },
               }}
             >
+              <Checkbox
+                checked={selectedDocIds.includes(doc.id)}
+                onChange={() => handleToggleSelected(doc.id)}
+                inputProps={{ "aria-label": `Select ${doc.title}` }}
+                sx={{
+                  color: theme === "dark" ? "#fff" : "#000",
+                  "&.Mui-checked": { color: "#f57c00" },
+                }}
+              />
+
               {/* Document Title or Editable Title */}
               {editingDocId === doc.id ? (
                 <TextField
@@ -546,6 +1030,29 @@ const DocumentsPage = ({ theme }) => {
                       {doc.title}
                     </Typography>
                   }
+                  secondary={
+                    doc.tags?.length > 0 && (
+                      <Box
+                        component="span"
+                        sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}
+                      >
+                        {doc.tags.map((tag) => (
+                          <Chip
+                            key={tag}
+                            component="span"
+                            label={tag}
+                            size="small"
+                            sx={{
+                              font: "inherit",
+                              fontSize: "12px",
+                              color: theme === "dark" ? "#fff" : "#000",
+                              bgcolor: theme === "dark" ? "#444" : "#eee",
+                            }}
+                          />
+                        ))}
+                      </Box>
+                    )
+                  }
                 />
               )}
 
@@ -594,6 +1101,49 @@ const DocumentsPage = ({ theme }) => {
                     >
                       <Edit />
                     </IconButton>
+                    <IconButton
+                      onClick={() => setOrganizingDocument(doc)}
+                      title={`Tags and folder of ${doc.title}`}
+                      sx={{
+                        color: theme === "dark" ? "#fff" : "#000",
+                        "&:hover": {
+                          transform: "scale(1.15)",
+                          transition: "transform 0.2s ease",
+                        },
+                      }}
+                    >
+                      <LocalOffer />
+                    </IconButton>
+                    <IconButton
+                      onClick={() =>
+                        setHistoryDocument({ id: doc.id, title: doc.title })
+                      }
+                      title={`History of ${doc.title}`}
+                      sx={{
+                        color: theme === "dark" ? "#fff" : "#000",
+                        "&:hover": {
+                          transform: "scale(1.15)",
+                          transition: "transform 0.2s ease",
+                        },
+                      }}
+                    >
+                      <History />
+                    </IconButton>
+                    <IconButton
+                      onClick={() =>
+                        setSharingDocument({ id: doc.id, title: doc.title })
+                      }
+                      title={`Share ${doc.title}`}
+                      sx={{
+                        color: theme === "dark" ? "#fff" : "#000",
+                        "&:hover": {
+                          transform: "scale(1.15)",
+                          transition: "transform 0.2s ease",
+                        },
+                      }}
+                    >
+                      <Share />
+                    </IconButton>
                     <IconButton
                       onClick={() => handleDeleteDocument(doc.id)}
                       sx={{
@@ -667,6 +1217,173 @@ const DocumentsPage = ({ theme }) => {
         </>
       )}
 
+      {sharedDocuments.length > 0 && (
+        <>
+          <Typography
+            variant="h5"
+            sx={{ mt: 4, mb: 1, font: "inherit", fontSize: "24px" }}
+          >
+            Shared with me
+          </Typography>
+          <List>
+            {sharedDocuments.map((doc) => (
+              <ListItem
+                key={`${doc.ownerId}/${doc.docId}`}
+                button
+                onClick={() => navigate(`/shared/${doc.ownerId}/${doc.docId}`)}
+                sx={{
+                  borderBottom: `1px solid ${theme === "dark" ? "#555" : "#eee"}`,
+                }}
+              >
+                <ListItemText
+                  primary={doc.title}
+                  secondary={SHARE_ROLE_LABELS[doc.role]}
+                  primaryTypographyProps={{ sx: { font: "inherit" } }}
+                  secondaryTypographyProps={{
+                    sx: {
+                      font: "inherit",
+                      color: theme === "dark" ? "#ccc" : "#555",
+                    },
+                  }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+
+      {activeWorkspace && (
+        <>
+          <Typography
+            variant="h5"
+            sx={{ mt: 4, mb: 1, font: "inherit", fontSize: "24px" }}
+          >
+            {activeWorkspace.name} library
+          </Typography>
+          {workspaceDocuments.length === 0 ? (
+            <Typography sx={{ font: "inherit" }}>
+              No documents yet. Add one of yours from its tags and folder
+              dialog.
+            </Typography>
+          ) : (
+            <List>
+              {workspaceDocuments.map((doc) => (
+                <ListItem
+                  key={`${doc.ownerId}/${doc.docId}`}
+                  button
+                  onClick={() =>
+                    navigate(`/shared/${doc.ownerId}/${doc.docId}`)
+                  }
+                  sx={{
+                    borderBottom: `1px solid ${theme === "dark" ? "#555" : "#eee"}`,
+                  }}
+                >
+                  <ListItemText
+                    primary={doc.title}
+                    secondary={doc.ownerId === userId ? "Added by you" : null}
+                    primaryTypographyProps={{ sx: { font: "inherit" } }}
+                    secondaryTypographyProps={{
+                      sx: {
+                        font: "inherit",
+                        color: theme === "dark" ? "#ccc" : "#555",
+                      },
+                    }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </>
+      )}
+
+      <DocumentOrganizeDialog
+        open={organizingDocument !== null}
+        onClose={() => setOrganizingDocument(null)}
+        document={organizingDocument}
+        folders={folders}
+        workspaces={workspaces}
+        knownTags={tagCounts.map(({ name }) => name)}
+        onSaved={handleDocumentOrganized}
+        theme={theme}
+      />
+
+      <Dialog
+        open={folderDialog !== null}
+        onClose={() => setFolderDialog(null)}
+        PaperProps={{
+          style: {
+            backgroundColor: theme === "dark" ? "#222" : "#f5f5f5",
+            color: theme === "dark" ? "#fff" : "#000",
+            borderRadius: "8px",
+          },
+        }}
+      >
+        <DialogTitle sx={{ font: "inherit", fontSize: "24px" }}>
+          {folderDialog?.folderId ? "Rename Folder" : "New Folder"}
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            label="Folder name"
+            value={folderDialog?.name || ""}
+            onChange={(event) =>
+              setFolderDialog({ ...folderDialog, name: event.target.value })
+            }
+            onKeyPress={(event) => {
+              if (event.key === "Enter" && folderDialog.name.trim()) {
+                handleSaveFolder();
+              }
+            }}
+            sx={{ mt: 1 }}
+            inputProps={{
+              maxLength: 100,
+              style: {
+                fontFamily: "Poppins, sans-serif",
+                color: theme === "dark" ? "white" : "black",
+              },
+            }}
+            InputLabelProps={{
+              style: {
+                fontFamily: "Poppins, sans-serif",
+                color: theme === "dark" ? "white" : "#000",
+              },
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setFolderDialog(null)}
+            sx={{ color: theme === "dark" ? "#fff" : "#000", font: "inherit" }}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSaveFolder}
+            disabled={!folderDialog?.name.trim()}
+            sx={{ color: "#f57c00", font: "inherit" }}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ShareDialog
+        open={sharingDocument !== null}
+        onClose={() => setSharingDocument(null)}
+        document={sharingDocument}
+        theme={theme}
+      />
+
+      <DocumentHistoryDrawer
+        open={historyDocument !== null}
+        onClose={() => setHistoryDocument(null)}
+        document={historyDocument}
+        onRestored={handleVersionRestored}
+        theme={theme}
+      />
+
       <Dialog
         open={openDeleteAllDialog}
         onClose={handleCloseDeleteAllDialog}
@@ -15,39 +15,41 @@ import { useNavigate } from "react-router-dom";
 
 const ForgotPassword = ({ theme }) => {
   const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
   const [newPassword, setNewPassword] = useState("");
   const [confirmNewPassword, setConfirmNewPassword] = useState("");
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmNewPassword, setShowConfirmNewPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [emailVerified, setEmailVerified] = useState(false);
+  const [codeSent, setCodeSent] = useState(false);
   const [success, setSuccess] = useState("");
   const [error, setError] = useState("");
   const navigate = useNavigate();
 
-  // Step 1: Verify if the email exists in Firebase
-  const handleVerifyEmail = async (e) => {
+  // Step 1: Ask the backend to email a one-time reset code
+  const handleRequestCode = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError("");
     setSuccess("");
 
     try {
-      const response = await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/verify-email",
+      await axios.post(
+        "https://docuthinker-app-backend-api.vercel.app/forgot-password",
         { email },
       );
-      setEmailVerified(true);
-      setSuccess("Email verified. Please enter your new password.");
-      console.log(response.data);
+      setCodeSent(true);
+      setSuccess(
+        "If an account exists for this email, we sent you a reset code. Enter it below with your new password.",
+      );
     } catch (error) {
-      setError("Email not found. Please check your email.");
+      setError("Failed to send the reset code. Please try again.");
     } finally {
       setLoading(false);
     }
   };
 
-  // Step 2: Handle password reset once email is verified
+  // Step 2: Reset the password with the emailed code
   const handleUpdatePassword = async (e) => {
     e.preventDefault();
 
@@ -62,13 +64,16 @@ const ForgotPassword = ({ theme }) => {
 
     try {
       await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/forgot-password",
-        { email, newPassword },
+        "https://docuthinker-app-backend-api.vercel.app/reset-password",
+        { email, code, newPassword },
       );
       setSuccess("Password updated successfully.");
       navigate("/login");
     } catch (error) {
-      setError("Failed to update password. Please try again.");
+      setError(
+        error.response?.data?.details ||
+          "Failed to update password. Please try again.",
+      );
     } finally {
       setLoading(false);
     }
@@ -139,8 +144,8 @@ const ForgotPassword = ({ theme }) => {
         )}
 
         {/* Email Input */}
-        {!emailVerified && (
-          <form onSubmit={handleVerifyEmail}>
+        {!codeSent && (
+          <form onSubmit={handleRequestCode}>
             <TextField
               label="Enter your email"
               type="email"
@@ -185,15 +190,43 @@ const ForgotPassword = ({ theme }) => {
               {loading ? (
                 <CircularProgress size={24} sx={{ color: "white" }} />
               ) : (
-                "Verify Email"
+                "Send Reset Code"
               )}
             </Button>
           </form>
         )}
 
-        {/* Show Password Fields Only After Email is Verified */}
-        {emailVerified && (
+        {/* Show Code and Password Fields Only After the Code Was Sent */}
+        {codeSent && (
           <form onSubmit={handleUpdatePassword}>
+            <TextField
+              label="Reset Code"
+              fullWidth
+              required
+              sx={{
+                marginBottom: "1.5rem",
+                backgroundColor: theme === "dark" ? "#555" : "#fff",
+                borderRadius: "8px",
+                font: "inherit",
+              }}
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              inputProps={{
+                inputMode: "numeric",
+                autoComplete: "one-time-code",
+                style: {
+                  fontFamily: "Poppins, sans-serif",
+                  color: theme === "dark" ? "white" : "black",
+                },
+              }}
+              InputLabelProps={{
+                style: {
+                  fontFamily: "Poppins, sans-serif",
+                  color: theme === "dark" ? "white" : "black",
+                },
+              }}
+            />
+
             <TextField
               label="New Password"
               type={showNewPassword ? "text" : "password"}
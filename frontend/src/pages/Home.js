@@ -15,6 +15,8 @@ import {
   DialogTitle,
   Modal,
   Fade,
+  Menu,
+  MenuItem,
 } from "@mui/material";
 import MuiLink from "@mui/material/Link";
 import ReactMarkdown from "react-markdown";
@@ -25,6 +27,8 @@ import "katex/dist/katex.min.css";
 import UploadModal from "../components/UploadModal";
 import ChatModal from "../components/ChatModal";
 import axios from "axios";
+import { postEventStream, isAbortError } from "../stream";
+import { runBackgroundJob } from "../jobs";
 import { useErrorToast } from "../components/useErrorToast";
 import { useLocation } from "react-router-dom";
 import CloseIcon from "@mui/icons-material/Close";
@@ -130,6 +134,14 @@ const Home = ({ theme }) => {
   const [audioBlob, setAudioBlob] = useState(null);
   const recorder = useRef(new MicRecorder({ bitRate: 128 }));
   const audioRef = useRef(null);
+  // ID of the saved document, so generated insights are stored against it
+  const [documentId, setDocumentId] = useState(null);
+  // When each saved insight was generated, by type
+  const [insightDates, setInsightDates] = useState({});
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  // Abort controllers of the AI answers that are currently streaming, by task
+  const streamControllersRef = useRef({});
 
   // Update recording message dots animation
   useEffect(() => {
@@ -182,20 +194,141 @@ const Home = ({ theme }) => {
       });
   };
 
+  // Stream an AI answer, passing the text generated so far to onText as it
+  // arrives; resolves with the endpoint's final JSON result
+  const streamAiAnswer = async (task, endpoint, body, onText) => {
+    const controller = new AbortController();
+    streamControllersRef.current[task] = controller;
+    let text = "";
+    try {
+      return await postEventStream(
+        `https://docuthinker-app-backend-api.vercel.app/${endpoint}`,
+        body,
+        {
+          onToken: (token) => {
+            text += token;
+            onText(text);
+          },
+          signal: controller.signal,
+        },
+      );
+    } finally {
+      delete streamControllersRef.current[task];
+    }
+  };
+
+  const handleStopStream = (task) => {
+    streamControllersRef.current[task]?.abort();
+  };
+
+  // Stop every running answer when leaving the page
+  useEffect(() => {
+    const controllers = streamControllersRef.current;
+    return () => Object.values(controllers).forEach((c) => c.abort());
+  }, []);
+
+  const renderStopButton = (task) => (
+    <Button
+      onClick={() => handleStopStream(task)}
+      sx={{
+        bgcolor: "gray",
+        color: "white",
+        font: "inherit",
+        borderRadius: "8px",
+        fontSize: "12px",
+        padding: "2px 8px",
+        mb: 1,
+      }}
+    >
+      Stop Generating
+    </Button>
+  );
+
+  // Fields that make the backend save a result against the open document.
+  // Asking again for an insight that is already saved regenerates it, so the
+  // backend skips its response cache.
+  const documentFields = (type) =>
+    documentId
+      ? {
+          userId: localStorage.getItem("userId"),
+          documentId,
+          ...(insightDates[type] && { regenerate: true }),
+        }
+      : {};
+
+  const markInsightSaved = (type) => {
+    if (!documentId) return;
+    setInsightDates((dates) => ({
+      ...dates,
+      [type]: new Date().toISOString(),
+    }));
+  };
+
+  // Shows when a saved insight was generated, with an option to regenerate it
+  const renderInsightActions = (type, onRegenerate, loading) =>
+    insightDates[type] && (
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 1,
+          mb: 1,
+        }}
+      >
+        <Typography
+          sx={{
+            font: "inherit",
+            fontSize: "12px",
+            color: theme === "dark" ? "#bbb" : "#666",
+          }}
+        >
+          Saved {new Date(insightDates[type]).toLocaleString()}
+        </Typography>
+        <Button
+          onClick={onRegenerate}
+          disabled={loading}
+          sx={{
+            bgcolor: "#f57c00",
+            color: "white",
+            font: "inherit",
+            borderRadius: "8px",
+            fontSize: "12px",
+            padding: "2px 8px",
+          }}
+        >
+          {loading ? (
+            <CircularProgress size={14} sx={{ color: "white" }} />
+          ) : (
+            "Regenerate"
+          )}
+        </Button>
+      </Box>
+    );
+
   const handleRefineSummary = async () => {
     setLoadingRefinement(true);
+    setRefinedSummary("");
     try {
-      const response = await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/refine-summary",
+      const result = await streamAiAnswer(
+        "refine",
+        "refine-summary",
         {
+          ...documentFields("refinedSummary"),
           summary,
           refinementInstructions,
         },
+        (text) => {
+          setRefinedSummary(text);
+          setShowRefineModal(false);
+        },
       );
-      setRefinedSummary(response.data.refinedSummary);
+      setRefinedSummary(result.refinedSummary);
       setShowRefineModal(false);
+      markInsightSaved("refinedSummary");
       refinedRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
+      if (isAbortError(error)) return;
       showErrorToast(error.message + ". Please try again.");
       console.error("Failed to refine summary:", error);
     } finally {
@@ -203,6 +336,46 @@ const Home = ({ theme }) => {
     }
   };
 
+  // Download the summary and every insight on the page as one report
+  const handleExport = async (format) => {
+    setExportMenuAnchor(null);
+    setExporting(true);
+    try {
+      const response = await axios.post(
+        "https://docuthinker-app-backend-api.vercel.app/export",
+        {
+          ...documentFields(),
+          format,
+          summary,
+          bulletSummary,
+          keyIdeas,
+          discussionPoints,
+          sentiment,
+          recommendations,
+          refinedSummary,
+        },
+        { responseType: "blob" },
+      );
+      const extension = format === "markdown" ? "md" : format;
+      const fileName =
+        response.headers["content-disposition"]?.match(
+          /filename="([^"]+)"/,
+        )?.[1] || `report.${extension}`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showErrorToast(error.message + ". Please try again.");
+      console.error("Failed to export document:", error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleSendAudio = async () => {
     if (!file) return;
 
@@ -216,7 +389,8 @@ const Home = ({ theme }) => {
 
     try {
       setLoadingAudio(true);
-      const response = await axios.post(
+      // Audio takes a while to process, so follow it as a background job
+      const result = await runBackgroundJob(
         "https://docuthinker-app-backend-api.vercel.app/process-audio",
         formData,
         {
@@ -225,7 +399,7 @@ const Home = ({ theme }) => {
           },
         },
       );
-      setAudioResponse(response.data.summary);
+      setAudioResponse(result.summary);
       audioRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
       showErrorToast(
@@ -245,6 +419,7 @@ const Home = ({ theme }) => {
         "https://docuthinker-app-backend-api.vercel.app/actionable-recommendations",
         {
           documentText: originalText,
+          ...documentFields("recommendations"),
         },
       );
 
@@ -252,6 +427,7 @@ const Home = ({ theme }) => {
         response.data.recommendations,
       );
       setRecommendations(formattedRecommendations);
+      markInsightSaved("recommendations");
       recommendationsRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
       showErrorToast(error.message + ". Please try again.");
@@ -263,19 +439,28 @@ const Home = ({ theme }) => {
 
   const handleRewriteContent = async () => {
     setLoadingRewrite(true);
+    setRewrittenContent("");
     try {
-      const response = await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/content-rewriting",
+      const result = await streamAiAnswer(
+        "rewrite",
+        "content-rewriting",
         {
           documentText: originalText,
           style: desiredStyle,
+          ...documentFields("rewrittenContent"),
+        },
+        (text) => {
+          setRewrittenContent(text);
+          setShowRewriteModal(false);
         },
       );
 
-      setRewrittenContent(response.data.rewrittenContent);
+      setRewrittenContent(result.rewrittenContent);
+      markInsightSaved("rewrittenContent");
       setShowRewriteModal(false);
       rewriteRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
+      if (isAbortError(error)) return;
       showErrorToast(error.message + ". Please try again.");
       console.error("Failed to rewrite content:", error);
     } finally {
@@ -314,19 +499,28 @@ const Home = ({ theme }) => {
     setSelectedLanguage(language);
     setLoadingLanguageSummary(true);
     setLoadingLanguage(true);
+    setLanguageSummary("");
     try {
-      const response = await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/summary-in-language",
+      const result = await streamAiAnswer(
+        "language",
+        "summary-in-language",
         {
           documentText: originalText,
           language,
+          ...documentFields("languageSummary"),
+        },
+        (text) => {
+          setLanguageSummary(text);
+          setLanguageModalOpen(false);
         },
       );
-      const formattedLanguageSummary = formatAsMarkdown(response.data.summary);
+      const formattedLanguageSummary = formatAsMarkdown(result.summary);
       setLanguageSummary(formattedLanguageSummary);
+      markInsightSaved("languageSummary");
       setLanguageModalOpen(false);
       languageRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
+      if (isAbortError(error)) return;
       showErrorToast(error.message + ". Please try again.");
       console.error("Failed to generate summary in language:", error);
     } finally {
@@ -342,6 +536,7 @@ const Home = ({ theme }) => {
         "https://docuthinker-app-backend-api.vercel.app/sentiment-analysis",
         {
           documentText: text,
+          ...documentFields("sentiment"),
         },
       );
 
@@ -356,6 +551,7 @@ const Home = ({ theme }) => {
           description: response.data.description,
         });
         setHasFetchedSentiment(true);
+        markInsightSaved("sentiment");
       } else {
         console.error("Unexpected response format:", response.data);
       }
@@ -370,9 +566,11 @@ const Home = ({ theme }) => {
 
   useEffect(() => {
     if (location.state) {
-      const { summary, originalText } = location.state;
+      const { summary, originalText, documentId, insights } = location.state;
       setSummary(summary);
       setOriginalText(originalText);
+      setDocumentId(documentId || null);
+      if (insights) showSavedInsights(insights);
     }
   }, [location.state]);
 
@@ -390,6 +588,50 @@ const Home = ({ theme }) => {
     return paragraphs.map((para) => para.trim()).join("\n\n");
   };
 
+  // Show the insights saved with a document instead of generating them again
+  const showSavedInsights = (insights) => {
+    const {
+      keyIdeas,
+      discussionPoints,
+      bulletSummary,
+      sentiment,
+      recommendations,
+      languageSummary,
+      rewrittenContent,
+      refinedSummary,
+    } = insights;
+
+    if (keyIdeas) setKeyIdeas(keyIdeas.content);
+    if (discussionPoints) setDiscussionPoints(discussionPoints.content);
+    if (bulletSummary) setBulletSummary(bulletSummary.content);
+    if (recommendations) setRecommendations(recommendations.content);
+    if (sentiment) {
+      setSentiment(sentiment.content);
+      setHasFetchedSentiment(true);
+    }
+    if (languageSummary) {
+      setLanguageSummary(languageSummary.content);
+      setSelectedLanguage(languageSummary.options?.language || "");
+    }
+    if (rewrittenContent) {
+      setRewrittenContent(rewrittenContent.content);
+      setDesiredStyle(rewrittenContent.options?.style || "");
+    }
+    if (refinedSummary) {
+      setRefinedSummary(refinedSummary.content);
+      setRefinementInstructions(refinedSummary.options?.instructions || "");
+    }
+
+    setInsightDates(
+      Object.fromEntries(
+        Object.entries(insights).map(([type, insight]) => [
+          type,
+          insight.generatedAt,
+        ]),
+      ),
+    );
+  };
+
   const handleGenerateIdeas = async () => {
     setLoadingKeyIdeas(true);
     try {
@@ -397,10 +639,12 @@ const Home = ({ theme }) => {
         "https://docuthinker-app-backend-api.vercel.app/generate-key-ideas",
         {
           documentText: originalText,
+          ...documentFields("keyIdeas"),
         },
       );
       const formattedKeyIdeas = formatAsMarkdown(response.data.keyIdeas);
       setKeyIdeas(formattedKeyIdeas);
+      markInsightSaved("keyIdeas");
       keyIdeasRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
       showErrorToast(error.message + ". Please try again.");
@@ -417,12 +661,14 @@ const Home = ({ theme }) => {
         "https://docuthinker-app-backend-api.vercel.app/generate-discussion-points",
         {
           documentText: originalText,
+          ...documentFields("discussionPoints"),
         },
       );
       const formattedDiscussionPoints = formatAsMarkdown(
         response.data.discussionPoints,
       );
       setDiscussionPoints(formattedDiscussionPoints);
+      markInsightSaved("discussionPoints");
       discussionPointsRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
       showErrorToast(error.message + ". Please try again.");
@@ -434,17 +680,23 @@ const Home = ({ theme }) => {
 
   const handleGenerateBulletSummary = async () => {
     setLoadingBulletSummary(true);
+    setBulletSummary("");
     try {
-      const response = await axios.post(
-        "https://docuthinker-app-backend-api.vercel.app/bullet-summary",
+      const result = await streamAiAnswer(
+        "bullets",
+        "bullet-summary",
         {
           documentText: originalText,
+          ...documentFields("bulletSummary"),
         },
+        setBulletSummary,
       );
-      const formattedBulletSummary = formatAsMarkdown(response.data.summary);
+      const formattedBulletSummary = formatAsMarkdown(result.summary);
       setBulletSummary(formattedBulletSummary);
+      markInsightSaved("bulletSummary");
       bulletSummaryRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (error) {
+      if (isAbortError(error)) return;
       showErrorToast(error.message + ". Please try again.");
       console.error("Failed to generate bullet-point summary:", error);
     } finally {
@@ -479,6 +731,7 @@ const Home = ({ theme }) => {
         <UploadModal
           setSummary={setSummary}
           setOriginalText={setOriginalText}
+          setDocumentId={setDocumentId}
           theme={theme}
           setDocumentFile={setDocumentFile}
         />
@@ -749,6 +1002,11 @@ const Home = ({ theme }) => {
               >
                 Sentiment Analysis
               </Typography>
+              {renderInsightActions(
+                "sentiment",
+                () => fetchSentiment(originalText),
+                loadingSentiment,
+              )}
 
               {loadingSentiment ? (
                 <CircularProgress
@@ -906,6 +1164,35 @@ const Home = ({ theme }) => {
               >
                 Refine Summary
               </Button>
+              <Button
+                onClick={(event) => setExportMenuAnchor(event.currentTarget)}
+                sx={{
+                  bgcolor: "#f57c00",
+                  color: "white",
+                  font: "inherit",
+                  borderRadius: "12px",
+                }}
+                disabled={exporting}
+              >
+                {exporting ? (
+                  <CircularProgress size={24} sx={{ color: "white" }} />
+                ) : (
+                  "Export Report"
+                )}
+              </Button>
+              <Menu
+                anchorEl={exportMenuAnchor}
+                open={Boolean(exportMenuAnchor)}
+                onClose={() => setExportMenuAnchor(null)}
+              >
+                <MenuItem onClick={() => handleExport("pdf")}>PDF</MenuItem>
+                <MenuItem onClick={() => handleExport("docx")}>
+                  Word (DOCX)
+                </MenuItem>
+                <MenuItem onClick={() => handleExport("markdown")}>
+                  Markdown
+                </MenuItem>
+              </Menu>
               <Button
                 onClick={handleUploadNewDocument}
                 sx={{
@@ -1094,6 +1381,11 @@ const Home = ({ theme }) => {
                 >
                   Key Ideas
                 </Typography>
+                {renderInsightActions(
+                  "keyIdeas",
+                  handleGenerateIdeas,
+                  loadingKeyIdeas,
+                )}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -1333,6 +1625,11 @@ const Home = ({ theme }) => {
                 >
                   Discussion Points
                 </Typography>
+                {renderInsightActions(
+                  "discussionPoints",
+                  handleGenerateDiscussionPoints,
+                  loadingDiscussionPoints,
+                )}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -1572,6 +1869,12 @@ const Home = ({ theme }) => {
                 >
                   Bullet-Point Summary
                 </Typography>
+                {renderInsightActions(
+                  "bulletSummary",
+                  handleGenerateBulletSummary,
+                  loadingBulletSummary,
+                )}
+                {loadingBulletSummary && renderStopButton("bullets")}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -2122,6 +2425,12 @@ const Home = ({ theme }) => {
                 >
                   Summary in {selectedLanguage}
                 </Typography>
+                {renderInsightActions(
+                  "languageSummary",
+                  () => handleLanguageSelection(selectedLanguage),
+                  loadingLanguageSummary,
+                )}
+                {loadingLanguageSummary && renderStopButton("language")}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -2344,6 +2653,12 @@ const Home = ({ theme }) => {
                 >
                   Rewritten Content
                 </Typography>
+                {renderInsightActions(
+                  "rewrittenContent",
+                  handleRewriteContent,
+                  loadingRewrite,
+                )}
+                {loadingRewrite && renderStopButton("rewrite")}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -2562,6 +2877,12 @@ const Home = ({ theme }) => {
                 >
                   Refined Summary
                 </Typography>
+                {renderInsightActions(
+                  "refinedSummary",
+                  handleRefineSummary,
+                  loadingRefinement,
+                )}
+                {loadingRefinement && renderStopButton("refine")}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
@@ -2803,6 +3124,11 @@ const Home = ({ theme }) => {
                 >
                   Actionable Recommendations
                 </Typography>
+                {renderInsightActions(
+                  "recommendations",
+                  handleGenerateRecommendations,
+                  loadingRecommendations,
+                )}
                 <Box
                   sx={{
                     border: "1px solid #f57c00",
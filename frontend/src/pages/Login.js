@@ -13,6 +13,7 @@ import {
 import { Visibility, VisibilityOff } from "@mui/icons-material";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
+import { saveTokens } from "../auth";
 
 const Login = ({ theme, onLogin }) => {
   const [email, setEmail] = useState("");
@@ -43,6 +44,7 @@ const Login = ({ theme, onLogin }) => {
       const { customToken, userId } = response.data;
       localStorage.setItem("token", customToken);
       localStorage.setItem("userId", userId);
+      saveTokens(response.data);
       navigate("/home");
     } catch (error) {
       setLoading(false);
@@ -17,6 +17,8 @@ import {
   Save as SaveIcon,
 } from "@mui/icons-material";
 import axios from "axios";
+import { logout } from "../auth";
+import WorkspacesPanel from "../components/WorkspacesPanel";
 
 const Profile = ({ theme }) => {
   const [email, setEmail] = useState("");
@@ -285,7 +287,7 @@ const Profile = ({ theme }) => {
         display: "flex",
         justifyContent: "center",
         alignItems: "flex-start",
-        height: "100vh",
+        minHeight: "100vh",
         backgroundColor: theme === "dark" ? "#222" : "#f4f4f4",
         paddingTop: 8,
         paddingBottom: 20,
@@ -531,6 +533,8 @@ const Profile = ({ theme }) => {
           ),
         )}
 
+        <WorkspacesPanel theme={theme} />
+
         {/* Thank you message */}
         <Typography
           sx={{ mt: 3, font: "inherit", fontWeight: "bold", fontSize: "18px" }}
@@ -547,8 +551,8 @@ const Profile = ({ theme }) => {
           variant="contained"
           color="secondary"
           sx={{ mt: 3, font: "inherit" }}
-          onClick={() => {
-            localStorage.removeItem("userId");
+          onClick={async () => {
+            await logout();
             window.location.reload();
           }}
         >
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useParams } from "react-router-dom";
+import {
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { Edit, Save } from "@mui/icons-material";
+import ReactMarkdown from "react-markdown";
+
+const API_URL = "https://docuthinker-app-backend-api.vercel.app";
+
+const INSIGHT_LABELS = {
+  keyIdeas: "Key Ideas",
+  discussionPoints: "Discussion Points",
+  bulletSummary: "Bullet Summary",
+  sentiment: "Sentiment",
+  recommendations: "Recommendations",
+  languageSummary: "Summary in Another Language",
+  rewrittenContent: "Rewritten Content",
+  refinedSummary: "Refined Summary",
+};
+
+// Roles that can comment on and rename a shared document
+const COMMENT_ROLES = ["commenter", "editor", "owner"];
+const EDIT_ROLES = ["editor", "owner"];
+
+/**
+ * Render a saved insight; sentiment is stored as { score, description }
+ * @param content - Insight content
+ * @returns {string} - Markdown to render
+ */
+const insightText = (content) =>
+  typeof content === "string"
+    ? content
+    : `**Score:** ${content.score}\n\n${content.description}`;
+
+/**
+ * A document opened through a public link (/share/:token), read-only, or
+ * shared with the signed-in user (/shared/:ownerId/:docId), with comments
+ * and renaming depending on their role.
+ */
+const SharedDocumentPage = ({ theme }) => {
+  const { token, ownerId, docId } = useParams();
+  const [document, setDocument] = useState(null);
+  const [role, setRole] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [newTitle, setNewTitle] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const userId = localStorage.getItem("userId");
+  const sharedUrl = `${API_URL}/shared-documents/${userId}/${ownerId}/${docId}`;
+
+  useEffect(() => {
+    const fetchDocument = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        if (token) {
+          const response = await axios.get(
+            `${API_URL}/public/documents/${token}`,
+          );
+          setDocument(response.data.document);
+        } else {
+          const [documentResponse, commentsResponse] = await Promise.all([
+            axios.get(sharedUrl),
+            axios.get(`${sharedUrl}/comments`),
+          ]);
+          const { document, role } = documentResponse.data;
+          setDocument({
+            ...document,
+            title: Array.isArray(document.title)
+              ? document.title.join(" ")
+              : document.title,
+          });
+          setRole(role);
+          setComments(commentsResponse.data.comments);
+        }
+      } catch (error) {
+        console.error("Error fetching shared document:", error);
+        setError(
+          error.response?.status === 404
+            ? "This document does not exist or is no longer shared."
+            : "Failed to load the document.",
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDocument();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, ownerId, docId]);
+
+  const handleAddComment = async () => {
+    try {
+      const response = await axios.post(`${sharedUrl}/comments`, {
+        text: newComment,
+      });
+      setComments([...comments, response.data.comment]);
+      setNewComment("");
+    } catch (error) {
+      console.error("Error adding comment:", error);
+    }
+  };
+
+  const handleSaveTitle = async () => {
+    try {
+      await axios.put(`${sharedUrl}/title`, { newTitle });
+      setDocument({ ...document, title: newTitle });
+      setEditing(false);
+    } catch (error) {
+      console.error("Error updating document title:", error);
+    }
+  };
+
+  const textColor = theme === "dark" ? "#fff" : "#000";
+  const fieldSx = {
+    "& .MuiInputBase-input, & .MuiInputLabel-root": {
+      font: "inherit",
+      color: textColor,
+    },
+    "& .MuiOutlinedInput-notchedOutline": {
+      borderColor: theme === "dark" ? "#666" : "#ccc",
+    },
+  };
+  const sectionSx = {
+    mt: 3,
+    p: 2,
+    borderRadius: "8px",
+    bgcolor: theme === "dark" ? "#222" : "#f5f5f5",
+  };
+
+  if (loading) {
+    return <CircularProgress sx={{ display: "block", margin: "40px auto" }} />;
+  }
+
+  if (error) {
+    return (
+      <Typography sx={{ font: "inherit", textAlign: "center", mt: 5 }}>
+        {error}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ maxWidth: 900, mx: "auto", p: 3, color: textColor }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+        {editing ? (
+          <>
+            <TextField
+              value={newTitle}
+              onChange={(event) => setNewTitle(event.target.value)}
+              size="small"
+              fullWidth
+              sx={fieldSx}
+            />
+            <IconButton
+              onClick={handleSaveTitle}
+              disabled={!newTitle.trim()}
+              title="Save title"
+              sx={{ color: textColor }}
+            >
+              <Save />
+            </IconButton>
+          </>
+        ) : (
+          <>
+            <Typography variant="h4" sx={{ font: "inherit", fontSize: "32px" }}>
+              {document.title}
+            </Typography>
+            {EDIT_ROLES.includes(role) && (
+              <IconButton
+                onClick={() => {
+                  setNewTitle(document.title);
+                  setEditing(true);
+                }}
+                title="Rename"
+                sx={{ color: textColor }}
+              >
+                <Edit />
+              </IconButton>
+            )}
+          </>
+        )}
+      </Box>
+      <Typography sx={{ font: "inherit", fontSize: "14px", opacity: 0.8 }}>
+        {token ? "Shared through a public link" : "Shared with you"}
+      </Typography>
+
+      <Box sx={sectionSx}>
+        <Typography sx={{ font: "inherit", fontWeight: "bold" }}>
+          Summary
+        </Typography>
+        <ReactMarkdown>{document.summary || ""}</ReactMarkdown>
+      </Box>
+
+      {Object.entries(document.insights || {}).map(([type, insight]) => (
+        <Box key={type} sx={sectionSx}>
+          <Typography sx={{ font: "inherit", fontWeight: "bold" }}>
+            {INSIGHT_LABELS[type] || type}
+          </Typography>
+          <ReactMarkdown>{insightText(insight.content)}</ReactMarkdown>
+        </Box>
+      ))}
+
+      {!token && (
+        <Box sx={sectionSx}>
+          <Typography sx={{ font: "inherit", fontWeight: "bold", mb: 1 }}>
+            Comments
+          </Typography>
+          {comments.length === 0 && (
+            <Typography sx={{ font: "inherit", opacity: 0.8 }}>
+              No comments yet.
+            </Typography>
+          )}
+          {comments.map((comment) => (
+            <Box
+              key={comment.id}
+              sx={{
+                py: 1,
+                borderBottom: `1px solid ${theme === "dark" ? "#555" : "#ddd"}`,
+              }}
+            >
+              <Typography
+                sx={{ font: "inherit", fontSize: "14px", opacity: 0.8 }}
+              >
+                {comment.email || "Someone"} ·{" "}
+                {new Date(comment.createdAt).toLocaleString()}
+              </Typography>
+              <Typography sx={{ font: "inherit", whiteSpace: "pre-wrap" }}>
+                {comment.text}
+              </Typography>
+            </Box>
+          ))}
+          {COMMENT_ROLES.includes(role) && (
+            <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+              <TextField
+                value={newComment}
+                onChange={(event) => setNewComment(event.target.value)}
+                placeholder="Add a comment"
+                size="small"
+                multiline
+                fullWidth
+                sx={fieldSx}
+              />
+              <Button
+                onClick={handleAddComment}
+                disabled={!newComment.trim()}
+                sx={{ color: "#f57c00", font: "inherit" }}
+              >
+                Post
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default SharedDocumentPage;
@@ -0,0 +1,89 @@
+import { refreshAccessToken } from "./auth";
+
+/**
+ * Parse one Server-Sent Events block ("event: ...\ndata: ...")
+ * @param block - Raw event text
+ * @returns {{event: string, data: *}} - Event name and parsed JSON data
+ */
+const parseEvent = (block) => {
+  let event = "message";
+  const data = [];
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.length ? JSON.parse(data.join("\n")) : null };
+};
+
+/**
+ * POST JSON to a backend endpoint and read its answer as Server-Sent Events.
+ * Generated text arrives as `token` events and the final `result` event
+ * carries the same body the endpoint returns as JSON.
+ * @param url - Endpoint URL
+ * @param body - JSON request body
+ * @param onToken - Called with each piece of generated text
+ * @param onEvent - Called with (event, data) for other events, e.g. progress
+ * @param signal - AbortSignal used to cancel the request
+ * @returns {Promise<object>} - Data of the final `result` event
+ */
+export const postEventStream = async (
+  url,
+  body,
+  { onToken = () => {}, onEvent = () => {}, signal } = {},
+) => {
+  const send = () => {
+    const accessToken = localStorage.getItem("accessToken");
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  };
+
+  let response = await send();
+  if (response.status === 401 && localStorage.getItem("refreshToken")) {
+    await refreshAccessToken();
+    response = await send();
+  }
+
+  // Validation errors are still answered with plain JSON
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      if (!block.trim()) continue;
+      const { event, data } = parseEvent(block);
+      if (event === "token") onToken(data.text);
+      else if (event === "result") return data;
+      else if (event === "error") throw new Error(data.error);
+      else onEvent(event, data);
+    }
+  }
+
+  throw new Error("The stream ended without a result");
+};
+
+/**
+ * Whether an error was caused by cancelling the request
+ * @param error - Error thrown by postEventStream
+ * @returns {boolean} - Whether the request was aborted
+ */
+export const isAbortError = (error) => error && error.name === "AbortError";